@@ -0,0 +1,9 @@
+-- TOTP two-factor authentication (services/twoFactorService.js)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Encrypted with TWO_FACTOR_ENCRYPTION_KEY
+  ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+  -- SHA-256 hashes of the unused recovery codes
+  ADD COLUMN IF NOT EXISTS two_factor_recovery_codes TEXT[] NOT NULL DEFAULT '{}',
+  -- Time step of the last accepted code, so a code can't be replayed
+  ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
@@ -0,0 +1,17 @@
+-- Signed-in devices (models/Session.js). Each session's one valid refresh
+-- token is identified by refresh_jti, which changes on every rotation.
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_jti VARCHAR(64) NOT NULL,
+  device VARCHAR(255) NOT NULL DEFAULT 'Unknown device',
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_seen_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
@@ -0,0 +1,3 @@
+-- Expiring email verification links (services/authService.js)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verification_expires TIMESTAMPTZ;
@@ -0,0 +1,31 @@
+-- OIDC single sign-on: identities linked to users
+-- (models/UserIdentity.js) and per-domain SSO policies (models/SsoDomain.js)
+
+-- Accounts created by SSO have no password (models/User.js createFromIdentity);
+-- password login refuses them (services/authService.js)
+ALTER TABLE users
+  ALTER COLUMN password_hash DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Provider id from SSO_PROVIDERS, and its sub claim
+  provider VARCHAR(50) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+CREATE TABLE IF NOT EXISTS sso_domains (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Stored lower-cased
+  domain VARCHAR(255) NOT NULL UNIQUE,
+  provider VARCHAR(50),
+  required BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
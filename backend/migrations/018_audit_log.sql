@@ -0,0 +1,24 @@
+-- Tamper-evident audit trail (models/AuditLog.js). Entries are hash-chained
+-- by sequence; the UNIQUE constraint is what stops two writers appending
+-- after the same tail (services/auditService.js retries on conflict)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sequence BIGINT NOT NULL UNIQUE,
+  action VARCHAR(100) NOT NULL,
+  -- Kept as plain values so entries outlive the users they mention
+  actor_id UUID,
+  actor_email VARCHAR(255),
+  target_type VARCHAR(50),
+  target_id VARCHAR(255),
+  changes JSONB,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  ip_address VARCHAR(45),
+  request_id VARCHAR(100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  prev_hash VARCHAR(64),
+  hash VARCHAR(64) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
@@ -0,0 +1,20 @@
+-- Shared quota counters for the database quota store, used without
+-- REDIS_URL or with QUOTA_STORE_DRIVER=database
+-- (services/quotaStores/databaseQuotaStore.js). Writes are optimistic on
+-- version; when two instances create the same counter at once, the primary
+-- key makes one insert fail so it retries as an update
+CREATE TABLE IF NOT EXISTS quota_counters (
+  -- `${scope}:${name}`, e.g. user:<id>:minute
+  key VARCHAR(255) PRIMARY KEY,
+  scope VARCHAR(150) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  -- Window the value counts, as text (minute number or budget period);
+  -- quoted because WINDOW is a reserved word
+  "window" VARCHAR(50),
+  value JSONB,
+  version INTEGER NOT NULL DEFAULT 1,
+  expires_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_quota_counters_scope ON quota_counters(scope);
+CREATE INDEX IF NOT EXISTS idx_quota_counters_expires_at ON quota_counters(expires_at);
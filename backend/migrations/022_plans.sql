@@ -0,0 +1,39 @@
+-- Subscription plans (services/planService.js): the plan assigned to each
+-- user and organization, and the history of those assignments
+-- (models/PlanChange.js)
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS plan VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS plan_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subject_type VARCHAR(20) NOT NULL CHECK (subject_type IN ('user', 'organization')),
+  -- A user or organization id
+  subject_id UUID NOT NULL,
+  -- NULL means no plan of its own
+  from_plan VARCHAR(50),
+  to_plan VARCHAR(50),
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_plan_changes_subject ON plan_changes(subject_type, subject_id, created_at);
+
+-- Accounts that existed before plans keep the limits they had, on the
+-- legacy plan, instead of dropping to DEFAULT_PLAN. This only runs when the
+-- column is first added, so accounts created since aren't touched
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'plan'
+  ) THEN
+    ALTER TABLE users ADD COLUMN plan VARCHAR(50);
+
+    UPDATE users SET plan = 'legacy';
+
+    INSERT INTO plan_changes (subject_type, subject_id, from_plan, to_plan, reason)
+    SELECT 'user', id, NULL, 'legacy', 'Account created before plans'
+    FROM users;
+  END IF;
+END $$;
@@ -0,0 +1,35 @@
+-- Double-entry credit ledger (models/CreditEntry.js). Each transaction is
+-- two rows with the same transaction_id whose amounts sum to zero; rows
+-- are only ever inserted
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL,
+  account VARCHAR(20) NOT NULL CHECK (account IN ('wallet', 'payments', 'revenue', 'adjustments')),
+  -- Cleared when the account is erased; the entry stays for the books
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('topup', 'usage', 'refund', 'adjustment')),
+  -- USD; usage is charged in fractions of a cent
+  amount NUMERIC(18, 9) NOT NULL,
+  description TEXT,
+  -- Payment ID or task ID the entry is for
+  reference VARCHAR(255),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user_account ON credit_ledger(user_id, account, created_at);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_transaction_id ON credit_ledger(transaction_id);
+
+-- A wallet's balance as one aggregate (models/CreditEntry.js getBalance),
+-- so checking it neither reads the whole ledger nor stops at the API's row
+-- limit
+CREATE OR REPLACE FUNCTION credit_balance(p_user_id UUID, p_account VARCHAR)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(amount), 0)
+  FROM credit_ledger
+  WHERE user_id = p_user_id AND account = p_account
+$$;
@@ -21,6 +21,9 @@ const apiRoutes = require('./routes/api');
 const aiRoutes = require('./routes/ai');
 const webhookRoutes = require('./routes/webhooks');
 const adminRoutes = require('./routes/admin');
+const organizationRoutes = require('./routes/organizations');
+const billingRoutes = require('./routes/billing');
+const openaiRoutes = require('./routes/openai');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -59,7 +62,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
-  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-AI-Provider', 'X-AI-Model', 'X-AI-Provider-Attempts']
 }));
 
 // Performance middleware
@@ -108,8 +111,11 @@ app.get('/api/docs', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/v1', apiRoutes);
 app.use('/api/v1/ai', aiRoutes);
+app.use('/api/v1/billing', billingRoutes);
 app.use('/api/v1/webhooks', webhookRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/v1', openaiRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -180,6 +186,16 @@ try {
   // Initialize services that might fail
   const minimaxService = require('./services/minimaxService');
   const authService = require('./services/authService');
+  const batchService = require('./services/batchService');
+  const privacyService = require('./services/privacyService');
+
+  // Resume polling for video tasks that were in progress before a restart
+  minimaxService.startStatusWorker().catch(error => {
+    logger.error('Minimax status worker failed to start:', { error: error.message });
+  });
+  batchService.startWorker();
+  // Erase accounts whose deletion grace period has ended
+  privacyService.startWorker();
   
   logger.info('Services initialized successfully');
 } catch (error) {
@@ -0,0 +1,119 @@
+/**
+ * Anthropic Configuration
+ * Configuration for Claude models served through the Anthropic Messages API
+ */
+
+const config = {
+  // API Configuration
+  api: {
+    baseURL: process.env.ANTHROPIC_API_BASE || 'https://api.anthropic.com/v1',
+    version: process.env.ANTHROPIC_API_VERSION || '2023-06-01',
+    timeout: parseInt(process.env.ANTHROPIC_API_TIMEOUT) || 60000,
+    maxRetries: parseInt(process.env.ANTHROPIC_MAX_RETRIES) || 3,
+    retryDelay: parseInt(process.env.ANTHROPIC_RETRY_DELAY) || 1000,
+    exponentialBackoff: process.env.ANTHROPIC_EXPONENTIAL_BACKOFF !== 'false',
+    maxBackoffDelay: parseInt(process.env.ANTHROPIC_MAX_BACKOFF_DELAY) || 30000
+  },
+
+  // Authentication
+  auth: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    enabled: process.env.ANTHROPIC_ENABLED === 'true'
+  },
+
+  // Model Specifications
+  // quality is a relative 0-100 score used by quality-first routing
+  models: {
+    'claude-sonnet-4-20250514': {
+      id: 'claude-sonnet-4-20250514',
+      name: 'Claude Sonnet 4',
+      type: 'chat',
+      description: 'High-performance model balancing intelligence and speed',
+      maxTokens: 64000,
+      contextWindow: 200000,
+      supportsStreaming: true,
+      supportsFunctions: true,
+      quality: 93,
+      cost: {
+        perInputToken: 0.000003, // $3.00 per 1M input tokens
+        perOutputToken: 0.000015, // $15.00 per 1M output tokens
+        currency: 'USD'
+      }
+    },
+    'claude-3-5-haiku-20241022': {
+      id: 'claude-3-5-haiku-20241022',
+      name: 'Claude 3.5 Haiku',
+      type: 'chat',
+      description: 'Fastest and most compact model',
+      maxTokens: 8192,
+      contextWindow: 200000,
+      supportsStreaming: true,
+      supportsFunctions: true,
+      quality: 75,
+      cost: {
+        perInputToken: 0.0000008, // $0.80 per 1M input tokens
+        perOutputToken: 0.000004, // $4.00 per 1M output tokens
+        currency: 'USD'
+      }
+    },
+    'claude-opus-4-20250514': {
+      id: 'claude-opus-4-20250514',
+      name: 'Claude Opus 4',
+      type: 'chat',
+      description: 'Most capable model for complex, long-running tasks',
+      maxTokens: 32000,
+      contextWindow: 200000,
+      supportsStreaming: true,
+      supportsFunctions: true,
+      quality: 97,
+      cost: {
+        perInputToken: 0.000015, // $15.00 per 1M input tokens
+        perOutputToken: 0.000075, // $75.00 per 1M output tokens
+        currency: 'USD'
+      }
+    }
+  },
+
+  // Defaults
+  defaults: {
+    chatModel: process.env.ANTHROPIC_DEFAULT_MODEL || 'claude-3-5-haiku-20241022'
+  },
+
+  // Error Handling
+  errorHandling: {
+    // 529 is Anthropic's "overloaded" status
+    retryableStatusCodes: [408, 429, 500, 502, 503, 504, 529]
+  }
+};
+
+// Validate configuration
+function validateConfig() {
+  const errors = [];
+
+  if (!config.auth.apiKey) {
+    errors.push('ANTHROPIC_API_KEY is not configured');
+  }
+
+  if (errors.length > 0) {
+    console.warn('Anthropic configuration warnings:', errors.join(', '));
+  }
+
+  return errors.length === 0;
+}
+
+// Export configuration
+module.exports = {
+  config,
+  validateConfig,
+  getModel: (modelId) => config.models[modelId],
+  getModelCost: (modelId, usage = {}) => {
+    const model = config.models[modelId];
+    if (!model) return 0;
+
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    return (promptTokens * model.cost.perInputToken) +
+      (completionTokens * model.cost.perOutputToken);
+  }
+};
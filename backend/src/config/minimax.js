@@ -23,6 +23,7 @@ const config = {
   },
 
   // Model Specifications
+  // quality is a relative 0-100 score used by quality-first routing
   models: {
     'hailuo-2.3': {
       id: 'hailuo-2.3',
@@ -32,6 +33,7 @@ const config = {
       maxTokens: 8192,
       supportsStreaming: false,
       supportsFunctions: false,
+      quality: 80,
       cost: {
         perCall: 0.49, // $0.49 per video generation call
         currency: 'USD'
@@ -65,6 +67,7 @@ const config = {
       maxTokens: 4096,
       supportsStreaming: true,
       supportsFunctions: true,
+      quality: 70,
       cost: {
         perToken: 0.0001, // $0.0001 per token
         currency: 'USD'
@@ -78,6 +81,7 @@ const config = {
       maxTokens: 4096,
       supportsStreaming: true,
       supportsFunctions: true,
+      quality: 60,
       cost: {
         perToken: 0.00005, // $0.00005 per token
         currency: 'USD'
@@ -91,6 +95,7 @@ const config = {
       maxTokens: 2048,
       supportsStreaming: false,
       supportsFunctions: false,
+      quality: 60,
       cost: {
         perToken: 0.00001, // $0.00001 per token
         currency: 'USD'
@@ -104,6 +109,7 @@ const config = {
       maxTokens: 2048,
       supportsStreaming: false,
       supportsFunctions: false,
+      quality: 65,
       cost: {
         perImage: 0.05, // $0.05 per image
         currency: 'USD'
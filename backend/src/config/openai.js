@@ -0,0 +1,189 @@
+/**
+ * OpenAI Configuration
+ * Configuration for OpenAI and OpenAI-compatible chat, embeddings and image models
+ */
+
+const config = {
+  // API Configuration
+  api: {
+    baseURL: process.env.OPENAI_API_BASE || 'https://api.openai.com/v1',
+    timeout: parseInt(process.env.OPENAI_API_TIMEOUT) || 60000,
+    maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES) || 3,
+    retryDelay: parseInt(process.env.OPENAI_RETRY_DELAY) || 1000,
+    exponentialBackoff: process.env.OPENAI_EXPONENTIAL_BACKOFF !== 'false',
+    maxBackoffDelay: parseInt(process.env.OPENAI_MAX_BACKOFF_DELAY) || 30000
+  },
+
+  // Authentication
+  auth: {
+    apiKey: process.env.OPENAI_API_KEY,
+    organization: process.env.OPENAI_ORGANIZATION || null,
+    enabled: process.env.OPENAI_ENABLED === 'true'
+  },
+
+  // Model Specifications
+  // quality is a relative 0-100 score used by quality-first routing
+  models: {
+    'gpt-4o': {
+      id: 'gpt-4o',
+      name: 'GPT-4o',
+      type: 'chat',
+      description: 'Flagship multimodal chat model',
+      maxTokens: 16384,
+      contextWindow: 128000,
+      supportsStreaming: true,
+      supportsFunctions: true,
+      quality: 90,
+      cost: {
+        perInputToken: 0.0000025, // $2.50 per 1M input tokens
+        perOutputToken: 0.00001, // $10.00 per 1M output tokens
+        currency: 'USD'
+      }
+    },
+    'gpt-4o-mini': {
+      id: 'gpt-4o-mini',
+      name: 'GPT-4o mini',
+      type: 'chat',
+      description: 'Small, fast and inexpensive chat model',
+      maxTokens: 16384,
+      contextWindow: 128000,
+      supportsStreaming: true,
+      supportsFunctions: true,
+      quality: 75,
+      cost: {
+        perInputToken: 0.00000015, // $0.15 per 1M input tokens
+        perOutputToken: 0.0000006, // $0.60 per 1M output tokens
+        currency: 'USD'
+      }
+    },
+    'gpt-4-turbo': {
+      id: 'gpt-4-turbo',
+      name: 'GPT-4 Turbo',
+      type: 'chat',
+      description: 'Previous generation high-intelligence chat model',
+      maxTokens: 4096,
+      contextWindow: 128000,
+      supportsStreaming: true,
+      supportsFunctions: true,
+      quality: 85,
+      cost: {
+        perInputToken: 0.00001, // $10.00 per 1M input tokens
+        perOutputToken: 0.00003, // $30.00 per 1M output tokens
+        currency: 'USD'
+      }
+    },
+    'gpt-3.5-turbo': {
+      id: 'gpt-3.5-turbo',
+      name: 'GPT-3.5 Turbo',
+      type: 'chat',
+      description: 'Legacy low-cost chat model',
+      maxTokens: 4096,
+      contextWindow: 16385,
+      supportsStreaming: true,
+      supportsFunctions: true,
+      quality: 60,
+      cost: {
+        perInputToken: 0.0000005, // $0.50 per 1M input tokens
+        perOutputToken: 0.0000015, // $1.50 per 1M output tokens
+        currency: 'USD'
+      }
+    },
+    'text-embedding-3-small': {
+      id: 'text-embedding-3-small',
+      name: 'Text Embedding 3 Small',
+      type: 'embeddings',
+      description: 'Efficient 1536-dimension text embeddings model',
+      maxTokens: 8191,
+      dimensions: 1536,
+      supportsStreaming: false,
+      supportsFunctions: false,
+      quality: 70,
+      cost: {
+        perInputToken: 0.00000002, // $0.02 per 1M tokens
+        currency: 'USD'
+      }
+    },
+    'text-embedding-3-large': {
+      id: 'text-embedding-3-large',
+      name: 'Text Embedding 3 Large',
+      type: 'embeddings',
+      description: 'Higher quality 3072-dimension text embeddings model',
+      maxTokens: 8191,
+      dimensions: 3072,
+      supportsStreaming: false,
+      supportsFunctions: false,
+      quality: 85,
+      cost: {
+        perInputToken: 0.00000013, // $0.13 per 1M tokens
+        currency: 'USD'
+      }
+    },
+    'dall-e-3': {
+      id: 'dall-e-3',
+      name: 'DALL·E 3',
+      type: 'image',
+      description: 'Image generation model',
+      maxTokens: 4000,
+      supportsStreaming: false,
+      supportsFunctions: false,
+      quality: 85,
+      cost: {
+        perImage: 0.04, // $0.04 per standard 1024x1024 image
+        perImageHd: 0.08, // $0.08 per HD 1024x1024 image
+        currency: 'USD'
+      }
+    }
+  },
+
+  // Defaults per task type
+  defaults: {
+    chatModel: process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+    embeddingsModel: process.env.OPENAI_DEFAULT_EMBEDDINGS_MODEL || 'text-embedding-3-small',
+    imageModel: process.env.OPENAI_DEFAULT_IMAGE_MODEL || 'dall-e-3'
+  },
+
+  // Error Handling
+  errorHandling: {
+    retryableStatusCodes: [408, 409, 429, 500, 502, 503, 504]
+  }
+};
+
+// Validate configuration
+function validateConfig() {
+  const errors = [];
+
+  if (!config.auth.apiKey) {
+    errors.push('OPENAI_API_KEY is not configured');
+  }
+
+  if (errors.length > 0) {
+    console.warn('OpenAI configuration warnings:', errors.join(', '));
+  }
+
+  return errors.length === 0;
+}
+
+// Export configuration
+module.exports = {
+  config,
+  validateConfig,
+  getModel: (modelId) => config.models[modelId],
+  getModelCost: (modelId, usage = {}) => {
+    const model = config.models[modelId];
+    if (!model) return 0;
+
+    const costConfig = model.cost;
+
+    if (costConfig.perImage && usage.images) {
+      const hd = usage.quality === 'hd' || usage.quality === 'high';
+      const perImage = hd ? costConfig.perImageHd : costConfig.perImage;
+      return usage.images * perImage;
+    }
+
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    return (promptTokens * (costConfig.perInputToken || 0)) +
+      (completionTokens * (costConfig.perOutputToken || 0));
+  }
+};
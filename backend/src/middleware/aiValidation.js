@@ -0,0 +1,144 @@
+const { body, validationResult } = require('express-validator');
+const providerRegistry = require('../services/providerRegistry');
+const routingService = require('../services/routingService');
+
+/**
+ * Names of registered providers with a capability, for validation messages
+ */
+const providerNames = (capability) => providerRegistry.list({ capability })
+  .map(provider => provider.name)
+  .join(', ');
+
+/**
+ * Routing policy: a policy name or { policy, weights }
+ */
+const validateRouting = () => body('routing')
+  .custom(value => routingService.isValidPolicy(value))
+  .withMessage(() => `Routing policy must be one of: ${routingService.getPolicies().join(', ')}`);
+
+/**
+ * Validation for AI routes; batch items are checked against the same rules
+ */
+const validateAiRequest = [
+  body('prompt')
+    .optional()
+    .isString()
+    .withMessage('Prompt must be a string')
+    .isLength({ max: 10000 })
+    .withMessage('Prompt must be less than 10000 characters'),
+
+  body('messages')
+    .optional()
+    .isArray()
+    .withMessage('Messages must be an array'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('provider')
+    .optional()
+    .custom(value => providerRegistry.supports(value, 'chat'))
+    .withMessage(() => `Provider must be one of: ${providerNames('chat')}`),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('maxTokens')
+    .optional()
+    .isInt({ min: 1, max: 8192 })
+    .withMessage('Max tokens must be between 1 and 8192'),
+
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('Stream must be a boolean'),
+
+  body('functions')
+    .optional()
+    .isArray()
+    .withMessage('Functions must be an array'),
+
+  body('failover')
+    .optional()
+    .isBoolean()
+    .withMessage('Failover must be a boolean'),
+
+  validateRouting().optional()
+];
+
+const validateEmbeddingsRequest = [
+  body('texts')
+    .isArray({ min: 1 })
+    .withMessage('Texts must be a non-empty array'),
+
+  body('texts.*')
+    .isString()
+    .withMessage('Each text must be a string')
+    .isLength({ max: 8192 })
+    .withMessage('Each text must be less than 8192 characters'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('provider')
+    .optional()
+    .custom(value => providerRegistry.supports(value, 'embeddings'))
+    .withMessage(() => `Provider must be one of: ${providerNames('embeddings')}`),
+
+  validateRouting().optional()
+];
+
+const validateImageRequest = [
+  body('prompt')
+    .isString()
+    .withMessage('Prompt must be a string')
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Prompt must be between 1 and 1000 characters'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('size')
+    .optional()
+    .isIn(['1024x1024', '1024x1792', '1792x1024'])
+    .withMessage('Size must be one of: 1024x1024, 1024x1792, 1792x1024'),
+
+  body('quality')
+    .optional()
+    .isIn(['standard', 'high'])
+    .withMessage('Quality must be standard or high'),
+
+  validateRouting().optional()
+];
+
+/**
+ * Run validation chains against a body outside a request, e.g. a batch item
+ * @param {Array} chains - One of the validate*Request arrays
+ * @param {Object} requestBody - Body to check
+ * @returns {Promise<string|null>} The first error message, or null when valid
+ */
+const findValidationProblem = async (chains, requestBody) => {
+  const req = { body: requestBody };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req);
+  return errors.isEmpty() ? null : errors.array()[0].msg;
+};
+
+module.exports = {
+  validateRouting,
+  validateAiRequest,
+  validateEmbeddingsRequest,
+  validateImageRequest,
+  findValidationProblem
+};
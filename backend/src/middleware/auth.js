@@ -2,6 +2,12 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const authService = require('../services/authService');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const organizationService = require('../services/organizationService');
+const planService = require('../services/planService');
+const roleService = require('../services/roleService');
+const impersonationService = require('../services/impersonationService');
 const logger = require('../utils/logger');
 
 // Redis client for token blacklisting and API key management
@@ -45,6 +51,11 @@ class AuthMiddleware {
     try {
       // Get token from header
       const authHeader = req.headers.authorization;
+
+      // Routes that take a session also take a personal API key
+      if (req.headers['x-api-key'] || ApiKey.isApiKey(authHeader?.substring(7))) {
+        return this.verifyApiKey(req, res, next);
+      }
       
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
         logger.warn('No token provided in Authorization header');
@@ -70,8 +81,11 @@ class AuthMiddleware {
         });
       }
 
-      // Verify token
+      // Verify token; refresh and login challenge tokens don't grant access
       const decoded = authService.verifyToken(token);
+      if (decoded.type !== 'access') {
+        throw new Error('Invalid token');
+      }
       
       // Find user
       const user = await User.findById(decoded.userId);
@@ -97,9 +111,56 @@ class AuthMiddleware {
         });
       }
 
-      // Attach user and token to request
+      // Access tokens die with their session
+      if (decoded.sessionId) {
+        const session = await Session.findById(decoded.sessionId);
+        if (!session || !session.isActive()) {
+          logger.warn('Access token used after its session ended:', decoded.sessionId);
+          return res.status(401).json({
+            success: false,
+            error: {
+              message: 'Session has been revoked'
+            }
+          });
+        }
+
+        session.touch(req.ip).catch(error => {
+          logger.warn('Failed to record session activity', { sessionId: session.id, error: error.message });
+        });
+        req.sessionId = session.id;
+      }
+
+      if (decoded.impersonationId) {
+        const impersonation = await impersonationService.resolve(decoded);
+        if (!impersonation) {
+          logger.warn('Impersonation token used after it ended:', decoded.impersonationId);
+          return res.status(401).json({
+            success: false,
+            error: {
+              message: 'Impersonation has ended'
+            }
+          });
+        }
+
+        if (impersonationService.isRestricted(req)) {
+          logger.warn(`Restricted request while ${impersonation.impersonator.email} impersonates ${user.email}: ${req.method} ${req.originalUrl}`);
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'This action is not available while impersonating a user',
+              code: 'IMPERSONATION_RESTRICTED'
+            }
+          });
+        }
+        req.impersonation = impersonation;
+      }
+
+      organizationService.syncMembership(user);
+
+      // Attach user, token and the plan in effect to request
       req.user = user;
       req.token = token;
+      req.plan = await planService.sync(user);
       
       logger.debug('Token verified successfully for user:', user.email);
       next();
@@ -184,13 +245,56 @@ class AuthMiddleware {
    */
   requireUser = this.requireRole(['user', 'admin']);
 
+  /**
+   * Require every listed permission from the user's role
+   * @param {...string} permissions - Permissions from Role.PERMISSIONS
+   */
+  requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+      try {
+        if (!req.user) {
+          logger.warn('Permission check failed: No user in request');
+          return res.status(401).json({
+            success: false,
+            error: {
+              message: 'Authentication required'
+            }
+          });
+        }
+
+        if (!await roleService.hasPermissions(req.user.role, permissions)) {
+          logger.warn(`Access denied for user ${req.user.email}. Required permissions: ${permissions}, User role: ${req.user.role}`);
+          return res.status(403).json({
+            success: false,
+            error: {
+              message: 'Insufficient permissions',
+              code: 'PERMISSION_DENIED'
+            }
+          });
+        }
+
+        next();
+      } catch (error) {
+        logger.error('Permission check middleware error:', error);
+        return res.status(500).json({
+          success: false,
+          error: {
+            message: 'Internal server error'
+          }
+        });
+      }
+    };
+  };
+
   /**
    * API key authentication middleware
    */
   verifyApiKey = async (req, res, next) => {
     try {
-      // Get API key from query parameter or header
-      const apiKey = req.query.api_key || req.headers['x-api-key'];
+      // Get API key from query parameter or header; OpenAI clients send it as a bearer token
+      const authHeader = req.headers.authorization;
+      const apiKey = req.query.api_key || req.headers['x-api-key'] ||
+        (authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null);
       
       if (!apiKey) {
         logger.warn('No API key provided');
@@ -202,29 +306,25 @@ class AuthMiddleware {
         });
       }
 
-      // In a real application, you would validate the API key against a database
-      // For now, we'll use a simple check against environment variable
-      const validApiKey = process.env.API_KEY;
-      
-      if (!validApiKey || apiKey !== validApiKey) {
-        logger.warn('Invalid API key provided');
+      const result = await this.resolveApiKey(apiKey);
+
+      if (result.error) {
+        logger.warn(`API key rejected: ${result.error}`);
         return res.status(401).json({
           success: false,
           error: {
-            message: 'Invalid API key'
+            message: result.error
           }
         });
       }
 
-      // For API key authentication, create a system user
-      req.user = {
-        id: 'system',
-        email: 'system@api.playground',
-        role: 'admin',
-        isApiKeyAuth: true
-      };
+      req.user = result.user;
+      req.user.isApiKeyAuth = true;
+      req.plan = result.plan;
+      req.apiKeyId = result.apiKey.id;
+      req.apiKeyScopes = result.apiKey.scopes;
       
-      logger.debug('API key authentication successful');
+      logger.debug(`API key ${result.apiKey.prefix} authenticated for user: ${result.user.email}`);
       next();
     } catch (error) {
       logger.error('API key authentication error:', error);
@@ -237,6 +337,81 @@ class AuthMiddleware {
     }
   };
 
+  /**
+   * Look up a plain text API key and its owner
+   * @param {string} key - Key from the request
+   * @returns {Promise<Object>} { apiKey, user, plan } or { error }
+   */
+  async resolveApiKey(key) {
+    const apiKey = ApiKey.isApiKey(key) ? await ApiKey.findByKey(key) : null;
+
+    if (!apiKey) {
+      return { error: 'Invalid API key' };
+    }
+    if (apiKey.isRevoked()) {
+      return { error: 'API key has been revoked' };
+    }
+    if (apiKey.isExpired()) {
+      return { error: 'API key has expired' };
+    }
+
+    const user = await User.findById(apiKey.user_id);
+    if (!user || !user.is_active) {
+      return { error: 'Account is deactivated' };
+    }
+
+    // Organization keys only work while their creator is still a member
+    if (apiKey.organization_id && user.organization_id !== apiKey.organization_id) {
+      return { error: 'API key belongs to an organization its owner has left' };
+    }
+
+    organizationService.syncMembership(user);
+    const plan = await planService.sync(user);
+
+    apiKey.touch().catch(error => {
+      logger.warn('Failed to record API key usage:', { keyId: apiKey.id, error: error.message });
+    });
+
+    return { apiKey, user, plan };
+  }
+
+  /**
+   * Require a scope when the request is authenticated with an API key.
+   * Signed-in sessions are not scoped.
+   * @param {string} scope - Scope from ApiKey.SCOPES
+   */
+  requireScope = (scope) => {
+    return (req, res, next) => {
+      if (!req.apiKeyScopes || req.apiKeyScopes.includes(scope)) {
+        return next();
+      }
+
+      logger.warn(`API key ${req.apiKeyId} lacks scope ${scope}`);
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: `API key is missing the required scope: ${scope}`,
+          code: 'INSUFFICIENT_SCOPE'
+        }
+      });
+    };
+  };
+
+  /**
+   * Reject API key authentication, e.g. for managing the keys themselves
+   */
+  requireSession = (req, res, next) => {
+    if (req.apiKeyScopes) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'This endpoint requires a signed-in session'
+        }
+      });
+    }
+    next();
+  };
+
   /**
    * Optional authentication (tries to authenticate but doesn't fail if no token)
    */
@@ -258,8 +433,11 @@ class AuthMiddleware {
         return next(); // Continue without authentication
       }
 
-      // Verify token
+      // Verify token; impersonation is only honoured where verifyToken checks it
       const decoded = authService.verifyToken(token);
+      if (decoded.type !== 'access' || decoded.impersonationId) {
+        return next(); // Continue without authentication
+      }
       
       // Find user
       const user = await User.findById(decoded.userId);
@@ -410,8 +588,12 @@ class AuthMiddleware {
         });
       }
 
-      // Blacklist the token
+      // Blacklist the token and end its session, which also voids the refresh token
       await this.blacklistToken(req.token);
+      if (req.sessionId) {
+        const session = await Session.findById(req.sessionId);
+        await session?.revoke('signed_out');
+      }
       
       logger.info('User logged out successfully:', req.user?.email);
       next();
@@ -447,8 +447,12 @@ class GatewayMiddleware {
 
       // Try API key authentication first
       if (req.apiKey) {
-        const isValid = await this.validateApiKey(req.apiKey);
-        if (isValid) {
+        const result = await this.validateApiKey(req.apiKey);
+        if (result) {
+          req.user = result.user;
+          req.plan = result.plan;
+          req.apiKeyId = result.apiKey.id;
+          req.apiKeyScopes = result.apiKey.scopes;
           req.isAuthenticated = true;
           req.authMethod = 'api_key';
           return next();
@@ -475,13 +479,12 @@ class GatewayMiddleware {
   };
 
   /**
-   * Validate API key against database or cache
+   * Validate API key against the api_keys table
+   * @returns {Promise<Object|null>} The key and its owner, or null
    */
   async validateApiKey(apiKey) {
-    // In production, this would check against a database or cache
-    // For now, we'll use a simple validation
-    const validApiKeys = process.env.VALID_API_KEYS?.split(',') || [];
-    return validApiKeys.includes(apiKey);
+    const result = await auth.resolveApiKey(apiKey);
+    return result.error ? null : result;
   }
 }
 
@@ -99,6 +99,12 @@ class UsageTracker {
     // Prepare request log data
     const requestLogData = {
       ...requestDetails,
+      metadata: {
+        ...requestDetails.metadata,
+        // Set by the AI routes; lets latency be broken down per provider/model
+        provider: res.getHeader('X-AI-Provider') || null,
+        model: res.getHeader('X-AI-Model') || null
+      },
       responseStatus: res.statusCode,
       responseHeaders: this.sanitizeHeaders(res.getHeaders()),
       responseBody: this.trackResponseBody ? this.truncateBody(responseBody) : null,
@@ -154,6 +160,7 @@ class UsageTracker {
       // Create usage log
       const usageLog = await UsageLog.create({
         userId: requestDetails.userId,
+        organizationId: req.user?.organization_id || null,
         requestId: requestDetails.requestId,
         provider: usageData.provider || 'unknown',
         model: usageData.model || 'unknown',
@@ -308,7 +315,7 @@ class UsageTracker {
       const tokens = this.extractTokensFromRequest(requestLog);
       const cost = this.extractCostFromRequest(requestLog);
 
-      quotaService.recordUsage(userId, {
+      await quotaService.recordUsage(userId, {
         tokens,
         cost,
         requestType: this.getRequestType(requestLog.endpoint),
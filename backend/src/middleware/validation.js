@@ -1,6 +1,7 @@
 const { body, validationResult, query, param } = require('express-validator');
 const logger = require('../utils/logger');
 const path = require('path');
+const ApiKey = require('../models/ApiKey');
 
 /**
  * Middleware to handle validation results
@@ -94,6 +95,36 @@ const validatePasswordReset = [
     })
 ];
 
+/**
+ * Email verification validation
+ */
+const validateEmailVerification = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+/**
+ * Verification resend validation; the address is only needed when signed out
+ */
+const validateVerificationResend = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+/**
+ * SSO login code exchange validation
+ */
+const validateSsoExchange = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Sign-in code is required')
+];
+
 /**
  * Token refresh validation
  */
@@ -113,6 +144,119 @@ const validateApiKey = [
     .withMessage('API key must be a string')
 ];
 
+/**
+ * API key creation validation
+ */
+const validateApiKeyCreation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be any of: ${ApiKey.SCOPES.join(', ')}`),
+  
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date')
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+      return true;
+    })
+];
+
+/**
+ * Monthly budget validation for users, organizations and API keys.
+ * Thresholds are shares of monthlyBudget; blocking above 1 allows overage.
+ */
+const validateBudget = [
+  body('monthlyBudget')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('monthlyBudget must be a non-negative number, or null for no cap'),
+
+  body('budgetWarnAt')
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('budgetWarnAt must be greater than 0 and at most 1'),
+
+  body('budgetBlockAt')
+    .optional()
+    .isFloat({ gt: 0, max: 2 })
+    .withMessage('budgetBlockAt must be greater than 0 and at most 2'),
+
+  body()
+    .custom(({ budgetWarnAt, budgetBlockAt }) => budgetWarnAt === undefined ||
+      budgetBlockAt === undefined || budgetWarnAt <= budgetBlockAt)
+    .withMessage('budgetWarnAt cannot be above budgetBlockAt')
+];
+
+/**
+ * Two-factor code validation
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Code must be 6 digits')
+];
+
+/**
+ * Second login step validation; takes a TOTP code or a recovery code
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .optional()
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+
+  body()
+    .custom(({ code, recoveryCode }) => Boolean(code || recoveryCode))
+    .withMessage('Provide a code or a recovery code')
+];
+
+/**
+ * Account deletion request validation; password and 2FA checks happen in the service
+ */
+const validateAccountDeletion = [
+  body('confirmEmail')
+    .isEmail()
+    .withMessage('Type your email address to confirm'),
+
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+
+  body('code')
+    .optional()
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+];
+
 /**
  * Input sanitization middleware
  */
@@ -175,8 +319,16 @@ module.exports = {
   validateLogin,
   validatePasswordResetRequest,
   validatePasswordReset,
+  validateEmailVerification,
+  validateVerificationResend,
+  validateSsoExchange,
   validateTokenRefresh,
   validateApiKey,
+  validateApiKeyCreation,
+  validateBudget,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateAccountDeletion,
   sanitizeInput,
   validateRateLimit,
   
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'aip_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const SCOPES = [
+  'ai:generate',
+  'ai:read',
+  'video:write',
+  'video:read',
+  'webhooks:manage',
+  'admin:read',
+  'admin:write'
+];
+
+/**
+ * ApiKey Model
+ * Personal and organization API keys; only a SHA-256 hash of the secret is stored
+ */
+class ApiKey {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.user_id = data.user_id || null;
+    this.organization_id = data.organization_id || null;
+    this.name = data.name || '';
+    this.prefix = data.prefix || '';
+    this.key_hash = data.key_hash || '';
+    this.scopes = data.scopes || [];
+    this.expires_at = data.expires_at || null;
+    this.last_used_at = data.last_used_at || null;
+    this.revoked_at = data.revoked_at || null;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+  }
+
+  static get SCOPES() {
+    return SCOPES;
+  }
+
+  /**
+   * Whether a credential looks like one of our keys rather than a JWT
+   * @param {string} value - Credential from a request
+   * @returns {boolean}
+   */
+  static isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Generate a new secret key
+   * @returns {string} Plain text key, shown to the user once
+   */
+  static generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  /**
+   * Hash a plain text key for storage and lookup
+   * @param {string} key - Plain text key
+   * @returns {string} Hex encoded SHA-256 digest
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a key for a user, or for an organization when organizationId is set
+   * @param {Object} keyData - userId, name, scopes, optional expiresAt and organizationId
+   * @returns {Promise<{apiKey: ApiKey, key: string}>} Stored key and its secret
+   */
+  static async create({ userId, name, scopes, expiresAt = null, organizationId = null }) {
+    try {
+      const key = this.generateKey();
+
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('api_keys')
+        .insert([{
+          user_id: userId,
+          organization_id: organizationId,
+          name,
+          prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+          key_hash: this.hashKey(key),
+          scopes,
+          expires_at: expiresAt,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('API key creation failed:', error);
+        throw new Error(`API key creation failed: ${error.message}`);
+      }
+
+      logger.info(`API key created: ${data.id}`, { userId, organizationId, prefix: data.prefix });
+      return { apiKey: new ApiKey(data), key };
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a key by its plain text secret
+   * @param {string} key - Plain text key
+   * @returns {Promise<ApiKey|null>}
+   */
+  static async findByKey(key) {
+    return this.findOne('key_hash', this.hashKey(key));
+  }
+
+  /**
+   * Find a key by ID
+   * @param {string} id - Key ID
+   * @returns {Promise<ApiKey|null>}
+   */
+  static async findById(id) {
+    return this.findOne('id', id);
+  }
+
+  static async findOne(column, value) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('api_keys')
+        .select('*')
+        .eq(column, value)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Database error in ApiKey lookup:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data ? new ApiKey(data) : null;
+    } catch (error) {
+      logger.error('Error finding API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's personal keys, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<ApiKey[]>}
+   */
+  static async findByUser(userId) {
+    return this.findMany(query => query.eq('user_id', userId).is('organization_id', null));
+  }
+
+  /**
+   * List an organization's keys, newest first
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<ApiKey[]>}
+   */
+  static async findByOrganization(organizationId) {
+    return this.findMany(query => query.eq('organization_id', organizationId));
+  }
+
+  static async findMany(filter) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await filter(client.from('api_keys').select('*'))
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        logger.error('Database error in findMany:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || []).map(row => new ApiKey(row));
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  isRevoked() {
+    return Boolean(this.revoked_at);
+  }
+
+  isExpired() {
+    return Boolean(this.expires_at) && new Date(this.expires_at) <= new Date();
+  }
+
+  hasScope(scope) {
+    return this.scopes.includes(scope);
+  }
+
+  /**
+   * Record usage; writes at most once a minute per key
+   * @returns {Promise<void>}
+   */
+  async touch() {
+    const now = new Date();
+    if (this.last_used_at && now - new Date(this.last_used_at) < LAST_USED_RESOLUTION) {
+      return;
+    }
+
+    this.last_used_at = now.toISOString();
+    await this.update({ last_used_at: this.last_used_at });
+  }
+
+  /**
+   * Revoke the key
+   * @returns {Promise<void>}
+   */
+  async revoke() {
+    this.revoked_at = new Date().toISOString();
+    await this.update({ revoked_at: this.revoked_at });
+    logger.info(`API key revoked: ${this.id}`, { userId: this.user_id });
+  }
+
+  /**
+   * Replace the key with a new secret that keeps its name, scopes and expiry
+   * @returns {Promise<{apiKey: ApiKey, key: string}>} Replacement key and its secret
+   */
+  async rotate() {
+    const replacement = await ApiKey.create({
+      userId: this.user_id,
+      organizationId: this.organization_id,
+      name: this.name,
+      scopes: this.scopes,
+      expiresAt: this.expires_at
+    });
+    await this.revoke();
+    return replacement;
+  }
+
+  async update(fields) {
+    const client = db.getClient();
+    const { error } = await client
+      .from('api_keys')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to update API key:', error);
+      throw new Error(`Failed to update API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Public representation; never includes the hash
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      organization_id: this.organization_id,
+      name: this.name,
+      prefix: this.prefix,
+      scopes: this.scopes,
+      expires_at: this.expires_at,
+      last_used_at: this.last_used_at,
+      revoked_at: this.revoked_at,
+      created_at: this.created_at,
+      status: this.isRevoked() ? 'revoked' : this.isExpired() ? 'expired' : 'active'
+    };
+  }
+}
+
+module.exports = ApiKey;
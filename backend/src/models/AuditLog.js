@@ -0,0 +1,161 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * AuditLog Model
+ * One entry in the append-only audit trail. Entries are chained: each
+ * stores the hash of the one before it, so there are deliberately no
+ * update or delete methods here.
+ */
+class AuditLog {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.sequence = data.sequence != null ? Number(data.sequence) : null;
+    this.action = data.action || '';
+    this.actor_id = data.actor_id || null;
+    this.actor_email = data.actor_email || null;
+    this.target_type = data.target_type || null;
+    this.target_id = data.target_id || null;
+    this.changes = data.changes || null;
+    this.metadata = data.metadata || {};
+    this.ip_address = data.ip_address || null;
+    this.request_id = data.request_id || null;
+    this.created_at = data.created_at || null;
+    this.prev_hash = data.prev_hash || null;
+    this.hash = data.hash || null;
+  }
+
+  /**
+   * Insert an entry. Fails when the sequence is taken (UNIQUE in
+   * migrations/018_audit_log.sql), so two writers can't both extend the
+   * chain from the same tail
+   * @param {Object} entry - Entry fields including sequence and hashes
+   * @returns {Promise<AuditLog>}
+   */
+  static async append(entry) {
+    const client = db.getClient();
+    const { data, error } = await client
+      .from('audit_log')
+      .insert([entry])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Audit log append failed:', error);
+      throw new Error(`Audit log append failed: ${error.message}`);
+    }
+
+    return new AuditLog(data);
+  }
+
+  /**
+   * Most recent entry, the tail of the chain
+   * @returns {Promise<AuditLog|null>}
+   */
+  static async findLatest() {
+    const client = db.getClient();
+    const { data, error } = await client
+      .from('audit_log')
+      .select('*')
+      .order('sequence', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      logger.error('Database error in findLatest:', error);
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data && data.length ? new AuditLog(data[0]) : null;
+  }
+
+  /**
+   * List entries
+   * @param {Object} options - actorId, action, targetType, targetId, from, to,
+   *   afterSequence, ascending, limit, offset
+   * @returns {Promise<AuditLog[]>}
+   */
+  static async findAll(options = {}) {
+    try {
+      const {
+        actorId = null,
+        action = null,
+        targetType = null,
+        targetId = null,
+        from = null,
+        to = null,
+        afterSequence = null,
+        ascending = false,
+        limit = 50,
+        offset = 0
+      } = options;
+
+      const client = db.getClient();
+      let query = client
+        .from('audit_log')
+        .select('*')
+        .order('sequence', { ascending })
+        .range(offset, offset + limit - 1);
+
+      if (actorId) {
+        query = query.eq('actor_id', actorId);
+      }
+
+      if (action) {
+        query = query.eq('action', action);
+      }
+
+      if (targetType) {
+        query = query.eq('target_type', targetType);
+      }
+
+      if (targetId) {
+        query = query.eq('target_id', targetId);
+      }
+
+      if (from) {
+        query = query.gte('created_at', from);
+      }
+
+      if (to) {
+        query = query.lte('created_at', to);
+      }
+
+      if (afterSequence !== null) {
+        query = query.gte('sequence', afterSequence + 1);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error('Database error in findAll:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || []).map(row => new AuditLog(row));
+    } catch (error) {
+      logger.error('Error listing audit log:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      sequence: this.sequence,
+      action: this.action,
+      actor_id: this.actor_id,
+      actor_email: this.actor_email,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      changes: this.changes,
+      metadata: this.metadata,
+      ip_address: this.ip_address,
+      request_id: this.request_id,
+      created_at: this.created_at,
+      prev_hash: this.prev_hash,
+      hash: this.hash
+    };
+  }
+}
+
+module.exports = AuditLog;
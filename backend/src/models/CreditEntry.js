@@ -0,0 +1,153 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+
+// Rows per request when reading a ledger; below the API's default row limit
+const PAGE_SIZE = 1000;
+
+/**
+ * CreditEntry Model
+ * One side of a credit ledger transaction. A transaction moves an amount
+ * between two accounts (a user's wallet and payments, revenue or
+ * adjustments), so its entries always sum to zero. Entries are never
+ * changed; corrections are new transactions.
+ */
+class CreditEntry {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.transaction_id = data.transaction_id || null;
+    this.account = data.account || null;
+    this.user_id = data.user_id || null;
+    this.type = data.type || null;
+    this.amount = Number(data.amount) || 0;
+    this.description = data.description || null;
+    this.reference = data.reference || null;
+    this.metadata = data.metadata || {};
+    this.created_by = data.created_by || null;
+    this.created_at = data.created_at || null;
+  }
+
+  /**
+   * Record a balanced transaction
+   * @param {Object} transaction - userId, type, entries ([{ account, amount }]),
+   *   description, reference, metadata and createdBy
+   * @returns {Promise<CreditEntry[]>}
+   */
+  static async createTransaction({ userId, type, entries, description = null, reference = null, metadata = {}, createdBy = null }) {
+    const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    if (Math.abs(total) > 1e-9) {
+      throw new Error(`Unbalanced ${type} transaction: entries sum to ${total}`);
+    }
+
+    const transactionId = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    const client = db.getClient();
+    const { data, error } = await client
+      .from('credit_ledger')
+      .insert(entries.map(({ account, amount }) => ({
+        transaction_id: transactionId,
+        account,
+        user_id: userId,
+        type,
+        amount,
+        description,
+        reference,
+        metadata,
+        created_by: createdBy,
+        created_at: createdAt
+      })))
+      .select();
+
+    if (error) {
+      logger.error('Credit ledger insert failed:', error);
+      throw new Error(`Credit ledger insert failed: ${error.message}`);
+    }
+
+    return (data || []).map(row => new CreditEntry(row));
+  }
+
+  /**
+   * A user's entries in one account, oldest first, read a page at a time
+   * @param {string} userId
+   * @param {string} account - e.g. 'wallet'
+   * @param {Object} options - type, startDate and endDate (inclusive, ISO 8601)
+   * @returns {Promise<CreditEntry[]>}
+   */
+  static async findByAccount(userId, account, options = {}) {
+    const { type = null, startDate = null, endDate = null } = options;
+
+    const client = db.getClient();
+    const page = (offset) => {
+      let query = client
+        .from('credit_ledger')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('account', account);
+
+      if (type) {
+        query = query.eq('type', type);
+      }
+      if (startDate) {
+        query = query.gte('created_at', startDate);
+      }
+      if (endDate) {
+        query = query.lte('created_at', endDate);
+      }
+
+      // id breaks ties between entries written in the same instant, so pages don't overlap
+      return query
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+    };
+
+    const entries = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await page(offset);
+
+      if (error) {
+        logger.error('Database error in findByAccount:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      entries.push(...(data || []).map(row => new CreditEntry(row)));
+      if (!data || data.length < PAGE_SIZE) return entries;
+    }
+  }
+
+  /**
+   * Sum of a user's entries in one account, computed by the database
+   * @param {string} userId
+   * @param {string} account - e.g. 'wallet'
+   * @returns {Promise<number>}
+   */
+  static async getBalance(userId, account) {
+    const client = db.getClient();
+    const { data, error } = await client.rpc('credit_balance', { p_user_id: userId, p_account: account });
+
+    if (error) {
+      logger.error('Database error in getBalance:', error);
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return Number(data) || 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      transaction_id: this.transaction_id,
+      account: this.account,
+      type: this.type,
+      amount: this.amount,
+      description: this.description,
+      reference: this.reference,
+      metadata: this.metadata,
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = CreditEntry;
@@ -0,0 +1,181 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Organization Model
+ * A team workspace; members are users whose organization_id points here
+ */
+class Organization {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.owner_id = data.owner_id || null;
+    this.plan = data.plan || null;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+  }
+
+  /**
+   * Create an organization
+   * @param {Object} orgData - name and ownerId
+   * @returns {Promise<Organization>}
+   */
+  static async create({ name, ownerId }) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('organizations')
+        .insert([{
+          name,
+          owner_id: ownerId,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Organization creation failed:', error);
+        throw new Error(`Organization creation failed: ${error.message}`);
+      }
+
+      logger.info(`Organization created: ${data.id}`, { ownerId });
+      return new Organization(data);
+    } catch (error) {
+      logger.error('Error creating organization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find organization by ID
+   * @param {string} id - Organization ID
+   * @returns {Promise<Organization|null>}
+   */
+  static async findById(id) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('organizations')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Database error in findById:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data ? new Organization(data) : null;
+    } catch (error) {
+      logger.error('Error finding organization by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List organizations, newest first
+   * @param {Object} options - limit and offset
+   * @returns {Promise<Organization[]>}
+   */
+  static async findAll({ limit = 50, offset = 0 } = {}) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('organizations')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        logger.error('Database error in findAll:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || []).map(row => new Organization(row));
+    } catch (error) {
+      logger.error('Error listing organizations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update mutable fields
+   * @param {Object} fields - Currently only name
+   * @returns {Promise<void>}
+   */
+  async update({ name }) {
+    try {
+      const client = db.getClient();
+      const { error } = await client
+        .from('organizations')
+        .update({ name, updated_at: new Date().toISOString() })
+        .eq('id', this.id);
+
+      if (error) {
+        logger.error('Failed to update organization:', error);
+        throw new Error(`Failed to update organization: ${error.message}`);
+      }
+
+      this.name = name;
+    } catch (error) {
+      logger.error('Error updating organization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a plan to every member without one of their own; null clears it
+   * @param {string|null} plan - Plan name
+   * @returns {Promise<void>}
+   */
+  async setPlan(plan) {
+    try {
+      const client = db.getClient();
+      const { error } = await client
+        .from('organizations')
+        .update({ plan, updated_at: new Date().toISOString() })
+        .eq('id', this.id);
+
+      if (error) {
+        logger.error('Failed to update organization plan:', error);
+        throw new Error(`Failed to update organization plan: ${error.message}`);
+      }
+
+      this.plan = plan;
+    } catch (error) {
+      logger.error('Error updating organization plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the organization; members, keys and invitations must be gone first
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    const client = db.getClient();
+    const { error } = await client
+      .from('organizations')
+      .delete()
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to delete organization:', error);
+      throw new Error(`Failed to delete organization: ${error.message}`);
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      owner_id: this.owner_id,
+      plan: this.plan,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Organization;
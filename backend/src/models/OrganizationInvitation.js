@@ -0,0 +1,168 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * OrganizationInvitation Model
+ * A pending invite for an email address; accepted by the user signed in with that email
+ */
+class OrganizationInvitation {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.organization_id = data.organization_id || null;
+    this.email = data.email || '';
+    this.role = data.role || 'member';
+    this.invited_by = data.invited_by || null;
+    this.expires_at = data.expires_at || null;
+    this.accepted_at = data.accepted_at || null;
+    this.created_at = data.created_at || new Date().toISOString();
+  }
+
+  /**
+   * Create an invitation
+   * @param {Object} invitationData - organizationId, email, role, invitedBy and expiresAt
+   * @returns {Promise<OrganizationInvitation>}
+   */
+  static async create({ organizationId, email, role, invitedBy, expiresAt }) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('organization_invitations')
+        .insert([{
+          organization_id: organizationId,
+          email: email.toLowerCase().trim(),
+          role,
+          invited_by: invitedBy,
+          expires_at: expiresAt,
+          created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Invitation creation failed:', error);
+        throw new Error(`Invitation creation failed: ${error.message}`);
+      }
+
+      logger.info(`Organization invitation created: ${data.id}`, { organizationId, role });
+      return new OrganizationInvitation(data);
+    } catch (error) {
+      logger.error('Error creating invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find invitation by ID
+   * @param {string} id - Invitation ID
+   * @returns {Promise<OrganizationInvitation|null>}
+   */
+  static async findById(id) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('organization_invitations')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Database error in findById:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data ? new OrganizationInvitation(data) : null;
+    } catch (error) {
+      logger.error('Error finding invitation by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open invitations matching a column, e.g. an email or an organization
+   * @param {string} column - email or organization_id
+   * @param {string} value - Value to match
+   * @returns {Promise<OrganizationInvitation[]>}
+   */
+  static async findPending(column, value) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('organization_invitations')
+        .select('*')
+        .eq(column, value)
+        .is('accepted_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        logger.error('Database error in findPending:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || [])
+        .map(row => new OrganizationInvitation(row))
+        .filter(invitation => !invitation.isExpired());
+    } catch (error) {
+      logger.error('Error listing invitations:', error);
+      throw error;
+    }
+  }
+
+  isExpired() {
+    return Boolean(this.expires_at) && new Date(this.expires_at) <= new Date();
+  }
+
+  isPending() {
+    return !this.accepted_at && !this.isExpired();
+  }
+
+  /**
+   * Mark the invitation as accepted
+   * @returns {Promise<void>}
+   */
+  async accept() {
+    this.accepted_at = new Date().toISOString();
+
+    const client = db.getClient();
+    const { error } = await client
+      .from('organization_invitations')
+      .update({ accepted_at: this.accepted_at })
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to accept invitation:', error);
+      throw new Error(`Failed to accept invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw the invitation
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    const client = db.getClient();
+    const { error } = await client
+      .from('organization_invitations')
+      .delete()
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to delete invitation:', error);
+      throw new Error(`Failed to delete invitation: ${error.message}`);
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      organization_id: this.organization_id,
+      email: this.email,
+      role: this.role,
+      invited_by: this.invited_by,
+      expires_at: this.expires_at,
+      accepted_at: this.accepted_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = OrganizationInvitation;
@@ -0,0 +1,87 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * PlanChange Model
+ * One assignment of a plan to a user or organization, kept as history
+ */
+class PlanChange {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.subject_type = data.subject_type || null;
+    this.subject_id = data.subject_id || null;
+    this.from_plan = data.from_plan || null;
+    this.to_plan = data.to_plan || null;
+    this.changed_by = data.changed_by || null;
+    this.reason = data.reason || null;
+    this.created_at = data.created_at || new Date().toISOString();
+  }
+
+  /**
+   * Record a plan change
+   * @param {Object} change - subjectType ('user' or 'organization'),
+   *   subjectId, fromPlan, toPlan, changedBy and reason
+   * @returns {Promise<PlanChange>}
+   */
+  static async create({ subjectType, subjectId, fromPlan = null, toPlan = null, changedBy = null, reason = null }) {
+    const client = db.getClient();
+    const { data, error } = await client
+      .from('plan_changes')
+      .insert([{
+        subject_type: subjectType,
+        subject_id: subjectId,
+        from_plan: fromPlan,
+        to_plan: toPlan,
+        changed_by: changedBy,
+        reason,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Plan change insert failed:', error);
+      throw new Error(`Plan change insert failed: ${error.message}`);
+    }
+
+    return new PlanChange(data);
+  }
+
+  /**
+   * Plan changes of a user or organization, newest first
+   * @param {string} subjectType - 'user' or 'organization'
+   * @param {string} subjectId - User or organization ID
+   * @returns {Promise<PlanChange[]>}
+   */
+  static async findBySubject(subjectType, subjectId) {
+    const client = db.getClient();
+    const { data, error } = await client
+      .from('plan_changes')
+      .select('*')
+      .eq('subject_type', subjectType)
+      .eq('subject_id', subjectId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Database error in findBySubject:', error);
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return (data || []).map(row => new PlanChange(row));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      subject_type: this.subject_type,
+      subject_id: this.subject_id,
+      from_plan: this.from_plan,
+      to_plan: this.to_plan,
+      changed_by: this.changed_by,
+      reason: this.reason,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = PlanChange;
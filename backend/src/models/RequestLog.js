@@ -176,7 +176,9 @@ class RequestLog {
       const {
         startDate = null,
         endDate = new Date().toISOString(),
-        endpoint = null
+        endpoint = null,
+        provider = null,
+        model = null
       } = options;
 
       const client = db.getClient();
@@ -196,6 +198,14 @@ class RequestLog {
         query = query.eq('endpoint', endpoint);
       }
 
+      if (provider) {
+        query = query.eq('metadata->>provider', provider);
+      }
+
+      if (model) {
+        query = query.eq('metadata->>model', model);
+      }
+
       const { data, error } = await query;
 
       if (error) {
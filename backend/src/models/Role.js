@@ -0,0 +1,213 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+const PERMISSIONS = [
+  'users:read',
+  'users:write',
+  'users:impersonate',
+  'roles:read',
+  'roles:write',
+  'roles:assign',
+  'quota:read',
+  'quota:override',
+  'organizations:read',
+  'organizations:write',
+  'analytics:read',
+  'system:read',
+  'system:write',
+  'monitoring:read',
+  'monitoring:write',
+  'webhooks:admin',
+  'sso:read',
+  'sso:write',
+  'audit:read',
+  'billing:read',
+  'billing:write'
+];
+
+// Built-in roles live in code; they can be assigned but not edited or deleted
+const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every admin endpoint',
+    permissions: PERMISSIONS
+  },
+  {
+    name: 'support',
+    description: 'Read-only access for support staff',
+    permissions: PERMISSIONS.filter(permission => permission.endsWith(':read'))
+  },
+  {
+    name: 'user',
+    description: 'Regular account with no admin access',
+    permissions: []
+  }
+];
+
+/**
+ * Role Model
+ * A named set of permissions. Users carry one role name in users.role;
+ * custom roles are stored in the roles table.
+ */
+class Role {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.permissions = data.permissions || [];
+    this.built_in = Boolean(data.built_in);
+    this.created_by = data.created_by || null;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+  }
+
+  static get PERMISSIONS() {
+    return PERMISSIONS;
+  }
+
+  /**
+   * The built-in role with this name, if any
+   * @param {string} name - Role name
+   * @returns {Role|null}
+   */
+  static builtIn(name) {
+    const role = BUILT_IN_ROLES.find(entry => entry.name === name);
+    return role ? new Role({ ...role, built_in: true }) : null;
+  }
+
+  static builtIns() {
+    return BUILT_IN_ROLES.map(role => new Role({ ...role, built_in: true }));
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} roleData - name, description, permissions, createdBy
+   * @returns {Promise<Role>}
+   */
+  static async create({ name, description = '', permissions, createdBy = null }) {
+    try {
+      const now = new Date().toISOString();
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('roles')
+        .insert([{
+          name,
+          description,
+          permissions,
+          created_by: createdBy,
+          created_at: now,
+          updated_at: now
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Role creation failed:', error);
+        throw new Error(`Role creation failed: ${error.message}`);
+      }
+
+      logger.info(`Role created: ${name}`, { permissions });
+      return new Role(data);
+    } catch (error) {
+      logger.error('Error creating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a custom role by name
+   * @param {string} name - Role name
+   * @returns {Promise<Role|null>}
+   */
+  static async findByName(name) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('roles')
+        .select('*')
+        .eq('name', name)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Database error in findByName:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data ? new Role(data) : null;
+    } catch (error) {
+      logger.error('Error finding role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List custom roles
+   * @returns {Promise<Role[]>}
+   */
+  static async findAll() {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('roles')
+        .select('*')
+        .order('name', { ascending: true });
+
+      if (error) {
+        logger.error('Database error in findAll:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || []).map(row => new Role(row));
+    } catch (error) {
+      logger.error('Error listing roles:', error);
+      throw error;
+    }
+  }
+
+  async update(fields) {
+    const changes = { ...fields, updated_at: new Date().toISOString() };
+    const client = db.getClient();
+    const { error } = await client
+      .from('roles')
+      .update(changes)
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to update role:', error);
+      throw new Error(`Failed to update role: ${error.message}`);
+    }
+
+    Object.assign(this, changes);
+    logger.info(`Role updated: ${this.name}`, fields);
+  }
+
+  async delete() {
+    const client = db.getClient();
+    const { error } = await client
+      .from('roles')
+      .delete()
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to delete role:', error);
+      throw new Error(`Failed to delete role: ${error.message}`);
+    }
+
+    logger.info(`Role deleted: ${this.name}`);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      permissions: this.permissions,
+      built_in: this.built_in,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,276 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+const LAST_SEEN_RESOLUTION = 60 * 1000;
+
+/**
+ * Session Model
+ * One signed-in device. Each session has exactly one valid refresh token,
+ * identified by refresh_jti; rotating the token replaces the jti.
+ */
+class Session {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.user_id = data.user_id || null;
+    this.refresh_jti = data.refresh_jti || null;
+    this.device = data.device || 'Unknown device';
+    this.ip_address = data.ip_address || null;
+    this.user_agent = data.user_agent || null;
+    this.expires_at = data.expires_at || null;
+    this.last_seen_at = data.last_seen_at || null;
+    this.revoked_at = data.revoked_at || null;
+    this.revoked_reason = data.revoked_reason || null;
+    this.created_at = data.created_at || new Date().toISOString();
+  }
+
+  /**
+   * Short device description from a user agent, e.g. "Firefox on Windows"
+   * @param {string} userAgent - User-Agent header
+   * @returns {string}
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//],
+      ['Safari', /Safari\//],
+      ['curl', /^curl\//]
+    ].find(([, pattern]) => pattern.test(userAgent));
+
+    const os = [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) return 'Unknown device';
+    if (!os) return browser[0];
+    if (!browser) return os[0];
+    return `${browser[0]} on ${os[0]}`;
+  }
+
+  /**
+   * Create a session
+   * @param {Object} sessionData - id, userId, refreshJti, expiresAt, ipAddress, userAgent
+   * @returns {Promise<Session>}
+   */
+  static async create({ id, userId, refreshJti, expiresAt, ipAddress = null, userAgent = null }) {
+    try {
+      const now = new Date().toISOString();
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('sessions')
+        .insert([{
+          id,
+          user_id: userId,
+          refresh_jti: refreshJti,
+          device: this.describeDevice(userAgent),
+          ip_address: ipAddress,
+          user_agent: userAgent,
+          expires_at: expiresAt,
+          last_seen_at: now,
+          created_at: now
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Session creation failed:', error);
+        throw new Error(`Session creation failed: ${error.message}`);
+      }
+
+      logger.info(`Session created: ${data.id}`, { userId, device: data.device });
+      return new Session(data);
+    } catch (error) {
+      logger.error('Error creating session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Session|null>}
+   */
+  static async findById(id) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('sessions')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Database error in findById:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data ? new Session(data) : null;
+    } catch (error) {
+      logger.error('Error finding session by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's signed-in sessions, most recently seen first
+   * @param {string} userId - User ID
+   * @returns {Promise<Session[]>}
+   */
+  static async findActiveByUser(userId) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .order('last_seen_at', { ascending: false });
+
+      if (error) {
+        logger.error('Database error in findActiveByUser:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || [])
+        .map(row => new Session(row))
+        .filter(session => session.isActive());
+    } catch (error) {
+      logger.error('Error listing sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every open session of a user, optionally keeping one
+   * @param {string} userId - User ID
+   * @param {Object} options - exceptId and reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllForUser(userId, { exceptId = null, reason = 'signed_out' } = {}) {
+    const sessions = await this.findActiveByUser(userId);
+    const toRevoke = sessions.filter(session => session.id !== exceptId);
+
+    await Promise.all(toRevoke.map(session => session.revoke(reason)));
+    return toRevoke.length;
+  }
+
+  isRevoked() {
+    return Boolean(this.revoked_at);
+  }
+
+  isExpired() {
+    return Boolean(this.expires_at) && new Date(this.expires_at) <= new Date();
+  }
+
+  isActive() {
+    return !this.isRevoked() && !this.isExpired();
+  }
+
+  /**
+   * Swap in the jti of a newly issued refresh token. The write only lands if
+   * the session still holds the jti it was read with, so of two refreshes
+   * racing with the same token only one wins.
+   * @param {Object} rotation - refreshJti, expiresAt and the caller's ipAddress
+   * @returns {Promise<boolean>} False if another rotation got there first
+   */
+  async rotate({ refreshJti, expiresAt, ipAddress }) {
+    const fields = {
+      refresh_jti: refreshJti,
+      expires_at: expiresAt,
+      last_seen_at: new Date().toISOString(),
+      ...(ipAddress && { ip_address: ipAddress })
+    };
+
+    const client = db.getClient();
+    const { data, error } = await client
+      .from('sessions')
+      .update(fields)
+      .eq('id', this.id)
+      .eq('refresh_jti', this.refresh_jti)
+      .select();
+
+    if (error) {
+      logger.error('Failed to rotate session:', error);
+      throw new Error(`Failed to rotate session: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      return false;
+    }
+
+    Object.assign(this, fields);
+    return true;
+  }
+
+  /**
+   * Record activity; writes at most once a minute per session
+   * @param {string} ipAddress - Caller's IP
+   * @returns {Promise<void>}
+   */
+  async touch(ipAddress) {
+    const now = new Date();
+    if (this.last_seen_at && now - new Date(this.last_seen_at) < LAST_SEEN_RESOLUTION) {
+      return;
+    }
+
+    await this.update({
+      last_seen_at: now.toISOString(),
+      ...(ipAddress && { ip_address: ipAddress })
+    });
+  }
+
+  /**
+   * Revoke the session, invalidating its refresh token and access tokens
+   * @param {string} reason - e.g. signed_out, revoked, refresh_token_reuse
+   * @returns {Promise<void>}
+   */
+  async revoke(reason = 'revoked') {
+    if (this.isRevoked()) return;
+
+    await this.update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason
+    });
+    logger.info(`Session revoked: ${this.id}`, { userId: this.user_id, reason });
+  }
+
+  async update(fields) {
+    const client = db.getClient();
+    const { error } = await client
+      .from('sessions')
+      .update(fields)
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to update session:', error);
+      throw new Error(`Failed to update session: ${error.message}`);
+    }
+
+    Object.assign(this, fields);
+  }
+
+  /**
+   * Public representation; never includes the refresh token jti
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      device: this.device,
+      ip_address: this.ip_address,
+      user_agent: this.user_agent,
+      created_at: this.created_at,
+      last_seen_at: this.last_seen_at,
+      expires_at: this.expires_at
+    };
+  }
+}
+
+module.exports = Session;
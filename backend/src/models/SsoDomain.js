@@ -0,0 +1,171 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * SSO Domain Model
+ * An admin policy for an email domain: when `required` is set, accounts at
+ * the domain can't use password login, registration or password reset.
+ * `provider` limits which OIDC provider may sign them in.
+ */
+class SsoDomain {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.domain = data.domain || null;
+    this.provider = data.provider || null;
+    this.required = data.required !== undefined ? data.required : true;
+    this.created_by = data.created_by || null;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+  }
+
+  /**
+   * Domain part of an email address, lower-cased
+   * @param {string} email - Email address
+   * @returns {string|null}
+   */
+  static domainOf(email) {
+    const at = typeof email === 'string' ? email.lastIndexOf('@') : -1;
+    return at === -1 ? null : email.slice(at + 1).trim().toLowerCase();
+  }
+
+  /**
+   * Find the policy for a domain
+   * @param {string} domain - Email domain
+   * @returns {Promise<SsoDomain|null>}
+   */
+  static async findByDomain(domain) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('sso_domains')
+        .select('*')
+        .eq('domain', domain.toLowerCase())
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Database error in findByDomain:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data ? new SsoDomain(data) : null;
+    } catch (error) {
+      logger.error('Error finding SSO domain:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the policy covering an email address
+   * @param {string} email - Email address
+   * @returns {Promise<SsoDomain|null>}
+   */
+  static async findForEmail(email) {
+    const domain = this.domainOf(email);
+    return domain ? this.findByDomain(domain) : null;
+  }
+
+  /**
+   * List all domain policies
+   * @returns {Promise<SsoDomain[]>}
+   */
+  static async findAll() {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('sso_domains')
+        .select('*')
+        .order('domain', { ascending: true });
+
+      if (error) {
+        logger.error('Database error in findAll:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || []).map(row => new SsoDomain(row));
+    } catch (error) {
+      logger.error('Error listing SSO domains:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the policy for a domain
+   * @param {Object} policy - domain, provider, required, createdBy
+   * @returns {Promise<SsoDomain>}
+   */
+  static async upsert({ domain, provider = null, required = true, createdBy = null }) {
+    const existing = await this.findByDomain(domain);
+    const now = new Date().toISOString();
+    const client = db.getClient();
+
+    if (existing) {
+      const fields = { provider, required, updated_at: now };
+      const { error } = await client
+        .from('sso_domains')
+        .update(fields)
+        .eq('id', existing.id);
+
+      if (error) {
+        logger.error('Failed to update SSO domain:', error);
+        throw new Error(`Failed to update SSO domain: ${error.message}`);
+      }
+
+      logger.info(`SSO domain policy updated: ${existing.domain}`, { provider, required });
+      return Object.assign(existing, fields);
+    }
+
+    const { data, error } = await client
+      .from('sso_domains')
+      .insert([{
+        domain: domain.toLowerCase(),
+        provider,
+        required,
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to create SSO domain:', error);
+      throw new Error(`Failed to create SSO domain: ${error.message}`);
+    }
+
+    logger.info(`SSO domain policy created: ${data.domain}`, { provider, required });
+    return new SsoDomain(data);
+  }
+
+  /**
+   * Remove the policy
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    const client = db.getClient();
+    const { error } = await client
+      .from('sso_domains')
+      .delete()
+      .eq('id', this.id);
+
+    if (error) {
+      logger.error('Failed to delete SSO domain:', error);
+      throw new Error(`Failed to delete SSO domain: ${error.message}`);
+    }
+
+    logger.info(`SSO domain policy removed: ${this.domain}`);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      domain: this.domain,
+      provider: this.provider,
+      required: this.required,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = SsoDomain;
@@ -10,6 +10,7 @@ class UsageLog {
   constructor(data = {}) {
     this.id = data.id || uuidv4();
     this.userId = data.userId || null;
+    this.organizationId = data.organizationId || null;
     this.requestId = data.requestId || null;
     this.provider = data.provider || 'unknown';
     this.model = data.model || 'unknown';
@@ -42,6 +43,7 @@ class UsageLog {
         .insert([{
           id: usageLog.id,
           user_id: usageLog.userId,
+          organization_id: usageLog.organizationId,
           request_id: usageLog.requestId,
           provider: usageLog.provider,
           model: usageLog.model,
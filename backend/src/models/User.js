@@ -16,6 +16,14 @@ class User {
     this.password_reset_token = data.password_reset_token || null;
     this.password_reset_expires = data.password_reset_expires || null;
     this.email_verification_token = data.email_verification_token || null;
+    this.email_verification_expires = data.email_verification_expires || null;
+    this.organization_id = data.organization_id || null;
+    this.organization_role = data.organization_role || null;
+    this.plan = data.plan || null;
+    this.two_factor_enabled = data.two_factor_enabled || false;
+    this.two_factor_secret = data.two_factor_secret || null;
+    this.two_factor_recovery_codes = data.two_factor_recovery_codes || [];
+    this.two_factor_last_step = data.two_factor_last_step ?? null;
   }
 
   /**
@@ -145,6 +153,42 @@ class User {
     }
   }
 
+  /**
+   * Create a user signed up through single sign-on. The account has no
+   * password until the user sets one through password reset.
+   * @param {Object} userData - email, role and isEmailVerified
+   * @returns {Promise<User>} Created user instance
+   */
+  static async createFromIdentity({ email, role = 'user', isEmailVerified = false }) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('users')
+        .insert([{
+          email: email.toLowerCase().trim(),
+          password_hash: null,
+          role,
+          is_active: true,
+          is_email_verified: isEmailVerified,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('User creation failed:', error);
+        throw new Error(`User creation failed: ${error.message}`);
+      }
+
+      logger.info(`User provisioned through SSO: ${data.email}`);
+      return new User(data);
+    } catch (error) {
+      logger.error('User creation error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find user by email
    * @param {string} email - User email
@@ -197,6 +241,48 @@ class User {
     }
   }
 
+  /**
+   * List users
+   * @param {Object} options - limit, offset, role and active filters
+   * @returns {Promise<User[]>} User instances
+   */
+  static async findAll(options = {}) {
+    try {
+      const { limit = 50, offset = 0, role = null, active = null, organizationId = null } = options;
+
+      const client = db.getClient();
+      let query = client
+        .from('users')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (role) {
+        query = query.eq('role', role);
+      }
+
+      if (active !== null) {
+        query = query.eq('is_active', active);
+      }
+
+      if (organizationId) {
+        query = query.eq('organization_id', organizationId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error('Database error in findAll:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || []).map(row => new User(row));
+    } catch (error) {
+      logger.error('Error listing users:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update user last login timestamp
    * @returns {Promise<void>}
@@ -348,6 +434,59 @@ class User {
     }
   }
 
+  /**
+   * Delete a user row. Rows in other tables that reference the user must be
+   * removed or detached first (see privacyService)
+   * @param {string} id - User ID
+   * @returns {Promise<void>}
+   */
+  static async delete(id) {
+    const client = db.getClient();
+    const { error } = await client
+      .from('users')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      logger.error('Failed to delete user:', error);
+      throw new Error(`Failed to delete user: ${error.message}`);
+    }
+
+    logger.info(`User deleted: ${id}`);
+  }
+
+  /**
+   * Set email verification token
+   * @param {string} token - Verification token
+   * @param {Date} expires - Token expiration date
+   * @returns {Promise<void>}
+   */
+  async setEmailVerificationToken(token, expires) {
+    try {
+      const client = db.getClient();
+      const { error } = await client
+        .from('users')
+        .update({
+          email_verification_token: token,
+          email_verification_expires: expires.toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id);
+
+      if (error) {
+        logger.error('Failed to set email verification token:', error);
+        throw new Error(`Failed to set email verification token: ${error.message}`);
+      }
+
+      this.email_verification_token = token;
+      this.email_verification_expires = expires.toISOString();
+      logger.info(`Email verification token set for user: ${this.email}`);
+    } catch (error) {
+      logger.error('Error setting email verification token:', error);
+      throw error;
+    }
+  }
+
   /**
    * Verify user email
    * @returns {Promise<void>}
@@ -360,6 +499,7 @@ class User {
         .update({ 
           is_email_verified: true,
           email_verification_token: null,
+          email_verification_expires: null,
           updated_at: new Date().toISOString()
         })
         .eq('id', this.id);
@@ -371,6 +511,7 @@ class User {
       
       this.is_email_verified = true;
       this.email_verification_token = null;
+      this.email_verification_expires = null;
       logger.info(`Email verified for user: ${this.email}`);
     } catch (error) {
       logger.error('Error verifying email:', error);
@@ -378,6 +519,95 @@ class User {
     }
   }
 
+  /**
+   * Set or clear the user's organization membership
+   * @param {string|null} organizationId - Organization ID, or null to leave
+   * @param {string|null} role - Role within the organization
+   * @returns {Promise<void>}
+   */
+  async setOrganization(organizationId, role = null) {
+    try {
+      const client = db.getClient();
+      const { error } = await client
+        .from('users')
+        .update({
+          organization_id: organizationId,
+          organization_role: organizationId ? role : null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id);
+
+      if (error) {
+        logger.error('Failed to update organization membership:', error);
+        throw new Error(`Failed to update organization membership: ${error.message}`);
+      }
+
+      this.organization_id = organizationId;
+      this.organization_role = organizationId ? role : null;
+      logger.info(`Organization membership updated for user: ${this.email}`, { organizationId, role });
+    } catch (error) {
+      logger.error('Error updating organization membership:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a plan, or clear it to follow the organization's or default plan
+   * @param {string|null} plan - Plan name
+   * @returns {Promise<void>}
+   */
+  async setPlan(plan) {
+    try {
+      const client = db.getClient();
+      const { error } = await client
+        .from('users')
+        .update({
+          plan,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id);
+
+      if (error) {
+        logger.error('Failed to update plan:', error);
+        throw new Error(`Failed to update plan: ${error.message}`);
+      }
+
+      this.plan = plan;
+      logger.info(`Plan updated for user: ${this.email}`, { plan });
+    } catch (error) {
+      logger.error('Error updating plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update two-factor columns (secret, enabled flag, recovery code hashes, last step)
+   * @param {Object} fields - two_factor_* columns to write
+   * @returns {Promise<void>}
+   */
+  async updateTwoFactor(fields) {
+    try {
+      const client = db.getClient();
+      const { error } = await client
+        .from('users')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', this.id);
+
+      if (error) {
+        logger.error('Failed to update two-factor settings:', error);
+        throw new Error(`Failed to update two-factor settings: ${error.message}`);
+      }
+
+      Object.assign(this, fields);
+    } catch (error) {
+      logger.error('Error updating two-factor settings:', error);
+      throw error;
+    }
+  }
+
   /**
    * Sanitize user data for public response
    * @returns {Object} Sanitized user data
@@ -390,6 +620,10 @@ class User {
       is_active: this.is_active,
       is_email_verified: this.is_email_verified,
       last_login: this.last_login,
+      organization_id: this.organization_id,
+      organization_role: this.organization_role,
+      plan: this.plan,
+      two_factor_enabled: this.two_factor_enabled,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -0,0 +1,116 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * User Identity Model
+ * Links a user to an account at an external OIDC provider, keyed by the
+ * provider's stable subject identifier rather than by email.
+ */
+class UserIdentity {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.user_id = data.user_id || null;
+    this.provider = data.provider || null;
+    this.subject = data.subject || null;
+    this.email = data.email || null;
+    this.created_at = data.created_at || new Date().toISOString();
+  }
+
+  /**
+   * Link a provider account to a user
+   * @param {Object} identityData - userId, provider, subject, email
+   * @returns {Promise<UserIdentity>}
+   */
+  static async create({ userId, provider, subject, email = null }) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('user_identities')
+        .insert([{
+          user_id: userId,
+          provider,
+          subject,
+          email,
+          created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Identity link failed:', error);
+        throw new Error(`Identity link failed: ${error.message}`);
+      }
+
+      logger.info(`Identity linked: ${provider} -> ${userId}`);
+      return new UserIdentity(data);
+    } catch (error) {
+      logger.error('Error linking identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the link for a provider account
+   * @param {string} provider - Provider ID
+   * @param {string} subject - The provider's subject identifier
+   * @returns {Promise<UserIdentity|null>}
+   */
+  static async findByProviderSubject(provider, subject) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('user_identities')
+        .select('*')
+        .eq('provider', provider)
+        .eq('subject', subject)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Database error in findByProviderSubject:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data ? new UserIdentity(data) : null;
+    } catch (error) {
+      logger.error('Error finding identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's linked provider accounts
+   * @param {string} userId - User ID
+   * @returns {Promise<UserIdentity[]>}
+   */
+  static async findByUser(userId) {
+    try {
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('user_identities')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        logger.error('Database error in findByUser:', error);
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return (data || []).map(row => new UserIdentity(row));
+    } catch (error) {
+      logger.error('Error listing identities:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      provider: this.provider,
+      email: this.email,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = UserIdentity;
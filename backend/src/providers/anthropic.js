@@ -0,0 +1,15 @@
+const anthropicService = require('../services/anthropicService');
+const anthropicConfig = require('../config/anthropic');
+
+/**
+ * Anthropic provider definition
+ */
+module.exports = {
+  name: 'anthropic',
+  service: anthropicService,
+  capabilities: ['chat', 'streaming', 'functions'],
+  models: () => anthropicService.listModels(),
+  priority: 3,
+  enabled: () => anthropicConfig.config.auth.enabled,
+  getCost: (modelId, usage) => anthropicConfig.getModelCost(modelId, usage)
+};
@@ -0,0 +1,22 @@
+const minimaxService = require('../services/minimaxService');
+const minimaxConfig = require('../config/minimax');
+
+/**
+ * Minimax provider definition
+ */
+module.exports = {
+  name: 'minimax',
+  service: minimaxService,
+  capabilities: ['chat', 'embeddings', 'image', 'video', 'streaming', 'functions'],
+  models: () => minimaxService.listModels(),
+  priority: 1,
+  enabled: () => minimaxConfig.config.auth.enabled,
+  getCost: (modelId, usage = {}) => minimaxConfig.getModelCost(modelId, {
+    tokens: usage.totalTokens,
+    images: usage.images
+  }),
+  circuitBreaker: {
+    failureThreshold: minimaxConfig.config.errorHandling.circuitBreakerThreshold,
+    resetTimeout: minimaxConfig.config.errorHandling.circuitBreakerTimeout
+  }
+};
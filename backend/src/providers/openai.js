@@ -0,0 +1,15 @@
+const openaiService = require('../services/openaiService');
+const openaiConfig = require('../config/openai');
+
+/**
+ * OpenAI provider definition
+ */
+module.exports = {
+  name: 'openai',
+  service: openaiService,
+  capabilities: ['chat', 'embeddings', 'image', 'streaming', 'functions'],
+  models: () => openaiService.listModels(),
+  priority: 2,
+  enabled: () => openaiConfig.config.auth.enabled,
+  getCost: (modelId, usage) => openaiConfig.getModelCost(modelId, usage)
+};
@@ -1,12 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const SsoDomain = require('../models/SsoDomain');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
 const auth = require('../middleware/auth');
+const authService = require('../services/authService');
 const aiService = require('../services/aiService');
 const quotaService = require('../services/quotaService');
 const webhookService = require('../services/webhookService');
+const twoFactorService = require('../services/twoFactorService');
+const ssoService = require('../services/ssoService');
+const roleService = require('../services/roleService');
+const planService = require('../services/planService');
+const billingService = require('../services/billingService');
+const auditService = require('../services/auditService');
+const impersonationService = require('../services/impersonationService');
+const privacyService = require('../services/privacyService');
 const analyticsService = require('../services/analyticsService');
 const monitoringService = require('../services/monitoringService');
+const { validateBudget } = require('../middleware/validation');
 const { body, query, param, validationResult } = require('express-validator');
 const responseFormatter = require('../utils/responseFormatter');
 const logger = require('../utils/logger');
@@ -17,8 +31,8 @@ const logger = require('../utils/logger');
 const validateUserUpdate = [
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isString()
+    .withMessage('Role must be a role name'),
   
   body('is_active')
     .optional()
@@ -65,7 +79,56 @@ const validateQuotaUpdate = [
   body('concurrentRequests')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('concurrentRequests must be between 1 and 100')
+    .withMessage('concurrentRequests must be between 1 and 100'),
+
+  body(['imagesPerDay', 'videosPerDay'])
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('imagesPerDay and videosPerDay must be non-negative integers, or null for no limit'),
+
+  ...validateBudget
+];
+
+const validatePlanAssignment = [
+  body('plan')
+    .custom(value => value === null || planService.isValidPlan(value))
+    .withMessage(() => `plan must be one of: ${Object.keys(planService.plans).join(', ')}, or null`),
+
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('reason must be a string of at most 500 characters')
+];
+
+const validateCreditUpdate = [
+  body('type')
+    .isIn(['topup', 'adjustment'])
+    .withMessage('type must be topup or adjustment'),
+
+  body('amount')
+    .isFloat({ min: -1000000, max: 1000000 })
+    .withMessage('amount must be a number')
+    .toFloat(),
+
+  body('description')
+    .if(body('type').equals('adjustment'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Adjustments need a description of at most 500 characters'),
+
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('description must be a string of at most 500 characters'),
+
+  body('reference')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('reference must be a string of at most 200 characters')
 ];
 
 const validateSystemStatsQuery = [
@@ -80,6 +143,19 @@ const validateSystemStatsQuery = [
     .withMessage('endDate must be a valid ISO 8601 date')
 ];
 
+const validateRole = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('description must be a string of at most 255 characters'),
+
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('permissions must be an array of permission names')
+];
+
 /**
  * Handle validation errors
  */
@@ -93,6 +169,30 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Answer with a service error, falling back to a 500
+ */
+const sendError = (req, res, error, message, code) => {
+  logger.error(message, {
+    userId: req.user.id,
+    params: req.params,
+    error: error.message
+  });
+
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json(
+    responseFormatter.error(error, {
+      message: statusCode < 500 ? error.message : message,
+      statusCode,
+      code: error.code || code
+    }).body
+  );
+};
+
+const formatMembership = (user) => user.organization_id
+  ? { id: user.organization_id, role: user.organization_role }
+  : null;
+
 /**
  * @route   GET /api/admin/users
  * @desc    List all users (admin only)
@@ -100,21 +200,23 @@ const handleValidationErrors = (req, res, next) => {
  */
 router.get('/users', 
   auth.verifyToken, 
-  auth.requireAdmin,
-  query(['limit', 'offset', 'role', 'active'])
+  auth.requirePermission('users:read'),
+  auth.requireScope('admin:read'),
+  query(['limit', 'offset', 'role', 'active', 'organizationId'])
     .optional()
     .isString(),
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { limit = 50, offset = 0, role, active } = req.query;
+      const { limit = 50, offset = 0, role, active, organizationId } = req.query;
 
       // Get users from database
       const users = await User.findAll({
         limit: parseInt(limit),
         offset: parseInt(offset),
         role: role || null,
-        active: active !== undefined ? active === 'true' : null
+        active: active !== undefined ? active === 'true' : null,
+        organizationId: organizationId || null
       });
 
       // Format user data (remove sensitive information)
@@ -126,7 +228,8 @@ router.get('/users',
         created_at: user.created_at,
         updated_at: user.updated_at,
         last_login: user.last_login,
-        metadata: user.metadata || {}
+        metadata: user.metadata || {},
+        organization: formatMembership(user)
       }));
 
       res.json(responseFormatter.success({
@@ -159,7 +262,8 @@ router.get('/users',
  */
 router.get('/users/:id', 
   auth.verifyToken, 
-  auth.requireAdmin,
+  auth.requirePermission('users:read'),
+  auth.requireScope('admin:read'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -182,22 +286,826 @@ router.get('/users/:id',
         updated_at: user.updated_at,
         last_login: user.last_login,
         metadata: user.metadata || {},
-        quota: quotaService.getQuotaInfo(id)
+        organization: formatMembership(user),
+        two_factor_enabled: user.two_factor_enabled,
+        plan: planService.entitlements(await planService.resolve(user)),
+        quota: await quotaService.getQuotaInfo(id),
+        deletion: await privacyService.getDeletion(id)
+      };
+
+      res.json(responseFormatter.success(formattedUser).body);
+
+    } catch (error) {
+      logger.error('Get user details failed', {
+        userId: req.user.id,
+        targetUserId: req.params.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to get user details',
+          code: 'GET_USER_DETAILS_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/users/:id
+ * @desc    Update user (admin only)
+ * @access  Private/Admin
+ */
+router.put('/users/:id', 
+  auth.verifyToken, 
+  auth.requirePermission('users:write'),
+  auth.requireScope('admin:write'),
+  validateUserUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
+
+      const user = await User.findById(id);
+      
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      const roleChanged = updates.role !== undefined && updates.role !== user.role;
+      const required = [
+        ...(roleChanged ? ['roles:assign'] : []),
+        ...(updates.quota !== undefined ? ['quota:override'] : [])
+      ];
+      if (!await roleService.hasPermissions(req.user.role, required)) {
+        return res.status(403).json(
+          responseFormatter.error(null, {
+            message: `This change requires the permissions: ${required.join(', ')}`,
+            statusCode: 403,
+            code: 'PERMISSION_DENIED'
+          }).body
+        );
+      }
+
+      await roleService.assertCanManage(req.user, user);
+
+      const quotaFields = Object.keys(updates.quota || {});
+      const snapshot = async () => ({
+        is_active: user.is_active,
+        ...(quotaFields.length ? { quota: auditService.snapshot(await quotaService.getUserQuota(id), quotaFields) } : {})
+      });
+      const before = await snapshot();
+
+      if (roleChanged) {
+        await roleService.assertAssignable(req.user, updates.role);
+        await authService.changeUserRole(id, updates.role, auditService.fromRequest(req));
+      }
+      if (updates.is_active !== undefined) {
+        await user.updateAccountStatus(updates.is_active);
+      }
+      if (updates.quota !== undefined) {
+        await quotaService.setUserQuota(id, updates.quota);
+      }
+
+      // Role changes are audited by changeUserRole
+      if (updates.is_active !== undefined || quotaFields.length) {
+        await auditService.record({
+          ...auditService.fromRequest(req),
+          action: 'user.update',
+          target: { type: 'user', id },
+          before,
+          after: await snapshot()
+        });
+      }
+
+      const updatedUser = await User.findById(id);
+
+      // Format response
+      const formattedUser = {
+        id: updatedUser.id,
+        email: updatedUser.email,
+        role: updatedUser.role,
+        is_active: updatedUser.is_active,
+        created_at: updatedUser.created_at,
+        updated_at: updatedUser.updated_at,
+        last_login: updatedUser.last_login,
+        metadata: updatedUser.metadata || {}
       };
 
-      res.json(responseFormatter.success(formattedUser).body);
+      logger.info('User updated by admin', {
+        adminId: req.user.id,
+        userId: id,
+        updates: Object.keys(updates)
+      });
+
+      res.json(responseFormatter.success(formattedUser, {
+        message: 'User updated successfully'
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update user', 'UPDATE_USER_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id
+ * @desc    Deactivate a user and schedule their data for erasure after the
+ *          grace period; ?immediate=true erases it now (admin only)
+ * @access  Private/Admin
+ */
+router.delete('/users/:id', 
+  auth.verifyToken, 
+  auth.requirePermission('users:write'),
+  auth.requireScope('admin:write'),
+  query('immediate').optional().isBoolean().withMessage('immediate must be true or false'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const user = await User.findById(id);
+      
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      // Prevent deleting own account
+      if (id === req.user.id) {
+        return res.status(400).json(
+          responseFormatter.error(null, {
+            message: 'Cannot delete your own account',
+            statusCode: 400,
+            code: 'CANNOT_DELETE_SELF'
+          }).body
+        );
+      }
+
+      await roleService.assertCanManage(req.user, user);
+
+      const { ipAddress, requestId } = auditService.fromRequest(req);
+
+      if (req.query.immediate === 'true') {
+        const erased = await privacyService.eraseAccount(id, { requestedBy: req.user.id, ipAddress, requestId });
+
+        logger.info('User erased by admin', { adminId: req.user.id, userId: id });
+
+        return res.json(responseFormatter.success({ erased }, {
+          message: 'User and their data deleted'
+        }).body);
+      }
+
+      const deletion = await privacyService.scheduleDeletion(user, req.user, { ipAddress, requestId });
+
+      logger.info('User deletion scheduled by admin', {
+        adminId: req.user.id,
+        userId: id,
+        scheduledFor: deletion.scheduledFor
+      });
+
+      res.status(202).json(responseFormatter.accepted({ deletion }, {
+        message: `User deactivated; their data will be deleted on ${deletion.scheduledFor}`
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to delete user', 'DELETE_USER_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/deletion
+ * @desc    Cancel a user's pending deletion and reactivate them if it deactivated them (admin only)
+ * @access  Private/Admin
+ */
+router.delete('/users/:id/deletion',
+  auth.verifyToken,
+  auth.requirePermission('users:write'),
+  auth.requireScope('admin:write'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      await roleService.assertCanManage(req.user, user);
+
+      const cancelled = await privacyService.cancelDeletion(user, req.user, auditService.fromRequest(req));
+      if (!cancelled) {
+        return res.status(404).json(
+          responseFormatter.error(null, {
+            message: 'No deletion is pending for this user',
+            statusCode: 404,
+            code: 'DELETION_NOT_PENDING'
+          }).body
+        );
+      }
+
+      res.json(responseFormatter.success(null, {
+        message: 'User deletion cancelled'
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to cancel user deletion', 'CANCEL_DELETION_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/2fa
+ * @desc    Reset a user's two-factor authentication, e.g. after a lost device (admin only)
+ * @access  Private/Admin
+ */
+router.delete('/users/:id/2fa',
+  auth.verifyToken,
+  auth.requirePermission('users:write'),
+  auth.requireScope('admin:write'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      await roleService.assertCanManage(req.user, user);
+
+      await twoFactorService.disable(user);
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'user.two_factor_reset',
+        target: { type: 'user', id }
+      });
+
+      logger.info('User two-factor authentication reset by admin', {
+        adminId: req.user.id,
+        userId: id
+      });
+
+      res.json(responseFormatter.success(twoFactorService.getStatus(user), {
+        message: 'Two-factor authentication reset successfully'
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to reset two-factor authentication', 'RESET_TWO_FACTOR_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Get a short-lived token that acts as the user, to see what they
+ *          see. Account, key and admin changes are blocked while it's used.
+ * @access  Private/Admin (session only)
+ */
+router.post('/users/:id/impersonate',
+  auth.verifyToken,
+  auth.requireSession,
+  auth.requirePermission('users:impersonate'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('reason must be at most 500 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await impersonationService.start(req.user, req.params.id, {
+        reason: req.body.reason || null,
+        sessionId: req.sessionId || null,
+        ipAddress: req.ip,
+        requestId: req.requestId || null
+      });
+
+      res.status(201).json(responseFormatter.success(result, {
+        message: 'Impersonation started',
+        statusCode: 201
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to start impersonation', 'IMPERSONATION_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/users/:id/quota
+ * @desc    Get user quota information (admin only)
+ * @access  Private/Admin
+ */
+router.get('/users/:id/quota', 
+  auth.verifyToken, 
+  auth.requirePermission('quota:read'),
+  auth.requireScope('admin:read'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const quotaInfo = await quotaService.getQuotaInfo(id);
+
+      res.json(responseFormatter.success(quotaInfo).body);
+
+    } catch (error) {
+      logger.error('Get user quota failed', {
+        userId: req.user.id,
+        targetUserId: req.params.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to get user quota',
+          code: 'GET_USER_QUOTA_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/users/:id/quota
+ * @desc    Update user quota (admin only)
+ * @access  Private/Admin
+ */
+router.put('/users/:id/quota', 
+  auth.verifyToken, 
+  auth.requirePermission('quota:override'),
+  auth.requireScope('admin:write'),
+  validateQuotaUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const quotaUpdates = req.body;
+
+      const before = auditService.snapshot(await quotaService.getUserQuota(id), Object.keys(quotaUpdates));
+      const quota = await quotaService.setUserQuota(id, quotaUpdates);
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'quota.override',
+        target: { type: 'user', id },
+        before,
+        after: auditService.snapshot(quota, Object.keys(quotaUpdates))
+      });
+
+      logger.info('User quota updated by admin', {
+        adminId: req.user.id,
+        userId: id,
+        quota: quotaUpdates
+      });
+
+      res.json(responseFormatter.success(quota, {
+        message: 'User quota updated successfully'
+      }).body);
+
+    } catch (error) {
+      logger.error('Update user quota failed', {
+        userId: req.user.id,
+        targetUserId: req.params.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to update user quota',
+          code: 'UPDATE_USER_QUOTA_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:id/quota/reset
+ * @desc    Reset user quota (admin only)
+ * @access  Private/Admin
+ */
+router.post('/users/:id/quota/reset', 
+  auth.verifyToken, 
+  auth.requirePermission('quota:override'),
+  auth.requireScope('admin:write'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const quota = await quotaService.resetUserQuota(id);
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'quota.reset',
+        target: { type: 'user', id }
+      });
+
+      logger.info('User quota reset by admin', {
+        adminId: req.user.id,
+        userId: id
+      });
+
+      res.json(responseFormatter.success(quota, {
+        message: 'User quota reset successfully'
+      }).body);
+
+    } catch (error) {
+      logger.error('Reset user quota failed', {
+        userId: req.user.id,
+        targetUserId: req.params.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to reset user quota',
+          code: 'RESET_USER_QUOTA_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/plans
+ * @desc    List plans and what each includes (admin only)
+ * @access  Private/Admin
+ */
+router.get('/plans',
+  auth.verifyToken,
+  auth.requirePermission('quota:read'),
+  auth.requireScope('admin:read'),
+  (req, res) => {
+    res.json(responseFormatter.success({
+      plans: planService.list(),
+      defaultPlan: planService.config.defaultPlan
+    }).body);
+  }
+);
+
+/**
+ * @route   GET /api/admin/users/:id/plan
+ * @desc    Get the plan in effect for a user, their own assignment and
+ *          plan history (admin only)
+ * @access  Private/Admin
+ */
+router.get('/users/:id/plan',
+  auth.verifyToken,
+  auth.requirePermission('quota:read'),
+  auth.requireScope('admin:read'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      res.json(responseFormatter.success({
+        plan: planService.entitlements(await planService.resolve(user)),
+        assigned: user.plan,
+        history: await planService.getHistory('user', user.id)
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to get user plan', 'GET_USER_PLAN_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/users/:id/plan
+ * @desc    Assign a plan to a user; null follows their organization's or
+ *          the default plan (admin only)
+ * @access  Private/Admin
+ */
+router.put('/users/:id/plan',
+  auth.verifyToken,
+  auth.requirePermission('quota:override'),
+  auth.requireScope('admin:write'),
+  validatePlanAssignment,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      const plan = await planService.assignToUser(user, req.body.plan, { req, reason: req.body.reason });
+
+      res.json(responseFormatter.success({
+        plan: planService.entitlements(plan),
+        assigned: user.plan
+      }, {
+        message: 'User plan updated successfully'
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update user plan', 'UPDATE_USER_PLAN_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/users/:id/credits
+ * @desc    Get a user's credit balance and recent ledger entries (admin only)
+ * @access  Private/Admin
+ */
+router.get('/users/:id/credits',
+  auth.verifyToken,
+  auth.requirePermission('billing:read'),
+  auth.requireScope('admin:read'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      const { transactions } = await billingService.getTransactions(user.id);
+
+      res.json(responseFormatter.success({
+        balance: await billingService.getBalance(user.id),
+        transactions: transactions.map(entry => entry.toJSON())
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to get user credits', 'GET_USER_CREDITS_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:id/credits
+ * @desc    Top up a user's credit or adjust it by a positive or negative
+ *          amount (admin only)
+ * @access  Private/Admin
+ */
+router.post('/users/:id/credits',
+  auth.verifyToken,
+  auth.requirePermission('billing:write'),
+  auth.requireScope('admin:write'),
+  validateCreditUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json(
+          responseFormatter.notFound('User').body
+        );
+      }
+
+      const { type, amount, description, reference } = req.body;
+      const { entry, balance } = type === 'topup'
+        ? await billingService.topUp(user.id, { amount, description, reference, req })
+        : await billingService.adjust(user.id, { amount, description, reference, req });
+
+      res.status(201).json(responseFormatter.success({
+        transaction: entry.toJSON(),
+        balance
+      }, {
+        message: 'User credit updated successfully'
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update user credit', 'UPDATE_USER_CREDITS_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/organizations
+ * @desc    List organizations with their shared quota and usage (admin only)
+ * @access  Private/Admin
+ */
+router.get('/organizations',
+  auth.verifyToken,
+  auth.requirePermission('organizations:read'),
+  auth.requireScope('admin:read'),
+  query(['limit', 'offset']).optional().isInt({ min: 0 }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+
+      const organizations = await Organization.findAll({
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json(responseFormatter.success({
+        organizations: await Promise.all(organizations.map(async organization => ({
+          ...organization.toJSON(),
+          quota: await quotaService.getOrganizationQuotaInfo(organization.id)
+        }))),
+        total: organizations.length,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }).body);
+
+    } catch (error) {
+      logger.error('List organizations failed', {
+        userId: req.user.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to list organizations',
+          code: 'LIST_ORGANIZATIONS_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/organizations/:id/quota
+ * @desc    Update an organization's shared quota and monthly budget (admin only)
+ * @access  Private/Admin
+ */
+router.put('/organizations/:id/quota',
+  auth.verifyToken,
+  auth.requirePermission('organizations:write'),
+  auth.requireScope('admin:write'),
+  validateQuotaUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const organization = await Organization.findById(id);
+      if (!organization) {
+        return res.status(404).json(
+          responseFormatter.notFound('Organization').body
+        );
+      }
+
+      const fields = Object.keys(req.body);
+      const before = auditService.snapshot(await quotaService.getOrganizationQuota(id), fields);
+      const quota = await quotaService.setOrganizationQuota(id, req.body);
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'organization.quota_update',
+        target: { type: 'organization', id },
+        before,
+        after: auditService.snapshot(quota, fields)
+      });
+
+      logger.info('Organization quota updated by admin', {
+        adminId: req.user.id,
+        organizationId: id,
+        quota: req.body
+      });
+
+      res.json(responseFormatter.success(quota, {
+        message: 'Organization quota updated successfully'
+      }).body);
+
+    } catch (error) {
+      logger.error('Update organization quota failed', {
+        userId: req.user.id,
+        organizationId: req.params.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to update organization quota',
+          code: 'UPDATE_ORGANIZATION_QUOTA_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/organizations/:id/plan
+ * @desc    Get an organization's plan and plan history (admin only)
+ * @access  Private/Admin
+ */
+router.get('/organizations/:id/plan',
+  auth.verifyToken,
+  auth.requirePermission('organizations:read'),
+  auth.requireScope('admin:read'),
+  async (req, res) => {
+    try {
+      const organization = await Organization.findById(req.params.id);
+      if (!organization) {
+        return res.status(404).json(
+          responseFormatter.notFound('Organization').body
+        );
+      }
+
+      res.json(responseFormatter.success({
+        plan: organization.plan ? planService.entitlements(planService.getPlan(organization.plan)) : null,
+        history: await planService.getHistory('organization', organization.id)
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to get organization plan', 'GET_ORGANIZATION_PLAN_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/organizations/:id/plan
+ * @desc    Assign a plan to an organization, used by members without a plan
+ *          of their own (admin only)
+ * @access  Private/Admin
+ */
+router.put('/organizations/:id/plan',
+  auth.verifyToken,
+  auth.requirePermission('organizations:write'),
+  auth.requireScope('admin:write'),
+  validatePlanAssignment,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const organization = await Organization.findById(req.params.id);
+      if (!organization) {
+        return res.status(404).json(
+          responseFormatter.notFound('Organization').body
+        );
+      }
+
+      await planService.assignToOrganization(organization, req.body.plan, { req, reason: req.body.reason });
+
+      res.json(responseFormatter.success({
+        plan: organization.plan ? planService.entitlements(planService.getPlan(organization.plan)) : null
+      }, {
+        message: 'Organization plan updated successfully'
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update organization plan', 'UPDATE_ORGANIZATION_PLAN_FAILED');
+    }
+  }
+);
+
+const validateSsoDomain = [
+  param('domain')
+    .matches(/^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i)
+    .withMessage('domain must be a valid domain name'),
+
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be a boolean'),
+
+  body('provider')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('provider must be a string')
+];
+
+/**
+ * @route   GET /api/admin/sso/domains
+ * @desc    List email domain SSO policies (admin only)
+ * @access  Private/Admin
+ */
+router.get('/sso/domains',
+  auth.verifyToken,
+  auth.requirePermission('sso:read'),
+  auth.requireScope('admin:read'),
+  async (req, res) => {
+    try {
+      const domains = await SsoDomain.findAll();
+
+      res.json(responseFormatter.success({
+        domains: domains.map(domain => domain.toJSON()),
+        providers: ssoService.listProviders()
+      }).body);
 
     } catch (error) {
-      logger.error('Get user details failed', {
+      logger.error('List SSO domains failed', {
         userId: req.user.id,
-        targetUserId: req.params.id,
         error: error.message
       });
 
       res.status(500).json(
         responseFormatter.error(error, {
-          message: 'Failed to get user details',
-          code: 'GET_USER_DETAILS_FAILED'
+          message: 'Failed to retrieve SSO domains',
+          code: 'GET_SSO_DOMAINS_FAILED'
         }).body
       );
     }
@@ -205,64 +1113,70 @@ router.get('/users/:id',
 );
 
 /**
- * @route   PUT /api/admin/users/:id
- * @desc    Update user (admin only)
+ * @route   PUT /api/admin/sso/domains/:domain
+ * @desc    Require single sign-on for an email domain, optionally through
+ *          one provider (admin only)
  * @access  Private/Admin
  */
-router.put('/users/:id', 
-  auth.verifyToken, 
-  auth.requireAdmin,
-  validateUserUpdate,
+router.put('/sso/domains/:domain',
+  auth.verifyToken,
+  auth.requirePermission('sso:write'),
+  auth.requireScope('admin:write'),
+  validateSsoDomain,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const updates = req.body;
-
-      const user = await User.findById(id);
-      
-      if (!user) {
-        return res.status(404).json(
-          responseFormatter.notFound('User').body
-        );
+      const { domain } = req.params;
+      const { required = true, provider = null } = req.body;
+
+      if (provider && !ssoService.providers.has(provider)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `Unknown SSO provider: ${provider}`,
+            code: 'SSO_PROVIDER_NOT_FOUND'
+          }
+        });
       }
 
-      // Update user
-      const updatedUser = await User.update(id, updates);
+      const previous = await SsoDomain.findByDomain(domain);
+      const policy = await SsoDomain.upsert({
+        domain,
+        provider,
+        required,
+        createdBy: req.user.id
+      });
 
-      // Format response
-      const formattedUser = {
-        id: updatedUser.id,
-        email: updatedUser.email,
-        role: updatedUser.role,
-        is_active: updatedUser.is_active,
-        created_at: updatedUser.created_at,
-        updated_at: updatedUser.updated_at,
-        last_login: updatedUser.last_login,
-        metadata: updatedUser.metadata || {}
-      };
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'sso_domain.update',
+        target: { type: 'sso_domain', id: policy.domain },
+        before: previous ? auditService.snapshot(previous, ['provider', 'required']) : {},
+        after: auditService.snapshot(policy, ['provider', 'required'])
+      });
 
-      logger.info('User updated by admin', {
+      logger.info('SSO domain policy set by admin', {
         adminId: req.user.id,
-        userId: id,
-        updates: Object.keys(updates)
+        domain: policy.domain,
+        provider,
+        required
       });
 
-      res.json(responseFormatter.success(formattedUser, {
-        message: 'User updated successfully'
+      res.json(responseFormatter.success(policy.toJSON(), {
+        message: 'SSO domain policy saved successfully'
       }).body);
 
     } catch (error) {
-      logger.error('Update user failed', {
+      logger.error('Set SSO domain failed', {
         userId: req.user.id,
-        targetUserId: req.params.id,
+        domain: req.params.domain,
         error: error.message
       });
 
       res.status(500).json(
         responseFormatter.error(error, {
-          message: 'Failed to update user',
-          code: 'UPDATE_USER_FAILED'
+          message: 'Failed to save SSO domain policy',
+          code: 'SET_SSO_DOMAIN_FAILED'
         }).body
       );
     }
@@ -270,60 +1184,52 @@ router.put('/users/:id',
 );
 
 /**
- * @route   DELETE /api/admin/users/:id
- * @desc    Delete user (admin only)
+ * @route   DELETE /api/admin/sso/domains/:domain
+ * @desc    Remove an email domain's SSO policy (admin only)
  * @access  Private/Admin
  */
-router.delete('/users/:id', 
-  auth.verifyToken, 
-  auth.requireAdmin,
+router.delete('/sso/domains/:domain',
+  auth.verifyToken,
+  auth.requirePermission('sso:write'),
+  auth.requireScope('admin:write'),
   async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const user = await User.findById(id);
-      
-      if (!user) {
+      const policy = await SsoDomain.findByDomain(req.params.domain);
+      if (!policy) {
         return res.status(404).json(
-          responseFormatter.notFound('User').body
+          responseFormatter.notFound('SSO domain').body
         );
       }
 
-      // Prevent deleting own account
-      if (id === req.user.id) {
-        return res.status(400).json(
-          responseFormatter.error(null, {
-            message: 'Cannot delete your own account',
-            statusCode: 400,
-            code: 'CANNOT_DELETE_SELF'
-          }).body
-        );
-      }
+      await policy.delete();
 
-      // Delete user
-      await User.delete(id);
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'sso_domain.delete',
+        target: { type: 'sso_domain', id: policy.domain },
+        before: auditService.snapshot(policy, ['provider', 'required'])
+      });
 
-      logger.info('User deleted by admin', {
+      logger.info('SSO domain policy removed by admin', {
         adminId: req.user.id,
-        userId: id,
-        email: user.email
+        domain: policy.domain
       });
 
       res.json(responseFormatter.deleted({
-        message: 'User deleted successfully'
+        message: 'SSO domain policy removed successfully'
       }).body);
 
     } catch (error) {
-      logger.error('Delete user failed', {
+      logger.error('Remove SSO domain failed', {
         userId: req.user.id,
-        targetUserId: req.params.id,
+        domain: req.params.domain,
         error: error.message
       });
 
       res.status(500).json(
         responseFormatter.error(error, {
-          message: 'Failed to delete user',
-          code: 'DELETE_USER_FAILED'
+          message: 'Failed to remove SSO domain policy',
+          code: 'DELETE_SSO_DOMAIN_FAILED'
         }).body
       );
     }
@@ -331,118 +1237,269 @@ router.delete('/users/:id',
 );
 
 /**
- * @route   GET /api/admin/users/:id/quota
- * @desc    Get user quota information (admin only)
+ * @route   GET /api/admin/roles
+ * @desc    List built-in and custom roles with the permission catalogue
  * @access  Private/Admin
  */
-router.get('/users/:id/quota', 
-  auth.verifyToken, 
-  auth.requireAdmin,
+router.get('/roles',
+  auth.verifyToken,
+  auth.requirePermission('roles:read'),
+  auth.requireScope('admin:read'),
   async (req, res) => {
     try {
-      const { id } = req.params;
+      const roles = await roleService.listRoles();
 
-      const quotaInfo = quotaService.getQuotaInfo(id);
-
-      res.json(responseFormatter.success(quotaInfo).body);
+      res.json(responseFormatter.success({
+        roles: roles.map(role => role.toJSON()),
+        permissions: Role.PERMISSIONS
+      }).body);
 
     } catch (error) {
-      logger.error('Get user quota failed', {
-        userId: req.user.id,
-        targetUserId: req.params.id,
-        error: error.message
-      });
-
-      res.status(500).json(
-        responseFormatter.error(error, {
-          message: 'Failed to get user quota',
-          code: 'GET_USER_QUOTA_FAILED'
-        }).body
-      );
+      sendError(req, res, error, 'Failed to list roles', 'LIST_ROLES_FAILED');
     }
   }
 );
 
 /**
- * @route   PUT /api/admin/users/:id/quota
- * @desc    Update user quota (admin only)
+ * @route   POST /api/admin/roles
+ * @desc    Create a custom role from permissions the caller holds
  * @access  Private/Admin
  */
-router.put('/users/:id/quota', 
-  auth.verifyToken, 
-  auth.requireAdmin,
-  validateQuotaUpdate,
+router.post('/roles',
+  auth.verifyToken,
+  auth.requirePermission('roles:write'),
+  auth.requireScope('admin:write'),
+  body('name')
+    .isString()
+    .withMessage('name is required'),
+  body('permissions')
+    .isArray()
+    .withMessage('permissions must be an array of permission names'),
+  validateRole,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const quotaUpdates = req.body;
+      const role = await roleService.createRole(req.body, req.user);
 
-      const quota = quotaService.setUserQuota(id, quotaUpdates);
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'role.create',
+        target: { type: 'role', id: role.name },
+        after: auditService.snapshot(role, ['description', 'permissions'])
+      });
 
-      logger.info('User quota updated by admin', {
+      logger.info('Role created by admin', {
         adminId: req.user.id,
-        userId: id,
-        quota: quotaUpdates
+        role: role.name,
+        permissions: role.permissions
       });
 
-      res.json(responseFormatter.success(quota, {
-        message: 'User quota updated successfully'
+      res.status(201).json(responseFormatter.success(role.toJSON(), {
+        message: 'Role created successfully',
+        statusCode: 201
       }).body);
 
     } catch (error) {
-      logger.error('Update user quota failed', {
-        userId: req.user.id,
-        targetUserId: req.params.id,
-        error: error.message
+      sendError(req, res, error, 'Failed to create role', 'CREATE_ROLE_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Change a custom role's description or permissions
+ * @access  Private/Admin
+ */
+router.put('/roles/:name',
+  auth.verifyToken,
+  auth.requirePermission('roles:write'),
+  auth.requireScope('admin:write'),
+  validateRole,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const before = auditService.snapshot(await roleService.getRole(req.params.name), ['description', 'permissions']);
+      const role = await roleService.updateRole(req.params.name, req.body, req.user);
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'role.update',
+        target: { type: 'role', id: role.name },
+        before,
+        after: auditService.snapshot(role, ['description', 'permissions'])
       });
 
-      res.status(500).json(
-        responseFormatter.error(error, {
-          message: 'Failed to update user quota',
-          code: 'UPDATE_USER_QUOTA_FAILED'
-        }).body
-      );
+      logger.info('Role updated by admin', {
+        adminId: req.user.id,
+        role: role.name,
+        permissions: role.permissions
+      });
+
+      res.json(responseFormatter.success(role.toJSON(), {
+        message: 'Role updated successfully'
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update role', 'UPDATE_ROLE_FAILED');
     }
   }
 );
 
 /**
- * @route   POST /api/admin/users/:id/quota/reset
- * @desc    Reset user quota (admin only)
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a custom role that no user holds
  * @access  Private/Admin
  */
-router.post('/users/:id/quota/reset', 
-  auth.verifyToken, 
-  auth.requireAdmin,
+router.delete('/roles/:name',
+  auth.verifyToken,
+  auth.requirePermission('roles:write'),
+  auth.requireScope('admin:write'),
   async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const quota = quotaService.resetUserQuota(id);
+      const role = await roleService.getRole(req.params.name);
+      await roleService.deleteRole(req.params.name);
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'role.delete',
+        target: { type: 'role', id: req.params.name },
+        before: auditService.snapshot(role, ['description', 'permissions'])
+      });
 
-      logger.info('User quota reset by admin', {
+      logger.info('Role deleted by admin', {
         adminId: req.user.id,
-        userId: id
+        role: req.params.name
       });
 
-      res.json(responseFormatter.success(quota, {
-        message: 'User quota reset successfully'
+      res.json(responseFormatter.deleted({
+        message: 'Role deleted successfully'
       }).body);
 
     } catch (error) {
-      logger.error('Reset user quota failed', {
-        userId: req.user.id,
-        targetUserId: req.params.id,
-        error: error.message
-      });
+      sendError(req, res, error, 'Failed to delete role', 'DELETE_ROLE_FAILED');
+    }
+  }
+);
 
-      res.status(500).json(
-        responseFormatter.error(error, {
-          message: 'Failed to reset user quota',
-          code: 'RESET_USER_QUOTA_FAILED'
-        }).body
-      );
+const validateAuditQuery = [
+  query(['actorId', 'action', 'targetType', 'targetId'])
+    .optional()
+    .isString(),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid ISO 8601 dates'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('limit must be between 1 and 500'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+];
+
+const auditFilters = ({ actorId, action, targetType, targetId, from, to }) =>
+  ({ actorId, action, targetType, targetId, from, to });
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    List audit log entries, newest first
+ * @access  Private/Admin
+ */
+router.get('/audit',
+  auth.verifyToken,
+  auth.requirePermission('audit:read'),
+  auth.requireScope('admin:read'),
+  validateAuditQuery,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const entries = await AuditLog.findAll({ ...auditFilters(req.query), limit, offset });
+
+      res.json(responseFormatter.success({
+        entries: entries.map(entry => entry.toJSON()),
+        limit,
+        offset
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to retrieve audit log', 'GET_AUDIT_LOG_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/audit/export
+ * @desc    Download matching audit log entries, oldest first, as CSV or NDJSON
+ * @access  Private/Admin
+ */
+router.get('/audit/export',
+  auth.verifyToken,
+  auth.requirePermission('audit:read'),
+  auth.requireScope('admin:read'),
+  validateAuditQuery,
+  query('format')
+    .optional()
+    .isIn(['csv', 'ndjson'])
+    .withMessage('Format must be csv or ndjson'),
+  handleValidationErrors,
+  async (req, res) => {
+    const format = req.query.format || 'ndjson';
+
+    try {
+      const entries = auditService.entries(auditFilters(req.query));
+      // Read the first page before committing to a 200
+      const first = await entries.next();
+
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log.${format === 'csv' ? 'csv' : 'jsonl'}"`);
+
+      const write = (entry) => res.write(format === 'csv'
+        ? auditService.csvRow(entry)
+        : `${JSON.stringify(entry.toJSON())}\n`);
+
+      if (format === 'csv') res.write(auditService.csvHeader());
+      if (!first.done) write(first.value);
+      for await (const entry of entries) {
+        write(entry);
+      }
+      res.end();
+
+      logger.info('Audit log exported by admin', { adminId: req.user.id, format });
+
+    } catch (error) {
+      if (res.headersSent) {
+        logger.error('Audit log export failed midway', { userId: req.user.id, error: error.message });
+        return res.destroy(error);
+      }
+      sendError(req, res, error, 'Failed to export audit log', 'EXPORT_AUDIT_LOG_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/audit/verify
+ * @desc    Check the audit log hash chain; note the returned head to detect
+ *          entries later cut off the end
+ * @access  Private/Admin
+ */
+router.get('/audit/verify',
+  auth.verifyToken,
+  auth.requirePermission('audit:read'),
+  auth.requireScope('admin:read'),
+  async (req, res) => {
+    try {
+      res.json(responseFormatter.success(await auditService.verify()).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to verify audit log', 'VERIFY_AUDIT_LOG_FAILED');
     }
   }
 );
@@ -454,7 +1511,8 @@ router.post('/users/:id/quota/reset',
  */
 router.get('/system/stats', 
   auth.verifyToken, 
-  auth.requireAdmin,
+  auth.requirePermission('system:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -471,13 +1529,13 @@ router.get('/system/stats',
         },
         ai: {
           providers: aiService.getAvailableModels().length,
-          tasks: Array.from(aiService.taskQueue.entries()).length
+          tasks: aiService.liveTasks.size
         },
         webhooks: {
           total: webhookService.listWebhooks().total,
           active: webhookService.listWebhooks({ active: true }).total
         },
-        quota: quotaService.healthCheck()
+        quota: await quotaService.healthCheck()
       };
 
       res.json(responseFormatter.success(stats).body);
@@ -505,7 +1563,8 @@ router.get('/system/stats',
  */
 router.get('/system/health', 
   auth.verifyToken, 
-  auth.requireAdmin,
+  auth.requirePermission('system:read'),
+  auth.requireScope('admin:read'),
   async (req, res) => {
     try {
       const health = {
@@ -513,20 +1572,24 @@ router.get('/system/health',
         services: {
           ai: await aiService.healthCheck(),
           webhooks: webhookService.healthCheck(),
-          quota: quotaService.healthCheck()
+          quota: await quotaService.healthCheck()
         },
         database: {
           status: 'healthy', // Would check actual DB connection
           lastCheck: new Date().toISOString()
         },
+        circuitBreakers: aiService.getCircuitBreakerStates(),
         overall: 'healthy'
       };
 
       // Determine overall health
       const serviceStatuses = Object.values(health.services);
+      const openBreakers = Object.values(health.circuitBreakers)
+        .filter(breaker => breaker.enabled && breaker.state !== 'closed');
+
       if (serviceStatuses.some(s => s.status === 'unhealthy')) {
         health.overall = 'unhealthy';
-      } else if (serviceStatuses.some(s => s.status === 'degraded')) {
+      } else if (serviceStatuses.some(s => s.status === 'degraded') || openBreakers.length > 0) {
         health.overall = 'degraded';
       }
 
@@ -557,22 +1620,30 @@ router.get('/system/health',
  */
 router.post('/system/cleanup', 
   auth.verifyToken, 
-  auth.requireAdmin,
+  auth.requirePermission('system:write'),
+  auth.requireScope('admin:write'),
   async (req, res) => {
     try {
       const results = {
         timestamp: new Date().toISOString(),
         tasks: {
-          cleaned: aiService.cleanupOldTasks(24) // Clean tasks older than 24 hours
+          cleaned: await aiService.cleanupOldTasks(24) // Clean tasks older than 24 hours
         },
         quota: {
-          cleaned: quotaService.cleanupOldUsage(30) // Clean usage older than 30 days
+          cleaned: await quotaService.cleanupOldUsage() // Expired windows, slots and history
         },
         webhooks: {
           cleaned: webhookService.cleanupOldDeliveries(7) // Clean deliveries older than 7 days
         }
       };
 
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'system.cleanup',
+        target: { type: 'system' },
+        metadata: results
+      });
+
       logger.info('System cleanup completed by admin', {
         adminId: req.user.id,
         results
@@ -603,7 +1674,8 @@ router.post('/system/cleanup',
  */
 router.get('/analytics/usage',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -640,7 +1712,8 @@ router.get('/analytics/usage',
  */
 router.get('/analytics/costs',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -677,7 +1750,8 @@ router.get('/analytics/costs',
  */
 router.get('/analytics/users',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -709,6 +1783,46 @@ router.get('/analytics/users',
   }
 );
 
+/**
+ * @route   GET /api/admin/analytics/organizations
+ * @desc    Usage grouped by organization, or by member when organizationId is given (admin only)
+ * @access  Private/Admin
+ */
+router.get('/analytics/organizations',
+  auth.verifyToken,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
+  validateSystemStatsQuery,
+  query('organizationId').optional().isString(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { startDate, endDate, organizationId } = req.query;
+
+      const organizationUsage = await analyticsService.getOrganizationUsage({
+        organizationId,
+        startDate,
+        endDate
+      });
+
+      res.json(responseFormatter.success(organizationUsage).body);
+
+    } catch (error) {
+      logger.error('Get organization analytics failed', {
+        userId: req.user.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to get organization analytics',
+          code: 'GET_ORGANIZATION_ANALYTICS_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
 /**
  * @route   GET /api/admin/analytics/performance
  * @desc    Get performance metrics (admin only)
@@ -716,7 +1830,8 @@ router.get('/analytics/users',
  */
 router.get('/analytics/performance',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -753,7 +1868,8 @@ router.get('/analytics/performance',
  */
 router.get('/analytics/errors',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -791,7 +1907,8 @@ router.get('/analytics/errors',
  */
 router.get('/analytics/endpoints',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -829,7 +1946,8 @@ router.get('/analytics/endpoints',
  */
 router.get('/analytics/providers',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -866,7 +1984,8 @@ router.get('/analytics/providers',
  */
 router.get('/analytics/trends',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('analytics:read'),
+  auth.requireScope('admin:read'),
   validateSystemStatsQuery,
   handleValidationErrors,
   async (req, res) => {
@@ -906,7 +2025,8 @@ router.get('/analytics/trends',
  */
 router.get('/monitoring/alerts',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('monitoring:read'),
+  auth.requireScope('admin:read'),
   async (req, res) => {
     try {
       const { limit = 100, severity, type } = req.query;
@@ -942,7 +2062,8 @@ router.get('/monitoring/alerts',
  */
 router.get('/monitoring/metrics',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('monitoring:read'),
+  auth.requireScope('admin:read'),
   async (req, res) => {
     try {
       const metrics = monitoringService.getCurrentMetrics();
@@ -972,7 +2093,8 @@ router.get('/monitoring/metrics',
  */
 router.get('/monitoring/thresholds',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('monitoring:read'),
+  auth.requireScope('admin:read'),
   async (req, res) => {
     try {
       const thresholds = monitoringService.getThresholds();
@@ -1002,13 +2124,23 @@ router.get('/monitoring/thresholds',
  */
 router.put('/monitoring/thresholds',
   auth.verifyToken,
-  auth.requireAdmin,
+  auth.requirePermission('monitoring:write'),
+  auth.requireScope('admin:write'),
   async (req, res) => {
     try {
       const thresholds = req.body;
 
+      const before = auditService.snapshot(monitoringService.getThresholds(), Object.keys(thresholds));
       monitoringService.setThresholds(thresholds);
 
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'monitoring.thresholds_update',
+        target: { type: 'monitoring' },
+        before,
+        after: auditService.snapshot(monitoringService.getThresholds(), Object.keys(thresholds))
+      });
+
       logger.info('Monitoring thresholds updated by admin', {
         adminId: req.user.id,
         thresholds
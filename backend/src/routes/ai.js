@@ -1,105 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const aiService = require('../services/aiService');
+const providerRegistry = require('../services/providerRegistry');
+const routingService = require('../services/routingService');
+const planService = require('../services/planService');
 const quotaService = require('../services/quotaService');
 const webhookService = require('../services/webhookService');
 const minimaxService = require('../services/minimaxService');
+const batchService = require('../services/batchService');
 const loggingService = require('../services/loggingService');
 const auth = require('../middleware/auth');
+const {
+  validateRouting,
+  validateAiRequest,
+  validateEmbeddingsRequest,
+  validateImageRequest
+} = require('../middleware/aiValidation');
 const { body, query, validationResult } = require('express-validator');
 const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { formatEvent, writeWithBackpressure } = require('../utils/sse');
 
 /**
- * Validation middleware for AI routes
+ * Expose which provider served the request and the failover chain tried
  */
-const validateAiRequest = [
-  body('prompt')
-    .optional()
-    .isString()
-    .withMessage('Prompt must be a string')
-    .isLength({ max: 10000 })
-    .withMessage('Prompt must be less than 10000 characters'),
-  
-  body('messages')
-    .optional()
-    .isArray()
-    .withMessage('Messages must be an array'),
-  
-  body('model')
-    .optional()
-    .isString()
-    .withMessage('Model must be a string'),
-  
-  body('provider')
-    .optional()
-    .isIn(['minimax', 'openai', 'anthropic'])
-    .withMessage('Provider must be one of: minimax, openai, anthropic'),
-  
-  body('temperature')
-    .optional()
-    .isFloat({ min: 0, max: 2 })
-    .withMessage('Temperature must be between 0 and 2'),
-  
-  body('maxTokens')
-    .optional()
-    .isInt({ min: 1, max: 8192 })
-    .withMessage('Max tokens must be between 1 and 8192'),
-  
-  body('stream')
-    .optional()
-    .isBoolean()
-    .withMessage('Stream must be a boolean'),
-  
-  body('functions')
-    .optional()
-    .isArray()
-    .withMessage('Functions must be an array')
-];
-
-const validateEmbeddingsRequest = [
-  body('texts')
-    .isArray({ min: 1 })
-    .withMessage('Texts must be a non-empty array'),
-  
-  body('texts.*')
-    .isString()
-    .withMessage('Each text must be a string')
-    .isLength({ max: 8192 })
-    .withMessage('Each text must be less than 8192 characters'),
-  
-  body('model')
-    .optional()
-    .isString()
-    .withMessage('Model must be a string'),
-  
-  body('provider')
-    .optional()
-    .isIn(['minimax'])
-    .withMessage('Provider must be minimax for embeddings')
-];
-
-const validateImageRequest = [
-  body('prompt')
-    .isString()
-    .withMessage('Prompt must be a string')
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Prompt must be between 1 and 1000 characters'),
-  
-  body('model')
-    .optional()
-    .isString()
-    .withMessage('Model must be a string'),
-  
-  body('size')
-    .optional()
-    .isIn(['1024x1024', '1024x1792', '1792x1024'])
-    .withMessage('Size must be one of: 1024x1024, 1024x1792, 1792x1024'),
-  
-  body('quality')
-    .optional()
-    .isIn(['standard', 'high'])
-    .withMessage('Quality must be standard or high')
-];
+const setProviderHeaders = (res, attempts = []) => {
+  const served = attempts.find(attempt => attempt.status === 'succeeded');
+  if (served) {
+    res.setHeader('X-AI-Provider', served.provider);
+    res.setHeader('X-AI-Model', served.model);
+  }
+
+  if (attempts.length > 0) {
+    res.setHeader('X-AI-Provider-Attempts', attempts
+      .map(attempt => `${attempt.provider}/${attempt.model}=${attempt.status}`)
+      .join(', '));
+  }
+};
 
 /**
  * Handle validation errors
@@ -114,6 +51,139 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Refuse a model the caller's plan doesn't include, and for videos a
+ * resolution or duration above the plan's, before any quota is taken.
+ * Videos without a resolution get the highest one the plan allows.
+ */
+const checkPlan = ({ defaultModel = null, video = false } = {}) => (req, res, next) => {
+  if (!req.plan) return next();
+
+  try {
+    const model = req.body.model || defaultModel;
+    if (model) {
+      planService.assertModelAllowed(req.plan, model);
+    }
+
+    if (video) {
+      req.body.resolution = req.body.resolution || req.plan.video.maxResolution;
+      planService.assertVideoAllowed(req.plan, req.body);
+    }
+
+    next();
+  } catch (error) {
+    res.status(error.statusCode).json(
+      responseFormatter.error(error, {
+        message: error.message,
+        statusCode: error.statusCode,
+        code: error.code
+      }).body
+    );
+  }
+};
+
+const STREAM_HEARTBEAT_INTERVAL = parseInt(process.env.AI_STREAM_HEARTBEAT_MS) || 15000;
+
+/**
+ * Relay a provider stream to the client as server-sent events:
+ * a start event, one delta event per chunk, then a usage (or error) event and [DONE].
+ * The quota reservation is settled when the stream finishes or the client disconnects.
+ */
+const streamGeneration = async (req, res, result, reservation) => {
+  const userId = req.user.id;
+  let clientClosed = false;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      result.abort();
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!clientClosed) res.write(': heartbeat\n\n');
+  }, STREAM_HEARTBEAT_INTERVAL);
+
+  let summary = null;
+
+  try {
+    await writeWithBackpressure(res, formatEvent({
+      type: 'start',
+      taskId: result.taskId,
+      provider: result.provider,
+      model: result.model,
+      routing: result.routing
+    }));
+
+    for await (const chunk of result.chunks) {
+      if (chunk.done) {
+        summary = chunk;
+      } else if (chunk.delta && !clientClosed) {
+        await writeWithBackpressure(res, formatEvent({ type: 'delta', content: chunk.delta }));
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const tokensUsed = summary.usage.totalTokens;
+
+  await quotaService.settle(reservation, {
+    tokens: tokensUsed,
+    cost: summary.cost,
+    success: summary.status !== 'failed',
+    model: summary.model,
+    provider: summary.provider,
+    reference: result.taskId
+  });
+
+  if (summary.status === 'completed') {
+    webhookService.triggerEvent('ai.generation.completed', {
+      userId,
+      taskId: result.taskId,
+      model: summary.model,
+      provider: summary.provider,
+      tokensUsed,
+      cost: summary.cost
+    }).catch(err => {
+      logger.error('Webhook trigger failed', { error: err.message });
+    });
+  }
+
+  if (clientClosed) {
+    logger.info('AI generation stream aborted by client', {
+      userId,
+      taskId: result.taskId,
+      tokensUsed
+    });
+    return;
+  }
+
+  if (summary.status === 'failed') {
+    res.write(formatEvent({
+      type: 'error',
+      error: { message: summary.error, code: 'AI_GENERATION_FAILED' }
+    }));
+  } else {
+    res.write(formatEvent({
+      type: 'usage',
+      usage: summary.usage,
+      usageEstimated: summary.usageEstimated,
+      cost: summary.cost,
+      finishReason: summary.finishReason
+    }));
+  }
+
+  res.write(formatEvent('[DONE]'));
+  res.end();
+};
+
 /**
  * @route   POST /api/v1/ai/generate
  * @desc    Generate AI content
@@ -121,16 +191,36 @@ const handleValidationErrors = (req, res, next) => {
  */
 router.post('/generate', 
   auth.verifyToken, 
+  auth.requireScope('ai:generate'),
   validateAiRequest, 
   handleValidationErrors,
+  checkPlan(),
   async (req, res) => {
+    let reservation = null;
+
     try {
-      const { prompt, messages, model, provider, temperature, maxTokens, stream, functions } = req.body;
+      const {
+        prompt, messages, model, provider, temperature, maxTokens, stream, functions, failover, routing
+      } = req.body;
       const userId = req.user.id;
 
-      // Check quota
+      // Hold quota and budget for what the routed model would charge
       const estimatedTokens = maxTokens || 1000;
-      await quotaService.checkQuota(userId, { tokens: estimatedTokens });
+      const estimatedCost = await aiService.estimateCost('generation', {
+        provider,
+        model,
+        routing,
+        userId,
+        plan: req.plan?.name,
+        usageEstimate: aiService.estimateUsage(prompt, messages, estimatedTokens)
+      });
+      reservation = await quotaService.reserve(userId, {
+        tokens: estimatedTokens,
+        cost: estimatedCost,
+        requestType: 'generation',
+        apiKeyId: req.apiKeyId,
+        impersonationId: req.impersonation?.id
+      });
 
       // Generate content
       const result = await aiService.generate({
@@ -142,13 +232,30 @@ router.post('/generate',
         maxTokens,
         stream,
         functions,
-        userId
+        failover,
+        routing,
+        userId,
+        plan: req.plan?.name
       });
 
-      // Record usage
+      setProviderHeaders(res, result.attempts);
+
+      // Streams record usage once the provider has finished
+      if (result.chunks) {
+        await streamGeneration(req, res, result, reservation);
+        return;
+      }
+
+      // Swap the held estimate for the actual usage
       const tokensUsed = result.usage?.totalTokens || estimatedTokens;
-      const cost = tokensUsed * 0.0001; // $0.0001 per token
-      quotaService.recordUsage(userId, { tokens: tokensUsed, cost });
+      const cost = result.cost;
+      await quotaService.settle(reservation, {
+        tokens: tokensUsed,
+        cost,
+        model: result.model,
+        provider: result.provider,
+        reference: result.taskId
+      });
 
       // Trigger webhook for AI generation event
       webhookService.triggerEvent('ai.generation.completed', {
@@ -162,16 +269,13 @@ router.post('/generate',
         logger.error('Webhook trigger failed', { error: err.message });
       });
 
-      // Handle streaming response
+      // Providers without incremental output send the whole result as one event
       if (stream) {
         res.setHeader('Content-Type', 'text/event-stream');
         res.setHeader('Cache-Control', 'no-cache');
         res.setHeader('Connection', 'keep-alive');
-
-        // For now, return a simple streaming response
-        // In production, this would stream tokens as they arrive
-        res.write(`data: ${JSON.stringify(result)}\n\n`);
-        res.write('data: [DONE]\n\n');
+        res.write(formatEvent(result));
+        res.write(formatEvent('[DONE]'));
         res.end();
       } else {
         res.json(responseFormatter.success(result).body);
@@ -183,12 +287,15 @@ router.post('/generate',
         error: error.message
       });
 
-      // Record failed usage
-      quotaService.recordUsage(req.user.id, { 
-        tokens: 0, 
-        cost: 0, 
-        success: false 
-      });
+      await quotaService.release(reservation, aiService.releaseReason(error));
+
+      // Too late for an error response once a stream has started
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+
+      setProviderHeaders(res, error.attempts);
 
       res.status(error.statusCode || 500).json(
         responseFormatter.error(error, {
@@ -208,29 +315,57 @@ router.post('/generate',
  */
 router.post('/embeddings', 
   auth.verifyToken, 
+  auth.requireScope('ai:generate'),
   validateEmbeddingsRequest, 
   handleValidationErrors,
+  checkPlan(),
   async (req, res) => {
+    let reservation = null;
+
     try {
-      const { texts, model, provider } = req.body;
+      const { texts, model, provider, routing } = req.body;
       const userId = req.user.id;
 
-      // Check quota
+      // Hold quota
       const estimatedTokens = texts.length * 100; // Rough estimate
-      await quotaService.checkQuota(userId, { tokens: estimatedTokens });
+      const estimatedCost = await aiService.estimateCost('embeddings', {
+        provider,
+        model,
+        routing,
+        userId,
+        plan: req.plan?.name,
+        usageEstimate: aiService.estimateUsage(texts.join(' '), null, 0)
+      });
+      reservation = await quotaService.reserve(userId, {
+        tokens: estimatedTokens,
+        cost: estimatedCost,
+        requestType: 'embeddings',
+        apiKeyId: req.apiKeyId,
+        impersonationId: req.impersonation?.id
+      });
 
       // Generate embeddings
       const result = await aiService.generateEmbeddings({
         texts,
         model,
         provider,
-        userId
+        routing,
+        userId,
+        plan: req.plan?.name
       });
 
+      setProviderHeaders(res, result.attempts);
+
       // Record usage
       const tokensUsed = result.usage?.totalTokens || estimatedTokens;
-      const cost = tokensUsed * 0.0001;
-      quotaService.recordUsage(userId, { tokens: tokensUsed, cost });
+      const cost = result.cost;
+      await quotaService.settle(reservation, {
+        tokens: tokensUsed,
+        cost,
+        model: result.model,
+        provider: result.provider,
+        reference: result.taskId
+      });
 
       res.json(responseFormatter.success(result).body);
 
@@ -240,11 +375,9 @@ router.post('/embeddings',
         error: error.message
       });
 
-      quotaService.recordUsage(req.user.id, { 
-        tokens: 0, 
-        cost: 0, 
-        success: false 
-      });
+      setProviderHeaders(res, error.attempts);
+
+      await quotaService.release(reservation, aiService.releaseReason(error));
 
       res.status(error.statusCode || 500).json(
         responseFormatter.error(error, {
@@ -264,15 +397,31 @@ router.post('/embeddings',
  */
 router.post('/images', 
   auth.verifyToken, 
+  auth.requireScope('ai:generate'),
   validateImageRequest, 
   handleValidationErrors,
+  checkPlan(),
   async (req, res) => {
+    let reservation = null;
+
     try {
-      const { prompt, model, size, quality } = req.body;
+      const { prompt, model, size, quality, routing } = req.body;
       const userId = req.user.id;
 
-      // Check quota
-      await quotaService.checkQuota(userId, { tokens: 1000 }); // Image generation cost
+      // Hold quota
+      const estimatedCost = await aiService.estimateCost('image', {
+        model,
+        routing,
+        userId,
+        plan: req.plan?.name,
+        usageEstimate: { images: 1, quality }
+      });
+      reservation = await quotaService.reserve(userId, {
+        tokens: 1000,
+        cost: estimatedCost,
+        requestType: 'image_generation',
+        apiKeyId: req.apiKeyId
+      });
 
       // Generate image
       const result = await aiService.generateImage({
@@ -280,12 +429,21 @@ router.post('/images',
         model,
         size,
         quality,
-        userId
+        routing,
+        userId,
+        plan: req.plan?.name
       });
 
+      setProviderHeaders(res, result.attempts);
+
       // Record usage
-      const cost = 0.05; // $0.05 per image
-      quotaService.recordUsage(userId, { tokens: 1000, cost });
+      await quotaService.settle(reservation, {
+        tokens: 1000,
+        cost: result.cost,
+        model: result.model,
+        provider: result.provider,
+        reference: result.taskId
+      });
 
       res.json(responseFormatter.success(result).body);
 
@@ -295,11 +453,9 @@ router.post('/images',
         error: error.message
       });
 
-      quotaService.recordUsage(req.user.id, { 
-        tokens: 0, 
-        cost: 0, 
-        success: false 
-      });
+      setProviderHeaders(res, error.attempts);
+
+      await quotaService.release(reservation, aiService.releaseReason(error));
 
       res.status(error.statusCode || 500).json(
         responseFormatter.error(error, {
@@ -312,6 +468,147 @@ router.post('/images',
   }
 );
 
+/**
+ * @route   POST /api/v1/ai/batch
+ * @desc    Queue a batch of generation, embedding and image jobs, sent as
+ *          { items: [{ customId, type, body }] } or as a JSONL upload
+ * @access  Private
+ */
+router.post('/batch',
+  auth.verifyToken,
+  auth.requireScope('ai:generate'),
+  express.text({ type: ['application/jsonl', 'application/x-ndjson'], limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const items = typeof req.body === 'string'
+        ? batchService.parseJsonl(req.body)
+        : req.body.items;
+
+      const batch = await batchService.createBatch(items, { userId, plan: req.plan?.name, apiKeyId: req.apiKeyId });
+
+      res.status(202).json(
+        responseFormatter.success(batchService.formatBatch(batch), {
+          message: 'Batch queued',
+          statusCode: 202
+        }).body
+      );
+
+    } catch (error) {
+      logger.error('Batch creation failed', {
+        userId: req.user.id,
+        error: error.message
+      });
+
+      res.status(error.statusCode || 500).json(
+        responseFormatter.error(error, {
+          message: error.message,
+          statusCode: error.statusCode || 500,
+          code: error.code || 'BATCH_CREATION_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * Load a batch owned by the requesting user, or send 404/403
+ */
+const findUserBatch = async (req, res) => {
+  const batch = await batchService.getBatch(req.params.batchId);
+
+  if (!batch) {
+    res.status(404).json(responseFormatter.notFound('Batch').body);
+    return null;
+  }
+
+  if (batch.userId !== req.user.id) {
+    res.status(403).json(
+      responseFormatter.forbidden('You do not have access to this batch').body
+    );
+    return null;
+  }
+
+  return batch;
+};
+
+/**
+ * @route   GET /api/v1/ai/batch/:batchId
+ * @desc    Get batch progress and per-item status
+ * @access  Private
+ */
+router.get('/batch/:batchId',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  async (req, res) => {
+    try {
+      const batch = await findUserBatch(req, res);
+      if (!batch) return;
+
+      res.json(responseFormatter.success(batchService.formatBatch(batch)).body);
+
+    } catch (error) {
+      logger.error('Get batch failed', {
+        userId: req.user.id,
+        batchId: req.params.batchId,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to get batch',
+          code: 'GET_BATCH_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
+/**
+ * @route   GET /api/v1/ai/batch/:batchId/results
+ * @desc    Download results of finished items as JSONL, or as JSON with ?format=json
+ * @access  Private
+ */
+router.get('/batch/:batchId/results',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  query('format').optional().isIn(['jsonl', 'json']).withMessage('Format must be jsonl or json'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const batch = await findUserBatch(req, res);
+      if (!batch) return;
+
+      if (req.query.format === 'json') {
+        const results = batchService.getResults(batch);
+        const formatted = responseFormatter.batchResult(
+          results.filter(entry => entry.status === 'succeeded'),
+          results.filter(entry => entry.status === 'failed')
+        );
+        return res.status(formatted.statusCode).json(formatted.body);
+      }
+
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="${batch.id}-results.jsonl"`);
+      res.send(batchService.toJsonl(batch));
+
+    } catch (error) {
+      logger.error('Get batch results failed', {
+        userId: req.user.id,
+        batchId: req.params.batchId,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to get batch results',
+          code: 'GET_BATCH_RESULTS_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
 /**
  * @route   GET /api/v1/ai/status/:taskId
  * @desc    Get task status
@@ -319,12 +616,13 @@ router.post('/images',
  */
 router.get('/status/:taskId', 
   auth.verifyToken,
+  auth.requireScope('ai:read'),
   async (req, res) => {
     try {
       const { taskId } = req.params;
       const userId = req.user.id;
 
-      const task = aiService.getTask(taskId);
+      const task = await aiService.getTask(taskId);
       
       if (!task) {
         return res.status(404).json(
@@ -358,6 +656,80 @@ router.get('/status/:taskId',
   }
 );
 
+/**
+ * @route   DELETE /api/v1/ai/tasks/:taskId
+ * @desc    Cancel an in-flight generation or Minimax video task
+ * @access  Private
+ */
+router.delete('/tasks/:taskId',
+  auth.verifyToken,
+  auth.requireScope('ai:generate'),
+  async (req, res) => {
+    try {
+      const { taskId } = req.params;
+      const userId = req.user.id;
+
+      const aiTask = await aiService.getTask(taskId);
+      const videoTask = aiTask ? null : await minimaxService.getTask(taskId);
+      const task = aiTask || videoTask;
+
+      if (!task) {
+        return res.status(404).json(
+          responseFormatter.notFound('Task').body
+        );
+      }
+
+      // Check if user owns this task
+      if (task.metadata.userId !== userId) {
+        return res.status(403).json(
+          responseFormatter.forbidden('You do not have access to this task').body
+        );
+      }
+
+      let refundedCost = 0;
+
+      if (aiTask) {
+        // The in-flight request records its own usage once it unwinds
+        await aiService.cancelTask(taskId);
+      } else {
+        // Refunds the charge when Minimax had already accepted the video
+        ({ refundedCost } = await minimaxService.cancelTask(taskId));
+      }
+
+      webhookService.triggerEvent('task.cancelled', {
+        userId,
+        taskId,
+        type: task.type,
+        refundedCost
+      }).catch(err => {
+        logger.error('Webhook trigger failed', { error: err.message });
+      });
+
+      res.json(responseFormatter.success({
+        taskId,
+        type: task.type,
+        status: 'cancelled',
+        refundedCost
+      }).body);
+
+    } catch (error) {
+      logger.error('Task cancellation failed', {
+        userId: req.user.id,
+        taskId: req.params.taskId,
+        error: error.message
+      });
+
+      res.status(error.statusCode || 500).json(
+        responseFormatter.error(error, {
+          message: error.message,
+          statusCode: error.statusCode || 500,
+          code: error.code || 'TASK_CANCELLATION_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
 /**
  * @route   GET /api/v1/ai/history
  * @desc    Get user request history
@@ -365,6 +737,7 @@ router.get('/status/:taskId',
  */
 router.get('/history', 
   auth.verifyToken,
+  auth.requireScope('ai:read'),
   query(['limit', 'offset', 'type', 'startDate', 'endDate'])
     .optional()
     .isString(),
@@ -374,7 +747,7 @@ router.get('/history',
       const userId = req.user.id;
       const { limit = 50, offset = 0, type, startDate, endDate } = req.query;
 
-      const history = aiService.getUserHistory(userId, {
+      const history = await aiService.getUserHistory(userId, {
         limit: parseInt(limit),
         offset: parseInt(offset),
         type,
@@ -400,6 +773,60 @@ router.get('/history',
   }
 );
 
+/**
+ * @route   GET /api/v1/ai/routing
+ * @desc    Get available routing policies and the user's default
+ * @access  Private
+ */
+router.get('/routing',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  (req, res) => {
+    res.json(responseFormatter.success({
+      policies: routingService.getPolicies(),
+      current: routingService.resolvePolicy({ userId: req.user.id, plan: req.plan?.name })
+    }).body);
+  }
+);
+
+/**
+ * @route   PUT /api/v1/ai/routing
+ * @desc    Set the user's default routing policy
+ * @access  Private
+ */
+router.put('/routing',
+  auth.verifyToken,
+  auth.requireScope('ai:generate'),
+  validateRouting(),
+  handleValidationErrors,
+  (req, res) => {
+    const preference = routingService.setUserPolicy(req.user.id, req.body.routing);
+
+    res.json(responseFormatter.success(preference, {
+      message: 'Routing policy updated'
+    }).body);
+  }
+);
+
+/**
+ * @route   DELETE /api/v1/ai/routing
+ * @desc    Clear the user's default routing policy
+ * @access  Private
+ */
+router.delete('/routing',
+  auth.verifyToken,
+  auth.requireScope('ai:generate'),
+  (req, res) => {
+    routingService.clearUserPolicy(req.user.id);
+
+    res.json(responseFormatter.success({
+      current: routingService.resolvePolicy({ userId: req.user.id, plan: req.plan?.name })
+    }, {
+      message: 'Routing policy cleared'
+    }).body);
+  }
+);
+
 /**
  * @route   GET /api/v1/ai/models
  * @desc    Get available AI models
@@ -458,6 +885,7 @@ router.get('/models/:provider', async (req, res) => {
  */
 router.get('/usage', 
   auth.verifyToken,
+  auth.requireScope('ai:read'),
   query(['startDate', 'endDate', 'provider'])
     .optional()
     .isString(),
@@ -502,6 +930,7 @@ router.get('/usage',
  */
 router.post('/minimax/video',
   auth.verifyToken,
+  auth.requireScope('video:write'),
   [
     body('prompt')
       .isString()
@@ -542,14 +971,21 @@ router.post('/minimax/video',
       .withMessage('Image path must be a string')
   ],
   handleValidationErrors,
+  checkPlan({ defaultModel: 'hailuo-2.3', video: true }),
   async (req, res) => {
+    let reservation = null;
+
     try {
       const { prompt, model = 'hailuo-2.3', negativePrompt, duration, resolution, frameRate, imagePath } = req.body;
       const userId = req.user.id;
 
-      // Check quota - Hailuo 2.3 costs $0.49 per call
-      const estimatedCost = 0.49;
-      await quotaService.checkQuota(userId, { cost: estimatedCost });
+      // Hold quota and budgets - Hailuo is billed per call
+      const estimatedCost = providerRegistry.getModelCost('minimax', model);
+      reservation = await quotaService.reserve(userId, {
+        cost: estimatedCost,
+        requestType: 'minimax_video_generation',
+        apiKeyId: req.apiKeyId
+      });
 
       // Log the request
       loggingService.logMinimaxVideoGeneration({
@@ -574,10 +1010,12 @@ router.post('/minimax/video',
       });
 
       // Record usage
-      quotaService.recordUsage(userId, {
+      await quotaService.settle(reservation, {
         tokens: 0, // Video generation doesn't use tokens
         cost: estimatedCost,
-        requestType: 'minimax_video_generation'
+        model,
+        provider: 'minimax',
+        reference: result.taskId
       });
 
       // Trigger webhook
@@ -598,13 +1036,7 @@ router.post('/minimax/video',
         error: error.message
       });
 
-      // Record failed usage
-      quotaService.recordUsage(req.user.id, {
-        tokens: 0,
-        cost: 0,
-        success: false,
-        requestType: 'minimax_video_generation'
-      });
+      await quotaService.release(reservation, aiService.releaseReason(error));
 
       res.status(error.statusCode || 500).json(
         responseFormatter.error(error, {
@@ -624,6 +1056,7 @@ router.post('/minimax/video',
  */
 router.get('/minimax/status/:taskId',
   auth.verifyToken,
+  auth.requireScope('video:read'),
   async (req, res) => {
     try {
       const { taskId } = req.params;
@@ -665,6 +1098,7 @@ router.get('/minimax/status/:taskId',
  */
 router.get('/minimax/result/:taskId',
   auth.verifyToken,
+  auth.requireScope('video:read'),
   async (req, res) => {
     try {
       const { taskId } = req.params;
@@ -717,6 +1151,7 @@ router.get('/minimax/result/:taskId',
  */
 router.post('/minimax/image-to-video',
   auth.verifyToken,
+  auth.requireScope('video:write'),
   [
     body('prompt')
       .isString()
@@ -753,7 +1188,10 @@ router.post('/minimax/image-to-video',
       .withMessage('Resolution must be one of: 1280x720, 1024x576, 854x480')
   ],
   handleValidationErrors,
+  checkPlan({ defaultModel: 'hailuo-2.3', video: true }),
   async (req, res) => {
+    let reservation = null;
+
     try {
       const { prompt, imageUrl, model = 'hailuo-2.3', negativePrompt, duration, resolution } = req.body;
       const userId = req.user.id;
@@ -762,9 +1200,13 @@ router.post('/minimax/image-to-video',
       const imagePath = await downloadImageTemp(imageUrl);
       
       try {
-        // Check quota
-        const estimatedCost = 0.49;
-        await quotaService.checkQuota(userId, { cost: estimatedCost });
+        // Hold quota
+        const estimatedCost = providerRegistry.getModelCost('minimax', model);
+        reservation = await quotaService.reserve(userId, {
+          cost: estimatedCost,
+          requestType: 'minimax_image_to_video',
+          apiKeyId: req.apiKeyId
+        });
 
         // Log the request
         loggingService.logMinimaxVideoGeneration({
@@ -788,10 +1230,12 @@ router.post('/minimax/image-to-video',
         });
 
         // Record usage
-        quotaService.recordUsage(userId, {
+        await quotaService.settle(reservation, {
           tokens: 0,
           cost: estimatedCost,
-          requestType: 'minimax_image_to_video'
+          model,
+          provider: 'minimax',
+          reference: result.taskId
         });
 
         // Trigger webhook
@@ -821,13 +1265,7 @@ router.post('/minimax/image-to-video',
         error: error.message
       });
 
-      // Record failed usage
-      quotaService.recordUsage(req.user.id, {
-        tokens: 0,
-        cost: 0,
-        success: false,
-        requestType: 'minimax_image_to_video'
-      });
+      await quotaService.release(reservation, aiService.releaseReason(error));
 
       res.status(error.statusCode || 500).json(
         responseFormatter.error(error, {
@@ -861,7 +1299,7 @@ router.get('/minimax/models', async (req, res) => {
       }).body
     );
   }
-);
+});
 
 /**
  * Helper function to download image temporarily
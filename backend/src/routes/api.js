@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const aiService = require('../services/aiService');
 const quotaService = require('../services/quotaService');
+const planService = require('../services/planService');
 const auth = require('../middleware/auth');
 const { query, validationResult } = require('express-validator');
 const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
 
 /**
  * Handle validation errors
@@ -37,6 +39,7 @@ router.get('/', (req, res) => {
  */
 router.get('/usage',
   auth.verifyToken,
+  auth.requireScope('ai:read'),
   query(['startDate', 'endDate', 'provider'])
     .optional()
     .isString(),
@@ -72,17 +75,21 @@ router.get('/usage',
 
 /**
  * @route   GET /api/v1/quota
- * @desc    Get current user's quota information
+ * @desc    Get current user's quota information and plan entitlements
  * @access  Private
  */
 router.get('/quota',
   auth.verifyToken,
+  auth.requireScope('ai:read'),
   async (req, res) => {
     try {
       const userId = req.user.id;
-      const quotaInfo = quotaService.getQuotaInfo(userId);
+      const quotaInfo = await quotaService.getQuotaInfo(userId);
 
-      res.json(responseFormatter.success(quotaInfo).body);
+      res.json(responseFormatter.success({
+        ...quotaInfo,
+        plan: planService.entitlements(req.plan)
+      }).body);
 
     } catch (error) {
       logger.error('Get quota failed', {
@@ -100,6 +107,37 @@ router.get('/quota',
   }
 );
 
+/**
+ * @route   GET /api/v1/budget
+ * @desc    Monthly budgets that apply to the caller: their own, their
+ *          organization's and, with an API key, the key's
+ * @access  Private
+ */
+router.get('/budget',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  async (req, res) => {
+    try {
+      const budgets = await quotaService.getBudgets(req.user.id, req.apiKeyId);
+
+      res.json(responseFormatter.success({ budgets }).body);
+
+    } catch (error) {
+      logger.error('Get budget failed', {
+        userId: req.user.id,
+        error: error.message
+      });
+
+      res.status(500).json(
+        responseFormatter.error(error, {
+          message: 'Failed to get budget information',
+          code: 'GET_BUDGET_FAILED'
+        }).body
+      );
+    }
+  }
+);
+
 /**
  * @route   POST /api/v1/quota/reset
  * @desc    Reset current user's quota counters
@@ -107,10 +145,11 @@ router.get('/quota',
  */
 router.post('/quota/reset',
   auth.verifyToken,
+  auth.requireScope('ai:generate'),
   async (req, res) => {
     try {
       const userId = req.user.id;
-      const quota = quotaService.resetUserQuota(userId);
+      const quota = await quotaService.resetUserQuota(userId);
 
       res.json(responseFormatter.success(quota, {
         message: 'Quota reset successfully'
@@ -132,6 +171,18 @@ router.post('/quota/reset',
   }
 );
 
+/**
+ * @route   GET /api/v1/plans
+ * @desc    List plans and what each includes
+ * @access  Public
+ */
+router.get('/plans', (req, res) => {
+  res.json(responseFormatter.success({
+    plans: planService.list(),
+    defaultPlan: planService.config.defaultPlan
+  }).body);
+});
+
 /**
  * @route   GET /api/v1/models
  * @desc    Get all available AI models
@@ -197,7 +248,7 @@ router.get('/health', async (req, res) => {
       version: '1.0.0',
       services: {
         ai: await aiService.healthCheck(),
-        quota: quotaService.healthCheck()
+        quota: await quotaService.healthCheck()
       }
     };
 
@@ -239,10 +290,35 @@ router.get('/docs', (req, res) => {
         endpoints: [
           'POST /register - Register new user',
           'POST /login - Login user',
-          'POST /refresh - Refresh access token',
-          'POST /logout - Logout user',
-          'POST /reset-password - Request password reset',
-          'POST /reset-password/confirm - Confirm password reset'
+          'POST /login/2fa - Complete a login with a two-factor code',
+          'GET /sso/providers - List single sign-on providers',
+          'GET /sso/:provider/start - Start single sign-on',
+          'GET /sso/:provider/callback - Single sign-on redirect target',
+          'POST /sso/exchange - Trade a single sign-on code for tokens',
+          'POST /refresh - Rotate refresh token and get a new access token',
+          'POST /logout - Logout user and end the session',
+          'GET /sessions - List signed-in devices',
+          'DELETE /sessions - Sign out all other devices',
+          'POST /impersonation/stop - Stop impersonating a user',
+          'GET /me/export - Download all account data as JSON',
+          'POST /me/deletion - Schedule account deletion',
+          'DELETE /me/deletion - Cancel a pending account deletion',
+          'DELETE /sessions/:id - Sign out a device',
+          'GET /keys - List API keys',
+          'POST /keys - Create a scoped API key',
+          'POST /keys/:id/rotate - Rotate an API key',
+          'GET /keys/:id/budget - Get an API key\'s monthly budget and spend',
+          'PUT /keys/:id/budget - Set an API key\'s monthly budget',
+          'DELETE /keys/:id - Revoke an API key',
+          'GET /2fa - Get two-factor status',
+          'POST /2fa/setup - Start two-factor enrolment',
+          'POST /2fa/enable - Confirm two-factor enrolment',
+          'POST /2fa/recovery-codes - Regenerate recovery codes',
+          'POST /2fa/disable - Turn off two-factor authentication',
+          'POST /forgot-password - Email a password reset link',
+          'POST /reset-password - Set a new password with a reset token',
+          'POST /verify-email - Confirm an email address',
+          'POST /verify-email/resend - Resend the verification email'
         ]
       },
       ai: {
@@ -251,11 +327,37 @@ router.get('/docs', (req, res) => {
           'POST /generate - Generate AI content',
           'POST /embeddings - Generate embeddings',
           'POST /images - Generate images',
+          'POST /batch - Queue a batch of generation, embedding and image jobs',
+          'GET /batch/:batchId - Get batch progress',
+          'GET /batch/:batchId/results - Download batch results (JSONL)',
           'GET /status/:taskId - Get task status',
+          'DELETE /tasks/:taskId - Cancel an in-flight generation or video task',
           'GET /history - Get user history',
           'GET /models - Get available models',
           'GET /models/:provider - Get provider models',
-          'GET /usage - Get usage statistics'
+          'GET /usage - Get usage statistics',
+          'GET /routing - Get routing policies and current default',
+          'PUT /routing - Set default routing policy',
+          'DELETE /routing - Clear default routing policy'
+        ]
+      },
+      billing: {
+        base: '/api/v1/billing',
+        endpoints: [
+          'GET /balance - Get credit balance',
+          'GET /transactions - List credit ledger entries',
+          'GET /invoices - List monthly invoices',
+          'GET /invoices/:period - Get a month\'s invoice as JSON, HTML or PDF'
+        ]
+      },
+      openai: {
+        base: '/v1',
+        endpoints: [
+          'POST /chat/completions - OpenAI-compatible chat completions',
+          'POST /embeddings - OpenAI-compatible embeddings',
+          'POST /images/generations - OpenAI-compatible image generation',
+          'GET /models - List models in the OpenAI format',
+          'GET /models/:model - Get a model in the OpenAI format'
         ]
       },
       webhooks: {
@@ -271,16 +373,63 @@ router.get('/docs', (req, res) => {
           'GET /events - List available events'
         ]
       },
+      organizations: {
+        base: '/api/organizations',
+        endpoints: [
+          'POST / - Create an organization',
+          'GET /current - Get your organization and role',
+          'GET /invitations - List invitations sent to your email',
+          'POST /invitations/:invitationId/accept - Join an organization',
+          'GET /:id - Get organization details',
+          'PUT /:id - Rename an organization',
+          'GET /:id/members - List members',
+          'PUT /:id/members/:userId - Change a member\'s role',
+          'DELETE /:id/members/:userId - Remove a member or leave',
+          'GET /:id/invitations - List pending invitations',
+          'POST /:id/invitations - Invite by email',
+          'DELETE /:id/invitations/:invitationId - Withdraw an invitation',
+          'GET /:id/keys - List organization API keys',
+          'POST /:id/keys - Create an organization API key',
+          'POST /:id/keys/:keyId/rotate - Rotate an organization API key',
+          'PUT /:id/keys/:keyId/budget - Set an organization API key\'s monthly budget',
+          'DELETE /:id/keys/:keyId - Revoke an organization API key',
+          'GET /:id/usage - Shared quota, budget and usage by member',
+          'PUT /:id/budget - Set the monthly budget and its thresholds'
+        ]
+      },
       admin: {
         base: '/api/admin',
         endpoints: [
           'GET /users - List users',
           'GET /users/:id - Get user details',
           'PUT /users/:id - Update user',
-          'DELETE /users/:id - Delete user',
+          'DELETE /users/:id - Deactivate a user and schedule their data for erasure',
+          'DELETE /users/:id/deletion - Cancel a pending user deletion',
+          'POST /users/:id/impersonate - Act as a user with a short-lived token',
+          'DELETE /users/:id/2fa - Reset a user\'s two-factor authentication',
           'GET /users/:id/quota - Get user quota',
           'PUT /users/:id/quota - Update user quota',
           'POST /users/:id/quota/reset - Reset user quota',
+          'GET /users/:id/plan - Get a user\'s plan and plan history',
+          'PUT /users/:id/plan - Assign a plan to a user',
+          'GET /users/:id/credits - Get a user\'s credit balance and ledger',
+          'POST /users/:id/credits - Top up or adjust a user\'s credit',
+          'GET /plans - List plans',
+          'GET /organizations - List organizations',
+          'PUT /organizations/:id/quota - Update organization quota and budget',
+          'GET /organizations/:id/plan - Get an organization\'s plan and plan history',
+          'PUT /organizations/:id/plan - Assign a plan to an organization',
+          'GET /analytics/organizations - Usage by organization or member',
+          'GET /sso/domains - List email domain SSO policies',
+          'PUT /sso/domains/:domain - Require SSO for an email domain',
+          'DELETE /sso/domains/:domain - Remove an email domain SSO policy',
+          'GET /roles - List roles and the permission catalogue',
+          'POST /roles - Create a custom role',
+          'PUT /roles/:name - Update a custom role',
+          'DELETE /roles/:name - Delete an unused custom role',
+          'GET /audit - List audit log entries',
+          'GET /audit/export - Export audit log entries as CSV or NDJSON',
+          'GET /audit/verify - Check the audit log hash chain',
           'GET /system/stats - Get system stats',
           'GET /system/health - Get system health',
           'POST /system/cleanup - Trigger system cleanup',
@@ -292,8 +441,10 @@ router.get('/docs', (req, res) => {
         endpoints: [
           'GET / - API info',
           'GET /usage - Get user usage',
-          'GET /quota - Get user quota',
+          'GET /quota - Get user quota and plan entitlements',
           'POST /quota/reset - Reset user quota',
+          'GET /budget - Monthly budgets that apply to the caller',
+          'GET /plans - List plans',
           'GET /models - Get all models',
           'GET /models/:provider - Get provider models',
           'GET /health - Health check',
@@ -302,15 +453,9 @@ router.get('/docs', (req, res) => {
       }
     },
     rateLimiting: {
-      description: 'Rate limits are applied per user',
-      limits: {
-        requestsPerMinute: 60,
-        requestsPerHour: 1000,
-        requestsPerDay: 10000,
-        tokensPerMinute: 10000,
-        tokensPerHour: 100000,
-        tokensPerDay: 1000000
-      }
+      description: 'Rate limits are applied per user and set by their plan; see GET /api/v1/plans',
+      defaultPlan: planService.config.defaultPlan,
+      limits: planService.getPlan().quota
     },
     features: [
       'Multiple AI provider support (Minimax, OpenAI, Anthropic)',
@@ -323,11 +468,10 @@ router.get('/docs', (req, res) => {
       'Admin management interface',
       'Usage analytics and reporting'
     ],
-    supportedModels: [
-      'Minimax: abab5.5-chat, abab5.5s-chat, hailuo-2.3',
-      'OpenAI: gpt-4, gpt-3.5-turbo (when configured)',
-      'Anthropic: claude-3 (when configured)'
-    ]
+    supportedModels: aiService.registry.list().map(provider =>
+      `${provider.name}: ${provider.models.map(model => model.id).join(', ')}` +
+      (provider.enabled ? '' : ' (when configured)')
+    )
   };
 
   res.json(responseFormatter.success(docs).body);
@@ -3,13 +3,31 @@ const router = express.Router();
 const authService = require('../services/authService');
 const authMiddleware = require('../middleware/auth');
 const db = require('../config/database');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const twoFactorService = require('../services/twoFactorService');
+const ssoService = require('../services/ssoService');
+const roleService = require('../services/roleService');
+const auditService = require('../services/auditService');
+const impersonationService = require('../services/impersonationService');
+const privacyService = require('../services/privacyService');
+const quotaService = require('../services/quotaService');
 const {
   handleValidationErrors,
   validateRegistration,
   validateLogin,
   validatePasswordResetRequest,
   validatePasswordReset,
+  validateEmailVerification,
+  validateVerificationResend,
+  validateSsoExchange,
   validateTokenRefresh,
+  validateApiKeyCreation,
+  validateBudget,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateAccountDeletion,
   sanitizeInput
 } = require('../middleware/validation');
 const logger = require('../utils/logger');
@@ -17,6 +35,15 @@ const logger = require('../utils/logger');
 // Apply input sanitization to all auth routes
 router.use(sanitizeInput);
 
+/**
+ * Where a request came from, recorded on the session it starts and in the audit log
+ */
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null,
+  requestId: req.requestId || null
+});
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -31,7 +58,7 @@ router.post('/register',
       
       logger.info(`Registration attempt for email: ${email}`);
       
-      const result = await authService.register({ email, password, role });
+      const result = await authService.register({ email, password, role }, requestContext(req));
       
       res.status(201).json({
         success: true,
@@ -39,7 +66,7 @@ router.post('/register',
       });
     } catch (error) {
       logger.error('Registration error:', error);
-      next(error);
+      sendClientError(res, next, error);
     }
   }
 );
@@ -58,7 +85,7 @@ router.post('/login',
       
       logger.info(`Login attempt for email: ${email}`);
       
-      const result = await authService.login(email, password);
+      const result = await authService.login(email, password, requestContext(req));
       
       res.status(200).json({
         success: true,
@@ -66,14 +93,60 @@ router.post('/login',
       });
     } catch (error) {
       logger.error('Login error:', error);
-      next(error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Answer client errors (those with a 4xx statusCode) directly so their
+ * message survives; everything else goes to the error handler
+ */
+const sendClientError = (res, next, error) => {
+  if (error.statusCode >= 400 && error.statusCode < 500) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code
+      }
+    });
+  }
+  next(error);
+};
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a login with a TOTP or recovery code
+ * @access  Public (challenge token from /login)
+ */
+router.post('/login/2fa',
+  validateTwoFactorLogin,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const result = await authService.verifyTwoFactorLogin(
+        challengeToken,
+        { code, recoveryCode },
+        requestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Two-factor login error:', error);
+      sendClientError(res, next, error);
     }
   }
 );
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @desc    Exchange a refresh token for a new access and refresh token pair
  * @access  Public
  */
 router.post('/refresh',
@@ -86,7 +159,7 @@ router.post('/refresh',
       
       logger.info(`Token refresh attempt for user: ${req.user.email}`);
       
-      const result = await authService.refreshToken(refreshToken);
+      const result = await authService.refreshToken(refreshToken, requestContext(req));
       
       res.status(200).json({
         success: true,
@@ -94,7 +167,7 @@ router.post('/refresh',
       });
     } catch (error) {
       logger.error('Token refresh error:', error);
-      next(error);
+      sendClientError(res, next, error);
     }
   }
 );
@@ -174,6 +247,155 @@ router.post('/reset-password',
   }
 );
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification email
+ * @access  Public
+ */
+router.post('/verify-email',
+  validateEmailVerification,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const result = await authService.verifyEmail(req.body.token);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Email verification error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new verification email to the signed-in user, or to { email }
+ * @access  Public (uses the session when one is sent)
+ */
+router.post('/verify-email/resend',
+  authMiddleware.optionalAuth,
+  validateVerificationResend,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      if (!req.user && !req.body.email) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Email is required when not signed in',
+            code: 'EMAIL_REQUIRED'
+          }
+        });
+      }
+
+      const result = await authService.resendEmailVerification(
+        req.user ? { userId: req.user.id } : { email: req.body.email }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Verification resend error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/auth/sso/providers
+ * @desc    List configured single sign-on providers
+ * @access  Public
+ */
+router.get('/sso/providers', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      providers: ssoService.listProviders()
+    }
+  });
+});
+
+const SSO_BINDING_COOKIE = 'sso_binding';
+
+const ssoCookieOptions = (req) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Lax still sends it on the provider's top-level redirect back to us
+  sameSite: 'lax',
+  path: `${req.baseUrl}/sso`
+});
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+/**
+ * @route   GET /api/auth/sso/:provider/start
+ * @desc    Redirect the browser to the provider's sign-in page, binding the
+ *          sign-in to this browser with a cookie
+ * @access  Public
+ */
+router.get('/sso/:provider/start', async (req, res, next) => {
+  try {
+    const { url, binding } = await ssoService.createAuthorizationUrl(req.params.provider);
+    res.cookie(SSO_BINDING_COOKIE, binding, { ...ssoCookieOptions(req), maxAge: ssoService.config.stateTtl });
+    res.redirect(302, url);
+  } catch (error) {
+    logger.error('SSO start error:', error);
+    sendClientError(res, next, error);
+  }
+});
+
+/**
+ * @route   GET /api/auth/sso/:provider/callback
+ * @desc    Provider redirect target; sends the browser back to the app with
+ *          a one-time code, or with an error code
+ * @access  Public
+ */
+router.get('/sso/:provider/callback', async (req, res) => {
+  try {
+    const binding = readCookie(req, SSO_BINDING_COOKIE);
+    res.clearCookie(SSO_BINDING_COOKIE, ssoCookieOptions(req));
+
+    const code = await ssoService.handleCallback(req.params.provider, req.query, binding);
+    res.redirect(302, ssoService.appRedirect({ code }));
+  } catch (error) {
+    logger.error('SSO callback error:', error);
+    res.redirect(302, ssoService.appRedirect({ error: error.code || 'SSO_FAILED' }));
+  }
+});
+
+/**
+ * @route   POST /api/auth/sso/exchange
+ * @desc    Trade the one-time code from the SSO callback for a session
+ * @access  Public
+ */
+router.post('/sso/exchange',
+  validateSsoExchange,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const result = await ssoService.exchangeLoginCode(req.body.code, requestContext(req));
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('SSO exchange error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -186,6 +408,17 @@ router.get('/me',
       logger.info(`Profile request for user: ${req.user.email}`);
       
       const result = await authService.getCurrentUser(req.user.id);
+
+      // Lets the app show who is really looking
+      result.user.impersonation = req.impersonation
+        ? {
+          id: req.impersonation.id,
+          impersonator: { id: req.impersonation.impersonator.id, email: req.impersonation.impersonator.email },
+          reason: req.impersonation.reason,
+          expiresAt: req.impersonation.expiresAt
+        }
+        : null;
+      result.user.deletion = await privacyService.getDeletion(req.user.id);
       
       res.status(200).json({
         success: true,
@@ -198,6 +431,38 @@ router.get('/me',
   }
 );
 
+/**
+ * @route   POST /api/auth/impersonation/stop
+ * @desc    End the impersonation the request's token belongs to
+ * @access  Private (impersonation token)
+ */
+router.post('/impersonation/stop',
+  authMiddleware.verifyToken,
+  async (req, res, next) => {
+    try {
+      if (!req.impersonation) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'This token is not impersonating anyone',
+            code: 'NOT_IMPERSONATING'
+          }
+        });
+      }
+
+      await impersonationService.stop(req.impersonation, req.user, requestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Impersonation ended'
+      });
+    } catch (error) {
+      logger.error('Stop impersonation error:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   PUT /api/auth/me
  * @desc    Update current user profile
@@ -205,6 +470,7 @@ router.get('/me',
  */
 router.put('/me',
   authMiddleware.verifyToken,
+  authMiddleware.requireSession,
   async (req, res, next) => {
     try {
       const { email, password } = req.body;
@@ -260,4 +526,532 @@ router.put('/me',
   }
 );
 
+/**
+ * @route   GET /api/auth/me/export
+ * @desc    Download everything stored about the account as JSON
+ * @access  Private (session only)
+ */
+router.get('/me/export',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const archive = await privacyService.exportAccount(req.user);
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'user.data_export',
+        target: { type: 'user', id: req.user.id }
+      });
+
+      res.attachment(`account-export-${req.user.id}.json`);
+      res.type('application/json');
+      res.status(200).send(JSON.stringify(archive, null, 2));
+    } catch (error) {
+      logger.error('Account export error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/me/deletion
+ * @desc    Schedule the account for deletion after the grace period
+ * @access  Private (session only)
+ */
+router.post('/me/deletion',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  validateAccountDeletion,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const deletion = await privacyService.requestDeletion(req.user, req.body, requestContext(req));
+
+      res.status(202).json({
+        success: true,
+        message: `Your account will be deleted on ${deletion.scheduledFor}`,
+        data: {
+          deletion
+        }
+      });
+    } catch (error) {
+      logger.error('Account deletion request error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/auth/me/deletion
+ * @desc    Cancel a pending account deletion
+ * @access  Private (session only)
+ */
+router.delete('/me/deletion',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const cancelled = await privacyService.cancelDeletion(req.user, req.user, requestContext(req));
+
+      if (!cancelled) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'No account deletion is pending',
+            code: 'DELETION_NOT_PENDING'
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Account deletion cancelled'
+      });
+    } catch (error) {
+      logger.error('Cancel account deletion error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List signed-in devices; the caller's own is flagged current
+ * @access  Private (session only)
+ */
+router.get('/sessions',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const sessions = await authService.listSessions(req.user.id, req.sessionId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          sessions
+        }
+      });
+    } catch (error) {
+      logger.error('List sessions error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device
+ * @access  Private (session only)
+ */
+router.delete('/sessions',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const revoked = await Session.revokeAllForUser(req.user.id, {
+        exceptId: req.sessionId,
+        reason: 'revoked'
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          revoked
+        }
+      });
+    } catch (error) {
+      logger.error('Revoke sessions error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one device
+ * @access  Private (session only)
+ */
+router.delete('/sessions/:id',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      await authService.revokeSession(req.user.id, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked'
+      });
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Load one of the current user's API keys, answering 404 otherwise
+ */
+const findUserKey = async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey || apiKey.user_id !== req.user.id) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'API key not found'
+      }
+    });
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * @route   GET /api/auth/keys
+ * @desc    List the current user's API keys and the scopes they can hold
+ * @access  Private (session only)
+ */
+router.get('/keys',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const keys = await ApiKey.findByUser(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          keys: keys.map(key => key.toJSON()),
+          scopes: ApiKey.SCOPES
+        }
+      });
+    } catch (error) {
+      logger.error('List API keys error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/keys
+ * @desc    Create an API key; the secret is only returned in this response
+ * @access  Private (session only)
+ */
+router.post('/keys',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  validateApiKeyCreation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      // Admin scopes only reach routes the owner's role permits anyway
+      const hasAdminAccess = (await roleService.getPermissions(req.user.role)).length > 0;
+      if (!hasAdminAccess && scopes.some(scope => scope.startsWith('admin:'))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Only staff with admin permissions can create keys with admin scopes'
+          }
+        });
+      }
+
+      const { apiKey, key } = await ApiKey.create({
+        userId: req.user.id,
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      });
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'api_key.create',
+        target: { type: 'api_key', id: apiKey.id },
+        metadata: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, organizationId: apiKey.organization_id }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          apiKey: apiKey.toJSON(),
+          key
+        }
+      });
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/keys/:id/rotate
+ * @desc    Revoke an API key and issue a replacement with the same settings
+ * @access  Private (session only)
+ */
+router.post('/keys/:id/rotate',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const existing = await findUserKey(req, res);
+      if (!existing) return;
+
+      if (existing.isRevoked()) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'API key has been revoked'
+          }
+        });
+      }
+
+      const { apiKey, key } = await existing.rotate();
+      await quotaService.setApiKeyQuota(apiKey.id, await quotaService.getApiKeyQuota(existing.id));
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'api_key.rotate',
+        target: { type: 'api_key', id: apiKey.id },
+        metadata: { prefix: apiKey.prefix, replaces: existing.id, organizationId: apiKey.organization_id }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          apiKey: apiKey.toJSON(),
+          key,
+          replaces: existing.id
+        }
+      });
+    } catch (error) {
+      logger.error('Rotate API key error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/auth/keys/:id/budget
+ * @desc    An API key's monthly budget and spend this month
+ * @access  Private (session only)
+ */
+router.get('/keys/:id/budget',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const apiKey = await findUserKey(req, res);
+      if (!apiKey) return;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          budget: await quotaService.getApiKeyBudget(apiKey.id)
+        }
+      });
+    } catch (error) {
+      logger.error('Get API key budget error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/auth/keys/:id/budget
+ * @desc    Set an API key's monthly USD budget and its warn and block
+ *          thresholds; a null budget removes the cap
+ * @access  Private (session only)
+ */
+router.put('/keys/:id/budget',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  validateBudget,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const apiKey = await findUserKey(req, res);
+      if (!apiKey) return;
+
+      const { monthlyBudget, budgetWarnAt, budgetBlockAt } = req.body;
+      const quota = await quotaService.setApiKeyQuota(apiKey.id, { monthlyBudget, budgetWarnAt, budgetBlockAt });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          quota
+        }
+      });
+    } catch (error) {
+      logger.error('Update API key budget error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/auth/keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (session only)
+ */
+router.delete('/keys/:id',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const apiKey = await findUserKey(req, res);
+      if (!apiKey) return;
+
+      if (!apiKey.isRevoked()) {
+        await apiKey.revoke();
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          apiKey: apiKey.toJSON()
+        }
+      });
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status and remaining recovery codes
+ * @access  Private (session only)
+ */
+router.get('/2fa',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: twoFactorService.getStatus(req.user)
+    });
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolment; returns the secret and an otpauth:// URI for a QR code
+ * @access  Private (session only)
+ */
+router.post('/2fa/setup',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const result = await twoFactorService.setup(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Two-factor setup error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code from the authenticator
+ * @access  Private (session only)
+ */
+router.post('/2fa/enable',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  validateTwoFactorCode,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const recoveryCodes = await twoFactorService.enable(req.user, req.body.code);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          enabled: true,
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      logger.error('Two-factor enable error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes; requires a current code
+ * @access  Private (session only)
+ */
+router.post('/2fa/recovery-codes',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  validateTwoFactorCode,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await twoFactorService.verify(req.user, { code: req.body.code });
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      logger.error('Recovery code regeneration error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off; requires the password and a code or recovery code
+ * @access  Private (session only)
+ */
+router.post('/2fa/disable',
+  authMiddleware.verifyToken,
+  authMiddleware.requireSession,
+  async (req, res, next) => {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      if (!password || !(await User.comparePassword(password, req.user.password_hash))) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Invalid password'
+          }
+        });
+      }
+
+      await twoFactorService.verify(req.user, { code, recoveryCode });
+      await twoFactorService.disable(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: twoFactorService.getStatus(req.user)
+      });
+    } catch (error) {
+      logger.error('Two-factor disable error:', error);
+      sendClientError(res, next, error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
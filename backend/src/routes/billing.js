@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const billingService = require('../services/billingService');
+const auth = require('../middleware/auth');
+const { query, param, validationResult } = require('express-validator');
+const { renderHtml, renderPdf } = require('../utils/invoice');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(
+      responseFormatter.validationError(errors.array()).body
+    );
+  }
+  next();
+};
+
+const isPeriod = value => billingService.isValidPeriod(value);
+const PERIOD_MESSAGE = 'period must be a month as YYYY-MM';
+
+const sendError = (req, res, error, message, code) => {
+  logger.error(message, {
+    userId: req.user.id,
+    error: error.message
+  });
+
+  res.status(500).json(
+    responseFormatter.error(error, { message, code }).body
+  );
+};
+
+/**
+ * @route   GET /api/v1/billing/balance
+ * @desc    Current credit balance
+ * @access  Private
+ */
+router.get('/balance',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  async (req, res) => {
+    try {
+      res.json(responseFormatter.success({
+        balance: await billingService.getBalance(req.user.id),
+        currency: billingService.config.currency,
+        prepaid: billingService.config.prepaid
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to get credit balance', 'GET_BALANCE_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/v1/billing/transactions
+ * @desc    Credit ledger entries, newest first
+ * @access  Private
+ */
+router.get('/transactions',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  query('type').optional().isIn(['topup', 'usage', 'refund', 'adjustment'])
+    .withMessage('type must be topup, usage, refund or adjustment'),
+  query('period').optional().custom(isPeriod).withMessage(PERIOD_MESSAGE),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { type, period, limit = 50, offset = 0 } = req.query;
+      const { transactions, total } = await billingService.getTransactions(req.user.id, { type, period, limit, offset });
+
+      res.json(responseFormatter.success({
+        transactions: transactions.map(entry => entry.toJSON()),
+        total,
+        limit,
+        offset
+      }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to get transactions', 'GET_TRANSACTIONS_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/v1/billing/invoices
+ * @desc    Monthly invoices with ledger activity, newest first
+ * @access  Private
+ */
+router.get('/invoices',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  async (req, res) => {
+    try {
+      const invoices = await billingService.listInvoices(req.user);
+
+      res.json(responseFormatter.success({ invoices }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to list invoices', 'LIST_INVOICES_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/v1/billing/invoices/:period
+ * @desc    Invoice for a month (YYYY-MM) as JSON, HTML or PDF
+ * @access  Private
+ */
+router.get('/invoices/:period',
+  auth.verifyToken,
+  auth.requireScope('ai:read'),
+  param('period').custom(isPeriod).withMessage(PERIOD_MESSAGE),
+  query('format').optional().isIn(['json', 'html', 'pdf'])
+    .withMessage('format must be json, html or pdf'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const invoice = await billingService.generateInvoice(req.user, req.params.period);
+      const { format = 'json' } = req.query;
+
+      if (format === 'html') {
+        return res.type('html').send(renderHtml(invoice));
+      }
+      if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+        return res.send(renderPdf(invoice));
+      }
+
+      res.json(responseFormatter.success({ invoice }).body);
+
+    } catch (error) {
+      sendError(req, res, error, 'Failed to generate invoice', 'GET_INVOICE_FAILED');
+    }
+  }
+);
+
+module.exports = router;
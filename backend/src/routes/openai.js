@@ -0,0 +1,539 @@
+const express = require('express');
+const router = express.Router();
+const aiService = require('../services/aiService');
+const providerRegistry = require('../services/providerRegistry');
+const planService = require('../services/planService');
+const quotaService = require('../services/quotaService');
+const webhookService = require('../services/webhookService');
+const auth = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { formatEvent, writeWithBackpressure } = require('../utils/sse');
+
+/**
+ * OpenAI-compatible API
+ * Accepts and answers in the OpenAI wire format so existing OpenAI clients
+ * can point their base URL at /v1. Requests run through aiService with the
+ * same quota, usage and webhook handling as the native /api/v1/ai routes.
+ */
+
+const STREAM_HEARTBEAT_INTERVAL = parseInt(process.env.AI_STREAM_HEARTBEAT_MS) || 15000;
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  409: 'invalid_request_error',
+  429: 'rate_limit_error'
+};
+
+/**
+ * Send an error in the OpenAI error envelope
+ */
+const sendError = (res, statusCode, message, { code = null, param = null } = {}) => {
+  res.status(statusCode).json({
+    error: {
+      message,
+      type: ERROR_TYPES[statusCode] || 'api_error',
+      param,
+      code
+    }
+  });
+};
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const [first] = errors.array();
+    return sendError(res, 400, first.msg, { param: first.path });
+  }
+  next();
+};
+
+/**
+ * Reject unknown models, or models that can't serve this endpoint, the way
+ * OpenAI does instead of silently routing to another model. Models outside
+ * the caller's plan are refused too.
+ */
+const requireModel = (type) => (req, res, next) => {
+  const { model } = req.body;
+  const match = providerRegistry.findModel(model);
+
+  if (!match) {
+    return sendError(res, 404, `The model '${model}' does not exist`, {
+      code: 'model_not_found',
+      param: 'model'
+    });
+  }
+
+  if (match.model.type !== type) {
+    return sendError(res, 400, `The model '${model}' does not support this endpoint`, {
+      code: 'model_not_supported',
+      param: 'model'
+    });
+  }
+
+  if (!planService.isModelAllowed(req.plan, model)) {
+    return sendError(res, 403, `The model '${model}' is not included in the ${req.plan.label} plan`, {
+      code: 'model_not_in_plan',
+      param: 'model'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reserve the request's estimate against the caller's key, as the native
+ * routes do; quota errors surface as 429s. The reservation is kept on req
+ * until settleUsage or handleFailure closes it.
+ * @param {Object} req - Request of the authenticated key
+ * @param {Object} estimate - tokens, estimated cost and requestType
+ */
+const reserveQuota = async (req, estimate) => {
+  try {
+    req.quotaReservation = await quotaService.reserve(req.user.id, { ...estimate, apiKeyId: req.apiKeyId });
+  } catch (error) {
+    error.statusCode = error.statusCode || 429;
+    error.code = error.code || 'rate_limit_exceeded';
+    throw error;
+  }
+};
+
+/**
+ * Swap the request's held estimate for what it actually used
+ */
+const settleUsage = (req, usage) => quotaService.settle(req.quotaReservation, usage);
+
+/**
+ * Give back the failed request's reservation, if it got one, and answer
+ * with its error. A stream that has started can only be ended.
+ */
+const handleFailure = async (req, res, error, action) => {
+  logger.error(`OpenAI-compatible ${action} failed`, {
+    userId: req.user.id,
+    error: error.message
+  });
+
+  await quotaService.release(req.quotaReservation, aiService.releaseReason(error));
+
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+
+  const statusCode = error.statusCode || 500;
+  sendError(res, statusCode, error.message, {
+    code: error.code ? String(error.code).toLowerCase() : null
+  });
+};
+
+const toUsage = (usage = {}) => ({
+  prompt_tokens: usage.promptTokens || 0,
+  completion_tokens: usage.completionTokens || 0,
+  total_tokens: usage.totalTokens || 0
+});
+
+const unixTime = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Playground function definitions from OpenAI tools (or legacy functions)
+ */
+const toFunctions = ({ tools, functions }) => {
+  if (Array.isArray(tools)) {
+    return tools
+      .filter(tool => tool.type === 'function' && tool.function)
+      .map(tool => tool.function);
+  }
+
+  return functions || null;
+};
+
+const toMessage = (result) => {
+  const message = { role: 'assistant', content: result.content ?? null };
+
+  if (result.toolCalls?.length) {
+    message.tool_calls = result.toolCalls.map(call => ({
+      id: call.id,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments)
+      }
+    }));
+  }
+
+  return message;
+};
+
+const triggerCompleted = (userId, taskId, model, provider, tokensUsed, cost) => {
+  webhookService.triggerEvent('ai.generation.completed', {
+    userId,
+    taskId,
+    model,
+    provider,
+    tokensUsed,
+    cost
+  }).catch(err => {
+    logger.error('Webhook trigger failed', { error: err.message });
+  });
+};
+
+/**
+ * Relay a provider stream as chat.completion.chunk events
+ */
+const streamCompletion = async (req, res, result, { includeUsage }) => {
+  const userId = req.user.id;
+  const id = `chatcmpl-${result.taskId}`;
+  const created = unixTime();
+  let clientClosed = false;
+
+  const chunk = (delta, finishReason = null) => formatEvent({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model: result.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      result.abort();
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!clientClosed) res.write(': heartbeat\n\n');
+  }, STREAM_HEARTBEAT_INTERVAL);
+
+  let summary = null;
+
+  try {
+    await writeWithBackpressure(res, chunk({ role: 'assistant', content: '' }));
+
+    for await (const update of result.chunks) {
+      if (update.done) {
+        summary = update;
+      } else if (update.delta && !clientClosed) {
+        await writeWithBackpressure(res, chunk({ content: update.delta }));
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const tokensUsed = summary.usage.totalTokens;
+
+  await settleUsage(req, {
+    tokens: tokensUsed,
+    cost: summary.cost,
+    success: summary.status !== 'failed',
+    model: summary.model,
+    provider: summary.provider,
+    reference: result.taskId
+  });
+
+  if (summary.status === 'completed') {
+    triggerCompleted(userId, result.taskId, summary.model, summary.provider, tokensUsed, summary.cost);
+  }
+
+  if (clientClosed) return;
+
+  if (summary.status === 'failed') {
+    res.write(formatEvent({
+      error: { message: summary.error, type: 'api_error', param: null, code: 'ai_generation_failed' }
+    }));
+  } else {
+    res.write(chunk({}, summary.finishReason || 'stop'));
+
+    if (includeUsage) {
+      res.write(formatEvent({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model: summary.model,
+        choices: [],
+        usage: toUsage(summary.usage)
+      }));
+    }
+  }
+
+  res.write(formatEvent('[DONE]'));
+  res.end();
+};
+
+/**
+ * @route   POST /v1/chat/completions
+ * @desc    OpenAI-compatible chat completion
+ * @access  Private (API key)
+ */
+router.post('/chat/completions',
+  auth.verifyApiKey,
+  auth.requireScope('ai:generate'),
+  body('model').isString().withMessage('model is required'),
+  body('messages').isArray({ min: 1 }).withMessage('messages must be a non-empty array'),
+  body('temperature').optional().isFloat({ min: 0, max: 2 }).withMessage('temperature must be between 0 and 2'),
+  body(['max_tokens', 'max_completion_tokens']).optional().isInt({ min: 1 })
+    .withMessage('max_tokens must be a positive integer'),
+  body('n').optional().isInt({ min: 1, max: 1 }).withMessage('Only n=1 is supported'),
+  body('stream').optional().isBoolean().withMessage('stream must be a boolean'),
+  body(['tools', 'functions']).optional().isArray().withMessage('tools must be an array'),
+  handleValidationErrors,
+  requireModel('chat'),
+  async (req, res) => {
+    try {
+      const { model, messages, temperature, stream = false, stream_options: streamOptions } = req.body;
+      const maxTokens = req.body.max_completion_tokens || req.body.max_tokens;
+      const userId = req.user.id;
+
+      const estimatedTokens = maxTokens || 1000;
+      await reserveQuota(req, {
+        tokens: estimatedTokens,
+        cost: await aiService.estimateCost('generation', {
+          model,
+          userId,
+          plan: req.plan?.name,
+          usageEstimate: aiService.estimateUsage(null, messages, estimatedTokens)
+        }),
+        requestType: 'generation'
+      });
+
+      const result = await aiService.generate({
+        messages,
+        model,
+        temperature,
+        maxTokens,
+        stream,
+        functions: toFunctions(req.body),
+        userId,
+        plan: req.plan?.name
+      });
+
+      if (result.chunks) {
+        await streamCompletion(req, res, result, { includeUsage: !!streamOptions?.include_usage });
+        return;
+      }
+
+      const tokensUsed = result.usage?.totalTokens || estimatedTokens;
+      await settleUsage(req, {
+        tokens: tokensUsed,
+        cost: result.cost,
+        model: result.model,
+        provider: result.provider,
+        reference: result.taskId
+      });
+      triggerCompleted(userId, result.taskId, result.model, result.provider, tokensUsed, result.cost);
+
+      const message = toMessage(result);
+      const completion = {
+        id: `chatcmpl-${result.taskId}`,
+        object: 'chat.completion',
+        created: unixTime(),
+        model: result.model,
+        choices: [{
+          index: 0,
+          message,
+          finish_reason: message.tool_calls ? 'tool_calls' : result.finishReason || 'stop'
+        }],
+        usage: toUsage(result.usage)
+      };
+
+      // Providers without incremental output send the whole completion as one chunk
+      if (stream) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.write(formatEvent({
+          ...completion,
+          object: 'chat.completion.chunk',
+          choices: [{ index: 0, delta: message, finish_reason: completion.choices[0].finish_reason }]
+        }));
+        res.write(formatEvent('[DONE]'));
+        res.end();
+        return;
+      }
+
+      res.json(completion);
+
+    } catch (error) {
+      await handleFailure(req, res, error, 'chat completion');
+    }
+  }
+);
+
+/**
+ * @route   POST /v1/embeddings
+ * @desc    OpenAI-compatible embeddings
+ * @access  Private (API key)
+ */
+router.post('/embeddings',
+  auth.verifyApiKey,
+  auth.requireScope('ai:generate'),
+  body('model').isString().withMessage('model is required'),
+  body('input').custom(input => typeof input === 'string' ||
+    (Array.isArray(input) && input.length > 0 && input.every(text => typeof text === 'string')))
+    .withMessage('input must be a string or a non-empty array of strings'),
+  body('encoding_format').optional().isIn(['float']).withMessage('Only the float encoding_format is supported'),
+  handleValidationErrors,
+  requireModel('embeddings'),
+  async (req, res) => {
+    try {
+      const { model, input } = req.body;
+      const texts = Array.isArray(input) ? input : [input];
+      const userId = req.user.id;
+
+      const estimatedTokens = texts.length * 100;
+      await reserveQuota(req, {
+        tokens: estimatedTokens,
+        cost: await aiService.estimateCost('embeddings', {
+          model,
+          userId,
+          plan: req.plan?.name,
+          usageEstimate: aiService.estimateUsage(texts.join(' '), null, 0)
+        }),
+        requestType: 'embeddings'
+      });
+
+      const result = await aiService.generateEmbeddings({
+        texts,
+        model,
+        userId,
+        plan: req.plan?.name
+      });
+
+      const tokensUsed = result.usage?.totalTokens || estimatedTokens;
+      await settleUsage(req, {
+        tokens: tokensUsed,
+        cost: result.cost,
+        model: result.model,
+        provider: result.provider,
+        reference: result.taskId
+      });
+
+      res.json({
+        object: 'list',
+        data: result.embeddings.map((embedding, index) => ({
+          object: 'embedding',
+          index,
+          embedding
+        })),
+        model: result.model,
+        usage: {
+          prompt_tokens: result.usage?.promptTokens || 0,
+          total_tokens: result.usage?.totalTokens || 0
+        }
+      });
+
+    } catch (error) {
+      await handleFailure(req, res, error, 'embeddings');
+    }
+  }
+);
+
+/**
+ * @route   POST /v1/images/generations
+ * @desc    OpenAI-compatible image generation
+ * @access  Private (API key)
+ */
+router.post('/images/generations',
+  auth.verifyApiKey,
+  auth.requireScope('ai:generate'),
+  body('prompt').isString().isLength({ min: 1, max: 1000 })
+    .withMessage('prompt must be between 1 and 1000 characters'),
+  body('model').isString().withMessage('model is required'),
+  body('n').optional().isInt({ min: 1, max: 1 }).withMessage('Only n=1 is supported'),
+  body('response_format').optional().isIn(['url']).withMessage('Only the url response_format is supported'),
+  handleValidationErrors,
+  requireModel('image'),
+  async (req, res) => {
+    try {
+      const { prompt, model, size, quality } = req.body;
+      const userId = req.user.id;
+
+      await reserveQuota(req, {
+        tokens: 1000,
+        cost: await aiService.estimateCost('image', {
+          model,
+          userId,
+          plan: req.plan?.name,
+          usageEstimate: { images: 1, quality }
+        }),
+        requestType: 'image_generation'
+      });
+
+      const result = await aiService.generateImage({
+        prompt,
+        model,
+        size,
+        quality,
+        userId,
+        plan: req.plan?.name
+      });
+
+      await settleUsage(req, {
+        tokens: 1000,
+        cost: result.cost,
+        model: result.model,
+        provider: result.provider,
+        reference: result.taskId
+      });
+
+      res.json({
+        created: unixTime(),
+        data: [{ url: result.url, revised_prompt: result.revisedPrompt }]
+      });
+
+    } catch (error) {
+      await handleFailure(req, res, error, 'image generation');
+    }
+  }
+);
+
+/**
+ * @route   GET /v1/models
+ * @desc    List models in the OpenAI format
+ * @access  Private (API key)
+ */
+router.get('/models', auth.verifyApiKey, auth.requireScope('ai:read'), (req, res) => {
+  res.json({
+    object: 'list',
+    data: providerRegistry.list({ enabledOnly: true }).flatMap(provider => provider.models.map(model => ({
+      id: model.id,
+      object: 'model',
+      created: 0,
+      owned_by: provider.name
+    })))
+  });
+});
+
+/**
+ * @route   GET /v1/models/:model
+ * @desc    Describe one model in the OpenAI format
+ * @access  Private (API key)
+ */
+router.get('/models/:model', auth.verifyApiKey, auth.requireScope('ai:read'), (req, res) => {
+  const match = providerRegistry.findModel(req.params.model);
+
+  if (!match) {
+    return sendError(res, 404, `The model '${req.params.model}' does not exist`, {
+      code: 'model_not_found',
+      param: 'model'
+    });
+  }
+
+  res.json({
+    id: match.model.id,
+    object: 'model',
+    created: 0,
+    owned_by: match.provider.name
+  });
+});
+
+module.exports = router;
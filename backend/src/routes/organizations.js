@@ -0,0 +1,475 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const auth = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const organizationService = require('../services/organizationService');
+const quotaService = require('../services/quotaService');
+const analyticsService = require('../services/analyticsService');
+const auditService = require('../services/auditService');
+const { handleValidationErrors, validateApiKeyCreation, validateBudget } = require('../middleware/validation');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+
+// Membership is managed by people, not by API keys
+router.use(auth.verifyToken, auth.requireSession);
+
+/**
+ * Answer with a service error, falling back to a 500
+ */
+const sendError = (req, res, error, message, code) => {
+  logger.error(message, {
+    userId: req.user.id,
+    organizationId: req.params.id,
+    error: error.message
+  });
+
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json(
+    responseFormatter.error(error, {
+      message: statusCode < 500 ? error.message : message,
+      statusCode,
+      code: error.code || code
+    }).body
+  );
+};
+
+/**
+ * Load req.params.id into req.organization when the user holds at least minimumRole
+ */
+const loadOrganization = (minimumRole) => async (req, res, next) => {
+  try {
+    req.organization = await organizationService.getForMember(req.user, req.params.id, minimumRole);
+    next();
+  } catch (error) {
+    sendError(req, res, error, 'Failed to load organization', 'GET_ORGANIZATION_FAILED');
+  }
+};
+
+const formatMember = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.organization_role,
+  last_login: user.last_login,
+  created_at: user.created_at
+});
+
+const findOrganizationKey = async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.keyId);
+
+  if (!apiKey || apiKey.organization_id !== req.organization.id) {
+    res.status(404).json(responseFormatter.notFound('API key').body);
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization owned by the current user
+ * @access  Private
+ */
+router.post('/',
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const organization = await organizationService.createOrganization(req.user, { name: req.body.name });
+
+      res.status(201).json(
+        responseFormatter.success({ organization, role: 'owner' }, {
+          message: 'Organization created',
+          statusCode: 201
+        }).body
+      );
+    } catch (error) {
+      sendError(req, res, error, 'Failed to create organization', 'CREATE_ORGANIZATION_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/organizations/current
+ * @desc    Get the current user's organization and role
+ * @access  Private
+ */
+router.get('/current', async (req, res) => {
+  try {
+    const organization = await organizationService.getForMember(req.user, req.user.organization_id);
+
+    res.json(responseFormatter.success({
+      organization,
+      role: req.user.organization_role
+    }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to load organization', 'GET_ORGANIZATION_FAILED');
+  }
+});
+
+/**
+ * @route   GET /api/organizations/invitations
+ * @desc    List pending invitations for the current user's email
+ * @access  Private
+ */
+router.get('/invitations', async (req, res) => {
+  try {
+    const invitations = await OrganizationInvitation.findPending('email', req.user.email.toLowerCase());
+    res.json(responseFormatter.success({ invitations }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to list invitations', 'LIST_INVITATIONS_FAILED');
+  }
+});
+
+/**
+ * @route   POST /api/organizations/invitations/:invitationId/accept
+ * @desc    Join the organization an invitation was sent for
+ * @access  Private
+ */
+router.post('/invitations/:invitationId/accept', async (req, res) => {
+  try {
+    const organization = await organizationService.acceptInvitation(req.user, req.params.invitationId);
+
+    res.json(responseFormatter.success({
+      organization,
+      role: req.user.organization_role
+    }, { message: 'Invitation accepted' }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to accept invitation', 'ACCEPT_INVITATION_FAILED');
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:id
+ * @desc    Get organization details
+ * @access  Private (viewer)
+ */
+router.get('/:id', loadOrganization('viewer'), (req, res) => {
+  res.json(responseFormatter.success({
+    organization: req.organization,
+    role: req.user.organization_role
+  }).body);
+});
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Rename the organization
+ * @access  Private (admin)
+ */
+router.put('/:id',
+  loadOrganization('admin'),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await req.organization.update({ name: req.body.name });
+      res.json(responseFormatter.success({ organization: req.organization }).body);
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update organization', 'UPDATE_ORGANIZATION_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/organizations/:id/members
+ * @desc    List members and their roles
+ * @access  Private (viewer)
+ */
+router.get('/:id/members', loadOrganization('viewer'), async (req, res) => {
+  try {
+    const members = await organizationService.listMembers(req.organization.id);
+    res.json(responseFormatter.success({ members: members.map(formatMember) }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to list members', 'LIST_MEMBERS_FAILED');
+  }
+});
+
+/**
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (admin; only the owner can grant admin)
+ */
+router.put('/:id/members/:userId',
+  loadOrganization('admin'),
+  body('role').isString().withMessage('Role is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const member = await organizationService.updateMemberRole(
+        req.organization, req.user, req.params.userId, req.body.role
+      );
+      res.json(responseFormatter.success({ member: formatMember(member) }).body);
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update member', 'UPDATE_MEMBER_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @desc    Remove a member, or leave when userId is your own
+ * @access  Private (admin, or any member for themselves)
+ */
+router.delete('/:id/members/:userId', loadOrganization('viewer'), async (req, res) => {
+  try {
+    await organizationService.removeMember(req.organization, req.user, req.params.userId);
+    res.json(responseFormatter.success(null, { message: 'Member removed' }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to remove member', 'REMOVE_MEMBER_FAILED');
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:id/invitations
+ * @desc    List pending invitations
+ * @access  Private (admin)
+ */
+router.get('/:id/invitations', loadOrganization('admin'), async (req, res) => {
+  try {
+    const invitations = await OrganizationInvitation.findPending('organization_id', req.organization.id);
+    res.json(responseFormatter.success({ invitations }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to list invitations', 'LIST_INVITATIONS_FAILED');
+  }
+});
+
+/**
+ * @route   POST /api/organizations/:id/invitations
+ * @desc    Invite someone by email
+ * @access  Private (admin)
+ */
+router.post('/:id/invitations',
+  loadOrganization('admin'),
+  body('email').isEmail().withMessage('Please provide a valid email address'),
+  body('role').optional().isString(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const invitation = await organizationService.invite(req.organization, req.user, req.body);
+
+      res.status(201).json(
+        responseFormatter.success({ invitation }, {
+          message: 'Invitation created',
+          statusCode: 201
+        }).body
+      );
+    } catch (error) {
+      sendError(req, res, error, 'Failed to invite member', 'INVITE_MEMBER_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/organizations/:id/invitations/:invitationId
+ * @desc    Withdraw an invitation
+ * @access  Private (admin)
+ */
+router.delete('/:id/invitations/:invitationId', loadOrganization('admin'), async (req, res) => {
+  try {
+    const invitation = await OrganizationInvitation.findById(req.params.invitationId);
+
+    if (!invitation || invitation.organization_id !== req.organization.id) {
+      return res.status(404).json(responseFormatter.notFound('Invitation').body);
+    }
+
+    await invitation.delete();
+    res.json(responseFormatter.success(null, { message: 'Invitation withdrawn' }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to withdraw invitation', 'DELETE_INVITATION_FAILED');
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:id/keys
+ * @desc    List organization API keys
+ * @access  Private (admin)
+ */
+router.get('/:id/keys', loadOrganization('admin'), async (req, res) => {
+  try {
+    const keys = await ApiKey.findByOrganization(req.organization.id);
+    res.json(responseFormatter.success({ keys, scopes: ApiKey.SCOPES }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to list API keys', 'LIST_API_KEYS_FAILED');
+  }
+});
+
+/**
+ * @route   POST /api/organizations/:id/keys
+ * @desc    Create an organization API key; usage counts against the organization
+ * @access  Private (admin)
+ */
+router.post('/:id/keys',
+  loadOrganization('admin'),
+  validateApiKeyCreation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      if (scopes.some(scope => scope.startsWith('admin:'))) {
+        return res.status(403).json(
+          responseFormatter.forbidden('Organization keys cannot hold admin scopes').body
+        );
+      }
+
+      const { apiKey, key } = await ApiKey.create({
+        userId: req.user.id,
+        organizationId: req.organization.id,
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      });
+
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'api_key.create',
+        target: { type: 'api_key', id: apiKey.id },
+        metadata: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, organizationId: apiKey.organization_id }
+      });
+
+      res.status(201).json(
+        responseFormatter.success({ apiKey, key }, {
+          message: 'API key created',
+          statusCode: 201
+        }).body
+      );
+    } catch (error) {
+      sendError(req, res, error, 'Failed to create API key', 'CREATE_API_KEY_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/organizations/:id/keys/:keyId/rotate
+ * @desc    Revoke an organization key and issue a replacement
+ * @access  Private (admin)
+ */
+router.post('/:id/keys/:keyId/rotate', loadOrganization('admin'), async (req, res) => {
+  try {
+    const existing = await findOrganizationKey(req, res);
+    if (!existing) return;
+
+    if (existing.isRevoked()) {
+      return res.status(409).json(responseFormatter.conflict('API key has been revoked').body);
+    }
+
+    const { apiKey, key } = await existing.rotate();
+    await quotaService.setApiKeyQuota(apiKey.id, await quotaService.getApiKeyQuota(existing.id));
+
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'api_key.rotate',
+      target: { type: 'api_key', id: apiKey.id },
+      metadata: { prefix: apiKey.prefix, replaces: existing.id, organizationId: apiKey.organization_id }
+    });
+
+    res.status(201).json(
+      responseFormatter.success({ apiKey, key, replaces: existing.id }, {
+        message: 'API key rotated',
+        statusCode: 201
+      }).body
+    );
+  } catch (error) {
+    sendError(req, res, error, 'Failed to rotate API key', 'ROTATE_API_KEY_FAILED');
+  }
+});
+
+/**
+ * @route   PUT /api/organizations/:id/keys/:keyId/budget
+ * @desc    Set an organization key's monthly USD budget and thresholds
+ * @access  Private (admin)
+ */
+router.put('/:id/keys/:keyId/budget',
+  loadOrganization('admin'),
+  validateBudget,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const apiKey = await findOrganizationKey(req, res);
+      if (!apiKey) return;
+
+      const { monthlyBudget, budgetWarnAt, budgetBlockAt } = req.body;
+      const quota = await quotaService.setApiKeyQuota(apiKey.id, { monthlyBudget, budgetWarnAt, budgetBlockAt });
+
+      res.json(responseFormatter.success({ quota }).body);
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update API key budget', 'UPDATE_API_KEY_BUDGET_FAILED');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/organizations/:id/keys/:keyId
+ * @desc    Revoke an organization key
+ * @access  Private (admin)
+ */
+router.delete('/:id/keys/:keyId', loadOrganization('admin'), async (req, res) => {
+  try {
+    const apiKey = await findOrganizationKey(req, res);
+    if (!apiKey) return;
+
+    if (!apiKey.isRevoked()) {
+      await apiKey.revoke();
+    }
+
+    res.json(responseFormatter.success({ apiKey }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to revoke API key', 'REVOKE_API_KEY_FAILED');
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:id/usage
+ * @desc    Organization quota, budget and usage by member
+ * @access  Private (viewer)
+ */
+router.get('/:id/usage', loadOrganization('viewer'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const analytics = await analyticsService.getOrganizationUsage({
+      organizationId: req.organization.id,
+      startDate,
+      endDate
+    });
+
+    res.json(responseFormatter.success({
+      quota: await quotaService.getOrganizationQuotaInfo(req.organization.id),
+      analytics
+    }).body);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to get organization usage', 'GET_ORGANIZATION_USAGE_FAILED');
+  }
+});
+
+/**
+ * @route   PUT /api/organizations/:id/budget
+ * @desc    Set the monthly USD budget shared by all members and its warn and
+ *          block thresholds; a null budget removes the cap
+ * @access  Private (owner)
+ */
+router.put('/:id/budget',
+  loadOrganization('owner'),
+  body('monthlyBudget')
+    .exists()
+    .withMessage('monthlyBudget is required'),
+  validateBudget,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { monthlyBudget, budgetWarnAt, budgetBlockAt } = req.body;
+      const quota = await quotaService.setOrganizationQuota(req.organization.id, {
+        monthlyBudget,
+        budgetWarnAt,
+        budgetBlockAt
+      });
+
+      res.json(responseFormatter.success({ quota }).body);
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update organization budget', 'UPDATE_ORGANIZATION_BUDGET_FAILED');
+    }
+  }
+);
+
+module.exports = router;
@@ -25,6 +25,10 @@ const validateWebhookRegistration = [
         'user.created',
         'user.updated',
         'quota.exceeded',
+        'task.cancelled',
+        'batch.completed',
+        'budget.threshold_reached',
+        'budget.exhausted',
         '*'
       ];
       const invalidEvents = events.filter(event => !validEvents.includes(event));
@@ -82,6 +86,10 @@ const validateWebhookUpdate = [
         'user.created',
         'user.updated',
         'quota.exceeded',
+        'task.cancelled',
+        'batch.completed',
+        'budget.threshold_reached',
+        'budget.exhausted',
         '*'
       ];
       const invalidEvents = events.filter(event => !validEvents.includes(event));
@@ -128,7 +136,11 @@ const validateEventTrigger = [
       'ai.generation.failed',
       'user.created',
       'user.updated',
-      'quota.exceeded'
+      'quota.exceeded',
+      'task.cancelled',
+      'batch.completed',
+      'budget.threshold_reached',
+      'budget.exhausted'
     ])
     .withMessage('Invalid event type'),
   
@@ -157,6 +169,7 @@ const handleValidationErrors = (req, res, next) => {
  */
 router.post('/', 
   auth.verifyToken, 
+  auth.requireScope('webhooks:manage'),
   validateWebhookRegistration, 
   handleValidationErrors,
   async (req, res) => {
@@ -196,6 +209,7 @@ router.post('/',
  */
 router.get('/', 
   auth.verifyToken,
+  auth.requireScope('webhooks:manage'),
   query(['limit', 'offset', 'event', 'active'])
     .optional()
     .isString(),
@@ -238,6 +252,7 @@ router.get('/',
  */
 router.get('/:id', 
   auth.verifyToken,
+  auth.requireScope('webhooks:manage'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -288,6 +303,7 @@ router.get('/:id',
  */
 router.put('/:id', 
   auth.verifyToken, 
+  auth.requireScope('webhooks:manage'),
   validateWebhookUpdate, 
   handleValidationErrors,
   async (req, res) => {
@@ -331,6 +347,7 @@ router.put('/:id',
  */
 router.delete('/:id', 
   auth.verifyToken,
+  auth.requireScope('webhooks:manage'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -367,6 +384,7 @@ router.delete('/:id',
  */
 router.get('/:id/deliveries', 
   auth.verifyToken,
+  auth.requireScope('webhooks:manage'),
   query(['limit', 'offset', 'success'])
     .optional()
     .isString(),
@@ -423,6 +441,7 @@ router.get('/:id/deliveries',
  */
 router.post('/:id/test', 
   auth.verifyToken,
+  auth.requireScope('webhooks:manage'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -484,7 +503,8 @@ router.post('/:id/test',
  */
 router.post('/trigger', 
   auth.verifyToken, 
-  auth.requireAdmin,
+  auth.requireScope('webhooks:manage'),
+  auth.requirePermission('webhooks:admin'),
   validateEventTrigger, 
   handleValidationErrors,
   async (req, res) => {
@@ -523,6 +543,7 @@ router.post('/trigger',
  */
 router.get('/events', 
   auth.verifyToken,
+  auth.requireScope('webhooks:manage'),
   async (req, res) => {
     try {
       const events = [
@@ -574,6 +595,54 @@ router.get('/events',
             limit: 'number'
           }
         },
+        {
+          name: 'task.cancelled',
+          description: 'Triggered when a user cancels an in-flight generation or video task',
+          payload: {
+            userId: 'string',
+            taskId: 'string',
+            type: 'string',
+            refundedCost: 'number'
+          }
+        },
+        {
+          name: 'batch.completed',
+          description: 'Triggered when every item of a batch has finished',
+          payload: {
+            userId: 'string',
+            batchId: 'string',
+            status: 'string',
+            total: 'number',
+            succeeded: 'number',
+            failed: 'number',
+            totalTokens: 'number',
+            cost: 'number'
+          }
+        },
+        {
+          name: 'budget.threshold_reached',
+          description: 'Triggered once a month when spend reaches the warning threshold of a user, organization or API key budget',
+          payload: {
+            userId: 'string',
+            subject: 'object',
+            period: 'string',
+            monthlyBudget: 'number',
+            threshold: 'number',
+            spent: 'number'
+          }
+        },
+        {
+          name: 'budget.exhausted',
+          description: 'Triggered once a month when spend reaches the blocking threshold of a budget; further requests are refused',
+          payload: {
+            userId: 'string',
+            subject: 'object',
+            period: 'string',
+            monthlyBudget: 'number',
+            threshold: 'number',
+            spent: 'number'
+          }
+        },
         {
           name: '*',
           description: 'Wildcard event that matches all events',
@@ -1,36 +1,27 @@
-const minimaxService = require('./minimaxService');
+const providerRegistry = require('./providerRegistry');
+const routingService = require('./routingService');
+const planService = require('./planService');
+const jobQueue = require('./jobQueue');
 const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
 const responseFormatter = require('../utils/responseFormatter');
 
+const TASK_COLLECTION = 'ai-tasks';
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
 /**
  * AI Service Orchestrator
- * Manages multiple AI providers and routes requests to appropriate services
+ * Routes requests to the providers held in the provider registry
  */
 class AiService {
   constructor() {
-    this.providers = {
-      minimax: {
-        service: minimaxService,
-        enabled: this.isProviderEnabled('minimax'),
-        models: minimaxService.listModels(),
-        priority: 1
-      },
-      openai: {
-        service: null, // Would be implemented similarly to minimaxService
-        enabled: false,
-        models: [],
-        priority: 2
-      },
-      anthropic: {
-        service: null, // Would be implemented similarly to minimaxService
-        enabled: false,
-        models: [],
-        priority: 3
-      }
-    };
+    this.registry = providerRegistry;
+    this.failoverEnabled = process.env.AI_FAILOVER_ENABLED !== 'false';
 
-    this.taskQueue = new Map(); // In-memory task queue (use Redis in production)
-    this.taskResults = new Map(); // In-memory task results (use Redis in production)
+    // Task records are written through to the job queue store; in-flight
+    // tasks are also kept here so hot paths can mutate them synchronously
+    this.liveTasks = new Map();
+    this.abortHandlers = new Map(); // taskId -> stops the task's in-flight provider work
     
     this.initializeProviders();
   }
@@ -40,9 +31,7 @@ class AiService {
    */
   initializeProviders() {
     logger.info('Initializing AI providers', {
-      providers: Object.entries(this.providers)
-        .filter(([_, provider]) => provider.enabled)
-        .map(([name, _]) => name)
+      providers: this.registry.list({ enabledOnly: true }).map(provider => provider.name)
     });
   }
 
@@ -50,8 +39,7 @@ class AiService {
    * Check if provider is enabled
    */
   isProviderEnabled(providerName) {
-    const envVar = process.env[`${providerName.toUpperCase()}_ENABLED`];
-    return envVar === 'true' || envVar === true;
+    return this.registry.has(providerName) && this.registry.get(providerName).enabled;
   }
 
   /**
@@ -68,40 +56,70 @@ class AiService {
       messages = null,
       functions = null,
       userId = null,
-      taskId = null
+      taskId = null,
+      failover = this.failoverEnabled,
+      routing = null,
+      plan = null
     } = options;
 
+    let task = null;
+
     try {
-      // Determine provider and model
-      const providerInfo = this.selectProvider(provider, model);
+      // Determine provider and model, plus fallbacks
+      const { candidates, decision } = await this.planRoute(provider, model, 'generation', {
+        failover,
+        routing,
+        userId,
+        plan,
+        usageEstimate: this.estimateUsage(prompt, messages, maxTokens)
+      });
       
       logger.info('AI generation started', {
-        provider: providerInfo.name,
-        model: providerInfo.model,
+        provider: candidates[0].name,
+        model: candidates[0].model,
+        fallbacks: candidates.length - 1,
         stream,
         userId,
         taskId
       });
 
       // Create task for tracking
-      const task = this.createTask('generation', {
-        provider: providerInfo.name,
-        model: providerInfo.model,
+      task = this.createTask('generation', {
+        provider: candidates[0].name,
+        model: candidates[0].model,
+        routing: decision,
         userId,
         stream
       }, taskId);
+      const { signal } = this.createAbortController(task.id);
 
       // Generate content
-      const result = await providerInfo.service.generate({
-        prompt,
-        model: providerInfo.model,
-        temperature,
-        maxTokens,
-        stream,
-        messages,
-        functions,
-        userId
-      });
+      const { result, providerInfo, attempts } = await this.executeWithFailover(task, candidates,
+        candidate => candidate.service.generate({
+          prompt,
+          model: candidate.model,
+          temperature,
+          maxTokens,
+          stream,
+          messages,
+          functions,
+          userId,
+          signal
+        })
+      );
+
+      // Streams are billed once they finish, see trackStream
+      if (stream && result.chunks) {
+        return this.startStream(task, providerInfo, result, {
+          attempts,
+          routing: decision,
+          promptTokens: this.estimateUsage(prompt, messages, 0).promptTokens
+        });
+      }
+
+      // Providers without incremental output don't report usage, so bill the requested maximum
+      const cost = this.calculateCost(providerInfo.name, providerInfo.model,
+        result.usage || { completionTokens: maxTokens, totalTokens: maxTokens });
 
       // Update task result
       this.updateTask(task.id, 'completed', result);
@@ -110,13 +128,18 @@ class AiService {
         taskId: task.id,
         provider: providerInfo.name,
         model: providerInfo.model,
-        tokensUsed: result.usage?.totalTokens || 0
+        tokensUsed: result.usage?.totalTokens || 0,
+        cost
       });
 
       return {
         ...result,
+        cost,
         taskId: task.id,
-        provider: providerInfo.name
+        provider: providerInfo.name,
+        model: result.model || providerInfo.model,
+        attempts,
+        routing: decision
       };
 
     } catch (error) {
@@ -128,8 +151,8 @@ class AiService {
       });
 
       // Update task as failed
-      if (taskId) {
-        this.updateTask(taskId, 'failed', { error: error.message });
+      if (task && task.status !== 'cancelled') {
+        this.updateTask(task.id, 'failed', { error: error.message });
       }
 
       throw error;
@@ -145,30 +168,49 @@ class AiService {
       model,
       provider,
       userId = null,
-      taskId = null
+      taskId = null,
+      failover = this.failoverEnabled,
+      routing = null,
+      plan = null
     } = options;
 
+    let task = null;
+
     try {
-      const providerInfo = this.selectProvider(provider, model, 'embeddings');
+      const { candidates, decision } = await this.planRoute(provider, model, 'embeddings', {
+        failover,
+        routing,
+        userId,
+        plan,
+        usageEstimate: this.estimateUsage(texts.join(' '), null, 0)
+      });
       
       logger.info('Embeddings generation started', {
-        provider: providerInfo.name,
-        model: providerInfo.model,
+        provider: candidates[0].name,
+        model: candidates[0].model,
+        fallbacks: candidates.length - 1,
         textCount: texts.length,
         userId
       });
 
-      const task = this.createTask('embeddings', {
-        provider: providerInfo.name,
-        model: providerInfo.model,
+      task = this.createTask('embeddings', {
+        provider: candidates[0].name,
+        model: candidates[0].model,
+        routing: decision,
         userId
       }, taskId);
+      const { signal } = this.createAbortController(task.id);
+
+      const { result, providerInfo, attempts } = await this.executeWithFailover(task, candidates,
+        candidate => candidate.service.generateEmbeddings({
+          texts,
+          model: candidate.model,
+          userId,
+          signal
+        })
+      );
 
-      const result = await providerInfo.service.generateEmbeddings({
-        texts,
-        model: providerInfo.model,
-        userId
-      });
+      const cost = this.calculateCost(providerInfo.name, providerInfo.model, result.usage);
 
       this.updateTask(task.id, 'completed', result);
 
@@ -180,8 +222,12 @@ class AiService {
 
       return {
         ...result,
+        cost,
         taskId: task.id,
-        provider: providerInfo.name
+        provider: providerInfo.name,
+        model: result.model || providerInfo.model,
+        attempts,
+        routing: decision
       };
 
     } catch (error) {
@@ -191,8 +237,8 @@ class AiService {
         userId
       });
 
-      if (taskId) {
-        this.updateTask(taskId, 'failed', { error: error.message });
+      if (task && task.status !== 'cancelled') {
+        this.updateTask(task.id, 'failed', { error: error.message });
       }
 
       throw error;
@@ -210,32 +256,55 @@ class AiService {
       size = '1024x1024',
       quality = 'standard',
       userId = null,
-      taskId = null
+      taskId = null,
+      failover = this.failoverEnabled,
+      routing = null,
+      plan = null
     } = options;
 
+    let task = null;
+
     try {
-      const providerInfo = this.selectProvider(provider, model, 'image');
+      const { candidates, decision } = await this.planRoute(provider, model, 'image', {
+        failover,
+        routing,
+        userId,
+        plan,
+        usageEstimate: { images: 1, quality }
+      });
       
       logger.info('Image generation started', {
-        provider: providerInfo.name,
-        model: providerInfo.model,
+        provider: candidates[0].name,
+        model: candidates[0].model,
+        fallbacks: candidates.length - 1,
         size,
         quality,
         userId
       });
 
-      const task = this.createTask('image_generation', {
-        provider: providerInfo.name,
-        model: providerInfo.model,
+      task = this.createTask('image_generation', {
+        provider: candidates[0].name,
+        model: candidates[0].model,
+        routing: decision,
         userId
       }, taskId);
+      const { signal } = this.createAbortController(task.id);
+
+      const { result, providerInfo, attempts } = await this.executeWithFailover(task, candidates,
+        candidate => candidate.service.generateImage({
+          prompt,
+          model: candidate.model,
+          size,
+          quality,
+          userId,
+          signal
+        })
+      );
 
-      const result = await providerInfo.service.generateImage({
-        prompt,
-        model: providerInfo.model,
-        size,
-        quality,
-        userId
+      const cost = this.calculateCost(providerInfo.name, providerInfo.model, {
+        ...result.usage,
+        images: 1,
+        quality
       });
 
       this.updateTask(task.id, 'completed', result);
@@ -248,8 +317,12 @@ class AiService {
 
       return {
         ...result,
+        cost,
         taskId: task.id,
-        provider: providerInfo.name
+        provider: providerInfo.name,
+        model: result.model || providerInfo.model,
+        attempts,
+        routing: decision
       };
 
     } catch (error) {
@@ -259,8 +332,8 @@ class AiService {
         userId
       });
 
-      if (taskId) {
-        this.updateTask(taskId, 'failed', { error: error.message });
+      if (task && task.status !== 'cancelled') {
+        this.updateTask(task.id, 'failed', { error: error.message });
       }
 
       throw error;
@@ -271,57 +344,418 @@ class AiService {
    * Select appropriate provider and model
    */
   selectProvider(requestedProvider, requestedModel, taskType = 'generation') {
+    const candidates = this.selectProviders(requestedProvider, requestedModel, taskType);
+
+    return candidates.find(candidate => candidate.breaker.isAvailable()) || candidates[0];
+  }
+
+  /**
+   * Build the ordered list of providers to try for a request: the preferred
+   * provider/model first, then (when failover is on) every other enabled
+   * provider with the capability, by priority
+   */
+  selectProviders(requestedProvider, requestedModel, taskType = 'generation', options = {}) {
+    const { failover = this.failoverEnabled } = options;
+    const capability = this.getCapabilityForTask(taskType);
+    const capable = this.registry.list({ enabledOnly: true, capability });
+
+    const toCandidate = (provider, model) => ({
+      name: provider.name,
+      service: provider.service,
+      model,
+      breaker: provider.breaker
+    });
+
+    let primary = null;
+
     // If specific provider requested, use it
-    if (requestedProvider && this.providers[requestedProvider]?.enabled) {
-      const provider = this.providers[requestedProvider];
-      const model = requestedModel || provider.models[0]?.id;
+    if (requestedProvider && capable.some(p => p.name === requestedProvider)) {
+      const provider = this.registry.get(requestedProvider);
+      const model = requestedModel || this.getDefaultModel(provider, capability)?.id;
       
       if (model && provider.models.some(m => m.id === model)) {
-        return {
-          name: requestedProvider,
-          service: provider.service,
-          model: model
-        };
+        primary = toCandidate(provider, model);
       }
     }
 
     // If specific model requested, find provider that supports it
-    if (requestedModel) {
-      for (const [providerName, provider] of Object.entries(this.providers)) {
-        if (provider.enabled) {
-          const model = provider.models.find(m => m.id === requestedModel);
-          if (model) {
-            return {
-              name: providerName,
-              service: provider.service,
-              model: requestedModel
-            };
-          }
-        }
+    if (!primary && requestedModel) {
+      const match = this.registry.findModel(requestedModel);
+      if (match) {
+        primary = toCandidate(match.provider, requestedModel);
       }
     }
 
-    // Auto-select best available provider
-    const availableProviders = Object.entries(this.providers)
-      .filter(([_, provider]) => provider.enabled)
-      .sort(([_, a], [__, b]) => a.priority - b.priority);
+    // Every other capable provider, using the requested model where it is
+    // offered and the provider's default model for the task otherwise
+    const fallbacks = capable
+      .filter(provider => provider.name !== primary?.name)
+      .map(provider => {
+        const model = provider.models.some(m => m.id === requestedModel)
+          ? requestedModel
+          : this.getDefaultModel(provider, capability)?.id;
+
+        return model ? toCandidate(provider, model) : null;
+      })
+      .filter(Boolean);
+
+    const candidates = primary ? [primary, ...fallbacks] : fallbacks;
 
-    if (availableProviders.length === 0) {
-      throw new Error('No AI providers are enabled');
+    if (candidates.length === 0) {
+      throw new Error(`No enabled AI provider supports ${taskType}`);
     }
 
-    const [providerName, provider] = availableProviders[0];
-    const model = provider.models[0]?.id;
+    return failover ? candidates : candidates.slice(0, 1);
+  }
+
+  /**
+   * Choose the providers to try for a request. An explicit provider or model
+   * is honoured as-is; otherwise the caller's routing policy orders every
+   * capable provider. With a plan, only the models it includes are tried.
+   */
+  async planRoute(requestedProvider, requestedModel, taskType, options = {}) {
+    const {
+      failover = this.failoverEnabled,
+      routing = null,
+      userId = null,
+      plan = null,
+      usageEstimate = {}
+    } = options;
+
+    let candidates = this.selectProviders(requestedProvider, requestedModel, taskType, { failover: true });
+    let decision;
 
-    if (!model) {
-      throw new Error(`No models available for provider: ${providerName}`);
+    const primary = candidates[0];
+    const explicit = (requestedProvider && primary.name === requestedProvider) ||
+      (requestedModel && primary.model === requestedModel);
+
+    if (plan) {
+      if (explicit) {
+        planService.assertModelAllowed(plan, primary.model);
+      }
+
+      candidates = candidates.filter(candidate => planService.isModelAllowed(plan, candidate.model));
+      if (candidates.length === 0) {
+        throw httpError(`The ${planService.getPlan(plan).label} plan includes no model for ${taskType}`, 403, 'MODEL_NOT_IN_PLAN');
+      }
+    }
+
+    if (explicit) {
+      decision = {
+        policy: 'explicit',
+        source: 'request',
+        chosen: { provider: primary.name, model: primary.model },
+        reason: 'Provider or model was requested explicitly'
+      };
+    } else {
+      ({ candidates, decision } = await routingService.rank(candidates, {
+        routing,
+        userId,
+        plan,
+        usageEstimate
+      }));
     }
 
     return {
-      name: providerName,
-      service: provider.service,
-      model: model
+      candidates: failover ? candidates : candidates.slice(0, 1),
+      decision
+    };
+  }
+
+  /**
+   * Rough token estimate (~4 characters per token) for pricing decisions
+   */
+  estimateUsage(prompt, messages, maxTokens) {
+    const text = messages
+      ? messages.map(msg => (typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content ?? ''))).join(' ')
+      : (prompt || '');
+
+    const promptTokens = Math.ceil(text.length / 4);
+
+    return {
+      promptTokens,
+      completionTokens: maxTokens,
+      totalTokens: promptTokens + maxTokens
+    };
+  }
+
+  /**
+   * Pre-flight cost of a request on the provider it would be routed to, for
+   * budget checks before dispatching. Requests that can't be routed cost 0
+   * here; they fail on their own once dispatched.
+   * @param {string} taskType - 'generation', 'embeddings' or 'image'
+   * @param {Object} options - provider, model, usageEstimate, routing, userId and plan
+   * @returns {Promise<number>} Estimated cost in USD
+   */
+  async estimateCost(taskType, options = {}) {
+    const { provider = null, model = null, usageEstimate = {}, ...routeOptions } = options;
+
+    try {
+      const { candidates } = await this.planRoute(provider, model, taskType, {
+        ...routeOptions,
+        failover: false,
+        usageEstimate
+      });
+      return this.calculateCost(candidates[0].name, candidates[0].model, usageEstimate);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Try each candidate provider in turn until one succeeds.
+   * Outcomes feed each provider's circuit breaker; providers with an open
+   * breaker are skipped and only retryable errors move on to the next one.
+   * The attempted chain is recorded on the task metadata.
+   */
+  async executeWithFailover(task, candidates, invoke) {
+    const attempts = [];
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      if (task.status === 'cancelled') {
+        throw this.createCancelledError(task, attempts);
+      }
+
+      const attempt = { provider: candidate.name, model: candidate.model };
+      attempts.push(attempt);
+
+      if (!candidate.breaker.canRequest()) {
+        attempt.status = 'skipped';
+        attempt.reason = 'circuit_open';
+        continue;
+      }
+
+      const startTime = Date.now();
+
+      try {
+        const result = await invoke(candidate);
+
+        attempt.status = 'succeeded';
+        attempt.duration = Date.now() - startTime;
+        candidate.breaker.recordSuccess(attempt.duration);
+
+        this.recordAttempts(task, candidate, attempts);
+
+        return { result, providerInfo: candidate, attempts };
+
+      } catch (error) {
+        attempt.status = 'failed';
+        attempt.duration = Date.now() - startTime;
+        attempt.error = error.message;
+        lastError = error;
+
+        // Cancellation aborts the request; it says nothing about the provider
+        if (task.status === 'cancelled') {
+          attempt.status = 'cancelled';
+          candidate.breaker.release();
+          throw this.createCancelledError(task, attempts);
+        }
+
+        // Caller mistakes say nothing about the provider's health
+        if (error.retryable) {
+          candidate.breaker.recordFailure(error, attempt.duration);
+        } else {
+          candidate.breaker.release();
+          break;
+        }
+
+        logger.warn('AI provider call failed', {
+          taskId: task.id,
+          provider: candidate.name,
+          model: candidate.model,
+          error: error.message
+        });
+      }
+    }
+
+    this.recordAttempts(task, null, attempts);
+
+    if (!lastError) {
+      lastError = new Error('All AI providers are temporarily unavailable');
+      lastError.statusCode = 503;
+      lastError.code = 'PROVIDERS_UNAVAILABLE';
+      lastError.retryable = true;
+    }
+
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+
+  /**
+   * Hand a provider stream to the caller. The task stays in "streaming"
+   * until the stream is drained, aborted or fails.
+   */
+  startStream(task, providerInfo, result, { attempts, routing, promptTokens }) {
+    const control = { aborted: false };
+    const abort = () => {
+      control.aborted = true;
+      result.stream?.destroy?.();
+    };
+
+    this.updateTask(task.id, 'streaming');
+    this.abortHandlers.set(task.id, abort);
+
+    return {
+      taskId: task.id,
+      provider: providerInfo.name,
+      model: result.model || providerInfo.model,
+      attempts,
+      routing,
+      chunks: this.trackStream(task, providerInfo, result, { control, promptTokens }),
+      // Stop reading from the provider, e.g. when the client disconnects
+      abort
+    };
+  }
+
+  /**
+   * Relay { delta, finishReason, usage } updates from a provider stream and
+   * finish with a summary: { done, status, content, usage, cost, finishReason, error }.
+   * Never throws; upstream failures are reported in the summary.
+   * Usage is estimated from the streamed text when the provider didn't report it.
+   */
+  async * trackStream(task, providerInfo, result, { control, promptTokens }) {
+    const startTime = Date.now();
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+    let model = result.model || providerInfo.model;
+    let error = null;
+
+    try {
+      for await (const chunk of result.chunks) {
+        if (control.aborted) break;
+
+        if (chunk.delta) content += chunk.delta;
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.finishReason) finishReason = chunk.finishReason;
+        if (chunk.model) model = chunk.model;
+
+        yield chunk;
+      }
+    } catch (err) {
+      // Destroying the upstream stream on abort surfaces as a premature close
+      if (!control.aborted) {
+        error = err;
+        providerInfo.breaker.recordFailure(err, Date.now() - startTime);
+      }
+    }
+
+    const status = error ? 'failed' : control.aborted ? 'cancelled' : 'completed';
+    const usageEstimated = !usage;
+
+    if (!usage) {
+      const completionTokens = Math.ceil(content.length / 4);
+      usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    const cost = this.calculateCost(providerInfo.name, model, usage);
+    const summary = {
+      done: true,
+      status,
+      content,
+      usage,
+      usageEstimated,
+      cost,
+      model,
+      provider: providerInfo.name,
+      finishReason: control.aborted ? 'aborted' : finishReason,
+      error: error ? error.message : null
+    };
+
+    // cancelTask may already have finished and released the task; the
+    // partial output still belongs on it
+    this.liveTasks.set(task.id, task);
+
+    if (error) {
+      this.updateTask(task.id, 'failed', { error: error.message });
+      logger.error('AI generation stream failed', {
+        taskId: task.id,
+        provider: providerInfo.name,
+        model,
+        error: error.message
+      });
+    } else {
+      this.updateTask(task.id, status, {
+        content,
+        usage,
+        model,
+        provider: providerInfo.name,
+        finishReason: summary.finishReason
+      });
+      logger.info('AI generation stream finished', {
+        taskId: task.id,
+        provider: providerInfo.name,
+        model,
+        status,
+        tokensUsed: usage.totalTokens,
+        usageEstimated,
+        cost
+      });
+    }
+
+    yield summary;
+  }
+
+  /**
+   * Error thrown to the original caller of a cancelled task
+   */
+  createCancelledError(task, attempts) {
+    const error = new Error('Task was cancelled');
+    error.statusCode = 409;
+    error.code = 'TASK_CANCELLED';
+    error.attempts = attempts;
+
+    this.recordAttempts(task, null, attempts);
+    return error;
+  }
+
+  /**
+   * Why a request that threw gives back its quota reservation: 'cancelled'
+   * for the error above, 'failed' for anything else
+   */
+  releaseReason(error) {
+    return error?.code === 'TASK_CANCELLED' ? 'cancelled' : 'failed';
+  }
+
+  /**
+   * Store the provider chain on the task
+   */
+  recordAttempts(task, providerInfo, attempts) {
+    if (providerInfo) {
+      task.metadata.provider = providerInfo.name;
+      task.metadata.model = providerInfo.model;
+    }
+
+    task.metadata.attempts = attempts;
+  }
+
+  /**
+   * Map a task type to the provider capability (and model type) that serves it
+   */
+  getCapabilityForTask(taskType) {
+    const capabilities = {
+      generation: 'chat',
+      embeddings: 'embeddings',
+      image: 'image',
+      video: 'video'
     };
+
+    return capabilities[taskType] || 'chat';
+  }
+
+  /**
+   * Get the first model of a provider matching the requested model type
+   */
+  getDefaultModel(provider, modelType) {
+    return provider.models.find(m => m.type === modelType) || null;
+  }
+
+  /**
+   * Calculate the cost of a request using the provider's pricing
+   */
+  calculateCost(providerName, model, usage = {}) {
+    return this.registry.getModelCost(providerName, model, usage);
   }
 
   /**
@@ -340,7 +774,8 @@ class AiService {
       error: null
     };
 
-    this.taskQueue.set(id, task);
+    this.liveTasks.set(id, task);
+    this.persistTask(task);
     return task;
   }
 
@@ -348,7 +783,7 @@ class AiService {
    * Update task status
    */
   updateTask(taskId, status, result = null) {
-    const task = this.taskQueue.get(taskId);
+    const task = this.liveTasks.get(taskId);
     if (!task) {
       logger.warn('Task not found for update', { taskId });
       return null;
@@ -357,36 +792,122 @@ class AiService {
     task.status = status;
     task.updatedAt = new Date().toISOString();
 
-    if (status === 'completed') {
+    // Cancelled tasks keep whatever partial output they produced
+    if (status === 'completed' || status === 'cancelled') {
       task.result = result;
-      this.taskResults.set(taskId, result);
     } else if (status === 'failed') {
       task.error = result?.error || 'Unknown error';
     }
 
-    this.taskQueue.set(taskId, task);
+    const persisted = this.persistTask(task);
+
+    if (TERMINAL_STATUSES.includes(status)) {
+      this.abortHandlers.delete(taskId);
+      // Finished tasks are served from the store once the write lands
+      persisted.then(() => {
+        if (this.liveTasks.get(taskId) === task) {
+          this.liveTasks.delete(taskId);
+        }
+      });
+    }
+
     return task;
   }
 
+  /**
+   * Write a task snapshot to the store
+   */
+  persistTask(task) {
+    return jobQueue.setRecord(TASK_COLLECTION, task.id, task).catch(error => {
+      logger.error('Failed to persist task', { taskId: task.id, error: error.message });
+    });
+  }
+
+  /**
+   * Get a task record, preferring the in-flight copy
+   */
+  async findTask(taskId) {
+    return this.liveTasks.get(taskId) || jobQueue.getRecord(TASK_COLLECTION, taskId);
+  }
+
+  /**
+   * All task records, with in-flight copies taking precedence
+   */
+  async loadTasks() {
+    const tasks = new Map();
+
+    for (const task of await jobQueue.listRecords(TASK_COLLECTION)) {
+      tasks.set(task.id, task);
+    }
+    for (const task of this.liveTasks.values()) {
+      tasks.set(task.id, task);
+    }
+
+    return Array.from(tasks.values())
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Create an AbortController that cancelTask can use to stop the task's
+   * outbound provider requests
+   */
+  createAbortController(taskId) {
+    const controller = new AbortController();
+    this.abortHandlers.set(taskId, () => controller.abort());
+    return controller;
+  }
+
+  /**
+   * Cancel a pending, processing or streaming task.
+   * Returns null when the task doesn't exist.
+   */
+  async cancelTask(taskId) {
+    const task = await this.findTask(taskId);
+    if (!task) {
+      return null;
+    }
+
+    if (!['pending', 'processing', 'streaming'].includes(task.status) || !this.liveTasks.has(taskId)) {
+      // An unfinished task that isn't live here was orphaned by a restart
+      const error = new Error(`Task is already ${task.status}`);
+      error.statusCode = 409;
+      error.code = 'TASK_NOT_CANCELLABLE';
+      throw error;
+    }
+
+    const abort = this.abortHandlers.get(taskId);
+
+    this.updateTask(taskId, 'cancelled');
+    if (abort) abort();
+
+    logger.info('AI task cancelled', {
+      taskId,
+      type: task.type,
+      userId: task.metadata.userId
+    });
+
+    return this.getTask(taskId);
+  }
+
   /**
    * Get task status
    */
-  getTask(taskId) {
-    const task = this.taskQueue.get(taskId);
+  async getTask(taskId) {
+    const task = await this.findTask(taskId);
     if (!task) {
       return null;
     }
 
     return {
       ...task,
-      result: task.status === 'completed' ? this.taskResults.get(taskId) : null
+      result: ['completed', 'cancelled'].includes(task.status) ? task.result : null
     };
   }
 
   /**
    * List tasks with filtering
    */
-  listTasks(options = {}) {
+  async listTasks(options = {}) {
     const {
       userId = null,
       status = null,
@@ -395,7 +916,7 @@ class AiService {
       offset = 0
     } = options;
 
-    let tasks = Array.from(this.taskQueue.values());
+    let tasks = await this.loadTasks();
 
     // Apply filters
     if (userId) {
@@ -423,7 +944,7 @@ class AiService {
   /**
    * Get user request history
    */
-  getUserHistory(userId, options = {}) {
+  async getUserHistory(userId, options = {}) {
     const {
       limit = 50,
       offset = 0,
@@ -432,7 +953,7 @@ class AiService {
       endDate = null
     } = options;
 
-    const tasks = Array.from(this.taskQueue.values())
+    const tasks = (await this.loadTasks())
       .filter(task => task.metadata.userId === userId);
 
     // Apply date filters
@@ -466,37 +987,21 @@ class AiService {
    * Get available models across all providers
    */
   getAvailableModels() {
-    const models = [];
-
-    for (const [providerName, provider] of Object.entries(this.providers)) {
-      if (provider.enabled) {
-        provider.models.forEach(model => {
-          models.push({
-            ...model,
-            provider: providerName
-          });
-        });
-      }
-    }
-
-    return models;
+    return this.registry.getAvailableModels();
   }
 
   /**
    * Get provider information
    */
   getProviderInfo(providerName) {
-    const provider = this.providers[providerName];
-    if (!provider) {
-      throw new Error(`Unknown provider: ${providerName}`);
-    }
+    return this.registry.getProviderInfo(providerName);
+  }
 
-    return {
-      name: providerName,
-      enabled: provider.enabled,
-      models: provider.models,
-      priority: provider.priority
-    };
+  /**
+   * Get circuit breaker state for every provider
+   */
+  getCircuitBreakerStates() {
+    return this.registry.getBreakerStates();
   }
 
   /**
@@ -509,7 +1014,7 @@ class AiService {
       provider = null
     } = options;
 
-    const tasks = Array.from(this.taskQueue.values())
+    const tasks = (await this.loadTasks())
       .filter(task => 
         task.metadata.userId === userId &&
         task.status === 'completed'
@@ -557,10 +1062,9 @@ class AiService {
       if (task.result?.usage?.totalTokens) {
         stats.totalTokens += task.result.usage.totalTokens;
       }
-    });
 
-    // Calculate cost (simplified calculation)
-    stats.totalCost = stats.totalTokens * 0.0001; // $0.0001 per token
+      stats.totalCost += this.calculateCost(provider, model, task.result?.usage || {});
+    });
 
     return stats;
   }
@@ -568,14 +1072,13 @@ class AiService {
   /**
    * Cleanup old tasks
    */
-  cleanupOldTasks(maxAgeHours = 24) {
+  async cleanupOldTasks(maxAgeHours = 24) {
     const cutoffTime = Date.now() - (maxAgeHours * 60 * 60 * 1000);
     let cleaned = 0;
 
-    for (const [taskId, task] of this.taskQueue.entries()) {
-      if (new Date(task.createdAt).getTime() < cutoffTime) {
-        this.taskQueue.delete(taskId);
-        this.taskResults.delete(taskId);
+    for (const task of await jobQueue.listRecords(TASK_COLLECTION)) {
+      if (new Date(task.createdAt).getTime() < cutoffTime && !this.liveTasks.has(task.id)) {
+        await jobQueue.deleteRecord(TASK_COLLECTION, task.id);
         cleaned++;
       }
     }
@@ -597,23 +1100,23 @@ class AiService {
   async healthCheck() {
     const results = {};
 
-    for (const [providerName, provider] of Object.entries(this.providers)) {
+    for (const provider of this.registry.list()) {
       if (provider.enabled && provider.service?.healthCheck) {
         try {
-          results[providerName] = await provider.service.healthCheck();
+          results[provider.name] = await provider.service.healthCheck();
         } catch (error) {
-          results[providerName] = {
+          results[provider.name] = {
             status: 'unhealthy',
             error: error.message
           };
         }
       } else if (provider.enabled) {
-        results[providerName] = {
+        results[provider.name] = {
           status: 'unknown',
           message: 'Health check not implemented'
         };
       } else {
-        results[providerName] = {
+        results[provider.name] = {
           status: 'disabled'
         };
       }
@@ -1,6 +1,7 @@
 const UsageLog = require('../models/UsageLog');
 const RequestLog = require('../models/RequestLog');
 const MinimaxTask = require('../models/MinimaxTask');
+const db = require('../config/database');
 const logger = require('../utils/logger');
 
 /**
@@ -181,6 +182,77 @@ class AnalyticsService {
     });
   }
 
+  /**
+   * Get usage grouped by organization, or by member within one organization
+   */
+  async getOrganizationUsage(options = {}) {
+    const {
+      organizationId = null,
+      startDate = null,
+      endDate = new Date().toISOString(),
+      groupBy = organizationId ? 'member' : 'organization'
+    } = options;
+
+    const cacheKey = `org_usage_${organizationId}_${startDate}_${endDate}_${groupBy}`;
+
+    return this.getCached(cacheKey, async () => {
+      try {
+        const client = db.getClient();
+        let query = client
+          .from('usage_logs')
+          .select('user_id, organization_id, tokens_total, cost, status');
+
+        query = organizationId
+          ? query.eq('organization_id', organizationId)
+          : query.not('organization_id', 'is', null);
+
+        if (startDate) {
+          query = query.gte('created_at', startDate);
+        }
+
+        if (endDate) {
+          query = query.lte('created_at', endDate);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+          logger.error('Database error in getOrganizationUsage:', error);
+          throw new Error(`Database error: ${error.message}`);
+        }
+
+        const column = groupBy === 'member' ? 'user_id' : 'organization_id';
+        const groups = new Map();
+
+        data.forEach(row => {
+          const group = groups.get(row[column]) || {
+            [groupBy === 'member' ? 'userId' : 'organizationId']: row[column],
+            requestCount: 0,
+            failedRequests: 0,
+            totalTokens: 0,
+            totalCost: 0
+          };
+
+          group.requestCount++;
+          group.failedRequests += row.status === 'error' ? 1 : 0;
+          group.totalTokens += parseInt(row.tokens_total) || 0;
+          group.totalCost += parseFloat(row.cost) || 0;
+          groups.set(row[column], group);
+        });
+
+        return {
+          organizationId,
+          groupBy,
+          period: { start: startDate, end: endDate },
+          groups: Array.from(groups.values()).sort((a, b) => b.totalCost - a.totalCost)
+        };
+      } catch (error) {
+        logger.error('Error getting organization usage:', error);
+        throw error;
+      }
+    });
+  }
+
   /**
    * Get API endpoint usage patterns
    */
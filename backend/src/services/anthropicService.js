@@ -0,0 +1,509 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const anthropicConfig = require('../config/anthropic');
+const { parseSSE, parseEventData } = require('../utils/sse');
+
+/**
+ * Anthropic Integration Service
+ * Translates playground requests into the Anthropic Messages API format
+ * and maps responses back into the common generation result
+ */
+class AnthropicService {
+  constructor() {
+    this.config = anthropicConfig.config;
+
+    this.validateConfig();
+  }
+
+  /**
+   * Validate configuration
+   */
+  validateConfig() {
+    if (!this.config.auth.apiKey) {
+      logger.warn('Anthropic API key not configured');
+    }
+  }
+
+  /**
+   * Generate text using Claude models
+   */
+  async generate(options) {
+    const {
+      prompt,
+      model = this.config.defaults.chatModel,
+      temperature = 0.7,
+      maxTokens = 1000,
+      stream = false,
+      messages = null,
+      functions = null,
+      userId = null,
+      signal = null
+    } = options;
+
+    try {
+      this.validateModel(model);
+
+      const { system, messages: formattedMessages } = this.formatMessages(prompt, messages);
+
+      const requestPayload = {
+        model,
+        messages: formattedMessages,
+        max_tokens: maxTokens,
+        // The Messages API only accepts temperatures in [0, 1]
+        temperature: Math.min(temperature, 1),
+        stream
+      };
+
+      if (system) {
+        requestPayload.system = system;
+      }
+
+      if (functions && functions.length > 0 && this.config.models[model].supportsFunctions) {
+        requestPayload.tools = this.formatTools(functions);
+      }
+
+      logger.info('Anthropic generation started', {
+        model,
+        messageCount: formattedMessages.length,
+        stream,
+        userId
+      });
+
+      const response = await this.makeRequest('/messages', requestPayload, { stream, signal });
+
+      if (stream) {
+        return this.handleStreamingResponse(response, model);
+      }
+
+      return this.handleRegularResponse(response);
+
+    } catch (error) {
+      logger.error('Anthropic generation failed', {
+        model,
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo(model) {
+    const modelConfig = this.config.models[model];
+    if (!modelConfig) {
+      throw new Error(`Unknown model: ${model}`);
+    }
+
+    return {
+      ...modelConfig,
+      id: model,
+      provider: 'anthropic'
+    };
+  }
+
+  /**
+   * List available models
+   */
+  listModels() {
+    return Object.entries(this.config.models).map(([id, config]) => ({
+      id,
+      ...config,
+      provider: 'anthropic'
+    }));
+  }
+
+  /**
+   * Format messages for the Messages API.
+   * System messages are lifted into the top-level system prompt, tool calls
+   * become tool_use blocks and tool results become tool_result blocks on a
+   * user turn. Consecutive turns with the same role are merged because the
+   * API requires user and assistant turns to alternate.
+   */
+  formatMessages(prompt, messages) {
+    if (!messages) {
+      return {
+        system: null,
+        messages: [{ role: 'user', content: prompt }]
+      };
+    }
+
+    const systemParts = [];
+    const formatted = [];
+
+    messages.forEach(msg => {
+      const role = msg.role || 'user';
+      const content = msg.content ?? msg.text ?? '';
+
+      if (role === 'system') {
+        systemParts.push(typeof content === 'string' ? content : JSON.stringify(content));
+        return;
+      }
+
+      if (role === 'tool' || role === 'function') {
+        this.appendTurn(formatted, 'user', [{
+          type: 'tool_result',
+          tool_use_id: msg.tool_call_id || msg.toolCallId,
+          content: typeof content === 'string' ? content : JSON.stringify(content)
+        }]);
+        return;
+      }
+
+      if (role === 'assistant') {
+        const toolCalls = msg.tool_calls || msg.toolCalls || [];
+        const blocks = [
+          ...this.toContentBlocks(content),
+          ...toolCalls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function?.name || call.name,
+            input: this.parseToolArguments(call.function?.arguments ?? call.arguments)
+          }))
+        ];
+
+        this.appendTurn(formatted, 'assistant', blocks);
+        return;
+      }
+
+      this.appendTurn(formatted, 'user', this.toContentBlocks(content));
+    });
+
+    return {
+      system: systemParts.length > 0 ? systemParts.join('\n\n') : null,
+      messages: formatted
+    };
+  }
+
+  /**
+   * Append content blocks to the conversation, merging with the previous
+   * turn when it has the same role
+   */
+  appendTurn(turns, role, blocks) {
+    if (blocks.length === 0) return;
+
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+      return;
+    }
+
+    turns.push({ role, content: blocks });
+  }
+
+  /**
+   * Normalise message content into Messages API content blocks
+   */
+  toContentBlocks(content) {
+    if (Array.isArray(content)) {
+      return content;
+    }
+
+    if (!content) {
+      return [];
+    }
+
+    return [{ type: 'text', text: content }];
+  }
+
+  /**
+   * Tool call arguments arrive as JSON strings from OpenAI-style clients
+   */
+  parseToolArguments(args) {
+    if (typeof args !== 'string') {
+      return args || {};
+    }
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Convert playground function definitions into Anthropic tool definitions
+   */
+  formatTools(functions) {
+    return functions.map(fn => ({
+      name: fn.name,
+      description: fn.description,
+      input_schema: fn.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Build request headers
+   */
+  getHeaders() {
+    return {
+      'x-api-key': this.config.auth.apiKey,
+      'anthropic-version': this.config.api.version,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Make request to Anthropic API
+   */
+  async makeRequest(endpoint, payload, options = {}) {
+    const { stream = false, retries = 0, method = 'post', signal = null } = options;
+
+    try {
+      const response = await axios.request({
+        method,
+        url: `${this.config.api.baseURL}${endpoint}`,
+        data: method === 'get' ? undefined : payload,
+        headers: this.getHeaders(),
+        timeout: this.config.api.timeout,
+        responseType: stream ? 'stream' : 'json',
+        signal: signal || undefined
+      });
+
+      return response;
+
+    } catch (error) {
+      // Cancelled by the caller; nothing to retry or report
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+
+      if (retries < this.config.api.maxRetries && this.isRetryableError(error)) {
+        logger.warn(`Anthropic request failed, retrying (${retries + 1}/${this.config.api.maxRetries})`, {
+          endpoint,
+          error: error.message
+        });
+
+        await this.delay(this.getRetryDelay(error, retries));
+        return this.makeRequest(endpoint, payload, { ...options, retries: retries + 1 });
+      }
+
+      this.handleApiError(error, endpoint);
+    }
+  }
+
+  /**
+   * Compute retry delay, honouring Retry-After when the API sends one
+   */
+  getRetryDelay(error, retries) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.config.api.maxBackoffDelay);
+    }
+
+    return this.config.api.exponentialBackoff
+      ? Math.min(this.config.api.retryDelay * Math.pow(2, retries), this.config.api.maxBackoffDelay)
+      : this.config.api.retryDelay * (retries + 1);
+  }
+
+  /**
+   * Handle regular (non-streaming) response
+   */
+  handleRegularResponse(response) {
+    const data = response.data;
+
+    if (!Array.isArray(data.content)) {
+      throw new Error('No content found in Anthropic response');
+    }
+
+    const inputTokens = data.usage?.input_tokens || 0;
+    const outputTokens = data.usage?.output_tokens || 0;
+
+    const result = {
+      content: data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: {
+        promptTokens: inputTokens,
+        completionTokens: outputTokens,
+        totalTokens: inputTokens + outputTokens
+      },
+      model: data.model,
+      provider: 'anthropic',
+      finishReason: this.mapStopReason(data.stop_reason)
+    };
+
+    const toolUses = data.content.filter(block => block.type === 'tool_use');
+    if (toolUses.length > 0) {
+      result.toolCalls = toolUses.map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: JSON.stringify(block.input || {})
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Map Anthropic stop reasons onto the finish reasons other providers report
+   */
+  mapStopReason(stopReason) {
+    const reasons = {
+      end_turn: 'stop',
+      stop_sequence: 'stop',
+      max_tokens: 'length',
+      tool_use: 'tool_calls'
+    };
+
+    return reasons[stopReason] || stopReason || null;
+  }
+
+  /**
+   * Handle streaming response
+   */
+  handleStreamingResponse(response, model) {
+    return {
+      stream: response.data,
+      chunks: this.streamChunks(response.data),
+      usage: null, // Reported by message_start and message_delta events
+      model,
+      provider: 'anthropic'
+    };
+  }
+
+  /**
+   * Turn Messages API stream events into { delta, finishReason, usage } updates.
+   * Input tokens arrive with message_start and output tokens with message_delta.
+   */
+  async * streamChunks(stream) {
+    let inputTokens = 0;
+
+    for await (const message of parseSSE(stream)) {
+      const data = parseEventData(message);
+      if (!data) continue;
+
+      switch (data.type) {
+        case 'message_start':
+          inputTokens = data.message?.usage?.input_tokens || 0;
+          break;
+
+        case 'content_block_delta':
+          if (data.delta?.type === 'text_delta' && data.delta.text) {
+            yield { delta: data.delta.text };
+          }
+          break;
+
+        case 'message_delta': {
+          const outputTokens = data.usage?.output_tokens || 0;
+          yield {
+            finishReason: this.mapStopReason(data.delta?.stop_reason),
+            usage: {
+              promptTokens: inputTokens,
+              completionTokens: outputTokens,
+              totalTokens: inputTokens + outputTokens
+            }
+          };
+          break;
+        }
+
+        case 'error':
+          throw new Error(`Anthropic stream error: ${data.error?.message || 'Unknown error'}`);
+
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Validate model
+   */
+  validateModel(model) {
+    if (!this.config.models[model]) {
+      throw new Error(`Unsupported model: ${model}. Available models: ${Object.keys(this.config.models).join(', ')}`);
+    }
+  }
+
+  /**
+   * Check if error is retryable
+   */
+  isRetryableError(error) {
+    if (!error.response) return true; // Network errors are retryable
+
+    return this.config.errorHandling.retryableStatusCodes.includes(error.response.status);
+  }
+
+  /**
+   * Handle API errors
+   */
+  handleApiError(error, endpoint) {
+    logger.error('Anthropic API error', {
+      endpoint,
+      error: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    let apiError;
+
+    if (error.response) {
+      const { status, data } = error.response;
+      const detail = data?.error?.message || error.message;
+
+      switch (status) {
+        case 401:
+          apiError = new Error('Invalid Anthropic API key');
+          break;
+        case 429:
+          apiError = new Error('Anthropic rate limit exceeded');
+          break;
+        case 400:
+          apiError = new Error(`Bad request to Anthropic: ${detail}`);
+          break;
+        case 403:
+          apiError = new Error('Anthropic access forbidden');
+          break;
+        case 529:
+          apiError = new Error('Anthropic API is overloaded');
+          break;
+        default:
+          apiError = new Error(`Anthropic error: ${detail}`);
+      }
+
+      // Only caller mistakes pass through; anything else is a gateway failure
+      apiError.statusCode = status === 400 || status === 429 ? status : 502;
+    } else if (error.request) {
+      apiError = new Error('Anthropic service unavailable');
+      apiError.statusCode = 503;
+    } else {
+      apiError = new Error(`Anthropic error: ${error.message}`);
+    }
+
+    apiError.retryable = Boolean(error.response || error.request) && this.isRetryableError(error);
+
+    throw apiError;
+  }
+
+  /**
+   * Delay helper for retries
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      await this.makeRequest('/models', null, { method: 'get', retries: this.config.api.maxRetries });
+
+      return {
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        models: this.listModels()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        models: this.listModels()
+      };
+    }
+  }
+}
+
+module.exports = new AnthropicService();
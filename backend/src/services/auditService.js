@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+const PAGE_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'sequence', 'created_at', 'action', 'actor_id', 'actor_email', 'target_type', 'target_id',
+  'changes', 'metadata', 'ip_address', 'request_id', 'prev_hash', 'hash'
+];
+
+/**
+ * Audit Service
+ * Appends administrative and security events to a hash-chained log. Every
+ * entry's hash covers its own fields and the previous entry's hash, so
+ * editing or removing one breaks the chain from there on; verify() finds
+ * the first break. Cutting entries off the end can only be caught by
+ * comparing with a head hash recorded earlier.
+ */
+class AuditService {
+  constructor() {
+    this.pending = Promise.resolve(); // appends from this process, in order
+  }
+
+  /**
+   * Actor, IP address and request ID of an API request; during an
+   * impersonation the actor is the admin behind it
+   * @param {Object} req - Express request
+   */
+  fromRequest(req) {
+    return {
+      actor: req.impersonation?.impersonator || req.user || null,
+      ipAddress: req.ip || null,
+      requestId: req.requestId || null
+    };
+  }
+
+  /**
+   * Append an event. Appends run one at a time, in call order; a failed
+   * append resolves to null so callers can record after the fact without
+   * turning a completed admin action into an error response.
+   * @param {Object} event - action, actor, target ({ type, id }), before,
+   *   after, metadata, ipAddress, requestId
+   * @returns {Promise<AuditLog|null>}
+   */
+  record(event) {
+    const appended = this.pending.then(() => this.append(event));
+    this.pending = appended.catch(() => {});
+
+    return appended.catch(error => {
+      logger.error('Failed to write audit log entry', { action: event.action, error: error.message });
+      return null;
+    });
+  }
+
+  async append({ action, actor = null, target = {}, before, after, metadata = {}, ipAddress = null, requestId = null }) {
+    const entry = {
+      action,
+      actor_id: actor?.id || null,
+      actor_email: actor?.email || null,
+      target_type: target.type || null,
+      target_id: target.id != null ? String(target.id) : null,
+      changes: before !== undefined || after !== undefined ? this.diff(before, after) : null,
+      metadata,
+      ip_address: ipAddress,
+      request_id: requestId
+    };
+
+    // Another instance may extend the chain between our read and insert;
+    // the unique sequence rejects our insert, so link to the new tail and retry
+    for (let attempt = 1; ; attempt++) {
+      const tail = await AuditLog.findLatest();
+      const linked = {
+        ...entry,
+        sequence: tail ? tail.sequence + 1 : 1,
+        created_at: new Date().toISOString(),
+        prev_hash: tail ? tail.hash : GENESIS_HASH
+      };
+      linked.hash = this.hash(linked);
+
+      try {
+        return await AuditLog.append(linked);
+      } catch (error) {
+        if (attempt === 3) throw error;
+      }
+    }
+  }
+
+  /**
+   * Fields that differ between two snapshots
+   * @returns {Object} field -> { from, to }
+   */
+  diff(before = {}, after = {}) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+      const from = before?.[field] ?? null;
+      const to = after?.[field] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Copy of just these fields, for before/after snapshots
+   * @param {Object} source - Object to copy from
+   * @param {string[]} fields - Fields to keep
+   */
+  snapshot(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source?.[field] ?? null]));
+  }
+
+  hash(entry) {
+    // Normalise what the database may hand back differently than we wrote it
+    const content = this.canonicalize({
+      sequence: Number(entry.sequence),
+      action: entry.action,
+      actor_id: entry.actor_id || null,
+      actor_email: entry.actor_email || null,
+      target_type: entry.target_type || null,
+      target_id: entry.target_id || null,
+      changes: entry.changes || null,
+      metadata: entry.metadata || {},
+      ip_address: entry.ip_address || null,
+      request_id: entry.request_id || null,
+      created_at: new Date(entry.created_at).toISOString(),
+      prev_hash: entry.prev_hash
+    });
+
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * JSON with object keys sorted at every level
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * Entries matching the filters, oldest first, fetched a page at a time
+   * @param {Object} filters - As for AuditLog.findAll
+   */
+  async * entries(filters = {}) {
+    let afterSequence = 0;
+
+    for (;;) {
+      const page = await AuditLog.findAll({ ...filters, afterSequence, ascending: true, limit: PAGE_SIZE, offset: 0 });
+      yield * page;
+
+      if (page.length < PAGE_SIZE) return;
+      afterSequence = page[page.length - 1].sequence;
+    }
+  }
+
+  /**
+   * Walk the whole chain and report the first entry that doesn't check out
+   * @returns {Promise<Object>} { valid, checked, head } or { valid, checked, brokenAt, reason }
+   */
+  async verify() {
+    let previous = null;
+    let checked = 0;
+
+    for await (const entry of this.entries()) {
+      let reason = null;
+      if (entry.sequence !== (previous ? previous.sequence + 1 : 1)) {
+        reason = 'Entries before this one are missing';
+      } else if (entry.prev_hash !== (previous ? previous.hash : GENESIS_HASH)) {
+        reason = 'Entry does not link to the one before it';
+      } else if (entry.hash !== this.hash(entry)) {
+        reason = 'Entry was modified after it was written';
+      }
+
+      if (reason) {
+        logger.warn('Audit log verification failed', { sequence: entry.sequence, reason });
+        return { valid: false, checked, brokenAt: entry.sequence, reason };
+      }
+
+      previous = entry;
+      checked++;
+    }
+
+    return {
+      valid: true,
+      checked,
+      head: previous ? { sequence: previous.sequence, hash: previous.hash } : null
+    };
+  }
+
+  csvHeader() {
+    return `${CSV_COLUMNS.join(',')}\n`;
+  }
+
+  csvRow(entry) {
+    return `${CSV_COLUMNS.map(column => {
+      let value = entry[column];
+      if (value !== null && typeof value === 'object') value = JSON.stringify(value);
+      value = value == null ? '' : String(value);
+
+      // Keep spreadsheets from running cells as formulas
+      if (/^[=+\-@]/.test(value)) value = `'${value}`;
+      return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',')}\n`;
+  }
+}
+
+module.exports = new AuditService();
@@ -1,14 +1,32 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SsoDomain = require('../models/SsoDomain');
+const twoFactorService = require('./twoFactorService');
+const mailService = require('./mailService');
+const roleService = require('./roleService');
+const auditService = require('./auditService');
+const jobQueue = require('./jobQueue');
 const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
 const crypto = require('crypto');
 const db = require('../config/database');
 
+// Open two-factor login challenges, shared by every instance
+const CHALLENGE_COLLECTION = 'login_challenges';
+
 class AuthService {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET;
     this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
     this.refreshTokenExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+    this.challengeTokenExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+    this.challengeMaxAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+    // Tail of each challenge's queue of code checks on this instance
+    this.challengeChecks = new Map();
+    this.impersonationTokenExpiresIn = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+    this.emailVerificationTtlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+    this.emailVerificationResendInterval = 60 * 1000;
     
     if (!this.jwtSecret) {
       throw new Error('JWT_SECRET must be defined in environment variables');
@@ -28,22 +46,27 @@ class AuthService {
           userId: payload.userId,
           email: payload.email,
           role: payload.role,
+          sessionId: payload.sessionId,
           type: 'access'
         },
         this.jwtSecret,
         { expiresIn: this.accessTokenExpiresIn }
       );
 
-      // Generate refresh token (long-lived)
+      // Generate refresh token (long-lived); its jti is checked against the session on refresh
       const refreshToken = jwt.sign(
         {
           userId: payload.userId,
           email: payload.email,
           role: payload.role,
+          sessionId: payload.sessionId,
           type: 'refresh'
         },
         this.jwtSecret,
-        { expiresIn: this.refreshTokenExpiresIn }
+        {
+          expiresIn: this.refreshTokenExpiresIn,
+          ...(payload.refreshJti && { jwtid: payload.refreshJti })
+        }
       );
 
       logger.info(`Tokens generated for user: ${payload.email}`);
@@ -59,6 +82,174 @@ class AuthService {
     }
   }
 
+  /**
+   * Generate an access token for an admin acting as another user. There is
+   * no refresh token; the token only works while its grant exists.
+   * @param {User} user - User being impersonated
+   * @param {string} impersonationId - Grant the token belongs to
+   * @returns {Object} Access token and its expiry
+   */
+  generateImpersonationToken(user, impersonationId) {
+    const accessToken = jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        impersonationId,
+        type: 'access'
+      },
+      this.jwtSecret,
+      { expiresIn: this.impersonationTokenExpiresIn }
+    );
+
+    return {
+      accessToken,
+      expiresIn: this.getTokenExpiration(accessToken)
+    };
+  }
+
+  /**
+   * Start a session for a newly authenticated user. The session ID and first
+   * refresh token are chosen before the insert so the row is complete.
+   * @param {User} user - Authenticated user
+   * @param {Object} context - ipAddress and userAgent of the request
+   * @returns {Promise<Object>} Access and refresh tokens bound to the session
+   */
+  async createSession(user, context = {}) {
+    const sessionId = crypto.randomUUID();
+    const { tokens, refreshJti, expiresAt } = this.signSessionTokens(user, sessionId);
+
+    await Session.create({
+      id: sessionId,
+      userId: user.id,
+      refreshJti,
+      expiresAt,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Sign a token pair for a session with a fresh refresh token jti
+   * @param {User} user - Session owner
+   * @param {string} sessionId - Session to sign for
+   * @returns {Object} tokens, plus the refreshJti and expiresAt to store on the session
+   */
+  signSessionTokens(user, sessionId) {
+    const refreshJti = crypto.randomUUID();
+    const tokens = this.generateTokens({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sessionId,
+      refreshJti
+    });
+
+    return {
+      tokens,
+      refreshJti,
+      expiresAt: this.getTokenExpiration(tokens.refreshToken).toISOString()
+    };
+  }
+
+  /**
+   * Issue a token pair for a session and make its refresh token the only valid one
+   * @param {User} user - Session owner
+   * @param {Session} session - Session to issue for
+   * @param {Object} context - ipAddress of the request
+   * @returns {Promise<Object>} Access and refresh tokens
+   */
+  async issueSessionTokens(user, session, context = {}) {
+    const { tokens, refreshJti, expiresAt } = this.signSessionTokens(user, session.id);
+
+    const rotated = await session.rotate({ refreshJti, expiresAt, ipAddress: context.ipAddress });
+
+    if (!rotated) {
+      await this.rejectRefreshReuse(session);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Revoke a session whose refresh token was presented after it was rotated
+   * @param {Session} session - Session the token belongs to
+   * @returns {Promise<never>} Always throws REFRESH_TOKEN_REUSED
+   */
+  async rejectRefreshReuse(session) {
+    await session.revoke('refresh_token_reuse');
+    logger.warn('Refresh token reuse detected; session revoked', {
+      sessionId: session.id,
+      userId: session.user_id
+    });
+    throw httpError('Refresh token has already been used; the session has been revoked', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  /**
+   * Generate the short-lived token that stands in for a session between
+   * the password and two-factor steps of a login. The challenge it names
+   * is recorded so it can be used once and dropped after too many wrong
+   * codes.
+   * @param {User} user - User who passed the password check
+   * @returns {Promise<Object>} Challenge token and its expiry
+   */
+  async generateChallengeToken(user) {
+    const challengeId = crypto.randomUUID();
+    const challengeToken = jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        challengeId,
+        type: 'two_factor_challenge'
+      },
+      this.jwtSecret,
+      { expiresIn: this.challengeTokenExpiresIn }
+    );
+    const expiresIn = this.getTokenExpiration(challengeToken);
+
+    this.pruneChallenges().catch(error => logger.warn('Failed to prune login challenges', { error: error.message }));
+    await jobQueue.setRecord(CHALLENGE_COLLECTION, challengeId, {
+      id: challengeId,
+      userId: user.id,
+      failures: 0,
+      expiresAt: expiresIn.getTime()
+    });
+
+    return { challengeToken, expiresIn };
+  }
+
+  /**
+   * Drop challenges whose token has expired
+   */
+  async pruneChallenges() {
+    const now = Date.now();
+
+    for (const challenge of await jobQueue.listRecords(CHALLENGE_COLLECTION)) {
+      if (challenge.expiresAt <= now) {
+        await jobQueue.deleteRecord(CHALLENGE_COLLECTION, challenge.id);
+      }
+    }
+  }
+
+  /**
+   * Run a challenge's code checks one at a time on this instance, so
+   * parallel guesses can't all read the same failure count
+   */
+  withChallenge(challengeId, check) {
+    const previous = this.challengeChecks.get(challengeId) || Promise.resolve();
+    const turn = previous.then(check);
+
+    const tail = turn.catch(() => {});
+    this.challengeChecks.set(challengeId, tail);
+    tail.then(() => {
+      if (this.challengeChecks.get(challengeId) === tail) this.challengeChecks.delete(challengeId);
+    });
+
+    return turn;
+  }
+
   /**
    * Verify JWT token
    * @param {string} token - JWT token
@@ -105,19 +296,25 @@ class AuthService {
   /**
    * Register a new user
    * @param {Object} userData - User registration data
+   * @param {Object} context - ipAddress and userAgent of the request
    * @returns {Object} User data and tokens
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     try {
+      await this.assertPasswordLoginAllowed(userData.email);
+
       // Create user
       const user = await User.create(userData);
       
-      // Generate tokens
-      const tokens = this.generateTokens({
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      });
+      // Start a session
+      const tokens = await this.createSession(user, context);
+
+      // The account works without verification, so a mail outage must not fail sign-up
+      try {
+        await this.sendEmailVerification(user);
+      } catch (error) {
+        logger.warn(`Verification email not sent to ${user.email}: ${error.message}`);
+      }
 
       logger.info(`User registered successfully: ${user.email}`);
       
@@ -135,68 +332,202 @@ class AuthService {
    * Login user
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Object} User data and tokens
+   * @param {Object} context - ipAddress and userAgent of the request
+   * @returns {Object} User data and tokens, or a two-factor challenge
    */
-  async login(email, password) {
+  async login(email, password, context = {}) {
     try {
+      await this.assertPasswordLoginAllowed(email);
+
       // Find user by email
       const user = await User.findByEmail(email);
       
       if (!user) {
         logger.warn(`Login failed: User not found for email ${email}`);
+        await this.recordLoginFailure(email, null, 'unknown_email', context);
         throw new Error('Invalid credentials');
       }
 
       // Check if account is active
       if (!user.is_active) {
         logger.warn(`Login failed: Account inactive for ${email}`);
+        await this.recordLoginFailure(email, user, 'account_deactivated', context);
         throw new Error('Account is deactivated');
       }
 
-      // Verify password
-      const isPasswordValid = await User.comparePassword(password, user.password_hash);
+      // Verify password; accounts created through SSO have none
+      const isPasswordValid = Boolean(user.password_hash) &&
+        await User.comparePassword(password, user.password_hash);
       
       if (!isPasswordValid) {
         logger.warn(`Login failed: Invalid password for ${email}`);
+        await this.recordLoginFailure(email, user, 'invalid_password', context);
         throw new Error('Invalid credentials');
       }
 
-      // Update last login
-      await user.updateLastLogin();
+      return this.beginLogin(user, context);
+    } catch (error) {
+      logger.error('Login failed:', error);
+      throw error;
+    }
+  }
 
-      // Generate tokens
-      const tokens = this.generateTokens({
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      });
+  /**
+   * Add a failed sign-in to the audit log
+   * @param {string} email - Address the attempt used
+   * @param {User|null} user - Account it matched, if any
+   * @param {string} reason - Why it failed
+   * @param {Object} context - ipAddress and requestId of the request
+   */
+  recordLoginFailure(email, user, reason, context = {}) {
+    return auditService.record({
+      action: 'auth.login_failed',
+      target: { type: 'user', id: user?.id },
+      metadata: { email, reason },
+      ipAddress: context.ipAddress,
+      requestId: context.requestId
+    });
+  }
 
-      logger.info(`User logged in successfully: ${user.email}`);
-      
+  /**
+   * Continue a login once the first factor (password or SSO) checked out
+   * @param {User} user - Authenticated user
+   * @param {Object} context - ipAddress and userAgent of the request
+   * @returns {Object} User data and tokens, or a two-factor challenge
+   */
+  async beginLogin(user, context = {}) {
+    // Accounts with 2FA get a challenge instead of tokens
+    if (user.two_factor_enabled) {
+      logger.info(`Two-factor challenge issued for user: ${user.email}`);
       return {
-        user: user.toJSON(),
-        tokens
+        twoFactorRequired: true,
+        ...await this.generateChallengeToken(user)
       };
+    }
+
+    return this.completeLogin(user, context);
+  }
+
+  /**
+   * Reject password-based access for domains where an admin requires SSO
+   * @param {string} email - Email address being used
+   * @returns {Promise<void>}
+   */
+  async assertPasswordLoginAllowed(email) {
+    const policy = await SsoDomain.findForEmail(email);
+
+    if (policy && policy.required) {
+      logger.warn(`Password access refused for SSO-only domain: ${policy.domain}`);
+      throw httpError(`Accounts at ${policy.domain} must sign in with single sign-on`, 403, 'SSO_REQUIRED');
+    }
+  }
+
+  /**
+   * Second login step for accounts with 2FA. A challenge is good for one
+   * login, and is dropped after challengeMaxAttempts wrong codes.
+   * @param {string} challengeToken - Token returned by login
+   * @param {Object} credentials - code or recoveryCode
+   * @param {Object} context - ipAddress and userAgent of the request
+   * @returns {Object} User data and tokens
+   */
+  async verifyTwoFactorLogin(challengeToken, credentials, context = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = this.verifyToken(challengeToken);
+      } catch (error) {
+        throw httpError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+      }
+
+      if (decoded.type !== 'two_factor_challenge' || !decoded.challengeId) {
+        throw httpError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+      }
+
+      return await this.withChallenge(decoded.challengeId, async () => {
+        const challenge = await jobQueue.getRecord(CHALLENGE_COLLECTION, decoded.challengeId);
+        if (!challenge || challenge.userId !== decoded.userId) {
+          throw httpError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+        }
+
+        const user = await User.findById(decoded.userId);
+
+        if (!user || !user.is_active) {
+          logger.warn('Two-factor login failed: user missing or inactive');
+          throw httpError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+        }
+
+        try {
+          await twoFactorService.verify(user, credentials);
+        } catch (error) {
+          await this.recordLoginFailure(user.email, user, 'invalid_two_factor_code', context);
+
+          const failures = challenge.failures + 1;
+          if (failures >= this.challengeMaxAttempts) {
+            await jobQueue.deleteRecord(CHALLENGE_COLLECTION, challenge.id);
+            logger.warn(`Two-factor challenge dropped after ${failures} wrong codes for user: ${user.email}`);
+            throw httpError('Too many incorrect codes; sign in again', 401, 'CHALLENGE_EXHAUSTED');
+          }
+
+          await jobQueue.setRecord(CHALLENGE_COLLECTION, challenge.id, { ...challenge, failures });
+          throw error;
+        }
+
+        await jobQueue.deleteRecord(CHALLENGE_COLLECTION, challenge.id);
+        return this.completeLogin(user, context);
+      });
     } catch (error) {
-      logger.error('Login failed:', error);
+      logger.error('Two-factor login failed:', error);
       throw error;
     }
   }
 
   /**
-   * Refresh access token
+   * Record the login and start a session
+   * @param {User} user - Authenticated user
+   * @param {Object} context - ipAddress and userAgent of the request
+   * @returns {Object} User data and tokens
+   */
+  async completeLogin(user, context = {}) {
+    // Update last login
+    await user.updateLastLogin();
+
+    const tokens = await this.createSession(user, context);
+
+    logger.info(`User logged in successfully: ${user.email}`);
+
+    return {
+      user: user.toJSON(),
+      tokens
+    };
+  }
+
+  /**
+   * Rotate a refresh token. Each refresh token works once; presenting one that
+   * was already rotated means it leaked, so the whole session is revoked.
    * @param {string} refreshToken - Refresh token
-   * @returns {Object} New access token
+   * @param {Object} context - ipAddress of the request
+   * @returns {Object} New access and refresh tokens
    */
-  async refreshToken(refreshToken) {
+  async refreshToken(refreshToken, context = {}) {
     try {
       // Verify refresh token
       const decoded = this.verifyToken(refreshToken);
       
-      // Check if it's a refresh token
-      if (decoded.type !== 'refresh') {
+      // Check if it's a session-bound refresh token
+      if (decoded.type !== 'refresh' || !decoded.sessionId) {
         logger.warn('Invalid token type for refresh');
-        throw new Error('Invalid refresh token');
+        throw httpError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+      }
+
+      const session = await Session.findById(decoded.sessionId);
+
+      if (!session || session.user_id !== decoded.userId || !session.isActive()) {
+        logger.warn('Refresh token failed: session revoked or expired', { sessionId: decoded.sessionId });
+        throw httpError('Session has been revoked', 401, 'SESSION_REVOKED');
+      }
+
+      if (decoded.jti !== session.refresh_jti) {
+        await this.rejectRefreshReuse(session);
       }
 
       // Find user
@@ -204,40 +535,67 @@ class AuthService {
       
       if (!user) {
         logger.warn('Refresh token failed: User not found');
-        throw new Error('Invalid refresh token');
+        throw httpError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
       }
 
       // Check if account is active
       if (!user.is_active) {
         logger.warn('Refresh token failed: Account inactive');
-        throw new Error('Account is deactivated');
+        throw httpError('Account is deactivated', 401, 'ACCOUNT_DEACTIVATED');
       }
 
-      // Generate new access token
-      const tokens = this.generateTokens({
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      });
+      const tokens = await this.issueSessionTokens(user, session, context);
 
-      logger.info(`Token refreshed for user: ${user.email}`);
+      logger.info(`Token refreshed for user: ${user.email}`, { sessionId: session.id });
       
-      return {
-        accessToken: tokens.accessToken,
-        expiresIn: tokens.expiresIn
-      };
+      return tokens;
     } catch (error) {
       logger.error('Token refresh failed:', error);
       throw error;
     }
   }
 
+  /**
+   * List a user's signed-in sessions
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the request, flagged as current
+   * @returns {Promise<Object[]>}
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await Session.findActiveByUser(userId);
+
+    return sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - Owner
+   * @param {string} sessionId - Session to revoke
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await Session.findById(sessionId);
+
+    if (!session || session.user_id !== userId || !session.isActive()) {
+      throw httpError('Session not found', 404, 'SESSION_NOT_FOUND');
+    }
+
+    await session.revoke('revoked');
+  }
+
   /**
    * Request password reset
    * @param {string} email - User email
    * @returns {Object} Reset token and expiration
    */
   async requestPasswordReset(email) {
+    const response = {
+      message: 'If an account exists with this email, a password reset link will be sent'
+    };
+
     try {
       // Find user by email
       const user = await User.findByEmail(email);
@@ -245,9 +603,14 @@ class AuthService {
       if (!user) {
         // Don't reveal if user exists or not for security
         logger.info(`Password reset requested for non-existent email: ${email}`);
-        return {
-          message: 'If an account exists with this email, a password reset link will be sent'
-        };
+        return response;
+      }
+
+      // SSO-only accounts have no password to reset
+      const policy = await SsoDomain.findForEmail(user.email);
+      if (policy && policy.required) {
+        logger.info(`Password reset skipped for SSO-only domain: ${policy.domain}`);
+        return response;
       }
 
       // Generate reset token
@@ -256,16 +619,11 @@ class AuthService {
 
       // Save reset token to user
       await user.setPasswordResetToken(resetToken, resetExpires);
+      await mailService.sendPasswordReset(user, resetToken, resetExpires);
 
-      // In a real application, you would send an email with the reset link
-      // For now, we'll return the token (in production, this should be emailed)
-      logger.info(`Password reset token generated for user: ${user.email}`);
+      logger.info(`Password reset email sent to user: ${user.email}`);
       
-      return {
-        message: 'Password reset link sent to your email',
-        resetToken, // Remove this in production - only for testing
-        resetExpires
-      };
+      return response;
     } catch (error) {
       logger.error('Password reset request failed:', error);
       throw error;
@@ -305,6 +663,9 @@ class AuthService {
       // Update password
       await user.updatePassword(newPassword);
 
+      // Anyone holding an old session must sign in with the new password
+      await Session.revokeAllForUser(user.id, { reason: 'password_reset' });
+
       logger.info(`Password reset successfully for user: ${user.email}`);
       
       return {
@@ -333,7 +694,10 @@ class AuthService {
       logger.debug(`User profile retrieved: ${user.email}`);
       
       return {
-        user: user.toJSON()
+        user: {
+          ...user.toJSON(),
+          permissions: await roleService.getPermissions(user.role)
+        }
       };
     } catch (error) {
       logger.error('Get current user failed:', error);
@@ -380,19 +744,80 @@ class AuthService {
     }
   }
 
+  /**
+   * Issue a fresh verification token and email it, replacing any earlier one
+   * @param {User} user - User to verify
+   * @returns {Promise<void>}
+   */
+  async sendEmailVerification(user) {
+    const token = this.generateEmailVerificationToken(user.id);
+    const expires = new Date(Date.now() + this.emailVerificationTtlHours * 3600000);
+
+    await user.setEmailVerificationToken(token, expires);
+    await mailService.sendEmailVerification(user, token, expires);
+  }
+
+  /**
+   * Resend the verification email, for the signed-in user or by address.
+   * By address the answer is the same whether or not the account exists.
+   * @param {Object} target - userId or email
+   * @returns {Object} Success message
+   */
+  async resendEmailVerification({ userId, email }) {
+    const response = {
+      message: 'If the address needs verifying, a new verification link will be sent'
+    };
+
+    const user = userId ? await User.findById(userId) : await User.findByEmail(email);
+    if (userId && user?.is_email_verified) {
+      throw httpError('Email is already verified', 409, 'EMAIL_ALREADY_VERIFIED');
+    }
+    if (!user || user.is_email_verified) {
+      return response;
+    }
+
+    // The previous token's issue time is its expiry minus the TTL
+    if (user.email_verification_expires) {
+      const issuedAt = new Date(user.email_verification_expires).getTime() -
+        this.emailVerificationTtlHours * 3600000;
+      if (Date.now() - issuedAt < this.emailVerificationResendInterval) {
+        throw httpError('A verification email was sent recently, try again in a minute', 429,
+          'VERIFICATION_RECENTLY_SENT');
+      }
+    }
+
+    await this.sendEmailVerification(user);
+    logger.info(`Verification email resent to user: ${user.email}`);
+
+    return response;
+  }
+
   /**
    * Verify email
    * @param {string} token - Verification token
-   * @returns {Object} Success message
+   * @returns {Object} Success message and the updated user
    */
   async verifyEmail(token) {
     try {
-      // In a real implementation, you would find the user by verification token
-      // For now, this is a placeholder
-      logger.info('Email verification attempted with token:', token);
-      
+      const client = db.getClient();
+      const { data, error } = await client
+        .from('users')
+        .select('*')
+        .eq('email_verification_token', token)
+        .single();
+
+      const user = data && !error ? new User(data) : null;
+      if (!user || !user.email_verification_expires ||
+          new Date(user.email_verification_expires) <= new Date()) {
+        logger.warn('Invalid or expired email verification token');
+        throw httpError('Invalid or expired verification token', 400, 'INVALID_VERIFICATION_TOKEN');
+      }
+
+      await user.verifyEmail();
+
       return {
-        message: 'Email verified successfully'
+        message: 'Email verified successfully',
+        user: user.toJSON()
       };
     } catch (error) {
       logger.error('Email verification failed:', error);
@@ -403,10 +828,11 @@ class AuthService {
   /**
    * Change user role
    * @param {string} userId - User ID
-   * @param {string} newRole - New role
+   * @param {string} newRole - Built-in or custom role name
+   * @param {Object} context - actor, ipAddress and requestId for the audit log
    * @returns {Object} Updated user data
    */
-  async changeUserRole(userId, newRole) {
+  async changeUserRole(userId, newRole, context = {}) {
     try {
       const user = await User.findById(userId);
       
@@ -415,6 +841,10 @@ class AuthService {
         throw new Error('User not found');
       }
 
+      if (!await roleService.getRole(newRole)) {
+        throw httpError(`Unknown role: ${newRole}`, 400, 'ROLE_NOT_FOUND');
+      }
+
       // Update role in database
       const client = db.getClient();
       const { error } = await client
@@ -430,6 +860,14 @@ class AuthService {
         throw new Error(`Failed to update user role: ${error.message}`);
       }
 
+      await auditService.record({
+        ...context,
+        action: 'user.role_change',
+        target: { type: 'user', id: userId },
+        before: { role: user.role },
+        after: { role: newRole }
+      });
+
       user.role = newRole;
       logger.info(`User role updated: ${user.email} -> ${newRole}`);
       
@@ -0,0 +1,395 @@
+const aiService = require('./aiService');
+const quotaService = require('./quotaService');
+const webhookService = require('./webhookService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+const {
+  validateAiRequest,
+  validateEmbeddingsRequest,
+  validateImageRequest,
+  findValidationProblem
+} = require('../middleware/aiValidation');
+
+const BATCH_COLLECTION = 'ai-batches';
+const BATCH_QUEUE = 'ai-batches';
+const ITEM_TYPES = ['generation', 'embeddings', 'image'];
+
+// Each item type is held to its single-request route's rules, and only the
+// fields that route reads are kept
+const ITEM_RULES = {
+  generation: {
+    validators: validateAiRequest,
+    fields: ['prompt', 'messages', 'model', 'provider', 'temperature', 'maxTokens', 'functions', 'failover', 'routing']
+  },
+  embeddings: {
+    validators: validateEmbeddingsRequest,
+    fields: ['texts', 'model', 'provider', 'routing']
+  },
+  image: {
+    validators: validateImageRequest,
+    fields: ['prompt', 'model', 'size', 'quality', 'routing']
+  }
+};
+
+/**
+ * Batch Service
+ * Runs many generation, embedding and image requests as one batch.
+ * Batches are persisted in the job queue store and executed by a queue
+ * worker, so a batch interrupted by a restart picks up where it stopped.
+ */
+class BatchService {
+  constructor() {
+    this.config = {
+      maxItems: parseInt(process.env.AI_BATCH_MAX_ITEMS) || 100,
+      concurrency: parseInt(process.env.AI_BATCH_CONCURRENCY) || 3,
+      workers: parseInt(process.env.AI_BATCH_WORKERS) || 2
+    };
+  }
+
+  /**
+   * Start executing queued batches
+   */
+  startWorker() {
+    return jobQueue.process(BATCH_QUEUE, job => this.runBatch(job.data.batchId), {
+      concurrency: this.config.workers
+    });
+  }
+
+  /**
+   * Parse a JSONL upload: one { customId, type, body } object per line
+   */
+  parseJsonl(text) {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw this.invalidBatch(`Line ${number} is not valid JSON`);
+        }
+      });
+  }
+
+  /**
+   * Validate batch items, throwing on the first invalid one
+   */
+  async validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw this.invalidBatch('A batch needs at least one item');
+    }
+
+    if (items.length > this.config.maxItems) {
+      throw this.invalidBatch(`A batch can hold at most ${this.config.maxItems} items`);
+    }
+
+    for (const [index, item] of items.entries()) {
+      const problem = await this.findItemProblem(item);
+      if (problem) {
+        throw this.invalidBatch(`Item ${index}: ${problem}`);
+      }
+    }
+  }
+
+  /**
+   * Describe what is wrong with an item, or null when it is valid
+   */
+  async findItemProblem(item) {
+    if (!item || typeof item !== 'object') return 'must be an object';
+    if (!ITEM_TYPES.includes(item.type)) return `type must be one of: ${ITEM_TYPES.join(', ')}`;
+    if (item.customId !== undefined && typeof item.customId !== 'string') return 'customId must be a string';
+
+    const { body } = item;
+    if (!body || typeof body !== 'object') return 'body must be an object';
+
+    if (item.type === 'generation' && typeof body.prompt !== 'string' && !Array.isArray(body.messages)) {
+      return 'generation needs a prompt or messages';
+    }
+    if (item.type === 'embeddings' && (!Array.isArray(body.texts) || body.texts.length === 0)) {
+      return 'embeddings need a non-empty texts array';
+    }
+    if (item.type === 'image' && typeof body.prompt !== 'string') {
+      return 'image generation needs a prompt';
+    }
+
+    return findValidationProblem(ITEM_RULES[item.type].validators, body);
+  }
+
+  /**
+   * The part of an item's body its route would use
+   */
+  pickRequest(item) {
+    return Object.fromEntries(ITEM_RULES[item.type].fields
+      .filter(field => item.body[field] !== undefined)
+      .map(field => [field, item.body[field]]));
+  }
+
+  invalidBatch(message) {
+    return httpError(message, 400, 'INVALID_BATCH');
+  }
+
+  /**
+   * Create and queue a batch; items count against apiKeyId's budget when
+   * the batch was submitted with an API key
+   */
+  async createBatch(items, { userId, plan = null, apiKeyId = null }) {
+    await this.validateItems(items);
+
+    const now = new Date().toISOString();
+    const batch = {
+      id: this.generateBatchId(),
+      userId,
+      plan,
+      apiKeyId,
+      status: 'queued',
+      items: items.map((item, index) => ({
+        index,
+        customId: item.customId || null,
+        type: item.type,
+        request: this.pickRequest(item),
+        status: 'pending',
+        taskId: null,
+        result: null,
+        error: null
+      })),
+      usage: { totalTokens: 0, cost: 0 },
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    await jobQueue.setRecord(BATCH_COLLECTION, batch.id, batch);
+    await jobQueue.add(BATCH_QUEUE, { batchId: batch.id }, { id: batch.id, maxAttempts: 1 });
+
+    logger.info('AI batch queued', { batchId: batch.id, userId, items: items.length });
+    return batch;
+  }
+
+  async getBatch(batchId) {
+    return jobQueue.getRecord(BATCH_COLLECTION, batchId);
+  }
+
+  /**
+   * Execute a batch's remaining items with bounded concurrency
+   */
+  async runBatch(batchId) {
+    const batch = await this.getBatch(batchId);
+    if (!batch || batch.status === 'completed' || batch.status === 'failed') {
+      return { status: batch ? batch.status : 'missing' };
+    }
+
+    // Items that were running when a previous worker stopped are run again
+    const pending = batch.items.filter(item => item.status === 'pending' || item.status === 'running');
+    pending.forEach(item => { item.status = 'pending'; });
+
+    batch.status = 'running';
+    batch.startedAt = batch.startedAt || new Date().toISOString();
+    await this.saveBatch(batch);
+
+    // Never ask for more parallel requests than the user's quota allows
+    const concurrency = Math.max(1, Math.min(
+      this.config.concurrency,
+      (await quotaService.getUserQuota(batch.userId))?.concurrentRequests || this.config.concurrency
+    ));
+
+    const queue = [...pending];
+    const runNext = async () => {
+      for (let item = queue.shift(); item; item = queue.shift()) {
+        await this.runItem(batch, item);
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, runNext));
+
+    const summary = this.summarize(batch);
+    batch.status = summary.succeeded === 0 ? 'failed' : 'completed';
+    batch.completedAt = new Date().toISOString();
+    await this.saveBatch(batch);
+
+    logger.info('AI batch finished', { batchId, userId: batch.userId, ...summary });
+
+    webhookService.triggerEvent('batch.completed', {
+      userId: batch.userId,
+      batchId,
+      status: batch.status,
+      total: summary.total,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      totalTokens: batch.usage.totalTokens,
+      cost: batch.usage.cost
+    }).catch(err => {
+      logger.error('Webhook trigger failed', { error: err.message });
+    });
+
+    return { status: batch.status, ...summary };
+  }
+
+  /**
+   * Run one item under the user's quota and record its outcome
+   */
+  async runItem(batch, item) {
+    const { userId, plan, apiKeyId } = batch;
+    const estimatedTokens = this.estimateTokens(item);
+
+    item.status = 'running';
+    await this.saveBatch(batch);
+
+    let reservation = null;
+
+    try {
+      reservation = await quotaService.reserve(userId, {
+        tokens: estimatedTokens,
+        cost: await this.estimateCost(item, { userId, plan }),
+        requestType: item.type === 'image' ? 'image_generation' : item.type,
+        apiKeyId
+      });
+
+      const result = await this.execute(item.type, { ...item.request, userId, plan });
+
+      // Image generations are billed at a flat token estimate, as on /images
+      const tokensUsed = item.type === 'image' ? estimatedTokens : result.usage?.totalTokens || estimatedTokens;
+      await quotaService.settle(reservation, {
+        tokens: tokensUsed,
+        cost: result.cost,
+        model: result.model,
+        provider: result.provider,
+        reference: result.taskId
+      });
+
+      item.status = 'succeeded';
+      item.taskId = result.taskId;
+      item.result = result;
+      batch.usage.totalTokens += tokensUsed;
+      batch.usage.cost += result.cost || 0;
+    } catch (error) {
+      await quotaService.release(reservation, aiService.releaseReason(error));
+
+      item.status = 'failed';
+      item.error = { message: error.message, code: error.code || null };
+
+      logger.warn('AI batch item failed', {
+        batchId: batch.id,
+        index: item.index,
+        type: item.type,
+        error: error.message
+      });
+    }
+
+    await this.saveBatch(batch);
+  }
+
+  /**
+   * Send an item to the matching AI service call
+   */
+  execute(type, params) {
+    switch (type) {
+      case 'embeddings':
+        return aiService.generateEmbeddings(params);
+      case 'image':
+        return aiService.generateImage(params);
+      default:
+        return aiService.generate({ ...params, stream: false });
+    }
+  }
+
+  /**
+   * Token estimate used for quota checks, matching the single-request routes
+   */
+  estimateTokens(item) {
+    if (item.type === 'embeddings') return item.request.texts.length * 100;
+    if (item.type === 'image') return 1000;
+    return item.request.maxTokens || 1000;
+  }
+
+  /**
+   * Pre-flight cost of an item, for budget checks
+   */
+  estimateCost(item, { userId, plan }) {
+    const { provider, model, routing, prompt, messages, texts, quality } = item.request;
+    let usageEstimate = aiService.estimateUsage(prompt, messages, this.estimateTokens(item));
+    if (item.type === 'embeddings') usageEstimate = aiService.estimateUsage(texts.join(' '), null, 0);
+    if (item.type === 'image') usageEstimate = { images: 1, quality };
+
+    return aiService.estimateCost(item.type, { provider, model, routing, userId, plan, usageEstimate });
+  }
+
+  async saveBatch(batch) {
+    batch.updatedAt = new Date().toISOString();
+    await jobQueue.setRecord(BATCH_COLLECTION, batch.id, batch);
+  }
+
+  /**
+   * Item counts for a batch
+   */
+  summarize(batch) {
+    const count = (status) => batch.items.filter(item => item.status === status).length;
+    const total = batch.items.length;
+    const succeeded = count('succeeded');
+    const failed = count('failed');
+
+    return {
+      total,
+      completed: succeeded + failed,
+      succeeded,
+      failed,
+      percent: Math.round(((succeeded + failed) / total) * 100)
+    };
+  }
+
+  /**
+   * Public view of a batch: progress and per-item status without results
+   */
+  formatBatch(batch) {
+    return {
+      id: batch.id,
+      status: batch.status,
+      progress: this.summarize(batch),
+      usage: batch.usage,
+      items: batch.items.map(item => ({
+        index: item.index,
+        customId: item.customId,
+        type: item.type,
+        status: item.status,
+        taskId: item.taskId,
+        error: item.error
+      })),
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+      startedAt: batch.startedAt,
+      completedAt: batch.completedAt,
+      resultsUrl: `/api/v1/ai/batch/${batch.id}/results`
+    };
+  }
+
+  /**
+   * Finished items as result entries
+   */
+  getResults(batch) {
+    return batch.items
+      .filter(item => item.status === 'succeeded' || item.status === 'failed')
+      .map(item => ({
+        index: item.index,
+        customId: item.customId,
+        type: item.type,
+        status: item.status,
+        result: item.result,
+        error: item.error
+      }));
+  }
+
+  /**
+   * Results as JSONL, one line per finished item
+   */
+  toJsonl(batch) {
+    return this.getResults(batch).map(entry => JSON.stringify(entry)).join('\n') + '\n';
+  }
+
+  generateBatchId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = new BatchService();
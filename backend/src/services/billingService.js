@@ -0,0 +1,289 @@
+const CreditEntry = require('../models/CreditEntry');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+const WALLET = 'wallet';
+
+// The other side of each kind of wallet transaction
+const COUNTER_ACCOUNTS = {
+  topup: 'payments',
+  usage: 'revenue',
+  refund: 'revenue',
+  adjustment: 'adjustments'
+};
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Billing Service
+ * Keeps each user's prepaid credit in a double-entry ledger: top-ups, usage
+ * debits, refunds and admin adjustments each move money between the user's
+ * wallet and a counter account, so every transaction sums to zero and the
+ * balance is the sum of the wallet's entries. Invoices are built from the
+ * ledger on demand; entries are never changed, so a closed month's invoice
+ * always comes out the same.
+ */
+class BillingService {
+  constructor() {
+    this.config = {
+      // With prepaid billing a request is refused when the balance can't
+      // cover its estimated cost; otherwise the wallet may go negative and
+      // the invoice is the amount owed
+      prepaid: process.env.BILLING_PREPAID === 'true',
+      currency: process.env.BILLING_CURRENCY || 'USD',
+      issuer: process.env.BILLING_ISSUER || 'AI Playground'
+    };
+  }
+
+  isValidPeriod(period) {
+    return PERIOD_PATTERN.test(period || '');
+  }
+
+  currentPeriod(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 7);
+  }
+
+  async getBalance(userId) {
+    return round(await CreditEntry.getBalance(userId, WALLET));
+  }
+
+  /**
+   * Move an amount into (positive) or out of (negative) a user's wallet
+   * @returns {Promise<CreditEntry>} The wallet side of the transaction
+   */
+  async transact(userId, type, amount, { description = null, reference = null, metadata = {}, createdBy = null } = {}) {
+    const [wallet] = await CreditEntry.createTransaction({
+      userId,
+      type,
+      entries: [
+        { account: WALLET, amount },
+        { account: COUNTER_ACCOUNTS[type], amount: -amount }
+      ],
+      description,
+      reference,
+      metadata,
+      createdBy
+    });
+
+    return wallet;
+  }
+
+  /**
+   * Add purchased credit to a user's wallet
+   * @param {string} userId
+   * @param {Object} options - amount, description, reference (e.g. a payment ID) and req
+   */
+  async topUp(userId, { amount, description = 'Credit top-up', reference = null, req = null }) {
+    if (!(amount > 0)) {
+      throw httpError('Top-up amount must be positive', 400, 'INVALID_AMOUNT');
+    }
+
+    return this.credit(userId, 'topup', amount, { description, reference, req });
+  }
+
+  /**
+   * Correct a user's balance by a positive or negative amount
+   */
+  async adjust(userId, { amount, description, reference = null, req = null }) {
+    if (!amount) {
+      throw httpError('Adjustment amount must not be zero', 400, 'INVALID_AMOUNT');
+    }
+
+    return this.credit(userId, 'adjustment', amount, { description, reference, req });
+  }
+
+  async credit(userId, type, amount, { description, reference, req }) {
+    const entry = await this.transact(userId, type, amount, {
+      description,
+      reference,
+      createdBy: req?.user?.id || null
+    });
+    const balance = await this.getBalance(userId);
+
+    if (req) {
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'billing.credit',
+        target: { type: 'user', id: userId },
+        metadata: { type, amount, description, reference, transactionId: entry.transaction_id }
+      });
+    }
+
+    logger.info('Credit ledger updated', { userId, type, amount, balance });
+    return { entry, balance };
+  }
+
+  /**
+   * Debit a served request. A failed ledger write is logged with the user
+   * and amount and returns null, since the provider's response is already
+   * paid for and should still reach the caller.
+   * @param {string} userId
+   * @param {Object} usage - cost, tokens, model, provider, taskType,
+   *   reference (a task ID) and, for requests support staff made while
+   *   impersonating the user, impersonationId
+   */
+  async charge(userId, {
+    cost, tokens = 0, model = null, provider = null, taskType = 'generation', reference = null, impersonationId = null
+  }) {
+    if (!(cost > 0)) return null;
+
+    try {
+      return await this.transact(userId, 'usage', -cost, {
+        description: `${taskType} (${model || 'unknown model'})`,
+        reference,
+        metadata: { model, provider, taskType, tokens, ...(impersonationId ? { impersonationId } : {}) }
+      });
+    } catch (error) {
+      logger.error('Failed to charge usage to credit ledger', { userId, cost, model, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Credit back a charge for work that failed or was cancelled
+   */
+  async refund(userId, { cost, model = null, provider = null, taskType = 'generation', reference = null }) {
+    if (!(cost > 0)) return null;
+
+    try {
+      return await this.transact(userId, 'refund', cost, {
+        description: `Refund: ${taskType} (${model || 'unknown model'})`,
+        reference,
+        metadata: { model, provider, taskType }
+      });
+    } catch (error) {
+      logger.error('Failed to refund usage to credit ledger', { userId, cost, model, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * With prepaid billing, refuse work the balance can't cover
+   * @throws {Error} INSUFFICIENT_CREDIT
+   */
+  async assertCredit(userId, cost = 0) {
+    if (!this.config.prepaid) return;
+
+    const balance = await this.getBalance(userId);
+    if (balance <= 0 || balance < cost) {
+      throw httpError(
+        `Insufficient credit: balance ${formatAmount(balance)}, request needs ${formatAmount(cost)}`,
+        402,
+        'INSUFFICIENT_CREDIT'
+      );
+    }
+  }
+
+  /**
+   * Wallet entries, newest first
+   * @param {Object} options - type, period ('YYYY-MM'), limit and offset
+   */
+  async getTransactions(userId, { type = null, period = null, limit = 50, offset = 0 } = {}) {
+    const range = period ? periodRange(period) : {};
+    const entries = await CreditEntry.findByAccount(userId, WALLET, { type, ...range });
+
+    return {
+      transactions: entries.reverse().slice(offset, offset + limit),
+      total: entries.length
+    };
+  }
+
+  /**
+   * Build a user's invoice for a month: usage and refunds as line items by
+   * task type and model, plus the credit added and the wallet balance at
+   * both ends of the month
+   * @param {User} user
+   * @param {string} period - 'YYYY-MM'
+   */
+  async generateInvoice(user, period, now = Date.now()) {
+    const { startDate, endDate } = periodRange(period);
+    const entries = await CreditEntry.findByAccount(user.id, WALLET, { endDate });
+    const inPeriod = entries.filter(entry => entry.created_at >= startDate);
+
+    const lines = new Map();
+    inPeriod
+      .filter(entry => entry.type === 'usage' || entry.type === 'refund')
+      .forEach(entry => {
+        const { model = null, taskType = 'generation', tokens = 0 } = entry.metadata || {};
+        const key = [entry.type, taskType, model].join('|');
+        const line = lines.get(key) || { type: entry.type, taskType, model, quantity: 0, tokens: 0, amount: 0 };
+
+        line.quantity++;
+        line.tokens += tokens || 0;
+        // Charges take money out of the wallet, so flip the sign
+        line.amount -= entry.amount;
+        lines.set(key, line);
+      });
+
+    const lineItems = [...lines.values()]
+      .map(line => ({
+        ...line,
+        description: `${line.type === 'refund' ? 'Refund: ' : ''}${line.taskType} (${line.model || 'unknown model'})`,
+        unitPrice: round(line.amount / line.quantity),
+        amount: round(line.amount)
+      }))
+      .sort((a, b) => a.type.localeCompare(b.type) || b.amount - a.amount);
+
+    const totalOf = (type) => round(sum(inPeriod.filter(entry => entry.type === type)));
+    const subtotal = round(sum(lineItems.filter(line => line.type === 'usage'), 'amount'));
+    const refunds = round(sum(lineItems.filter(line => line.type === 'refund'), 'amount'));
+    const closing = round(sum(entries));
+
+    return {
+      number: `INV-${period.replace('-', '')}-${String(user.id).slice(0, 8).toUpperCase()}`,
+      period,
+      status: period < this.currentPeriod(now) ? 'final' : 'open',
+      issuer: this.config.issuer,
+      customer: { id: user.id, email: user.email, name: user.name || null },
+      currency: this.config.currency,
+      periodStart: startDate,
+      periodEnd: endDate,
+      issuedAt: new Date(now).toISOString(),
+      lineItems,
+      totals: {
+        subtotal,
+        refunds,
+        total: round(subtotal + refunds)
+      },
+      credits: {
+        topups: totalOf('topup'),
+        adjustments: totalOf('adjustment')
+      },
+      balance: {
+        opening: round(closing - sum(inPeriod)),
+        closing
+      }
+    };
+  }
+
+  /**
+   * Months with ledger activity, newest first, with their totals
+   */
+  async listInvoices(user, now = Date.now()) {
+    const entries = await CreditEntry.findByAccount(user.id, WALLET);
+    const periods = [...new Set(entries.map(entry => entry.created_at.slice(0, 7)))].reverse();
+
+    return Promise.all(periods.map(async period => {
+      const { number, status, totals } = await this.generateInvoice(user, period, now);
+      return { number, period, status, total: totals.total, currency: this.config.currency };
+    }));
+  }
+}
+
+const sum = (items, field = 'amount') => items.reduce((total, item) => total + item[field], 0);
+
+// Ledger amounts carry fractions of a cent; round away float noise only
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const formatAmount = (value) => `$${value.toFixed(2)}`;
+
+const periodRange = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return {
+    startDate: new Date(Date.UTC(year, month - 1, 1)).toISOString(),
+    endDate: new Date(Date.UTC(year, month, 1) - 1).toISOString()
+  };
+};
+
+module.exports = new BillingService();
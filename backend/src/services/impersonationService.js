@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authService = require('./authService');
+const roleService = require('./roleService');
+const auditService = require('./auditService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+const GRANT_COLLECTION = 'impersonations';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Reads that go past what support needs to see: the full account archive,
+// devices and IPs, 2FA state, and webhook endpoints with their deliveries
+const HIDDEN_PATHS = [
+  /^\/api\/auth\/me\/export$/,
+  /^\/api\/auth\/sessions(\/|$)/,
+  /^\/api\/auth\/2fa(\/|$)/,
+  /^\/api\/v1\/webhooks(\/|$)/
+];
+// The only writes allowed: a text generation or embedding to reproduce a
+// problem with, and ending the impersonation
+const WRITABLE_PATHS = [
+  /^\/api\/v1\/ai\/generate$/,
+  /^\/api\/v1\/ai\/embeddings$/,
+  /^\/api\/auth\/impersonation\/stop$/
+];
+
+/**
+ * Impersonation Service
+ * Lets support staff see the app as a customer. Each impersonation is a
+ * grant in the job queue record store; its token is checked against the
+ * grant on every request, so stopping it, the admin losing the permission
+ * or the admin's session ending cuts it off at once.
+ */
+class ImpersonationService {
+  /**
+   * Start acting as a user
+   * @param {User} actor - Admin starting the impersonation
+   * @param {string} userId - User to impersonate
+   * @param {Object} options - reason, plus sessionId, ipAddress and requestId of the request
+   * @returns {Promise<Object>} accessToken, expiresIn, impersonationId and the user
+   */
+  async start(actor, userId, { reason = null, sessionId = null, ipAddress = null, requestId = null } = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw httpError('User not found', 404, 'USER_NOT_FOUND');
+    }
+    if (user.id === actor.id) {
+      throw httpError('You cannot impersonate yourself', 400, 'CANNOT_IMPERSONATE_SELF');
+    }
+    if (!user.is_active) {
+      throw httpError('Account is deactivated', 409, 'ACCOUNT_DEACTIVATED');
+    }
+    await roleService.assertCanManage(actor, user);
+
+    await this.pruneExpired();
+
+    const id = crypto.randomUUID();
+    const { accessToken, expiresIn } = authService.generateImpersonationToken(user, id);
+    const grant = {
+      id,
+      userId: user.id,
+      impersonatorId: actor.id,
+      impersonatorSessionId: sessionId,
+      reason,
+      createdAt: Date.now(),
+      expiresAt: expiresIn.getTime()
+    };
+    await jobQueue.setRecord(GRANT_COLLECTION, id, grant);
+
+    await auditService.record({
+      actor,
+      ipAddress,
+      requestId,
+      action: 'user.impersonation_start',
+      target: { type: 'user', id: user.id },
+      metadata: { impersonationId: id, reason, expiresAt: expiresIn.toISOString() }
+    });
+
+    logger.info(`Impersonation started: ${actor.email} as ${user.email}`, { impersonationId: id });
+
+    return {
+      accessToken,
+      expiresIn,
+      impersonationId: id,
+      user: user.toJSON()
+    };
+  }
+
+  /**
+   * Look up the grant behind a decoded impersonation token
+   * @param {Object} decoded - Verified token payload
+   * @returns {Promise<Object|null>} { id, impersonator, reason, expiresAt }, or null once it has ended
+   */
+  async resolve(decoded) {
+    const grant = await jobQueue.getRecord(GRANT_COLLECTION, decoded.impersonationId);
+    if (!grant || grant.userId !== decoded.userId || grant.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    const impersonator = await User.findById(grant.impersonatorId);
+    if (!impersonator || !impersonator.is_active ||
+        !await roleService.hasPermissions(impersonator.role, ['users:impersonate'])) {
+      return null;
+    }
+
+    if (grant.impersonatorSessionId) {
+      const session = await Session.findById(grant.impersonatorSessionId);
+      if (!session || !session.isActive()) return null;
+    }
+
+    return {
+      id: grant.id,
+      impersonator,
+      reason: grant.reason,
+      expiresAt: new Date(grant.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * End an impersonation; its token stops working immediately
+   * @param {Object} impersonation - As returned by resolve
+   * @param {User} user - User being impersonated
+   * @param {Object} context - ipAddress and requestId of the request
+   */
+  async stop(impersonation, user, { ipAddress = null, requestId = null } = {}) {
+    await jobQueue.deleteRecord(GRANT_COLLECTION, impersonation.id);
+
+    await auditService.record({
+      actor: impersonation.impersonator,
+      ipAddress,
+      requestId,
+      action: 'user.impersonation_stop',
+      target: { type: 'user', id: user.id },
+      metadata: { impersonationId: impersonation.id }
+    });
+
+    logger.info(`Impersonation stopped: ${impersonation.impersonator.email} as ${user.email}`);
+  }
+
+  /**
+   * Whether an impersonated request is out of bounds: an account-level read
+   * in HIDDEN_PATHS, or any change other than the POSTs in WRITABLE_PATHS.
+   * Express routes ignore case and a trailing slash, so the path is matched
+   * the same way.
+   * @param {Object} req - Express request
+   */
+  isRestricted(req) {
+    const path = `${req.baseUrl}${req.path}`.toLowerCase().replace(/\/+$/, '');
+
+    if (READ_METHODS.includes(req.method)) {
+      return HIDDEN_PATHS.some(pattern => pattern.test(path));
+    }
+    return req.method !== 'POST' || !WRITABLE_PATHS.some(pattern => pattern.test(path));
+  }
+
+  async pruneExpired() {
+    const now = Date.now();
+
+    for (const grant of await jobQueue.listRecords(GRANT_COLLECTION)) {
+      if (grant.expiresAt <= now) {
+        await jobQueue.deleteRecord(GRANT_COLLECTION, grant.id);
+      }
+    }
+  }
+}
+
+module.exports = new ImpersonationService();
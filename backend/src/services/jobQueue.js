@@ -0,0 +1,438 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const LocalJobStore = require('./jobStores/localJobStore');
+const RedisJobStore = require('./jobStores/redisJobStore');
+const logger = require('../utils/logger');
+
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Returned by a job handler to run the job again later, e.g. to poll an
+ * upstream task, without counting it as a failed attempt
+ */
+class Snooze {
+  constructor(delay, data = null) {
+    this.delay = delay;
+    this.data = data;
+  }
+}
+
+/**
+ * Job Queue
+ * Durable records and leased background jobs.
+ *
+ * Records are plain JSON documents grouped in collections (task tracking).
+ * Jobs move through queued -> active -> completed | failed | cancelled.
+ * A worker leases a job for leaseTimeout ms and keeps extending the lease
+ * while its handler runs; if the worker dies the lease expires and the job
+ * becomes visible to other workers again. An expired lease counts as a
+ * failed attempt, so a job that keeps killing its worker ends up failed.
+ *
+ * Redis is used when configured; otherwise, or when Redis is unreachable,
+ * an in-process store that snapshots to a local file.
+ */
+class JobQueue {
+  constructor() {
+    this.config = {
+      driver: process.env.JOB_QUEUE_DRIVER ||
+        (process.env.NODE_ENV === 'test' ? 'memory' : process.env.REDIS_URL ? 'redis' : 'file'),
+      redisUrl: process.env.REDIS_URL,
+      redisPassword: process.env.REDIS_PASSWORD,
+      prefix: process.env.JOB_QUEUE_PREFIX || 'ai-playground',
+      filePath: process.env.JOB_QUEUE_FILE || path.join(process.cwd(), 'data', 'jobs.json'),
+      leaseTimeout: parseInt(process.env.JOB_QUEUE_LEASE_TIMEOUT) || 60000,
+      pollInterval: parseInt(process.env.JOB_QUEUE_POLL_INTERVAL) || 1000,
+      retryDelay: parseInt(process.env.JOB_QUEUE_RETRY_DELAY) || 5000,
+      maxAttempts: parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS) || 3
+    };
+
+    this.store = null;
+    this.ready = null;
+    this.workers = new Map(); // queue -> worker state
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Connect the configured store once; falls back to the local store when
+   * Redis can't be reached
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.connect();
+    }
+
+    return this.ready;
+  }
+
+  async connect() {
+    const { driver } = this.config;
+
+    if (driver === 'redis') {
+      const store = new RedisJobStore({
+        url: this.config.redisUrl,
+        password: this.config.redisPassword,
+        prefix: this.config.prefix
+      });
+
+      try {
+        await store.connect();
+        this.store = store;
+        return this.store;
+      } catch (error) {
+        logger.warn('Job queue could not reach Redis, falling back to the local file store', {
+          error: error.message
+        });
+        store.close().catch(() => {});
+      }
+    }
+
+    const store = new LocalJobStore({ filePath: driver === 'memory' ? null : this.config.filePath });
+    await store.connect();
+    this.store = store;
+
+    logger.info('Job queue using local store', { driver: store.name });
+    return this.store;
+  }
+
+  /**
+   * Use a specific store (tests, custom deployments)
+   */
+  async useStore(store) {
+    await this.stop();
+    await store.connect();
+    this.store = store;
+    this.ready = Promise.resolve(store);
+    return store;
+  }
+
+  // Records
+
+  async getRecord(collection, id) {
+    const store = await this.init();
+    return store.getRecord(collection, id);
+  }
+
+  async setRecord(collection, id, record) {
+    const store = await this.init();
+    await store.setRecord(collection, id, record);
+    return record;
+  }
+
+  /**
+   * Apply changes to a record only if its status is still one of
+   * fromStatuses, as one atomic step
+   * @returns {Promise<Object|null>} The updated record, or null when it is
+   *   missing or another writer moved it on first
+   */
+  async transitionRecord(collection, id, fromStatuses, changes) {
+    const store = await this.init();
+    return store.transitionRecord(collection, id, fromStatuses, changes);
+  }
+
+  async deleteRecord(collection, id) {
+    const store = await this.init();
+    return store.deleteRecord(collection, id);
+  }
+
+  async listRecords(collection) {
+    const store = await this.init();
+    return store.listRecords(collection);
+  }
+
+  // Jobs
+
+  /**
+   * Add a job. Adding with the ID of an unfinished job returns that job
+   * instead of queueing a duplicate.
+   */
+  async add(queue, data, options = {}) {
+    const {
+      id = crypto.randomUUID(),
+      delay = 0,
+      maxAttempts = this.config.maxAttempts
+    } = options;
+
+    const store = await this.init();
+    const existing = await store.getRecord(`jobs:${queue}`, id);
+
+    if (existing && !TERMINAL_STATES.includes(existing.status)) {
+      return existing;
+    }
+
+    const now = Date.now();
+    const job = {
+      id,
+      queue,
+      status: 'queued',
+      data,
+      result: null,
+      error: null,
+      attempts: 0,
+      maxAttempts,
+      claims: 0,
+      availableAt: now + delay,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      finishedAt: null
+    };
+
+    await store.saveJob(job);
+
+    logger.debug('Job queued', { queue, jobId: id, delay });
+    return job;
+  }
+
+  async getJob(queue, id) {
+    const store = await this.init();
+    return store.getRecord(`jobs:${queue}`, id);
+  }
+
+  async listJobs(queue, options = {}) {
+    const { status = null } = options;
+    const store = await this.init();
+    const jobs = await store.listRecords(`jobs:${queue}`);
+
+    return status ? jobs.filter(job => job.status === status) : jobs;
+  }
+
+  /**
+   * Cancel an unfinished job. A handler that is already running finishes,
+   * but its outcome is discarded.
+   */
+  async cancel(queue, id) {
+    const job = await this.getJob(queue, id);
+
+    if (!job || TERMINAL_STATES.includes(job.status)) {
+      return job;
+    }
+
+    return this.finish(job, 'cancelled');
+  }
+
+  /**
+   * Remove finished jobs older than maxAge ms
+   */
+  async purge(queue, maxAge) {
+    const cutoff = Date.now() - maxAge;
+    const store = await this.init();
+    const jobs = await store.listRecords(`jobs:${queue}`);
+    let removed = 0;
+
+    for (const job of jobs) {
+      if (TERMINAL_STATES.includes(job.status) && new Date(job.updatedAt).getTime() < cutoff) {
+        await store.deleteRecord(`jobs:${queue}`, job.id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Ask for a job to run again after delay ms
+   */
+  snooze(delay, data = null) {
+    return new Snooze(delay, data);
+  }
+
+  /**
+   * Start working a queue. The handler receives the job and returns its
+   * result, a snooze() to run again later, or throws to retry with backoff
+   * until maxAttempts is reached.
+   */
+  process(queue, handler, options = {}) {
+    if (this.workers.has(queue)) {
+      throw new Error(`A worker is already registered for queue: ${queue}`);
+    }
+
+    const worker = {
+      queue,
+      handler,
+      concurrency: options.concurrency || 1,
+      leaseTimeout: options.leaseTimeout || this.config.leaseTimeout,
+      pollInterval: options.pollInterval || this.config.pollInterval,
+      running: 0,
+      polling: false,
+      timer: null
+    };
+
+    worker.timer = setInterval(() => this.poll(worker), worker.pollInterval);
+    worker.timer.unref?.();
+    this.workers.set(queue, worker);
+
+    logger.info('Job worker started', { queue, concurrency: worker.concurrency, workerId: this.workerId });
+
+    // Pick up anything already due without waiting for the first tick
+    this.poll(worker);
+    return worker;
+  }
+
+  /**
+   * Claim due jobs up to the worker's concurrency
+   */
+  async poll(worker) {
+    if (worker.polling) return;
+    worker.polling = true;
+
+    try {
+      const store = await this.init();
+
+      while (worker.running < worker.concurrency && this.workers.get(worker.queue) === worker) {
+        const now = Date.now();
+        const job = await store.claimJob(worker.queue, {
+          owner: this.workerId,
+          now,
+          leaseExpiresAt: now + worker.leaseTimeout,
+          concurrency: worker.concurrency
+        });
+
+        if (!job) break;
+
+        worker.running++;
+        this.runJob(worker, job).finally(() => {
+          worker.running--;
+        });
+      }
+    } catch (error) {
+      logger.error('Job queue poll failed', { queue: worker.queue, error: error.message });
+    } finally {
+      worker.polling = false;
+    }
+  }
+
+  /**
+   * Run a leased job and record the outcome
+   */
+  async runJob(worker, job) {
+    const store = await this.init();
+    const heartbeat = setInterval(() => {
+      store.extendLease(worker.queue, job.id, this.workerId, Date.now() + worker.leaseTimeout)
+        .then(extended => {
+          if (!extended) {
+            logger.warn('Job lease lost', { queue: worker.queue, jobId: job.id });
+          }
+        })
+        .catch(error => logger.warn('Job lease extension failed', { jobId: job.id, error: error.message }));
+    }, Math.max(worker.leaseTimeout / 2, 10));
+    heartbeat.unref?.();
+
+    let outcome;
+    try {
+      outcome = { result: await worker.handler(job) };
+    } catch (error) {
+      outcome = { error };
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    // Cancelled (or re-leased elsewhere) while the handler ran
+    const current = await store.getRecord(`jobs:${worker.queue}`, job.id);
+    if (!current || current.status !== 'active' || current.leaseOwner !== this.workerId) {
+      return;
+    }
+
+    if (outcome.error) {
+      return this.retryOrFail(current, outcome.error);
+    }
+
+    if (outcome.result instanceof Snooze) {
+      const { delay, data } = outcome.result;
+      return this.requeue(current, delay, data ? { ...current.data, ...data } : current.data);
+    }
+
+    return this.finish(current, 'completed', { result: outcome.result ?? null });
+  }
+
+  /**
+   * Retry a failed job with exponential backoff, or fail it for good
+   */
+  async retryOrFail(job, error) {
+    const attempts = job.attempts + 1;
+
+    logger.warn('Job attempt failed', {
+      queue: job.queue,
+      jobId: job.id,
+      attempts,
+      maxAttempts: job.maxAttempts,
+      error: error.message
+    });
+
+    if (attempts >= job.maxAttempts) {
+      return this.finish({ ...job, attempts }, 'failed', { error: error.message });
+    }
+
+    return this.requeue({ ...job, attempts, error: error.message },
+      this.config.retryDelay * Math.pow(2, attempts - 1));
+  }
+
+  async requeue(job, delay, data = job.data) {
+    const store = await this.init();
+    const now = Date.now();
+    const queued = {
+      ...job,
+      data,
+      status: 'queued',
+      availableAt: now + delay,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      updatedAt: new Date(now).toISOString()
+    };
+
+    await store.saveJob(queued);
+    return queued;
+  }
+
+  async finish(job, status, changes = {}) {
+    const store = await this.init();
+    const now = new Date().toISOString();
+    const finished = {
+      ...job,
+      ...changes,
+      status,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      updatedAt: now,
+      finishedAt: now
+    };
+
+    await store.saveJob(finished);
+
+    logger.debug('Job finished', { queue: job.queue, jobId: job.id, status });
+    return finished;
+  }
+
+  /**
+   * Stop all workers; leased jobs become visible again once their lease expires
+   */
+  async stop() {
+    for (const worker of this.workers.values()) {
+      clearInterval(worker.timer);
+    }
+
+    this.workers.clear();
+  }
+
+  /**
+   * Store and worker status for health reporting
+   */
+  async getStatus() {
+    const store = await this.init();
+
+    return {
+      store: store.name,
+      workerId: this.workerId,
+      workers: Array.from(this.workers.values()).map(worker => ({
+        queue: worker.queue,
+        concurrency: worker.concurrency,
+        running: worker.running
+      }))
+    };
+  }
+}
+
+JobQueue.Snooze = Snooze;
+
+module.exports = new JobQueue();
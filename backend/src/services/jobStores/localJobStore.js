@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Local Job Store
+ * In-process store for local development and tests. When a file path is
+ * given every change is snapshotted to disk, so tasks survive a restart of
+ * a single instance; it is not shared between processes.
+ */
+class LocalJobStore {
+  constructor(options = {}) {
+    this.name = options.filePath ? 'file' : 'memory';
+    this.filePath = options.filePath || null;
+    this.collections = new Map(); // collection -> Map(id -> record)
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the last snapshot, if any
+   */
+  async connect() {
+    if (!this.filePath) return;
+
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+
+      for (const [name, records] of Object.entries(snapshot)) {
+        this.collections.set(name, new Map(Object.entries(records)));
+      }
+
+      logger.info('Job store snapshot loaded', { filePath: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load job store snapshot', { filePath: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Wait for pending snapshot writes
+   */
+  async close() {
+    await this.writing;
+  }
+
+  /**
+   * Get or create a collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+
+    return this.collections.get(name);
+  }
+
+  async getRecord(collection, id) {
+    const record = this.collection(collection).get(id);
+    return record ? clone(record) : null;
+  }
+
+  async setRecord(collection, id, record) {
+    this.collection(collection).set(id, clone(record));
+    await this.persist();
+  }
+
+  async transitionRecord(collection, id, fromStatuses, changes) {
+    const record = this.collection(collection).get(id);
+    if (!record || !fromStatuses.includes(record.status)) {
+      return null;
+    }
+
+    Object.assign(record, clone(changes));
+    await this.persist();
+    return clone(record);
+  }
+
+  async deleteRecord(collection, id) {
+    const deleted = this.collection(collection).delete(id);
+    await this.persist();
+    return deleted;
+  }
+
+  async listRecords(collection) {
+    return Array.from(this.collection(collection).values()).map(clone);
+  }
+
+  async saveJob(job) {
+    await this.setRecord(jobCollection(job.queue), job.id, job);
+  }
+
+  /**
+   * Lease the next due job. An expired lease counts as a failed attempt:
+   * the job is handed out again, or failed once it runs out of attempts.
+   * Nothing is claimed while the queue is at its concurrency limit.
+   */
+  async claimJob(queue, { owner, now, leaseExpiresAt, concurrency }) {
+    const jobs = Array.from(this.collection(jobCollection(queue)).values());
+
+    for (const job of jobs) {
+      if (job.status === 'active' && job.leaseExpiresAt <= now) {
+        const attempts = (job.attempts || 0) + 1;
+        const updatedAt = new Date(now).toISOString();
+
+        Object.assign(job, { attempts, error: LEASE_EXPIRED, leaseOwner: null, leaseExpiresAt: null, updatedAt });
+        Object.assign(job, attempts >= job.maxAttempts
+          ? { status: 'failed', finishedAt: updatedAt }
+          : { status: 'queued', availableAt: now });
+      }
+    }
+
+    if (jobs.filter(job => job.status === 'active').length >= concurrency) {
+      return null;
+    }
+
+    const next = jobs
+      .filter(job => job.status === 'queued' && job.availableAt <= now)
+      .sort((a, b) => a.availableAt - b.availableAt)[0];
+
+    if (!next) {
+      return null;
+    }
+
+    Object.assign(next, {
+      status: 'active',
+      leaseOwner: owner,
+      leaseExpiresAt,
+      claims: (next.claims || 0) + 1,
+      updatedAt: new Date(now).toISOString()
+    });
+
+    await this.persist();
+    return clone(next);
+  }
+
+  async extendLease(queue, id, owner, leaseExpiresAt) {
+    const job = this.collection(jobCollection(queue)).get(id);
+
+    if (!job || job.status !== 'active' || job.leaseOwner !== owner) {
+      return false;
+    }
+
+    job.leaseExpiresAt = leaseExpiresAt;
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Write a snapshot; writes are serialized and replace the file atomically
+   */
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    const snapshot = JSON.stringify(Object.fromEntries(
+      Array.from(this.collections.entries()).map(([name, records]) => [name, Object.fromEntries(records)])
+    ));
+
+    this.writing = this.writing
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, this.filePath);
+      })
+      .catch(error => {
+        logger.error('Failed to write job store snapshot', { filePath: this.filePath, error: error.message });
+      });
+
+    return this.writing;
+  }
+}
+
+const LEASE_EXPIRED = 'Job lease expired before it finished';
+
+const jobCollection = (queue) => `jobs:${queue}`;
+
+const clone = (record) => JSON.parse(JSON.stringify(record));
+
+module.exports = LocalJobStore;
@@ -0,0 +1,226 @@
+const redis = require('redis');
+const logger = require('../../utils/logger');
+
+// Count expired leases as failed attempts, requeueing those jobs or failing
+// them once out of attempts, then lease the next due job unless the queue is
+// at its concurrency limit.
+// KEYS: records hash, waiting zset (score availableAt), active zset (score leaseExpiresAt)
+// ARGV: now, leaseExpiresAt, owner, concurrency, updatedAt
+const CLAIM_SCRIPT = `
+local now = tonumber(ARGV[1])
+local leaseExpiresAt = tonumber(ARGV[2])
+
+local expired = redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', now)
+for _, id in ipairs(expired) do
+  redis.call('ZREM', KEYS[3], id)
+  local raw = redis.call('HGET', KEYS[1], id)
+  if raw then
+    local job = cjson.decode(raw)
+    job.attempts = (tonumber(job.attempts) or 0) + 1
+    job.error = 'Job lease expired before it finished'
+    job.leaseOwner = cjson.null
+    job.leaseExpiresAt = cjson.null
+    job.updatedAt = ARGV[5]
+    if job.attempts >= tonumber(job.maxAttempts) then
+      job.status = 'failed'
+      job.finishedAt = ARGV[5]
+    else
+      job.status = 'queued'
+      job.availableAt = now
+      redis.call('ZADD', KEYS[2], now, id)
+    end
+    redis.call('HSET', KEYS[1], id, cjson.encode(job))
+  end
+end
+
+if redis.call('ZCARD', KEYS[3]) >= tonumber(ARGV[4]) then
+  return nil
+end
+
+local due = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', now, 'LIMIT', 0, 1)
+if #due == 0 then
+  return nil
+end
+
+local id = due[1]
+redis.call('ZREM', KEYS[2], id)
+
+local raw = redis.call('HGET', KEYS[1], id)
+if not raw then
+  return nil
+end
+
+local job = cjson.decode(raw)
+job.status = 'active'
+job.leaseOwner = ARGV[3]
+job.leaseExpiresAt = leaseExpiresAt
+job.claims = (tonumber(job.claims) or 0) + 1
+job.updatedAt = ARGV[5]
+
+local encoded = cjson.encode(job)
+redis.call('HSET', KEYS[1], id, encoded)
+redis.call('ZADD', KEYS[3], leaseExpiresAt, id)
+return encoded
+`;
+
+// KEYS: records hash, active zset
+// ARGV: id, owner, leaseExpiresAt
+const EXTEND_LEASE_SCRIPT = `
+local raw = redis.call('HGET', KEYS[1], ARGV[1])
+if not raw then
+  return 0
+end
+
+local job = cjson.decode(raw)
+if job.status ~= 'active' or job.leaseOwner ~= ARGV[2] then
+  return 0
+end
+
+job.leaseExpiresAt = tonumber(ARGV[3])
+redis.call('HSET', KEYS[1], ARGV[1], cjson.encode(job))
+redis.call('ZADD', KEYS[2], tonumber(ARGV[3]), ARGV[1])
+return 1
+`;
+
+// Apply changes to a record only while it is in one of the given statuses
+// KEYS: records hash
+// ARGV: id, changes (JSON), then the allowed statuses
+const TRANSITION_SCRIPT = `
+local raw = redis.call('HGET', KEYS[1], ARGV[1])
+if not raw then
+  return nil
+end
+
+local record = cjson.decode(raw)
+local allowed = false
+for i = 3, #ARGV do
+  if record.status == ARGV[i] then
+    allowed = true
+  end
+end
+if not allowed then
+  return nil
+end
+
+for field, value in pairs(cjson.decode(ARGV[2])) do
+  record[field] = value
+end
+
+local encoded = cjson.encode(record)
+redis.call('HSET', KEYS[1], ARGV[1], encoded)
+return encoded
+`;
+
+/**
+ * Redis Job Store
+ * Shared, durable store: records live in one hash per collection and each
+ * queue keeps sorted sets of waiting and leased job IDs. Claims run as Lua
+ * scripts so several instances can work the same queue.
+ */
+class RedisJobStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || 'ai-playground';
+    this.client = redis.createClient({
+      url: options.url,
+      password: options.password || undefined,
+      socket: {
+        connectTimeout: options.connectTimeout || 5000,
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            logger.error('Job store Redis max reconnection attempts reached');
+            return new Error('Redis connection failed');
+          }
+          return Math.min(retries * 50, 500);
+        }
+      }
+    });
+
+    this.client.on('error', (err) => {
+      logger.warn('Job store Redis error', { error: err.message });
+    });
+  }
+
+  async connect() {
+    await this.client.connect();
+    logger.info('Connected to Redis for the job queue');
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  async getRecord(collection, id) {
+    const raw = await this.client.hGet(this.key(collection), id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async setRecord(collection, id, record) {
+    await this.client.hSet(this.key(collection), id, JSON.stringify(record));
+  }
+
+  async transitionRecord(collection, id, fromStatuses, changes) {
+    const raw = await this.client.eval(TRANSITION_SCRIPT, {
+      keys: [this.key(collection)],
+      arguments: [id, JSON.stringify(changes), ...fromStatuses]
+    });
+
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async deleteRecord(collection, id) {
+    return (await this.client.hDel(this.key(collection), id)) > 0;
+  }
+
+  async listRecords(collection) {
+    const values = await this.client.hVals(this.key(collection));
+    return values.map(value => JSON.parse(value));
+  }
+
+  /**
+   * Save a job and keep the queue indexes in step with its status
+   */
+  async saveJob(job) {
+    const records = this.key('jobs', job.queue);
+    const waiting = this.key('jobs', job.queue, 'waiting');
+    const active = this.key('jobs', job.queue, 'active');
+
+    const multi = this.client.multi().hSet(records, job.id, JSON.stringify(job));
+
+    if (job.status === 'queued') {
+      multi.zAdd(waiting, { score: job.availableAt, value: job.id }).zRem(active, job.id);
+    } else if (job.status === 'active') {
+      multi.zAdd(active, { score: job.leaseExpiresAt, value: job.id }).zRem(waiting, job.id);
+    } else {
+      multi.zRem(waiting, job.id).zRem(active, job.id);
+    }
+
+    await multi.exec();
+  }
+
+  async claimJob(queue, { owner, now, leaseExpiresAt, concurrency }) {
+    const raw = await this.client.eval(CLAIM_SCRIPT, {
+      keys: [this.key('jobs', queue), this.key('jobs', queue, 'waiting'), this.key('jobs', queue, 'active')],
+      arguments: [String(now), String(leaseExpiresAt), owner, String(concurrency), new Date(now).toISOString()]
+    });
+
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async extendLease(queue, id, owner, leaseExpiresAt) {
+    const extended = await this.client.eval(EXTEND_LEASE_SCRIPT, {
+      keys: [this.key('jobs', queue), this.key('jobs', queue, 'active')],
+      arguments: [id, owner, String(leaseExpiresAt)]
+    });
+
+    return extended === 1;
+  }
+}
+
+module.exports = RedisJobStore;
@@ -0,0 +1,209 @@
+const path = require('path');
+const SmtpTransport = require('./mailTransports/smtpTransport');
+const FileTransport = require('./mailTransports/fileTransport');
+const ConsoleTransport = require('./mailTransports/consoleTransport');
+const mailTemplates = require('./mailTemplates');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Mail Service
+ * Renders templated messages and hands them to a transport:
+ * - smtp: any SMTP relay (default when SMTP_HOST is set)
+ * - file: .eml files under MAIL_FILE_DIR, for local development
+ * - console: logged and kept in memory (default otherwise, and in tests)
+ *
+ * Account mail (password reset, verification) is sent inline so callers see
+ * failures. Notifications (quota warnings, webhook failures) are throttled
+ * and never throw into the request that triggered them.
+ */
+class MailService {
+  constructor() {
+    this.config = {
+      transport: process.env.MAIL_TRANSPORT ||
+        (process.env.NODE_ENV !== 'test' && process.env.SMTP_HOST ? 'smtp' : 'console'),
+      from: process.env.MAIL_FROM || 'AI API Playground <no-reply@localhost>',
+      appUrl: (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/+$/, ''),
+      fileDirectory: process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'data', 'mail'),
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+      },
+      notificationInterval: parseInt(process.env.MAIL_NOTIFICATION_INTERVAL) || 60 * 60 * 1000
+    };
+
+    this.transport = null;
+    this.lastNotified = new Map(); // notification key -> timestamp
+  }
+
+  /**
+   * The configured transport, created on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport(this.config.transport);
+      logger.info('Mail service using transport', { transport: this.transport.name });
+    }
+
+    return this.transport;
+  }
+
+  createTransport(name) {
+    switch (name) {
+      case 'smtp':
+        if (!this.config.smtp.host) {
+          throw new Error('SMTP_HOST must be set to use the smtp mail transport');
+        }
+        return new SmtpTransport(this.config.smtp);
+      case 'file':
+        return new FileTransport({ directory: this.config.fileDirectory });
+      case 'console':
+        return new ConsoleTransport();
+      default:
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+  }
+
+  /**
+   * Use a specific transport (tests, custom deployments)
+   */
+  useTransport(transport) {
+    this.transport = transport;
+    this.lastNotified.clear();
+  }
+
+  /**
+   * Render a template and send it
+   * @param {Object} options - to, template and data
+   * @returns {Promise<Object>} Transport result, including messageId
+   */
+  async send({ to, template, data = {} }) {
+    const { subject, text, html } = mailTemplates.render(template, data);
+
+    try {
+      const result = await this.getTransport().send({ from: this.config.from, to, subject, text, html });
+      logger.info(`Mail sent: ${template}`, { to, messageId: result.messageId });
+      return result;
+    } catch (error) {
+      logger.error(`Mail delivery failed: ${template}`, { to, error: error.message });
+      throw error;
+    }
+  }
+
+  link(pathname, params = {}) {
+    const url = new URL(pathname, `${this.config.appUrl}/`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  hoursUntil(expires) {
+    return Math.max(1, Math.round((new Date(expires) - Date.now()) / 3600000));
+  }
+
+  /**
+   * @param {User} user - Recipient
+   * @param {string} token - Password reset token
+   * @param {Date} expires - Token expiry
+   */
+  sendPasswordReset(user, token, expires) {
+    return this.send({
+      to: user.email,
+      template: 'passwordReset',
+      data: {
+        email: user.email,
+        resetUrl: this.link('/reset-password', { token }),
+        expiresInHours: this.hoursUntil(expires)
+      }
+    });
+  }
+
+  /**
+   * @param {User} user - Recipient
+   * @param {string} token - Email verification token
+   * @param {Date} expires - Token expiry
+   */
+  sendEmailVerification(user, token, expires) {
+    return this.send({
+      to: user.email,
+      template: 'emailVerification',
+      data: {
+        email: user.email,
+        verifyUrl: this.link('/verify-email', { token }),
+        expiresInHours: this.hoursUntil(expires)
+      }
+    });
+  }
+
+  /**
+   * Warn a user that they are close to a quota limit; at most once per
+   * limit per notification interval
+   * @param {string} userId - User ID
+   * @param {Object[]} limits - { limit, ratio, threshold } from quotaService
+   * @returns {Promise<boolean>} Whether a message was sent
+   */
+  async notifyQuotaWarning(userId, limits) {
+    const due = limits.filter(({ limit }) => this.claimNotification(`quota:${userId}:${limit}`));
+    if (due.length === 0) return false;
+
+    return this.notify(userId, 'quotaWarning', user => ({
+      email: user.email,
+      limits: due,
+      usageUrl: this.link('/dashboard')
+    }));
+  }
+
+  /**
+   * Tell a webhook's owner that a delivery was given up on; at most once
+   * per webhook per notification interval
+   * @param {Object} webhook - Webhook record
+   * @param {Object} failure - event, error, attempts and deliveryId
+   * @returns {Promise<boolean>} Whether a message was sent
+   */
+  async notifyWebhookFailure(webhook, { event, error, attempts, deliveryId }) {
+    if (!this.claimNotification(`webhook:${webhook.id}`)) return false;
+
+    return this.notify(webhook.userId, 'webhookFailure', user => ({
+      email: user.email,
+      webhookUrl: webhook.url,
+      event,
+      error,
+      attempts,
+      deliveryId
+    }));
+  }
+
+  async notify(userId, template, buildData) {
+    try {
+      const user = await User.findById(userId);
+      if (!user || !user.is_active) return false;
+
+      await this.send({ to: user.email, template, data: buildData(user) });
+      return true;
+    } catch (error) {
+      logger.warn('Notification mail not sent', { userId, template, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Record a notification unless one with the same key went out recently
+   * @returns {boolean} True if the caller should send it
+   */
+  claimNotification(key) {
+    const now = Date.now();
+    const last = this.lastNotified.get(key);
+
+    if (last && now - last < this.config.notificationInterval) {
+      return false;
+    }
+
+    this.lastNotified.set(key, now);
+    return true;
+  }
+}
+
+module.exports = new MailService();
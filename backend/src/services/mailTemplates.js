@@ -0,0 +1,186 @@
+/**
+ * Mail Templates
+ * Each template takes a data object and returns { subject, text, html }.
+ * Every value interpolated into HTML goes through escapeHtml.
+ */
+
+const APP_NAME = 'AI API Playground';
+
+const LIMIT_LABELS = {
+  requestsPerMinute: 'Requests per minute',
+  requestsPerHour: 'Requests per hour',
+  requestsPerDay: 'Requests per day',
+  tokensPerMinute: 'Tokens per minute',
+  tokensPerHour: 'Tokens per hour',
+  tokensPerDay: 'Tokens per day'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatHours = (hours) => (hours === 1 ? '1 hour' : `${hours} hours`);
+
+/**
+ * Wrap body paragraphs in the shared HTML layout
+ * @param {string} title - Heading
+ * @param {string[]} paragraphs - Already-escaped HTML fragments
+ */
+const layout = (title, paragraphs) => [
+  '<!DOCTYPE html>',
+  '<html><body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">',
+  '<div style="max-width: 560px; margin: 0 auto; padding: 24px;">',
+  `<h2 style="margin-top: 0;">${escapeHtml(title)}</h2>`,
+  ...paragraphs.map(paragraph => `<p>${paragraph}</p>`),
+  `<p style="color: #7b8794; font-size: 12px;">${APP_NAME}</p>`,
+  '</div></body></html>'
+].join('\n');
+
+const button = (url, label) =>
+  `<a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #3f51b5; ` +
+  `color: #ffffff; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a>`;
+
+const templates = {
+  /**
+   * @param {Object} data - email, resetUrl, expiresInHours
+   */
+  passwordReset({ email, resetUrl, expiresInHours }) {
+    return {
+      subject: `Reset your ${APP_NAME} password`,
+      text: [
+        `Someone asked to reset the password for ${email}.`,
+        '',
+        `Choose a new password here (the link expires in ${formatHours(expiresInHours)}):`,
+        resetUrl,
+        '',
+        'If this wasn\'t you, ignore this email; your password stays the same.'
+      ].join('\n'),
+      html: layout('Reset your password', [
+        `Someone asked to reset the password for <strong>${escapeHtml(email)}</strong>.`,
+        button(resetUrl, 'Choose a new password'),
+        `The link expires in ${formatHours(expiresInHours)}. If this wasn't you, ignore this email; ` +
+          'your password stays the same.'
+      ])
+    };
+  },
+
+  /**
+   * @param {Object} data - email, verifyUrl, expiresInHours
+   */
+  emailVerification({ email, verifyUrl, expiresInHours }) {
+    return {
+      subject: `Confirm your email for ${APP_NAME}`,
+      text: [
+        `Confirm that ${email} is your address by opening this link:`,
+        verifyUrl,
+        '',
+        `The link expires in ${formatHours(expiresInHours)}.`
+      ].join('\n'),
+      html: layout('Confirm your email', [
+        `Confirm that <strong>${escapeHtml(email)}</strong> is your address.`,
+        button(verifyUrl, 'Confirm email'),
+        `The link expires in ${formatHours(expiresInHours)}.`
+      ])
+    };
+  },
+
+  /**
+   * @param {Object} data - email, limits ({ limit, ratio, threshold }[]), usageUrl
+   */
+  quotaWarning({ email, limits, usageUrl }) {
+    const lines = limits.map(({ limit, ratio }) => `${LIMIT_LABELS[limit] || limit}: ${ratio}% used`);
+
+    return {
+      subject: `You're close to your ${APP_NAME} quota`,
+      text: [
+        `The account ${email} has used most of its quota:`,
+        '',
+        ...lines.map(line => `- ${line}`),
+        '',
+        'Requests over the limit will be rejected until the window resets.',
+        `Usage: ${usageUrl}`
+      ].join('\n'),
+      html: layout('You\'re close to your quota', [
+        `The account <strong>${escapeHtml(email)}</strong> has used most of its quota:`,
+        `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`,
+        'Requests over the limit will be rejected until the window resets.',
+        button(usageUrl, 'View usage')
+      ])
+    };
+  },
+
+  /**
+   * @param {Object} data - email, webhookUrl, event, error, attempts, deliveryId
+   */
+  webhookFailure({ email, webhookUrl, event, error, attempts, deliveryId }) {
+    return {
+      subject: `Webhook delivery failed: ${event}`,
+      text: [
+        `We couldn't deliver a "${event}" event for ${email} to ${webhookUrl}.`,
+        '',
+        `Attempts: ${attempts}`,
+        `Last error: ${error}`,
+        `Delivery ID: ${deliveryId}`,
+        '',
+        'Check that the endpoint is reachable and answers with a 2xx status.'
+      ].join('\n'),
+      html: layout('Webhook delivery failed', [
+        `We couldn't deliver a <strong>${escapeHtml(event)}</strong> event to ` +
+          `<code>${escapeHtml(webhookUrl)}</code>.`,
+        `Attempts: ${escapeHtml(attempts)}<br>Last error: ${escapeHtml(error)}<br>` +
+          `Delivery ID: <code>${escapeHtml(deliveryId)}</code>`,
+        'Check that the endpoint is reachable and answers with a 2xx status.'
+      ])
+    };
+  },
+
+  /**
+   * @param {Object} data - email, scheduledFor (ISO date), accountUrl
+   */
+  accountDeletionScheduled({ email, scheduledFor, accountUrl }) {
+    const date = new Date(scheduledFor).toUTCString();
+
+    return {
+      subject: `Your ${APP_NAME} account will be deleted`,
+      text: [
+        `We received a request to delete the account ${email}.`,
+        '',
+        `The account and its data will be permanently deleted on ${date}.`,
+        `Until then you can cancel the deletion from your account: ${accountUrl}`,
+        '',
+        'If you didn\'t ask for this, sign in and cancel it, then change your password.'
+      ].join('\n'),
+      html: layout('Your account will be deleted', [
+        `We received a request to delete the account <strong>${escapeHtml(email)}</strong>.`,
+        `The account and its data will be permanently deleted on <strong>${escapeHtml(date)}</strong>. ` +
+          'Until then you can cancel the deletion.',
+        button(accountUrl, 'Open your account'),
+        'If you didn\'t ask for this, sign in and cancel it, then change your password.'
+      ])
+    };
+  }
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{subject: string, text: string, html: string}}
+ */
+const render = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  render,
+  escapeHtml,
+  templates: Object.keys(templates)
+};
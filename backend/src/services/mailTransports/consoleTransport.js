@@ -0,0 +1,38 @@
+const { buildMimeMessage } = require('./mimeMessage');
+const logger = require('../../utils/logger');
+
+const OUTBOX_SIZE = 50;
+
+/**
+ * Console Transport
+ * Logs each message instead of delivering it. The most recent messages are
+ * kept in `outbox` so tests and local tooling can read links out of them.
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+    this.outbox = [];
+  }
+
+  async send(message) {
+    const { messageId } = buildMimeMessage(message);
+    const entry = { ...message, messageId, sentAt: new Date().toISOString() };
+
+    this.outbox.push(entry);
+    if (this.outbox.length > OUTBOX_SIZE) {
+      this.outbox.shift();
+    }
+
+    logger.info(`Mail (console): ${message.subject}`, {
+      messageId,
+      to: message.to,
+      text: message.text
+    });
+
+    return { messageId };
+  }
+
+  async close() {}
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,33 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { buildMimeMessage } = require('./mimeMessage');
+const logger = require('../../utils/logger');
+
+/**
+ * File Transport
+ * Writes every message as an .eml file, which any mail client can open.
+ * Meant for local development where no SMTP relay is available.
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory;
+  }
+
+  async send(message) {
+    const { messageId, raw } = buildMimeMessage(message);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `${stamp}-${messageId.slice(1, 9)}.eml`;
+    const filePath = path.join(this.directory, fileName);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(filePath, raw, 'utf8');
+
+    logger.info(`Mail written to ${filePath}`, { messageId, to: message.to });
+    return { messageId, filePath };
+  }
+
+  async close() {}
+}
+
+module.exports = FileTransport;
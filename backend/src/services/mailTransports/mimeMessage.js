@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+/**
+ * Encode a header value as an RFC 2047 word when it isn't plain ASCII
+ */
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+};
+
+const base64Body = (content) => Buffer.from(content, 'utf8')
+  .toString('base64')
+  .replace(/.{76}/g, '$&\r\n');
+
+/**
+ * Bare address from "Name <address>" or "address"
+ * @param {string} value - Mailbox
+ * @returns {string}
+ */
+const extractAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+/**
+ * Build an RFC 5322 message with text and HTML alternatives
+ * @param {Object} message - from, to (string or array), subject, text, html
+ * @returns {{messageId: string, raw: string}}
+ */
+const buildMimeMessage = ({ from, to, subject, text, html }) => {
+  const recipients = Array.isArray(to) ? to : [to];
+  const domain = extractAddress(from).split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+  const headers = [
+    `From: ${from}`,
+    `To: ${recipients.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  const parts = [['text/plain', text], ['text/html', html]].filter(([, content]) => content);
+
+  let body;
+  if (parts.length === 1) {
+    headers.push(
+      `Content-Type: ${parts[0][0]}; charset=utf-8`,
+      'Content-Transfer-Encoding: base64'
+    );
+    body = base64Body(parts[0][1]);
+  } else {
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = [
+      ...parts.map(([type, content]) => [
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(content)
+      ].join('\r\n')),
+      `--${boundary}--`
+    ].join('\r\n');
+  }
+
+  return {
+    messageId,
+    raw: `${headers.join('\r\n')}\r\n\r\n${body}\r\n`
+  };
+};
+
+module.exports = {
+  buildMimeMessage,
+  extractAddress
+};
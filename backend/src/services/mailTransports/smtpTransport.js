@@ -0,0 +1,248 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { buildMimeMessage, extractAddress } = require('./mimeMessage');
+const logger = require('../../utils/logger');
+
+/**
+ * One SMTP conversation: reads multi-line replies and pairs them with
+ * commands in order
+ */
+class SmtpConnection {
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.responses = [];
+    this.waiting = null;
+    this.failure = null;
+
+    this.onData = (chunk) => this.receive(chunk);
+    this.onError = (error) => this.fail(error);
+    this.onClose = () => this.fail(new Error('SMTP connection closed unexpectedly'));
+  }
+
+  connect() {
+    const { host, port, secure } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: host, rejectUnauthorized: this.options.rejectUnauthorized })
+        : net.connect({ host, port });
+
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', reject);
+        this.attach(socket);
+        resolve();
+      });
+      socket.once('error', reject);
+      this.watchTimeout(socket);
+    });
+  }
+
+  /**
+   * Switch the open connection to TLS after a STARTTLS reply
+   */
+  upgrade() {
+    const plain = this.socket;
+    this.detach();
+
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        socket: plain,
+        servername: this.options.host,
+        rejectUnauthorized: this.options.rejectUnauthorized
+      });
+
+      socket.once('secureConnect', () => {
+        socket.removeListener('error', reject);
+        this.attach(socket);
+        resolve();
+      });
+      socket.once('error', reject);
+      this.watchTimeout(socket);
+    });
+  }
+
+  watchTimeout(socket) {
+    socket.setTimeout(this.options.timeout);
+    socket.once('timeout', () => socket.destroy(new Error('SMTP connection timed out')));
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+  }
+
+  detach() {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('error', this.onError);
+    this.socket.removeListener('close', this.onClose);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.responses.push({
+          code: Number(line.slice(0, 3)),
+          lines: this.lines.map(entry => entry.slice(4))
+        });
+        this.lines = [];
+      }
+    }
+
+    this.flush();
+  }
+
+  fail(error) {
+    this.failure = this.failure || error;
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiting) return;
+
+    const { resolve, reject } = this.waiting;
+    if (this.responses.length > 0) {
+      this.waiting = null;
+      resolve(this.responses.shift());
+    } else if (this.failure) {
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * Send a line (or just wait for a reply when line is null) and check the
+   * reply code. label names the command in errors so credentials never do.
+   */
+  async command(line, expected, label = line ? line.split(/[ :]/)[0] : 'greeting') {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+
+    const response = await this.read();
+    if (!expected.includes(response.code)) {
+      const error = new Error(`SMTP ${label} failed: ${response.code} ${response.lines.join(' ')}`);
+      error.responseCode = response.code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  close() {
+    if (!this.socket) return;
+    this.detach();
+    this.socket.on('error', () => {});
+    this.socket.destroy();
+  }
+}
+
+/**
+ * SMTP Transport
+ * Minimal SMTP client (EHLO, STARTTLS when offered, AUTH PLAIN/LOGIN) that
+ * delivers each message over its own connection.
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.options = {
+      host: options.host,
+      port: options.port || (options.secure ? 465 : 587),
+      secure: Boolean(options.secure),
+      user: options.user || null,
+      pass: options.pass || '',
+      name: options.name || os.hostname(),
+      timeout: options.timeout || 10000,
+      rejectUnauthorized: options.rejectUnauthorized !== false
+    };
+  }
+
+  async send(message) {
+    const { messageId, raw } = buildMimeMessage(message);
+    const recipients = (Array.isArray(message.to) ? message.to : [message.to]).map(extractAddress);
+
+    const connection = new SmtpConnection(this.options);
+    await connection.connect();
+
+    try {
+      await connection.command(null, [220]);
+      let capabilities = await this.hello(connection);
+
+      if (!this.options.secure && capabilities.has('STARTTLS')) {
+        await connection.command('STARTTLS', [220]);
+        await connection.upgrade();
+        capabilities = await this.hello(connection);
+      }
+
+      if (this.options.user) {
+        await this.authenticate(connection, capabilities.get('AUTH') || '');
+      }
+
+      await connection.command(`MAIL FROM:<${extractAddress(message.from)}>`, [250]);
+      for (const recipient of recipients) {
+        await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+
+      await connection.command('DATA', [354]);
+      // Dot-stuff lines that start with "." so they aren't read as the terminator
+      const accepted = await connection.command(`${raw.replace(/\r\n\./g, '\r\n..')}.`, [250], 'DATA');
+      await connection.command('QUIT', [221]).catch(() => {});
+
+      logger.info('Mail delivered over SMTP', { messageId, to: recipients, host: this.options.host });
+      return { messageId, response: accepted.lines.join(' ') };
+    } finally {
+      connection.close();
+    }
+  }
+
+  /**
+   * EHLO and parse the advertised extensions
+   * @returns {Promise<Map<string, string>>} Extension keyword -> parameters
+   */
+  async hello(connection) {
+    const response = await connection.command(`EHLO ${this.options.name}`, [250]);
+
+    return new Map(response.lines.slice(1).map(line => {
+      const [keyword, ...params] = line.split(' ');
+      return [keyword.toUpperCase(), params.join(' ')];
+    }));
+  }
+
+  async authenticate(connection, methods) {
+    const { user, pass } = this.options;
+    const encode = (value) => Buffer.from(value, 'utf8').toString('base64');
+
+    if (/\bLOGIN\b/i.test(methods) && !/\bPLAIN\b/i.test(methods)) {
+      await connection.command('AUTH LOGIN', [334]);
+      await connection.command(encode(user), [334], 'AUTH');
+      await connection.command(encode(pass), [235], 'AUTH');
+      return;
+    }
+
+    await connection.command(`AUTH PLAIN ${encode(`\0${user}\0${pass}`)}`, [235]);
+  }
+
+  async close() {}
+}
+
+module.exports = SmtpTransport;
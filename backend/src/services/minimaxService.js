@@ -2,10 +2,19 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const responseFormatter = require('../utils/responseFormatter');
 const minimaxConfig = require('../config/minimax');
+const MinimaxTask = require('../models/MinimaxTask');
+const jobQueue = require('./jobQueue');
+const quotaService = require('./quotaService');
+const httpError = require('../utils/httpError');
+const { parseSSE, parseEventData } = require('../utils/sse');
 const fs = require('fs').promises;
 const path = require('path');
 const FormData = require('form-data');
 
+const TASK_COLLECTION = 'minimax-tasks';
+const STATUS_QUEUE = 'minimax-video-status';
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
 /**
  * Minimax Hailuo 2.3 Integration Service
  * Handles specific integration with Minimax AI models including video generation
@@ -13,8 +22,8 @@ const FormData = require('form-data');
 class MinimaxService {
   constructor() {
     this.config = minimaxConfig.config;
-    this.activeTasks = new Map();
-    this.taskResults = new Map();
+    this.activeTasks = new Map(); // Unfinished tasks; every change is written to the job queue store
+    this.abortControllers = new Map(); // taskId -> AbortController for in-flight requests
     
     this.validateConfig();
     this.initializeTaskCleanup();
@@ -36,17 +45,23 @@ class MinimaxService {
    * Initialize task cleanup timer
    */
   initializeTaskCleanup() {
-    // Clean up completed tasks older than 24 hours every hour
-    setInterval(() => {
-      const cutoffTime = Date.now() - (24 * 60 * 60 * 1000);
+    // Clean up finished tasks older than 24 hours every hour
+    setInterval(async () => {
+      const maxAge = 24 * 60 * 60 * 1000;
+      const cutoffTime = Date.now() - maxAge;
       let cleaned = 0;
 
-      for (const [taskId, task] of this.activeTasks.entries()) {
-        if (task.status === 'completed' && new Date(task.completedAt).getTime() < cutoffTime) {
-          this.activeTasks.delete(taskId);
-          this.taskResults.delete(taskId);
-          cleaned++;
+      try {
+        for (const task of await jobQueue.listRecords(TASK_COLLECTION)) {
+          if (TERMINAL_STATUSES.includes(task.status) && new Date(task.updatedAt).getTime() < cutoffTime) {
+            await jobQueue.deleteRecord(TASK_COLLECTION, task.id);
+            cleaned++;
+          }
         }
+
+        await jobQueue.purge(STATUS_QUEUE, maxAge);
+      } catch (error) {
+        logger.error('Minimax task cleanup failed', { error: error.message });
       }
 
       if (cleaned > 0) {
@@ -55,6 +70,118 @@ class MinimaxService {
     }, 60 * 60 * 1000);
   }
 
+  /**
+   * Start the video status worker and pick up tasks left in progress by a
+   * previous run. Polling is limited to video.maxConcurrentJobs at a time.
+   */
+  async startStatusWorker() {
+    jobQueue.process(STATUS_QUEUE, job => this.runStatusCheck(job), {
+      concurrency: this.config.video.maxConcurrentJobs
+    });
+
+    return this.recoverTasks();
+  }
+
+  /**
+   * Re-queue status checks for processing tasks that have no unfinished job,
+   * and fail tasks that never reached Minimax
+   */
+  async recoverTasks() {
+    const tasks = await jobQueue.listRecords(TASK_COLLECTION);
+    let recovered = 0;
+    let abandoned = 0;
+
+    for (const task of tasks) {
+      if (task.status === 'processing' && task.minimaxTaskId) {
+        const job = await jobQueue.getJob(STATUS_QUEUE, task.id);
+
+        if (!job || TERMINAL_STATUSES.includes(job.status)) {
+          await this.scheduleStatusChecks(task.id, 0);
+          recovered++;
+        }
+      } else if (task.status === 'pending') {
+        await this.saveTask({
+          ...task,
+          status: 'failed',
+          error: 'Interrupted before submission to Minimax',
+          failedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        });
+        abandoned++;
+      }
+    }
+
+    if (recovered > 0 || abandoned > 0) {
+      logger.info('Recovered Minimax video tasks', { recovered, abandoned });
+    }
+
+    return { recovered, abandoned };
+  }
+
+  /**
+   * Queue status polling for a submitted task
+   */
+  scheduleStatusChecks(taskId, delay = this.config.video.statusCheckInterval) {
+    return jobQueue.add(STATUS_QUEUE, { taskId, checks: 0 }, { id: taskId, delay });
+  }
+
+  /**
+   * Status job handler: check once, then snooze while Minimax is still working
+   */
+  async runStatusCheck(job) {
+    const { taskId, checks = 0 } = job.data;
+    const { statusCheckInterval, maxStatusCheckAttempts } = this.config.video;
+    const attempt = checks + 1;
+
+    const task = await this.getTask(taskId);
+    if (!task || task.status !== 'processing') {
+      // Task is finished, stop checking
+      return { status: task ? task.status : 'missing' };
+    }
+
+    if (attempt >= maxStatusCheckAttempts) {
+      const failedAt = new Date().toISOString();
+      const failed = await this.transitionTask(task, ['processing'], {
+        status: 'failed',
+        error: 'Max status check attempts reached',
+        failedAt,
+        updatedAt: failedAt
+      });
+
+      if (!failed) {
+        // Cancelled or finished meanwhile; that write settled the charge
+        const current = await this.getTask(taskId);
+        return { status: current ? current.status : 'missing' };
+      }
+
+      this.releaseTask(taskId);
+      await this.refundTask(task);
+      logger.warn('Max status check attempts reached', { taskId, minimaxTaskId: task.minimaxTaskId });
+      return { status: task.status };
+    }
+
+    try {
+      const status = await this.checkVideoStatus(taskId);
+
+      // Continue checking if still processing
+      if (status.status === 'processing') {
+        return jobQueue.snooze(statusCheckInterval, { checks: attempt });
+      }
+
+      return { status: status.status };
+    } catch (error) {
+      logger.error('Status check failed', {
+        taskId,
+        minimaxTaskId: task.minimaxTaskId,
+        attempt,
+        error: error.message
+      });
+
+      // Continue checking on error, but with longer delay
+      return jobQueue.snooze(statusCheckInterval * 2, { checks: attempt });
+    }
+  }
+
   /**
    * Generate text using Minimax models
    */
@@ -67,7 +194,8 @@ class MinimaxService {
       stream = false,
       messages = null,
       functions = null,
-      userId = null
+      userId = null,
+      signal = null
     } = options;
 
     try {
@@ -102,7 +230,7 @@ class MinimaxService {
         userId
       });
 
-      const response = await this.makeRequest('/text/chatcompletion', requestPayload, { stream });
+      const response = await this.makeRequest('/text/chatcompletion', requestPayload, { stream, signal });
 
       if (stream) {
         return this.handleStreamingResponse(response);
@@ -127,7 +255,8 @@ class MinimaxService {
     const {
       texts,
       model = 'embo-01',
-      userId = null
+      userId = null,
+      signal = null
     } = options;
 
     try {
@@ -146,7 +275,7 @@ class MinimaxService {
         userId
       });
 
-      const response = await this.makeRequest('/text/embeddings', requestPayload);
+      const response = await this.makeRequest('/text/embeddings', requestPayload, { signal });
 
       return {
         embeddings: response.data.vectors,
@@ -176,7 +305,8 @@ class MinimaxService {
       model = 'hailuo-img',
       size = '1024x1024',
       quality = 'standard',
-      userId = null
+      userId = null,
+      signal = null
     } = options;
 
     try {
@@ -194,7 +324,7 @@ class MinimaxService {
         userId
       });
 
-      const response = await this.makeRequest('/images/generations', requestPayload);
+      const response = await this.makeRequest('/images/generations', requestPayload, { signal });
 
       return {
         url: response.data.image_url,
@@ -233,6 +363,8 @@ class MinimaxService {
       webhookUrl = null
     } = options;
 
+    let taskId = null;
+
     try {
       this.validateModel(model);
       const modelConfig = this.config.models[model];
@@ -245,13 +377,17 @@ class MinimaxService {
       this.validateVideoParams({ duration, resolution, frameRate });
 
       // Create task for tracking
-      const taskId = this.generateTaskId();
+      taskId = this.generateTaskId();
       const task = this.createTask(taskId, 'video_generation', {
         model,
         userId,
         prompt: prompt.substring(0, 100) // Store truncated prompt
       });
 
+      // Lets cancelTask abort the submission and later status checks
+      const controller = new AbortController();
+      this.abortControllers.set(taskId, controller);
+
       logger.info('Minimax video generation started', {
         taskId,
         model,
@@ -279,20 +415,27 @@ class MinimaxService {
       let response;
       if (imagePath) {
         // Image-to-video generation
-        response = await this.makeVideoRequestWithImage('/video/generation', payload, imagePath);
+        response = await this.makeVideoRequestWithImage('/video/generation', payload, imagePath, { signal: controller.signal });
       } else {
         // Text-to-video generation
-        response = await this.makeRequest('/video/generation', payload);
+        response = await this.makeRequest('/video/generation', payload, { signal: controller.signal });
       }
 
-      // Store task information
-      task.status = 'processing';
-      task.minimaxTaskId = response.data.task_id;
-      task.submittedAt = new Date().toISOString();
-      this.activeTasks.set(taskId, task);
+      // Store task information, unless it was cancelled while submitting
+      const submittedAt = new Date().toISOString();
+      const submitted = await this.transitionTask(task, ['pending'], {
+        status: 'processing',
+        minimaxTaskId: response.data.task_id,
+        submittedAt,
+        updatedAt: submittedAt
+      });
+
+      if (!submitted) {
+        throw httpError('Task was cancelled', 409, 'TASK_CANCELLED');
+      }
 
       // Start status checking
-      this.startStatusChecking(taskId, response.data.task_id);
+      await this.scheduleStatusChecks(taskId);
 
       return {
         taskId,
@@ -304,6 +447,10 @@ class MinimaxService {
       };
 
     } catch (error) {
+      if (taskId) {
+        this.releaseTask(taskId);
+      }
+
       logger.error('Minimax video generation failed', {
         model,
         error: error.message,
@@ -313,11 +460,73 @@ class MinimaxService {
     }
   }
 
+  /**
+   * Get a tracked task. Unfinished tasks loaded from the store (e.g. after a
+   * restart) are tracked again so status checks can update them.
+   */
+  async getTask(taskId) {
+    if (this.activeTasks.has(taskId)) {
+      return this.activeTasks.get(taskId);
+    }
+
+    const task = await jobQueue.getRecord(TASK_COLLECTION, taskId);
+    if (!task || TERMINAL_STATUSES.includes(task.status)) {
+      return task;
+    }
+
+    if (!this.activeTasks.has(taskId)) {
+      this.activeTasks.set(taskId, task);
+    }
+    return this.activeTasks.get(taskId);
+  }
+
+  /**
+   * Persist a task; finished tasks stop being tracked in memory
+   */
+  async saveTask(task) {
+    await jobQueue.setRecord(TASK_COLLECTION, task.id, task);
+
+    if (TERMINAL_STATUSES.includes(task.status)) {
+      this.activeTasks.delete(task.id);
+    } else {
+      this.activeTasks.set(task.id, task);
+    }
+
+    return task;
+  }
+
+  /**
+   * Apply changes to a task only if it is still in one of fromStatuses.
+   * Status checks and cancellation race each other, so each decides what
+   * to do next (e.g. refund) only when its own change wins.
+   * @returns {Promise<Object|null>} The updated task, or null when another
+   *   change got there first
+   */
+  async transitionTask(task, fromStatuses, changes) {
+    const updated = await jobQueue.transitionRecord(TASK_COLLECTION, task.id, fromStatuses, changes);
+
+    if (!updated) {
+      // Reload the winning state on the next getTask
+      this.activeTasks.delete(task.id);
+      return null;
+    }
+
+    Object.assign(task, changes);
+
+    if (TERMINAL_STATUSES.includes(task.status)) {
+      this.activeTasks.delete(task.id);
+    } else {
+      this.activeTasks.set(task.id, task);
+    }
+
+    return task;
+  }
+
   /**
    * Check video generation status
    */
   async checkVideoStatus(taskId) {
-    const task = this.activeTasks.get(taskId);
+    const task = await this.getTask(taskId);
     
     if (!task) {
       throw new Error(`Task not found: ${taskId}`);
@@ -327,6 +536,11 @@ class MinimaxService {
       throw new Error(`No Minimax task ID associated with task: ${taskId}`);
     }
 
+    // Cancelled tasks keep their status whatever Minimax reports
+    if (task.status === 'cancelled') {
+      return this.formatTaskStatus(task);
+    }
+
     try {
       logger.info('Checking Minimax video status', {
         taskId,
@@ -335,41 +549,46 @@ class MinimaxService {
 
       const response = await this.makeRequest('/video/status', {
         task_id: task.minimaxTaskId
-      });
+      }, { signal: this.abortControllers.get(taskId)?.signal });
 
       const statusData = response.data;
-      
-      // Update task status
-      task.status = this.mapMinimaxStatus(statusData.status);
-      task.updatedAt = new Date().toISOString();
+      const now = new Date().toISOString();
+      const changes = {
+        status: this.mapMinimaxStatus(statusData.status),
+        updatedAt: now
+      };
 
-      if (task.status === 'completed' && statusData.video_url) {
-        task.result = {
+      if (changes.status === 'completed' && statusData.video_url) {
+        changes.result = {
           videoUrl: statusData.video_url,
           thumbnailUrl: statusData.thumbnail_url,
           duration: statusData.duration,
           resolution: statusData.resolution,
           fileSize: statusData.file_size
         };
-        task.completedAt = new Date().toISOString();
-        this.taskResults.set(taskId, task.result);
-      } else if (task.status === 'failed' && statusData.error_message) {
-        task.error = statusData.error_message;
-        task.failedAt = new Date().toISOString();
+        changes.completedAt = now;
+      } else if (changes.status === 'failed' && statusData.error_message) {
+        changes.error = statusData.error_message;
+        changes.failedAt = now;
       }
 
-      this.activeTasks.set(taskId, task);
+      // Only a processing task takes the upstream status: a cancellation
+      // that landed while Minimax answered wins, and keeps its refund
+      const updated = await this.transitionTask(task, ['processing'], changes);
+      if (!updated) {
+        const current = await this.getTask(taskId);
+        return this.formatTaskStatus(current);
+      }
 
-      return {
-        taskId,
-        status: task.status,
-        minimaxTaskId: task.minimaxTaskId,
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt,
-        result: task.result,
-        error: task.error,
-        progress: statusData.progress || 0
-      };
+      if (task.status !== 'processing') {
+        this.releaseTask(taskId);
+      }
+
+      if (task.status === 'failed') {
+        await this.refundTask(task);
+      }
+
+      return this.formatTaskStatus(task, statusData.progress);
 
     } catch (error) {
       logger.error('Minimax video status check failed', {
@@ -381,11 +600,49 @@ class MinimaxService {
     }
   }
 
+  /**
+   * Shape a task for status responses
+   */
+  formatTaskStatus(task, progress = 0) {
+    return {
+      taskId: task.id,
+      status: task.status,
+      minimaxTaskId: task.minimaxTaskId,
+      createdAt: task.createdAt,
+      updatedAt: task.updatedAt,
+      result: task.result || null,
+      error: task.error || null,
+      progress: progress || 0
+    };
+  }
+
+  /**
+   * Give back the charge for a video Minimax accepted but never delivered
+   * (failed or cancelled). Videos are charged when submitted, at the model's
+   * per-call price.
+   * @returns {Promise<number>} The refunded cost
+   */
+  async refundTask(task) {
+    const { userId, model } = task.metadata || {};
+    if (!userId) return 0;
+
+    const cost = minimaxConfig.getModelCost(model);
+    await quotaService.refundUsage(userId, {
+      cost,
+      requestType: 'minimax_video_generation',
+      model,
+      provider: 'minimax',
+      reference: task.id
+    });
+
+    return cost;
+  }
+
   /**
    * Get video generation result
    */
   async getVideoResult(taskId) {
-    const task = this.activeTasks.get(taskId);
+    const task = await this.getTask(taskId);
     
     if (!task) {
       throw new Error(`Task not found: ${taskId}`);
@@ -395,12 +652,15 @@ class MinimaxService {
       return {
         taskId,
         status: task.status,
-        message: task.status === 'processing' ? 'Video generation still in progress' : 'Video generation failed',
+        message: {
+          processing: 'Video generation still in progress',
+          cancelled: 'Video generation was cancelled'
+        }[task.status] || 'Video generation failed',
         result: null
       };
     }
 
-    const result = this.taskResults.get(taskId);
+    const result = task.result;
     
     if (!result) {
       throw new Error(`Result not found for completed task: ${taskId}`);
@@ -416,58 +676,69 @@ class MinimaxService {
   }
 
   /**
-   * Start automatic status checking for a task
+   * Cancel a pending or processing task: stop status polling and abort
+   * in-flight requests. Minimax has no cancel endpoint, so a job that was
+   * already submitted runs to completion upstream but its result is ignored.
+   * A submitted task has been charged, so cancelling it refunds the charge.
+   * @returns {Promise<{task: Object, refundedCost: number}>}
    */
-  startStatusChecking(taskId, minimaxTaskId) {
-    const checkInterval = this.config.video.statusCheckInterval;
-    const maxAttempts = this.config.video.maxStatusCheckAttempts;
-    let attempts = 0;
+  async cancelTask(taskId) {
+    const task = await this.getTask(taskId);
 
-    const checkStatus = async () => {
-      attempts++;
-      
-      try {
-        const task = this.activeTasks.get(taskId);
-        if (!task || task.status === 'completed' || task.status === 'failed') {
-          // Task is finished, stop checking
-          return;
-        }
+    if (!task) {
+      throw httpError(`Task not found: ${taskId}`, 404, 'TASK_NOT_FOUND');
+    }
 
-        if (attempts >= maxAttempts) {
-          task.status = 'failed';
-          task.error = 'Max status check attempts reached';
-          task.failedAt = new Date().toISOString();
-          this.activeTasks.set(taskId, task);
-          logger.warn('Max status check attempts reached', { taskId, minimaxTaskId });
-          return;
-        }
+    const cancelledAt = new Date().toISOString();
+    const changes = { status: 'cancelled', cancelledAt, updatedAt: cancelledAt };
 
-        // Check status
-        await this.checkVideoStatus(taskId);
+    // Try the charged state first, so the refund follows the status the
+    // cancellation actually replaced
+    const charged = await this.transitionTask(task, ['processing'], changes);
+    const cancelled = charged || await this.transitionTask(task, ['pending'], changes);
 
-        // Continue checking if still processing
-        const updatedTask = this.activeTasks.get(taskId);
-        if (updatedTask.status === 'processing') {
-          setTimeout(checkStatus, checkInterval);
-        }
+    if (!cancelled) {
+      const current = await this.getTask(taskId);
+      throw httpError(`Task is already ${current.status}`, 409, 'TASK_NOT_CANCELLABLE');
+    }
+
+    this.abortControllers.get(taskId)?.abort();
+    this.releaseTask(taskId);
+    await jobQueue.cancel(STATUS_QUEUE, taskId);
+
+    const refundedCost = charged ? await this.refundTask(task) : 0;
 
+    // Keep the persisted record in step, when there is one
+    if (task.minimaxTaskId) {
+      try {
+        const record = await MinimaxTask.findByMinimaxTaskId(task.minimaxTaskId);
+        if (record) {
+          await record.updateStatus('cancelled');
+        }
       } catch (error) {
-        logger.error('Status check failed', {
+        logger.warn('Failed to mark Minimax task record as cancelled', {
           taskId,
-          minimaxTaskId,
-          attempt: attempts,
+          minimaxTaskId: task.minimaxTaskId,
           error: error.message
         });
-
-        // Continue checking on error, but with longer delay
-        if (attempts < maxAttempts) {
-          setTimeout(checkStatus, checkInterval * 2);
-        }
       }
-    };
+    }
+
+    logger.info('Minimax task cancelled', {
+      taskId,
+      minimaxTaskId: task.minimaxTaskId,
+      userId: task.metadata.userId,
+      refundedCost
+    });
+
+    return { task, refundedCost };
+  }
 
-    // Start checking after a short delay
-    setTimeout(checkStatus, checkInterval);
+  /**
+   * Drop the abort controller held for a task
+   */
+  releaseTask(taskId) {
+    this.abortControllers.delete(taskId);
   }
 
   /**
@@ -504,7 +775,7 @@ class MinimaxService {
       'generating': 'processing',
       'completed': 'completed',
       'failed': 'failed',
-      'cancelled': 'failed',
+      'cancelled': 'cancelled',
       'timeout': 'failed'
     };
 
@@ -531,6 +802,9 @@ class MinimaxService {
     };
 
     this.activeTasks.set(taskId, task);
+    jobQueue.setRecord(TASK_COLLECTION, taskId, task).catch(error => {
+      logger.error('Failed to persist Minimax task', { taskId, error: error.message });
+    });
     return task;
   }
 
@@ -592,7 +866,9 @@ class MinimaxService {
   /**
    * Make request to Minimax API with image upload
    */
-  async makeVideoRequestWithImage(endpoint, payload, imagePath) {
+  async makeVideoRequestWithImage(endpoint, payload, imagePath, options = {}) {
+    const { signal = null } = options;
+
     try {
       // Read image file
       const imageBuffer = await fs.readFile(imagePath);
@@ -623,13 +899,18 @@ class MinimaxService {
           params: {
             GroupId: this.config.auth.groupId
           },
-          timeout: this.config.api.timeout
+          timeout: this.config.api.timeout,
+          signal: signal || undefined
         }
       );
 
       return response;
 
     } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+
       this.handleApiError(error, endpoint);
     }
   }
@@ -638,7 +919,7 @@ class MinimaxService {
    * Make request to Minimax API
    */
   async makeRequest(endpoint, payload, options = {}) {
-    const { stream = false, retries = 0 } = options;
+    const { stream = false, retries = 0, signal = null } = options;
 
     try {
       const response = await axios.post(
@@ -653,13 +934,19 @@ class MinimaxService {
             GroupId: this.config.auth.groupId
           },
           timeout: this.config.api.timeout,
-          responseType: stream ? 'stream' : 'json'
+          responseType: stream ? 'stream' : 'json',
+          signal: signal || undefined
         }
       );
 
       return response;
 
     } catch (error) {
+      // Cancelled by the caller; nothing to retry or report
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+
       if (retries < this.config.api.maxRetries && this.isRetryableError(error)) {
         logger.warn(`Minimax request failed, retrying (${retries + 1}/${this.config.api.maxRetries})`, {
           endpoint,
@@ -707,12 +994,55 @@ class MinimaxService {
   handleStreamingResponse(response) {
     return {
       stream: response.data,
-      usage: null, // Usage is not available in streaming mode
+      chunks: this.streamChunks(response.data),
+      usage: null, // Reported by the final chunk
       model: null, // Model info will be in the stream
       provider: 'minimax'
     };
   }
 
+  /**
+   * Turn chat completion chunks into { delta, finishReason, usage } updates.
+   * The final chunk repeats the whole reply alongside usage, so its content is
+   * not emitted again.
+   */
+  async * streamChunks(stream) {
+    for await (const message of parseSSE(stream)) {
+      const data = parseEventData(message);
+      if (!data) continue;
+
+      if (data.base_resp && data.base_resp.status_code !== 0) {
+        throw new Error(`Minimax API error: ${data.base_resp.status_msg}`);
+      }
+
+      const choice = data.choices?.[0];
+      const update = {};
+
+      if (data.usage) {
+        update.usage = {
+          promptTokens: data.usage.prompt_tokens || 0,
+          completionTokens: data.usage.completion_tokens || 0,
+          totalTokens: data.usage.total_tokens || 0
+        };
+      } else {
+        const delta = choice?.delta?.content ?? choice?.messages?.[0]?.text ?? choice?.messages?.[0]?.content;
+        if (delta) update.delta = delta;
+      }
+
+      if (choice?.finish_reason) {
+        update.finishReason = choice.finish_reason;
+      }
+
+      if (data.model) {
+        update.model = data.model;
+      }
+
+      if (Object.keys(update).length > 0) {
+        yield update;
+      }
+    }
+  }
+
   /**
    * Extract content from Minimax response
    */
@@ -764,28 +1094,40 @@ class MinimaxService {
       status: error.response?.status
     });
 
+    let apiError;
+
     if (error.response) {
       const { status, data } = error.response;
       
       switch (status) {
         case 401:
-          throw new Error('Invalid Minimax API key or Group ID');
+          apiError = new Error('Invalid Minimax API key or Group ID');
+          break;
         case 429:
-          throw new Error('Minimax rate limit exceeded');
+          apiError = new Error('Minimax rate limit exceeded');
+          break;
         case 400:
-          throw new Error(`Bad request to Minimax: ${data?.base_resp?.status_msg || data?.message}`);
+          apiError = new Error(`Bad request to Minimax: ${data?.base_resp?.status_msg || data?.message}`);
+          break;
         case 403:
-          throw new Error('Minimax access forbidden');
+          apiError = new Error('Minimax access forbidden');
+          break;
         case 404:
-          throw new Error('Minimax endpoint not found');
+          apiError = new Error('Minimax endpoint not found');
+          break;
         default:
-          throw new Error(`Minimax error: ${data?.base_resp?.status_msg || error.message}`);
+          apiError = new Error(`Minimax error: ${data?.base_resp?.status_msg || error.message}`);
       }
     } else if (error.request) {
-      throw new Error('Minimax service unavailable');
+      apiError = new Error('Minimax service unavailable');
     } else {
-      throw new Error(`Minimax error: ${error.message}`);
+      apiError = new Error(`Minimax error: ${error.message}`);
     }
+
+    // Upstream outages let AiService fail over to another provider
+    apiError.retryable = Boolean(error.response || error.request) && this.isRetryableError(error);
+
+    throw apiError;
   }
 
   /**
@@ -800,51 +1142,16 @@ class MinimaxService {
    */
   async processStream(stream, onData, onError, onEnd) {
     try {
-      let buffer = '';
-      
-      stream.on('data', (chunk) => {
+      for await (const message of parseSSE(stream)) {
         try {
-          buffer += chunk.toString();
-          const lines = buffer.split('\n');
-          buffer = lines.pop(); // Keep incomplete line in buffer
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.substring(6);
-              if (data !== '[DONE]') {
-                try {
-                  const parsed = JSON.parse(data);
-                  onData(parsed);
-                } catch (e) {
-                  logger.warn('Failed to parse streaming data', { data, error: e.message });
-                }
-              }
-            }
-          }
-        } catch (error) {
-          onError(error);
+          const data = parseEventData(message);
+          if (data) onData(data);
+        } catch (e) {
+          logger.warn('Failed to parse streaming data', { data: message.data, error: e.message });
         }
-      });
-
-      stream.on('end', () => {
-        // Process any remaining data in buffer
-        if (buffer.trim()) {
-          try {
-            if (buffer.startsWith('data: ')) {
-              const data = buffer.substring(6);
-              if (data !== '[DONE]') {
-                onData(JSON.parse(data));
-              }
-            }
-          } catch (e) {
-            logger.warn('Failed to parse final streaming data', { buffer, error: e.message });
-          }
-        }
-        onEnd();
-      });
-
-      stream.on('error', onError);
+      }
 
+      onEnd();
     } catch (error) {
       onError(error);
     }
@@ -0,0 +1,522 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const openaiConfig = require('../config/openai');
+const { parseSSE, parseEventData } = require('../utils/sse');
+
+/**
+ * OpenAI Integration Service
+ * Handles chat completions, embeddings and image generation against the
+ * OpenAI API or any OpenAI-compatible endpoint (configured via OPENAI_API_BASE)
+ */
+class OpenAIService {
+  constructor() {
+    this.config = openaiConfig.config;
+
+    this.validateConfig();
+  }
+
+  /**
+   * Validate configuration
+   */
+  validateConfig() {
+    if (!this.config.auth.apiKey) {
+      logger.warn('OpenAI API key not configured');
+    }
+  }
+
+  /**
+   * Generate text using OpenAI chat models
+   */
+  async generate(options) {
+    const {
+      prompt,
+      model = this.config.defaults.chatModel,
+      temperature = 0.7,
+      maxTokens = 1000,
+      stream = false,
+      messages = null,
+      functions = null,
+      userId = null,
+      signal = null
+    } = options;
+
+    try {
+      this.validateModel(model, 'chat');
+
+      const formattedMessages = this.formatMessages(prompt, messages);
+
+      const requestPayload = {
+        model,
+        messages: formattedMessages,
+        temperature,
+        max_tokens: maxTokens,
+        stream
+      };
+
+      // Ask for a final usage chunk so streamed requests can be billed accurately
+      if (stream) {
+        requestPayload.stream_options = { include_usage: true };
+      }
+
+      // Add tools if provided and supported
+      if (functions && functions.length > 0 && this.config.models[model].supportsFunctions) {
+        requestPayload.tools = this.formatTools(functions);
+      }
+
+      logger.info('OpenAI generation started', {
+        model,
+        messageCount: formattedMessages.length,
+        stream,
+        userId
+      });
+
+      const response = await this.makeRequest('/chat/completions', requestPayload, { stream, signal });
+
+      if (stream) {
+        return this.handleStreamingResponse(response, model);
+      }
+
+      return this.handleRegularResponse(response);
+
+    } catch (error) {
+      logger.error('OpenAI generation failed', {
+        model,
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate embeddings using OpenAI
+   */
+  async generateEmbeddings(options) {
+    const {
+      texts,
+      model = this.config.defaults.embeddingsModel,
+      userId = null,
+      signal = null
+    } = options;
+
+    try {
+      if (!Array.isArray(texts) || texts.length === 0) {
+        throw new Error('Texts must be a non-empty array');
+      }
+
+      this.validateModel(model, 'embeddings');
+
+      logger.info('OpenAI embeddings generation started', {
+        model,
+        textCount: texts.length,
+        userId
+      });
+
+      const response = await this.makeRequest('/embeddings', {
+        model,
+        input: texts
+      }, { signal });
+
+      const data = response.data;
+
+      return {
+        embeddings: data.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        model: data.model || model,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          totalTokens: data.usage?.total_tokens || 0
+        }
+      };
+
+    } catch (error) {
+      logger.error('OpenAI embeddings generation failed', {
+        model,
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate images using OpenAI
+   */
+  async generateImage(options) {
+    const {
+      prompt,
+      model = this.config.defaults.imageModel,
+      size = '1024x1024',
+      quality = 'standard',
+      userId = null,
+      signal = null
+    } = options;
+
+    try {
+      this.validateModel(model, 'image');
+
+      logger.info('OpenAI image generation started', {
+        model,
+        size,
+        quality,
+        userId
+      });
+
+      const response = await this.makeRequest('/images/generations', {
+        model,
+        prompt,
+        size,
+        // The playground uses "high"; OpenAI calls the same tier "hd"
+        quality: quality === 'high' ? 'hd' : quality,
+        n: 1
+      }, { signal });
+
+      const image = response.data.data?.[0] || {};
+
+      return {
+        url: image.url,
+        revisedPrompt: image.revised_prompt,
+        model,
+        usage: {
+          // OpenAI doesn't report token usage for images
+          totalTokens: 0
+        }
+      };
+
+    } catch (error) {
+      logger.error('OpenAI image generation failed', {
+        model,
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo(model) {
+    const modelConfig = this.config.models[model];
+    if (!modelConfig) {
+      throw new Error(`Unknown model: ${model}`);
+    }
+
+    return {
+      ...modelConfig,
+      id: model,
+      provider: 'openai'
+    };
+  }
+
+  /**
+   * List available models
+   */
+  listModels() {
+    return Object.entries(this.config.models).map(([id, config]) => ({
+      id,
+      ...config,
+      provider: 'openai'
+    }));
+  }
+
+  /**
+   * Format messages for the chat completions API
+   */
+  formatMessages(prompt, messages) {
+    if (messages) {
+      return messages.map(msg => {
+        const formatted = {
+          role: msg.role || 'user',
+          content: msg.content ?? msg.text ?? ''
+        };
+
+        if (msg.name) formatted.name = msg.name;
+        if (msg.tool_calls) formatted.tool_calls = msg.tool_calls;
+        if (msg.tool_call_id) formatted.tool_call_id = msg.tool_call_id;
+
+        return formatted;
+      });
+    }
+
+    return [{
+      role: 'user',
+      content: prompt
+    }];
+  }
+
+  /**
+   * Convert playground function definitions into OpenAI tool definitions
+   */
+  formatTools(functions) {
+    return functions.map(fn => ({
+      type: 'function',
+      function: {
+        name: fn.name,
+        description: fn.description,
+        parameters: fn.parameters || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Build request headers
+   */
+  getHeaders() {
+    const headers = {
+      Authorization: `Bearer ${this.config.auth.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+
+    if (this.config.auth.organization) {
+      headers['OpenAI-Organization'] = this.config.auth.organization;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Make request to OpenAI API
+   */
+  async makeRequest(endpoint, payload, options = {}) {
+    const { stream = false, retries = 0, method = 'post', signal = null } = options;
+
+    try {
+      const response = await axios.request({
+        method,
+        url: `${this.config.api.baseURL}${endpoint}`,
+        data: method === 'get' ? undefined : payload,
+        headers: this.getHeaders(),
+        timeout: this.config.api.timeout,
+        responseType: stream ? 'stream' : 'json',
+        signal: signal || undefined
+      });
+
+      return response;
+
+    } catch (error) {
+      // Cancelled by the caller; nothing to retry or report
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+
+      if (retries < this.config.api.maxRetries && this.isRetryableError(error)) {
+        logger.warn(`OpenAI request failed, retrying (${retries + 1}/${this.config.api.maxRetries})`, {
+          endpoint,
+          error: error.message
+        });
+
+        await this.delay(this.getRetryDelay(error, retries));
+        return this.makeRequest(endpoint, payload, { ...options, retries: retries + 1 });
+      }
+
+      this.handleApiError(error, endpoint);
+    }
+  }
+
+  /**
+   * Compute retry delay, honouring Retry-After when the API sends one
+   */
+  getRetryDelay(error, retries) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.config.api.maxBackoffDelay);
+    }
+
+    return this.config.api.exponentialBackoff
+      ? Math.min(this.config.api.retryDelay * Math.pow(2, retries), this.config.api.maxBackoffDelay)
+      : this.config.api.retryDelay * (retries + 1);
+  }
+
+  /**
+   * Handle regular (non-streaming) response
+   */
+  handleRegularResponse(response) {
+    const data = response.data;
+    const choice = data.choices?.[0];
+
+    if (!choice) {
+      throw new Error('No choices found in OpenAI response');
+    }
+
+    const result = {
+      content: choice.message?.content || '',
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      },
+      model: data.model,
+      provider: 'openai',
+      finishReason: choice.finish_reason
+    };
+
+    if (choice.message?.tool_calls) {
+      result.toolCalls = choice.message.tool_calls.map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Handle streaming response
+   */
+  handleStreamingResponse(response, model) {
+    return {
+      stream: response.data,
+      chunks: this.streamChunks(response.data),
+      usage: null, // Reported by the final chunk
+      model,
+      provider: 'openai'
+    };
+  }
+
+  /**
+   * Turn chat completion chunks into { delta, finishReason, usage } updates
+   */
+  async * streamChunks(stream) {
+    for await (const message of parseSSE(stream)) {
+      const data = parseEventData(message);
+      if (!data) continue;
+
+      if (data.error) {
+        throw new Error(`OpenAI stream error: ${data.error.message || 'Unknown error'}`);
+      }
+
+      const choice = data.choices?.[0];
+      const update = {};
+
+      if (choice?.delta?.content) {
+        update.delta = choice.delta.content;
+      }
+
+      if (choice?.finish_reason) {
+        update.finishReason = choice.finish_reason;
+      }
+
+      if (data.usage) {
+        update.usage = {
+          promptTokens: data.usage.prompt_tokens || 0,
+          completionTokens: data.usage.completion_tokens || 0,
+          totalTokens: data.usage.total_tokens || 0
+        };
+      }
+
+      if (Object.keys(update).length > 0) {
+        yield update;
+      }
+    }
+  }
+
+  /**
+   * Validate model and, optionally, its type
+   */
+  validateModel(model, type = null) {
+    const modelConfig = this.config.models[model];
+    if (!modelConfig) {
+      throw new Error(`Unsupported model: ${model}. Available models: ${Object.keys(this.config.models).join(', ')}`);
+    }
+
+    if (type && modelConfig.type !== type) {
+      throw new Error(`Model ${model} is not a ${type} model`);
+    }
+  }
+
+  /**
+   * Check if error is retryable
+   */
+  isRetryableError(error) {
+    if (!error.response) return true; // Network errors are retryable
+
+    return this.config.errorHandling.retryableStatusCodes.includes(error.response.status);
+  }
+
+  /**
+   * Handle API errors
+   */
+  handleApiError(error, endpoint) {
+    logger.error('OpenAI API error', {
+      endpoint,
+      error: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    let apiError;
+
+    if (error.response) {
+      const { status, data } = error.response;
+      const detail = data?.error?.message || error.message;
+
+      switch (status) {
+        case 401:
+          apiError = new Error('Invalid OpenAI API key');
+          break;
+        case 429:
+          apiError = new Error('OpenAI rate limit exceeded');
+          break;
+        case 400:
+          apiError = new Error(`Bad request to OpenAI: ${detail}`);
+          break;
+        case 403:
+          apiError = new Error('OpenAI access forbidden');
+          break;
+        case 404:
+          apiError = new Error(`OpenAI resource not found: ${detail}`);
+          break;
+        default:
+          apiError = new Error(`OpenAI error: ${detail}`);
+      }
+
+      // Upstream auth/permission problems are our misconfiguration, not the caller's
+      apiError.statusCode = status === 400 || status === 429 ? status : 502;
+    } else if (error.request) {
+      apiError = new Error('OpenAI service unavailable');
+      apiError.statusCode = 503;
+    } else {
+      apiError = new Error(`OpenAI error: ${error.message}`);
+    }
+
+    // Lets AiService fail over to another provider
+    apiError.retryable = Boolean(error.response || error.request) && this.isRetryableError(error);
+
+    throw apiError;
+  }
+
+  /**
+   * Delay helper for retries
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      // Listing models is free and exercises authentication
+      await this.makeRequest('/models', null, { method: 'get', retries: this.config.api.maxRetries });
+
+      return {
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        models: this.listModels()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        models: this.listModels()
+      };
+    }
+  }
+}
+
+module.exports = new OpenAIService();
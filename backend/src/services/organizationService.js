@@ -0,0 +1,222 @@
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const User = require('../models/User');
+const quotaService = require('./quotaService');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+const ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+/**
+ * Organization Service
+ * Membership, invitations and role rules for team workspaces
+ */
+class OrganizationService {
+  constructor() {
+    this.config = {
+      invitationTtlDays: parseInt(process.env.ORG_INVITATION_TTL_DAYS) || 7
+    };
+  }
+
+  get roles() {
+    return ROLES;
+  }
+
+  /**
+   * Whether a role is at least as strong as another
+   */
+  hasRole(role, minimumRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+  }
+
+  /**
+   * Register the user's membership with quota enforcement
+   */
+  syncMembership(user) {
+    quotaService.setMembership(user.id, user.organization_id, user.organization_role);
+  }
+
+  /**
+   * Create an organization owned by the user
+   */
+  async createOrganization(user, { name }) {
+    if (user.organization_id) {
+      throw httpError('You already belong to an organization', 409, 'ALREADY_IN_ORGANIZATION');
+    }
+
+    const organization = await Organization.create({ name, ownerId: user.id });
+    await user.setOrganization(organization.id, 'owner');
+    this.syncMembership(user);
+
+    return organization;
+  }
+
+  /**
+   * Load an organization the user belongs to with at least the given role
+   */
+  async getForMember(user, organizationId, minimumRole = 'viewer') {
+    const organization = user.organization_id && user.organization_id === organizationId
+      ? await Organization.findById(organizationId)
+      : null;
+
+    if (!organization) {
+      throw httpError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+    }
+
+    if (!this.hasRole(user.organization_role, minimumRole)) {
+      throw httpError(`This action requires the ${minimumRole} role`, 403, 'ORGANIZATION_ROLE_REQUIRED');
+    }
+
+    return organization;
+  }
+
+  async listMembers(organizationId) {
+    return User.findAll({ organizationId, limit: 1000 });
+  }
+
+  /**
+   * Invite an email address to the organization
+   */
+  async invite(organization, inviter, { email, role = 'member' }) {
+    this.assertAssignable(inviter, role);
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const existingUser = await User.findByEmail(normalizedEmail);
+    if (existingUser && existingUser.organization_id === organization.id) {
+      throw httpError('That user is already a member', 409, 'ALREADY_MEMBER');
+    }
+
+    const pending = await OrganizationInvitation.findPending('organization_id', organization.id);
+    if (pending.some(invitation => invitation.email === normalizedEmail)) {
+      throw httpError('That email already has a pending invitation', 409, 'INVITATION_EXISTS');
+    }
+
+    const invitation = await OrganizationInvitation.create({
+      organizationId: organization.id,
+      email: normalizedEmail,
+      role,
+      invitedBy: inviter.id,
+      expiresAt: new Date(Date.now() + this.config.invitationTtlDays * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    logger.info('Organization invitation sent', {
+      organizationId: organization.id,
+      invitationId: invitation.id,
+      invitedBy: inviter.id
+    });
+
+    return invitation;
+  }
+
+  /**
+   * Join the organization an invitation was sent for, once the user has
+   * verified they own the invited address
+   */
+  async acceptInvitation(user, invitationId) {
+    const invitation = await OrganizationInvitation.findById(invitationId);
+
+    if (!invitation || invitation.email !== user.email.toLowerCase()) {
+      throw httpError('Invitation not found', 404, 'INVITATION_NOT_FOUND');
+    }
+
+    if (!invitation.isPending()) {
+      throw httpError('Invitation is no longer valid', 410, 'INVITATION_EXPIRED');
+    }
+
+    // Registration doesn't prove the address, so the invitation can't either
+    if (!user.is_email_verified) {
+      throw httpError('Verify your email address before joining an organization', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    if (user.organization_id) {
+      throw httpError('Leave your current organization before joining another', 409, 'ALREADY_IN_ORGANIZATION');
+    }
+
+    await user.setOrganization(invitation.organization_id, invitation.role);
+    await invitation.accept();
+    this.syncMembership(user);
+
+    logger.info('Organization invitation accepted', {
+      organizationId: invitation.organization_id,
+      userId: user.id
+    });
+
+    return Organization.findById(invitation.organization_id);
+  }
+
+  /**
+   * Change a member's role
+   */
+  async updateMemberRole(organization, actor, memberId, role) {
+    const member = await this.findMember(organization, memberId);
+    this.assertCanManage(actor, member);
+    this.assertAssignable(actor, role);
+
+    await member.setOrganization(organization.id, role);
+    this.syncMembership(member);
+
+    return member;
+  }
+
+  /**
+   * Remove a member, or leave when the member is the actor
+   */
+  async removeMember(organization, actor, memberId) {
+    const member = await this.findMember(organization, memberId);
+
+    if (member.organization_role === 'owner') {
+      throw httpError('The owner cannot leave or be removed', 409, 'OWNER_REQUIRED');
+    }
+
+    if (member.id !== actor.id) {
+      this.assertCanManage(actor, member);
+    }
+
+    await member.setOrganization(null);
+    this.syncMembership(member);
+
+    logger.info('Organization member removed', {
+      organizationId: organization.id,
+      userId: member.id,
+      removedBy: actor.id
+    });
+
+    return member;
+  }
+
+  async findMember(organization, memberId) {
+    const member = await User.findById(memberId);
+
+    if (!member || member.organization_id !== organization.id) {
+      throw httpError('Member not found', 404, 'MEMBER_NOT_FOUND');
+    }
+
+    return member;
+  }
+
+  /**
+   * Admins manage members below them; only the owner manages admins
+   */
+  assertCanManage(actor, member) {
+    if (member.id === actor.id || !this.outranks(actor.organization_role, member.organization_role)) {
+      throw httpError('You cannot manage this member', 403, 'ORGANIZATION_ROLE_REQUIRED');
+    }
+  }
+
+  assertAssignable(actor, role) {
+    if (!ROLES.includes(role) || role === 'owner') {
+      throw httpError(`Role must be one of: ${ROLES.filter(r => r !== 'owner').join(', ')}`, 400, 'INVALID_ROLE');
+    }
+
+    if (!this.hasRole(actor.organization_role, 'admin') ||
+        (role === 'admin' && actor.organization_role !== 'owner')) {
+      throw httpError(`You cannot grant the ${role} role`, 403, 'ORGANIZATION_ROLE_REQUIRED');
+    }
+  }
+
+  outranks(role, otherRole) {
+    return ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+  }
+}
+
+module.exports = new OrganizationService();
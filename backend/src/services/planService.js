@@ -0,0 +1,351 @@
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const PlanChange = require('../models/PlanChange');
+const quotaService = require('./quotaService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+/**
+ * Built-in plans. models lists the model IDs a plan may use; a trailing *
+ * matches any suffix. Media limits of null are unlimited.
+ */
+const PLANS = {
+  free: {
+    name: 'free',
+    label: 'Free',
+    quota: {
+      requestsPerMinute: 10,
+      requestsPerHour: 200,
+      requestsPerDay: 500,
+      tokensPerMinute: 10000,
+      tokensPerHour: 100000,
+      tokensPerDay: 200000,
+      concurrentRequests: 2,
+      imagesPerDay: 10,
+      videosPerDay: 2
+    },
+    models: [
+      'gpt-4o-mini',
+      'gpt-3.5-turbo',
+      'claude-3-5-haiku-*',
+      'abab5.5s-chat',
+      'text-embedding-3-small',
+      'embo-01',
+      'hailuo-img',
+      'hailuo-2.3'
+    ],
+    video: { maxResolution: '854x480', maxDuration: 6 }
+  },
+  pro: {
+    name: 'pro',
+    label: 'Pro',
+    quota: {
+      requestsPerMinute: 60,
+      requestsPerHour: 1000,
+      requestsPerDay: 10000,
+      tokensPerMinute: 10000,
+      tokensPerHour: 100000,
+      tokensPerDay: 1000000,
+      concurrentRequests: 5,
+      imagesPerDay: 100,
+      videosPerDay: 20
+    },
+    models: [
+      'gpt-4o*',
+      'gpt-4-turbo',
+      'gpt-3.5-turbo',
+      'claude-sonnet-*',
+      'claude-3-5-haiku-*',
+      'abab5.5*',
+      'text-embedding-*',
+      'embo-01',
+      'dall-e-3',
+      'hailuo-*'
+    ],
+    video: { maxResolution: '1280x720', maxDuration: 6 }
+  },
+  team: {
+    name: 'team',
+    label: 'Team',
+    quota: {
+      requestsPerMinute: 120,
+      requestsPerHour: 3000,
+      requestsPerDay: 30000,
+      tokensPerMinute: 50000,
+      tokensPerHour: 500000,
+      tokensPerDay: 5000000,
+      concurrentRequests: 10,
+      imagesPerDay: 500,
+      videosPerDay: 100
+    },
+    models: ['*'],
+    video: { maxResolution: '1280x720', maxDuration: 10 }
+  },
+  enterprise: {
+    name: 'enterprise',
+    label: 'Enterprise',
+    quota: {
+      requestsPerMinute: 600,
+      requestsPerHour: 20000,
+      requestsPerDay: 200000,
+      tokensPerMinute: 200000,
+      tokensPerHour: 2000000,
+      tokensPerDay: 20000000,
+      concurrentRequests: 50,
+      imagesPerDay: null,
+      videosPerDay: null
+    },
+    models: ['*'],
+    video: { maxResolution: '1280x720', maxDuration: 10 }
+  },
+  // What every account had before plans existed. migrations/022_plans.sql
+  // assigns it to those accounts, so adding plans didn't cut anyone's limits
+  legacy: {
+    name: 'legacy',
+    label: 'Legacy',
+    quota: {
+      requestsPerMinute: 60,
+      requestsPerHour: 1000,
+      requestsPerDay: 10000,
+      tokensPerMinute: 10000,
+      tokensPerHour: 100000,
+      tokensPerDay: 1000000,
+      concurrentRequests: 5,
+      imagesPerDay: null,
+      videosPerDay: null
+    },
+    models: ['*'],
+    video: { maxResolution: '1280x720', maxDuration: 10 }
+  }
+};
+
+/**
+ * Plan Service
+ * Named plans setting a user's limits, models and video options. A user's
+ * own plan wins over their organization's, which wins over the default.
+ * Organization plans are cached briefly since every request resolves one;
+ * changes made here invalidate the cache at once, other instances pick
+ * them up within cacheTtl.
+ */
+class PlanService {
+  constructor() {
+    this.plans = PLANS;
+    this.config = {
+      defaultPlan: PLANS[process.env.DEFAULT_PLAN] ? process.env.DEFAULT_PLAN : 'free',
+      cacheTtl: parseInt(process.env.PLAN_CACHE_TTL) || 60 * 1000
+    };
+    this.cache = new Map(); // organizationId -> { plan, expiresAt }
+  }
+
+  isValidPlan(name) {
+    return Boolean(name && this.plans[name]);
+  }
+
+  /**
+   * Plan by name, or the default plan
+   * @param {string} [name] - Plan name
+   * @returns {Object}
+   */
+  getPlan(name) {
+    return this.plans[name] || this.plans[this.config.defaultPlan];
+  }
+
+  list() {
+    return Object.values(this.plans).map(plan => this.entitlements(plan));
+  }
+
+  /**
+   * The plan in effect for a user, with where it came from
+   * @param {User} user
+   * @returns {Promise<Object>} Plan plus source: 'user', 'organization' or 'default'
+   */
+  async resolve(user) {
+    if (this.isValidPlan(user.plan)) {
+      return { ...this.plans[user.plan], source: 'user' };
+    }
+
+    const organizationPlan = user.organization_id
+      ? await this.getOrganizationPlan(user.organization_id)
+      : null;
+
+    if (this.isValidPlan(organizationPlan)) {
+      return { ...this.plans[organizationPlan], source: 'organization' };
+    }
+
+    return { ...this.getPlan(), source: 'default' };
+  }
+
+  async getOrganizationPlan(organizationId) {
+    const cached = this.cache.get(organizationId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.plan;
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const plan = organization?.plan || null;
+    this.cache.set(organizationId, { plan, expiresAt: Date.now() + this.config.cacheTtl });
+    return plan;
+  }
+
+  /**
+   * Resolve the user's plan and hand its limits to quota enforcement
+   * @param {User} user
+   * @returns {Promise<Object>} The resolved plan
+   */
+  async sync(user) {
+    const plan = await this.resolve(user);
+    await quotaService.setPlan(user.id, plan);
+    return plan;
+  }
+
+  /**
+   * What a plan includes, for API responses
+   */
+  entitlements(plan) {
+    return {
+      name: plan.name,
+      label: plan.label,
+      ...(plan.source ? { source: plan.source } : {}),
+      quota: { ...plan.quota },
+      models: [...plan.models],
+      video: { ...plan.video }
+    };
+  }
+
+  /**
+   * Whether a plan includes a model. Without a plan (internal calls) every
+   * model is allowed.
+   * @param {Object|string|null} plan - Plan or plan name
+   * @param {string} model - Model ID
+   */
+  isModelAllowed(plan, model) {
+    if (!plan) return true;
+
+    const { models } = typeof plan === 'string' ? this.getPlan(plan) : plan;
+    return models.some(pattern => (pattern.endsWith('*')
+      ? model.startsWith(pattern.slice(0, -1))
+      : model === pattern));
+  }
+
+  /**
+   * @throws {Error} MODEL_NOT_IN_PLAN when the plan doesn't include the model
+   */
+  assertModelAllowed(plan, model) {
+    if (!this.isModelAllowed(plan, model)) {
+      const { label } = typeof plan === 'string' ? this.getPlan(plan) : plan;
+      throw httpError(`Model ${model} is not included in the ${label} plan`, 403, 'MODEL_NOT_IN_PLAN');
+    }
+  }
+
+  /**
+   * Check Hailuo video options against the plan
+   * @param {Object|string|null} plan - Plan or plan name
+   * @param {Object} options - resolution ('WIDTHxHEIGHT') and duration (seconds)
+   * @throws {Error} PLAN_LIMIT_EXCEEDED
+   */
+  assertVideoAllowed(plan, { resolution, duration } = {}) {
+    if (!plan) return;
+
+    const { label, video } = typeof plan === 'string' ? this.getPlan(plan) : plan;
+
+    if (resolution && pixels(resolution) > pixels(video.maxResolution)) {
+      throw httpError(`The ${label} plan allows videos up to ${video.maxResolution}`, 403, 'PLAN_LIMIT_EXCEEDED');
+    }
+    if (duration && duration > video.maxDuration) {
+      throw httpError(`The ${label} plan allows videos up to ${video.maxDuration} seconds`, 403, 'PLAN_LIMIT_EXCEEDED');
+    }
+  }
+
+  /**
+   * Assign a plan to a user; null goes back to their organization's or the
+   * default plan
+   * @param {User} user
+   * @param {string|null} plan - Plan name
+   * @param {Object} context - req for the audit entry and reason
+   * @returns {Promise<Object>} The plan now in effect
+   */
+  async assignToUser(user, plan, { req, reason = null } = {}) {
+    const fromPlan = user.plan;
+
+    await user.setPlan(plan);
+    await PlanChange.create({
+      subjectType: 'user',
+      subjectId: user.id,
+      fromPlan,
+      toPlan: plan,
+      changedBy: req?.user?.id || null,
+      reason
+    });
+
+    if (req) {
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'plan.change',
+        target: { type: 'user', id: user.id },
+        before: { plan: fromPlan },
+        after: { plan },
+        metadata: reason ? { reason } : {}
+      });
+    }
+
+    logger.info('User plan changed', { userId: user.id, fromPlan, toPlan: plan });
+    return this.sync(user);
+  }
+
+  /**
+   * Assign a plan to an organization; members without a plan of their own
+   * get it
+   * @param {Organization} organization
+   * @param {string|null} plan - Plan name
+   * @param {Object} context - req for the audit entry and reason
+   */
+  async assignToOrganization(organization, plan, { req, reason = null } = {}) {
+    const fromPlan = organization.plan;
+
+    await organization.setPlan(plan);
+    this.cache.delete(organization.id);
+    await PlanChange.create({
+      subjectType: 'organization',
+      subjectId: organization.id,
+      fromPlan,
+      toPlan: plan,
+      changedBy: req?.user?.id || null,
+      reason
+    });
+
+    if (req) {
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'plan.change',
+        target: { type: 'organization', id: organization.id },
+        before: { plan: fromPlan },
+        after: { plan },
+        metadata: reason ? { reason } : {}
+      });
+    }
+
+    // Members' limits would otherwise only follow on their next request
+    const members = await User.findAll({ organizationId: organization.id, limit: 1000 });
+    await Promise.all(members.map(member => this.sync(member)));
+
+    logger.info('Organization plan changed', { organizationId: organization.id, fromPlan, toPlan: plan });
+    return organization;
+  }
+
+  /**
+   * Plan changes of a user or organization, newest first
+   * @param {string} subjectType - 'user' or 'organization'
+   * @param {string} subjectId
+   */
+  async getHistory(subjectType, subjectId) {
+    return PlanChange.findBySubject(subjectType, subjectId);
+  }
+}
+
+const pixels = (resolution) => {
+  const [width, height] = String(resolution).split('x').map(Number);
+  return width * height;
+};
+
+module.exports = new PlanService();
@@ -0,0 +1,434 @@
+const db = require('../config/database');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Session = require('../models/Session');
+const auditService = require('./auditService');
+const quotaService = require('./quotaService');
+const webhookService = require('./webhookService');
+const routingService = require('./routingService');
+const twoFactorService = require('./twoFactorService');
+const mailService = require('./mailService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+const DELETION_QUEUE = 'account-deletions';
+const PAGE_SIZE = 1000;
+
+/**
+ * Every table holding account data. Each is exported under `name` and, when
+ * the account is erased, either deleted or overwritten with `erase`. Usage
+ * and request logs stay, detached from the user, so totals still add up.
+ * `where` narrows a table shared with other kinds of subject.
+ */
+const ACCOUNT_TABLES = [
+  { name: 'identities', table: 'user_identities', column: 'user_id', erase: 'delete' },
+  { name: 'sessions', table: 'sessions', column: 'user_id', omit: ['refresh_jti'], erase: 'delete' },
+  { name: 'apiKeys', table: 'api_keys', column: 'user_id', omit: ['key_hash'], erase: 'delete' },
+  { name: 'videoTasks', table: 'minimax_tasks', column: 'user_id', erase: 'delete' },
+  {
+    name: 'usageLogs',
+    table: 'usage_logs',
+    column: 'user_id',
+    erase: { user_id: null, ip_address: null, user_agent: null, error: null, metadata: {} }
+  },
+  {
+    name: 'requestLogs',
+    table: 'request_logs',
+    column: 'user_id',
+    erase: {
+      user_id: null,
+      headers: {},
+      query_params: {},
+      body: null,
+      ip_address: null,
+      user_agent: null,
+      response_headers: {},
+      response_body: null,
+      error: null,
+      error_stack: null,
+      metadata: {}
+    }
+  },
+  // Ledger entries stay for the books; both sides of a transaction carry the user
+  {
+    name: 'creditLedger',
+    table: 'credit_ledger',
+    column: 'user_id',
+    erase: { user_id: null, description: null, reference: null }
+  },
+  // Plan history names the user as its subject and may carry notes about them
+  {
+    name: 'planChanges',
+    table: 'plan_changes',
+    column: 'subject_id',
+    where: { subject_type: 'user' },
+    erase: 'delete'
+  },
+  { name: 'invitationsReceived', table: 'organization_invitations', column: 'email', field: 'email', erase: 'delete' },
+  { name: 'invitationsSent', table: 'organization_invitations', column: 'invited_by', erase: { invited_by: null } }
+];
+
+// Job queue record collections and where each keeps its owner. Tasks and
+// video jobs record the caller in their metadata, batches at the top level
+const RECORD_COLLECTIONS = {
+  aiTasks: { collection: 'ai-tasks', ownerOf: record => record.metadata?.userId },
+  videoJobs: { collection: 'minimax-tasks', ownerOf: record => record.metadata?.userId },
+  batches: { collection: 'ai-batches', ownerOf: record => record.userId }
+};
+
+/**
+ * Privacy Service
+ * Account data export and the right to be forgotten. Deletion is a delayed
+ * job keyed by user ID, so there is at most one pending per account, it
+ * survives restarts and cancelling it is just cancelling the job. When it
+ * runs, rows are deleted or anonymised per ACCOUNT_TABLES and the user's
+ * entries in the in-memory stores are dropped. The audit log is kept as is:
+ * its entries are hash-chained and retained as security records.
+ */
+class PrivacyService {
+  constructor() {
+    this.config = {
+      graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14
+    };
+  }
+
+  /**
+   * Start erasing accounts whose grace period is over
+   */
+  startWorker() {
+    return jobQueue.process(DELETION_QUEUE, job => this.eraseAccount(job.data.userId, job.data));
+  }
+
+  /**
+   * Everything stored about a user, secrets left out
+   * @param {User} user - Account to export
+   * @returns {Promise<Object>}
+   */
+  async exportAccount(user) {
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: user.toJSON(),
+      deletion: await this.getDeletion(user.id)
+    };
+
+    for (const entry of ACCOUNT_TABLES) {
+      const rows = await this.fetchRows(entry, user);
+      archive[entry.name] = rows.map(row => this.omit(row, entry.omit));
+    }
+
+    if (user.organization_id) {
+      const organization = await Organization.findById(user.organization_id);
+      archive.organization = organization
+        ? { ...organization.toJSON(), role: user.organization_role }
+        : null;
+    }
+
+    for (const [name, { collection, ownerOf }] of Object.entries(RECORD_COLLECTIONS)) {
+      archive[name] = (await jobQueue.listRecords(collection)).filter(record => ownerOf(record) === user.id);
+    }
+
+    archive.webhooks = webhookService.getUserWebhooks(user.id).map(webhook => ({
+      ...this.omit(webhook, ['secret']),
+      deliveries: webhookService.getDeliveryHistory(webhook.id).deliveries
+    }));
+    archive.quota = {
+      ...await quotaService.getQuotaInfo(user.id),
+      history: await quotaService.getUsageHistory(user.id)
+    };
+    archive.routingPolicy = routingService.getUserPolicy(user.id);
+
+    archive.auditLog = [];
+    for await (const entry of auditService.entries({ actorId: user.id })) {
+      archive.auditLog.push(entry.toJSON());
+    }
+    for await (const entry of auditService.entries({ targetType: 'user', targetId: user.id })) {
+      if (entry.actor_id !== user.id) archive.auditLog.push(entry.toJSON());
+    }
+    archive.auditLog.sort((a, b) => a.sequence - b.sequence);
+
+    logger.info(`Account data exported for user: ${user.email}`);
+    return archive;
+  }
+
+  /**
+   * A user asks for their own account to be deleted. They must type their
+   * email to confirm, and give their password and 2FA code when they have them.
+   * @param {User} user - Account to delete
+   * @param {Object} confirmation - confirmEmail, password, code, recoveryCode
+   * @param {Object} context - ipAddress and requestId of the request
+   * @returns {Promise<Object>} The pending deletion
+   */
+  async requestDeletion(user, { confirmEmail, password, code, recoveryCode } = {}, context = {}) {
+    if (!confirmEmail || confirmEmail.toLowerCase().trim() !== user.email) {
+      throw httpError('Type your email address to confirm', 400, 'CONFIRMATION_REQUIRED');
+    }
+
+    if (user.password_hash && !(password && await User.comparePassword(password, user.password_hash))) {
+      throw httpError('Invalid password', 401, 'INVALID_PASSWORD');
+    }
+
+    if (user.two_factor_enabled) {
+      await twoFactorService.verify(user, { code, recoveryCode });
+    }
+
+    const deletion = await this.scheduleDeletion(user, user, context);
+
+    await mailService.send({
+      to: user.email,
+      template: 'accountDeletionScheduled',
+      data: {
+        email: user.email,
+        scheduledFor: deletion.scheduledFor,
+        accountUrl: mailService.link('/dashboard')
+      }
+    }).catch(() => {}); // logged by the mail service; the request itself stands
+
+    return deletion;
+  }
+
+  /**
+   * Queue the account for erasure after the grace period. An admin deleting
+   * someone else's account also deactivates it and signs it out straight away.
+   * @param {User} user - Account to delete
+   * @param {User} actor - Who asked
+   * @param {Object} context - ipAddress and requestId of the request
+   * @returns {Promise<Object>} The pending deletion
+   */
+  async scheduleDeletion(user, actor, { ipAddress = null, requestId = null } = {}) {
+    await this.assertErasable(user);
+
+    const existing = await this.getDeletion(user.id);
+    if (existing) {
+      return existing;
+    }
+
+    const deactivated = actor.id !== user.id && user.is_active;
+    if (deactivated) {
+      await user.updateAccountStatus(false);
+      await Session.revokeAllForUser(user.id, { reason: 'account_deleted' });
+    }
+
+    const job = await jobQueue.add(DELETION_QUEUE, {
+      userId: user.id,
+      requestedBy: actor.id,
+      requestedAt: new Date().toISOString(),
+      deactivated
+    }, { id: user.id, delay: this.config.graceDays * 24 * 60 * 60 * 1000 });
+
+    const deletion = this.describe(job);
+
+    await auditService.record({
+      actor,
+      ipAddress,
+      requestId,
+      action: 'user.deletion_requested',
+      target: { type: 'user', id: user.id },
+      metadata: { scheduledFor: deletion.scheduledFor }
+    });
+
+    logger.info(`Account deletion scheduled for user: ${user.email}`, { scheduledFor: deletion.scheduledFor });
+    return deletion;
+  }
+
+  /**
+   * Call off a pending deletion, reactivating the account if scheduling it
+   * deactivated it
+   * @returns {Promise<boolean>} False when nothing was pending
+   */
+  async cancelDeletion(user, actor, { ipAddress = null, requestId = null } = {}) {
+    const job = await jobQueue.getJob(DELETION_QUEUE, user.id);
+    if (!this.describe(job)) {
+      return false;
+    }
+
+    await jobQueue.cancel(DELETION_QUEUE, user.id);
+    if (job.data.deactivated) {
+      await user.updateAccountStatus(true);
+    }
+
+    await auditService.record({
+      actor,
+      ipAddress,
+      requestId,
+      action: 'user.deletion_cancelled',
+      target: { type: 'user', id: user.id }
+    });
+
+    logger.info(`Account deletion cancelled for user: ${user.email}`);
+    return true;
+  }
+
+  /**
+   * The pending deletion for a user
+   * @returns {Promise<Object|null>} { requestedAt, requestedBy, scheduledFor }
+   */
+  async getDeletion(userId) {
+    return this.describe(await jobQueue.getJob(DELETION_QUEUE, userId));
+  }
+
+  describe(job) {
+    if (!job || !['queued', 'active'].includes(job.status)) {
+      return null;
+    }
+
+    return {
+      requestedAt: job.data.requestedAt,
+      requestedBy: job.data.requestedBy,
+      scheduledFor: new Date(job.availableAt).toISOString()
+    };
+  }
+
+  /**
+   * Organization owners have to hand over or empty their organization first
+   */
+  async assertErasable(user) {
+    if (user.organization_role !== 'owner') return;
+
+    const members = await User.findAll({ organizationId: user.organization_id, limit: 2 });
+    if (members.some(member => member.id !== user.id)) {
+      throw httpError(
+        'Remove the other members of your organization before deleting your account',
+        409,
+        'ORGANIZATION_HAS_MEMBERS'
+      );
+    }
+  }
+
+  /**
+   * Remove the account and everything tied to it. Runs from the deletion
+   * queue, or straight away when an admin asks for it.
+   * @param {string} userId - Account to erase
+   * @param {Object} request - requestedBy, plus ipAddress and requestId when run directly
+   * @returns {Promise<Object|null>} What was removed per store, or null if the user is already gone
+   */
+  async eraseAccount(userId, { requestedBy = null, ipAddress = null, requestId = null } = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return null;
+    }
+
+    await this.assertErasable(user);
+    await user.updateAccountStatus(false);
+    await Session.revokeAllForUser(user.id, { reason: 'account_deleted' });
+
+    const summary = {};
+
+    if (user.organization_role === 'owner') {
+      summary.organization = await this.eraseOrganization(user.organization_id);
+    }
+
+    for (const entry of ACCOUNT_TABLES) {
+      summary[entry.name] = await this.eraseRows(entry, user);
+    }
+
+    for (const [name, { collection, ownerOf }] of Object.entries(RECORD_COLLECTIONS)) {
+      summary[name] = await this.eraseRecords(collection, record => ownerOf(record) === user.id);
+    }
+    await this.eraseRecords('impersonations', grant => grant.userId === user.id || grant.impersonatorId === user.id);
+
+    summary.webhooks = webhookService.deleteUserWebhooks(user.id);
+    await quotaService.removeUser(user.id);
+    routingService.clearUserPolicy(user.id);
+
+    await User.delete(user.id);
+
+    // No email or other personal data: the entry outlives the account
+    await auditService.record({
+      actor: requestedBy ? { id: requestedBy } : null,
+      ipAddress,
+      requestId,
+      action: 'user.erased',
+      target: { type: 'user', id: user.id },
+      metadata: summary
+    });
+
+    logger.info('Account erased', { userId: user.id, ...summary });
+    return summary;
+  }
+
+  /**
+   * Delete an organization whose only member is being erased, with its
+   * invitations and shared keys
+   */
+  async eraseOrganization(organizationId) {
+    const organization = await Organization.findById(organizationId);
+    if (!organization) return false;
+
+    const client = db.getClient();
+    for (const table of ['organization_invitations', 'api_keys']) {
+      const { error } = await client.from(table).delete().eq('organization_id', organizationId);
+      if (error) {
+        throw new Error(`Failed to erase ${table}: ${error.message}`);
+      }
+    }
+
+    await quotaService.removeOrganization(organizationId);
+    await organization.delete();
+    return true;
+  }
+
+  async fetchRows({ table, column, field = 'id', where }, user) {
+    const client = db.getClient();
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await this.narrow(client.from(table).select('*'), where)
+        .eq(column, user[field])
+        .order('created_at', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Failed to export ${table}: ${error.message}`);
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} Rows deleted or anonymised
+   */
+  async eraseRows({ table, column, field = 'id', where, erase }, user) {
+    const client = db.getClient();
+    const query = client.from(table);
+    const { data, error } = await this.narrow(erase === 'delete' ? query.delete() : query.update(erase), where)
+      .eq(column, user[field])
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to erase ${table}: ${error.message}`);
+    }
+
+    return (data || []).length;
+  }
+
+  async eraseRecords(collection, belongsToUser) {
+    let erased = 0;
+
+    for (const record of await jobQueue.listRecords(collection)) {
+      if (belongsToUser(record)) {
+        await jobQueue.deleteRecord(collection, record.id);
+        erased++;
+      }
+    }
+
+    return erased;
+  }
+
+  /**
+   * Add an equality filter for each column of a table entry's `where`
+   */
+  narrow(query, where = {}) {
+    return Object.entries(where).reduce((narrowed, [column, value]) => narrowed.eq(column, value), query);
+  }
+
+  omit(row, fields = []) {
+    const copy = { ...row };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+  }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const CircuitBreaker = require('../utils/circuitBreaker');
+
+/**
+ * Capabilities a provider may declare
+ */
+const CAPABILITIES = ['chat', 'embeddings', 'image', 'video', 'streaming', 'functions'];
+
+/**
+ * Built-in provider definitions live here; AI_PROVIDERS_DIR can point at
+ * additional directories (comma separated) to load vendor modules from
+ */
+const DEFAULT_PROVIDERS_DIR = path.join(__dirname, '../providers');
+
+/**
+ * Provider Registry
+ * Holds the AI providers known to the gateway together with their
+ * capabilities, models, pricing and priority
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    this.loadFromDirectory(DEFAULT_PROVIDERS_DIR);
+
+    if (process.env.AI_PROVIDERS_DIR) {
+      process.env.AI_PROVIDERS_DIR
+        .split(',')
+        .map(dir => dir.trim())
+        .filter(Boolean)
+        .forEach(dir => this.loadFromDirectory(path.resolve(dir)));
+    }
+  }
+
+  /**
+   * Register a provider definition.
+   *
+   * A definition is a plain object:
+   *   name          unique provider name, used in requests
+   *   service       object implementing generate/generateEmbeddings/... and healthCheck
+   *   capabilities  subset of CAPABILITIES
+   *   models        array (or function returning one) of { id, type, ... }
+   *   priority      lower numbers are preferred during auto-selection
+   *   enabled       boolean or function; defaults to <NAME>_ENABLED
+   *   getCost       optional (modelId, usage) => USD cost
+   *   circuitBreaker optional CircuitBreaker options overriding the defaults
+   */
+  register(definition) {
+    const { name, service, capabilities = [], priority = 100 } = definition || {};
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Provider definition must have a name');
+    }
+
+    if (!service) {
+      throw new Error(`Provider ${name} must have a service`);
+    }
+
+    const unknown = capabilities.filter(cap => !CAPABILITIES.includes(cap));
+    if (unknown.length > 0) {
+      throw new Error(`Provider ${name} declares unknown capabilities: ${unknown.join(', ')}`);
+    }
+
+    const models = typeof definition.models === 'function'
+      ? definition.models()
+      : (definition.models || service.listModels?.() || []);
+
+    const provider = {
+      name,
+      service,
+      capabilities: [...capabilities],
+      models: models.map(model => ({ ...model, provider: name })),
+      priority,
+      enabled: this.resolveEnabled(name, definition.enabled),
+      getCost: definition.getCost || null,
+      breaker: new CircuitBreaker(name, definition.circuitBreaker)
+    };
+
+    if (this.providers.has(name)) {
+      logger.warn('Replacing registered AI provider', { provider: name });
+    }
+
+    this.providers.set(name, provider);
+
+    logger.info('AI provider registered', {
+      provider: name,
+      enabled: provider.enabled,
+      capabilities: provider.capabilities,
+      models: provider.models.length
+    });
+
+    return provider;
+  }
+
+  /**
+   * Remove a provider
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Register every provider module in a directory
+   */
+  loadFromDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.warn('AI provider directory not found', { dir });
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .map(file => this.register(require(path.join(dir, file))));
+  }
+
+  /**
+   * Work out whether a provider starts enabled
+   */
+  resolveEnabled(name, enabled) {
+    if (typeof enabled === 'function') {
+      return Boolean(enabled());
+    }
+
+    if (typeof enabled === 'boolean') {
+      return enabled;
+    }
+
+    const envVar = process.env[`${name.toUpperCase()}_ENABLED`];
+    return envVar === 'true' || envVar === true;
+  }
+
+  /**
+   * Enable or disable a registered provider at runtime
+   */
+  setEnabled(name, enabled) {
+    const provider = this.get(name);
+    provider.enabled = Boolean(enabled);
+    return provider;
+  }
+
+  /**
+   * Get a provider by name, throwing a 404 error if it is unknown
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      const error = new Error(`Unknown provider: ${name}`);
+      error.statusCode = 404;
+      error.code = 'PROVIDER_NOT_FOUND';
+      throw error;
+    }
+
+    return provider;
+  }
+
+  /**
+   * Check whether a provider is registered
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Names of all registered providers
+   */
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * List providers, optionally only enabled ones, ordered by priority
+   */
+  list(options = {}) {
+    const { enabledOnly = false, capability = null } = options;
+
+    return Array.from(this.providers.values())
+      .filter(provider => !enabledOnly || provider.enabled)
+      .filter(provider => !capability || provider.capabilities.includes(capability))
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Check whether a provider declares a capability
+   */
+  supports(name, capability) {
+    return this.providers.get(name)?.capabilities.includes(capability) || false;
+  }
+
+  /**
+   * Find the enabled provider serving a model
+   */
+  findModel(modelId) {
+    for (const provider of this.list({ enabledOnly: true })) {
+      const model = provider.models.find(m => m.id === modelId);
+      if (model) {
+        return { provider, model };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get all models offered by enabled providers
+   */
+  getAvailableModels() {
+    return this.list({ enabledOnly: true })
+      .flatMap(provider => provider.models);
+  }
+
+  /**
+   * Get public information about a provider
+   */
+  getProviderInfo(name) {
+    const provider = this.get(name);
+
+    return {
+      name: provider.name,
+      enabled: provider.enabled,
+      capabilities: provider.capabilities,
+      models: provider.models,
+      priority: provider.priority
+    };
+  }
+
+  /**
+   * Circuit breaker state of every registered provider
+   */
+  getBreakerStates() {
+    return Object.fromEntries(
+      this.list().map(provider => [provider.name, {
+        enabled: provider.enabled,
+        ...provider.breaker.getState()
+      }])
+    );
+  }
+
+  /**
+   * Calculate the USD cost of a request
+   */
+  getModelCost(name, modelId, usage = {}) {
+    const provider = this.providers.get(name);
+    if (!provider?.getCost) {
+      return 0;
+    }
+
+    return provider.getCost(modelId, usage) || 0;
+  }
+}
+
+module.exports = new ProviderRegistry();
@@ -1,17 +1,82 @@
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 const responseFormatter = require('../utils/responseFormatter');
+const mailService = require('./mailService');
+const webhookService = require('./webhookService');
+const billingService = require('./billingService');
+const MemoryQuotaStore = require('./quotaStores/memoryQuotaStore');
+const DatabaseQuotaStore = require('./quotaStores/databaseQuotaStore');
+const RedisQuotaStore = require('./quotaStores/redisQuotaStore');
+
+const TOTAL = { name: 'total' };
+const MEMBERS = { name: 'members' };
+const SLOTS = 'concurrent';
+
+// Request types also counted against a daily media limit
+const MEDIA = {
+  image_generation: 'images',
+  minimax_video_generation: 'videos',
+  minimax_image_to_video: 'videos'
+};
+
+// Webhook events sent once per budget period when spend reaches a threshold
+const BUDGET_ALERTS = [
+  { event: 'budget.threshold_reached', threshold: 'budgetWarnAt' },
+  { event: 'budget.exhausted', threshold: 'budgetBlockAt' }
+];
 
 /**
  * Quota Management Service
- * Handles user quota enforcement, tracking, and management
+ * Handles user quota enforcement, tracking, and management.
+ *
+ * Usage is counted in fixed minute, hour and day windows aligned to UTC,
+ * plus running totals, in a store shared by every instance: Redis when
+ * configured, otherwise the database, falling back to process memory if
+ * neither can be reached. Overrides and organization quotas live in the
+ * same store. Concurrent requests hold a slot from checkQuota until
+ * recordUsage; slots of a crashed instance are freed after slotTimeout.
+ *
+ * reserve() goes further and adds the request's estimate to the counters
+ * for as long as it runs, so requests in flight count against the limits
+ * the next one is checked against. settle() swaps the estimate for the
+ * actual usage; release() takes it back for requests that failed or were
+ * cancelled, and runs by itself after reservationTimeout.
+ *
+ * A user's limits are their plan's, set through setPlan, with any admin
+ * override on top; users no plan was ever set for get defaultQuota.
+ *
+ * Users, organizations and API keys can each have a monthly USD budget.
+ * checkQuota refuses requests whose estimated cost would take spend past
+ * budgetBlockAt of the budget; recordUsage sends budget.threshold_reached
+ * at budgetWarnAt and budget.exhausted at budgetBlockAt, once a month each.
  */
 class QuotaService {
   constructor() {
-    // In-memory quota storage (use database in production)
-    this.quotas = new Map();
-    this.usage = new Map();
-    
+    this.store = null;
+    this.ready = null;
+
+    // Organization pools, checked on top of each member's own quota.
+    // Synced from the user row on every authenticated request.
+    this.memberships = new Map();
+
+    // Plan last written to the store for each user, to skip rewriting it
+    this.plans = new Map();
+
+    // Open reservations of this instance: id -> { reservation, timer }
+    this.reservations = new Map();
+    // Tail of each user's queue of reservations being checked
+    this.reserving = new Map();
+
     this.config = {
+      driver: process.env.QUOTA_STORE_DRIVER ||
+        (process.env.NODE_ENV === 'test' ? 'memory' : process.env.REDIS_URL ? 'redis' : 'database'),
+      redisUrl: process.env.REDIS_URL,
+      redisPassword: process.env.REDIS_PASSWORD,
+      prefix: process.env.QUOTA_STORE_PREFIX || 'ai-playground',
+      slotTimeout: parseInt(process.env.QUOTA_SLOT_TIMEOUT) || 5 * 60 * 1000,
+      reservationTimeout: parseInt(process.env.QUOTA_RESERVATION_TIMEOUT) || 5 * 60 * 1000,
+      historyLength: 1000,
+      historyRetentionDays: 30,
       defaultQuota: {
         requestsPerMinute: 60,
         requestsPerHour: 1000,
@@ -19,7 +84,29 @@ class QuotaService {
         tokensPerMinute: 10000,
         tokensPerHour: 100000,
         tokensPerDay: 1000000,
-        concurrentRequests: 5
+        concurrentRequests: 5,
+        imagesPerDay: null, // null means no limit
+        videosPerDay: null,
+        monthlyBudget: null, // USD; null means no cap
+        budgetWarnAt: 0.8, // share of monthlyBudget
+        budgetBlockAt: 1
+      },
+      defaultOrganizationQuota: {
+        requestsPerMinute: 300,
+        requestsPerHour: 5000,
+        requestsPerDay: 50000,
+        tokensPerMinute: 50000,
+        tokensPerHour: 500000,
+        tokensPerDay: 5000000,
+        concurrentRequests: 20,
+        monthlyBudget: null, // USD; null means no cap
+        budgetWarnAt: 0.8,
+        budgetBlockAt: 1
+      },
+      defaultApiKeyQuota: {
+        monthlyBudget: null,
+        budgetWarnAt: 0.8,
+        budgetBlockAt: 1
       },
       gracePeriod: 1000, // 1 second grace period
       enableHardLimits: true,
@@ -31,9 +118,89 @@ class QuotaService {
         day: 24 * 60 * 60 * 1000
       }
     };
+  }
+
+  /**
+   * Connect the configured store once; Redis falls back to the database and
+   * the database to memory, which only limits this instance
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.connect();
+    }
+
+    return this.ready;
+  }
+
+  async connect() {
+    const { driver } = this.config;
+
+    if (driver === 'redis') {
+      const store = new RedisQuotaStore({
+        url: this.config.redisUrl,
+        password: this.config.redisPassword,
+        prefix: this.config.prefix
+      });
+
+      try {
+        await store.connect();
+        this.store = store;
+        return this.store;
+      } catch (error) {
+        logger.warn('Quota store could not reach Redis, falling back to the database', { error: error.message });
+        store.close().catch(() => {});
+      }
+    }
+
+    if (driver === 'redis' || driver === 'database') {
+      const store = new DatabaseQuotaStore();
+
+      try {
+        await store.connect();
+        this.store = store;
+        return this.store;
+      } catch (error) {
+        logger.warn('Quota store could not reach the database, limits now apply per instance', {
+          error: error.message
+        });
+      }
+    }
 
-    // Start quota reset timers
-    this.startQuotaResetTimers();
+    this.store = new MemoryQuotaStore();
+    logger.info('Quota store using process memory');
+    return this.store;
+  }
+
+  /**
+   * Use a specific store (tests, custom deployments)
+   */
+  async useStore(store) {
+    await store.connect();
+    this.store = store;
+    this.ready = Promise.resolve(store);
+    return store;
+  }
+
+  /**
+   * Counters for the minute, hour and day windows containing now
+   */
+  windowCounters(now = Date.now()) {
+    return Object.entries(this.config.resetIntervals).map(([name, length]) => {
+      const window = Math.floor(now / length);
+      return { name, window, expiresAt: (window + 1) * length };
+    });
+  }
+
+  /**
+   * Spend for the current budget period
+   */
+  monthCounter(now = Date.now()) {
+    const date = new Date(now);
+    return {
+      name: 'month',
+      window: this.currentBudgetPeriod(now),
+      expiresAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    };
   }
 
   /**
@@ -43,23 +210,51 @@ class QuotaService {
     const {
       tokens = 0,
       cost = 0,
-      requestType = 'default'
+      requestType = 'default',
+      apiKeyId = null
     } = options;
 
     try {
-      const quota = this.getUserQuota(userId);
-      const usage = this.getUserUsage(userId);
+      const store = await this.init();
+      const [quota, usage] = await Promise.all([this.getUserQuota(userId), this.getUserUsage(userId)]);
+      const membership = this.memberships.get(userId);
 
       // Check concurrent requests
       if (usage.concurrentRequests >= quota.concurrentRequests) {
         throw new Error('Too many concurrent requests');
       }
 
-      // Increment concurrent requests
-      usage.concurrentRequests++;
+      const organizationQuota = membership
+        ? await this.checkOrganizationQuota(membership, { tokens, cost })
+        : null;
 
       // Check rate limits
-      this.checkRateLimits(usage, quota, tokens);
+      this.checkRateLimits(usage, quota, tokens, requestType);
+
+      // Check budgets against the estimated cost
+      await this.checkBudget(userScope(userId), quota, cost, 'Monthly budget exceeded', 'BUDGET_EXCEEDED');
+      if (apiKeyId) {
+        await this.checkBudget(keyScope(apiKeyId), await this.getApiKeyQuota(apiKeyId), cost,
+          'API key monthly budget exceeded', 'API_KEY_BUDGET_EXCEEDED');
+      }
+
+      await billingService.assertCredit(userId, cost);
+
+      // The checks above read counters other instances may be changing;
+      // taking the slots is atomic
+      const slotExpiresAt = Date.now() + this.config.slotTimeout;
+      if (!await store.acquireSlot(userScope(userId), SLOTS, quota.concurrentRequests, slotExpiresAt)) {
+        throw new Error('Too many concurrent requests');
+      }
+      usage.concurrentRequests++;
+
+      if (organizationQuota) {
+        const scope = organizationScope(membership.organizationId);
+        if (!await store.acquireSlot(scope, SLOTS, organizationQuota.concurrentRequests, slotExpiresAt)) {
+          await store.releaseSlot(userScope(userId), SLOTS);
+          throw this.organizationError('Too many concurrent requests for organization');
+        }
+      }
 
       // Check if approaching soft limits
       const softLimitInfo = this.checkSoftLimits(usage, quota);
@@ -68,6 +263,7 @@ class QuotaService {
           userId,
           ...softLimitInfo
         });
+        mailService.notifyQuotaWarning(userId, softLimitInfo.limits);
       }
 
       logger.debug('Quota check passed', {
@@ -96,54 +292,79 @@ class QuotaService {
   }
 
   /**
-   * Record usage after request completion
+   * Record usage after request completion and free the request's slot.
+   * Resolves to null when the store can't be written, so a response that
+   * is ready still goes out; the lost usage is in the error log.
+   * @param {string} userId
+   * @param {Object} options - tokens, cost, requestType, success, apiKeyId,
+   *   and for billing model, provider, reference and impersonationId
+   * @param {Object} settling - reservation whose hold this usage replaces,
+   *   and whether the request's slots are still held
    */
-  recordUsage(userId, options = {}) {
+  async recordUsage(userId, options = {}, { reservation = null, releaseSlots = true } = {}) {
     const {
       tokens = 0,
       cost = 0,
       requestType = 'default',
-      success = true
+      success = true,
+      apiKeyId = null,
+      model = null,
+      provider = null,
+      reference = null,
+      impersonationId = null
     } = options;
 
     try {
-      const usage = this.getUserUsage(userId);
+      const store = await this.init();
+      const scope = userScope(userId);
       const now = Date.now();
+      const media = MEDIA[requestType];
 
-      // Decrement concurrent requests
-      usage.concurrentRequests = Math.max(0, usage.concurrentRequests - 1);
-
-      // Record request
-      usage.requestsPerMinute++;
-      usage.requestsPerHour++;
-      usage.requestsPerDay++;
-      usage.totalRequests++;
-
-      // Record tokens
-      usage.tokensPerMinute += tokens;
-      usage.tokensPerHour += tokens;
-      usage.tokensPerDay += tokens;
-      usage.totalTokens += tokens;
+      const holds = reservation ? this.reservationHolds(reservation) : [];
 
-      // Record cost
-      usage.totalCost += cost;
-
-      // Add to history
-      usage.history.push({
+      if (releaseSlots) {
+        await store.releaseSlot(scope, SLOTS);
+      }
+      await this.addUsage(
+        scope,
+        [...this.windowCounters(now), TOTAL, this.monthCounter(now)],
+        { requests: 1, tokens, cost, ...(media && success ? { [media]: 1 } : {}) },
+        holds,
+        { lastUsed: now }
+      );
+      await this.pushHistory(scope, {
         timestamp: now,
         tokens,
         cost,
         requestType,
-        success
+        success,
+        ...(impersonationId ? { impersonationId } : {})
       });
 
-      // Keep only last 1000 entries in history
-      if (usage.history.length > 1000) {
-        usage.history = usage.history.slice(-1000);
+      if (apiKeyId) {
+        await this.addUsage(
+          keyScope(apiKeyId),
+          [TOTAL, this.monthCounter(now)],
+          { requests: 1, tokens, cost },
+          holds,
+          { lastUsed: now }
+        );
       }
 
-      // Update last used timestamp
-      usage.lastUsed = now;
+      await this.recordOrganizationUsage(userId, { tokens, cost }, { holds, releaseSlots });
+
+      if (cost > 0) {
+        await this.notifyBudgets(userId, apiKeyId, now);
+        await billingService.charge(userId, {
+          cost,
+          tokens,
+          model,
+          provider,
+          taskType: billingTaskType(requestType),
+          reference,
+          impersonationId
+        });
+      }
 
       logger.debug('Usage recorded', {
         userId,
@@ -153,7 +374,7 @@ class QuotaService {
         success
       });
 
-      return usage;
+      return this.getUserUsage(userId);
 
     } catch (error) {
       logger.error('Failed to record usage', {
@@ -162,40 +383,351 @@ class QuotaService {
         tokens,
         cost
       });
-      throw error;
+      return null;
     }
   }
 
   /**
-   * Get user quota
+   * Add usage to counters. Counters still in the window a reservation's
+   * hold went into only get the difference between the two.
+   * @param {string} scope
+   * @param {Object[]} counters - Counter specs for now
+   * @param {Object} usage - Increments
+   * @param {Object[]} holds - From reservationHolds(); empty for unreserved usage
+   * @param {Object} fields - Set on every counter
    */
-  getUserQuota(userId) {
-    if (!this.quotas.has(userId)) {
-      // Create default quota for new user
-      this.quotas.set(userId, {
-        ...this.config.defaultQuota,
+  async addUsage(scope, counters, usage, holds = [], fields = {}) {
+    const store = await this.init();
+    const hold = holds.find(entry => entry.scope === scope);
+    const netted = hold ? counters.filter(counter => sameCounter(hold.counters, counter)) : [];
+    const full = counters.filter(counter => !netted.includes(counter));
+
+    if (full.length > 0) {
+      await store.incrementCounters(scope, full, usage, fields);
+    }
+    if (netted.length > 0) {
+      const difference = {};
+      new Set([...Object.keys(usage), ...Object.keys(hold.amounts)]).forEach(field => {
+        difference[field] = (usage[field] || 0) - (hold.amounts[field] || 0);
+      });
+      await store.incrementCounters(scope, netted, difference, fields);
+    }
+  }
+
+  /**
+   * Check a request against every limit and budget, as checkQuota does, and
+   * hold its estimate in the user's, organization's and API key's counters
+   * until settle() or release(). A user's reservations are checked one at
+   * a time on this instance, so each sees the holds of those before it.
+   * @param {string} userId
+   * @param {Object} options - tokens, cost, requestType, apiKeyId, and the
+   *   impersonationId of a request support staff made as the user
+   * @returns {Promise<Object>} The reservation: id, the estimate, expiresAt,
+   *   the remaining quota and its status ('held', 'settled', 'released' or
+   *   'expired')
+   * @throws {Error} As checkQuota
+   */
+  async reserve(userId, options = {}) {
+    const {
+      tokens = 0,
+      cost = 0,
+      requestType = 'default',
+      apiKeyId = null,
+      impersonationId = null
+    } = options;
+
+    const previous = this.reserving.get(userId) || Promise.resolve();
+    const turn = previous.then(async () => {
+      const { remaining } = await this.checkQuota(userId, options);
+      const reservedAt = Date.now();
+      const reservation = {
+        id: crypto.randomUUID(),
         userId,
-        createdAt: Date.now(),
-        updatedAt: Date.now()
+        apiKeyId,
+        organizationId: this.memberships.get(userId)?.organizationId || null,
+        tokens,
+        cost,
+        requestType,
+        impersonationId,
+        reservedAt,
+        expiresAt: reservedAt + this.config.reservationTimeout,
+        remaining,
+        status: 'held'
+      };
+
+      try {
+        const store = await this.init();
+        for (const { scope, counters, amounts } of this.reservationHolds(reservation)) {
+          await store.incrementCounters(scope, counters, amounts);
+        }
+      } catch (error) {
+        await this.freeSlots(reservation);
+        throw error;
+      }
+
+      const timer = setTimeout(() => this.release(reservation, 'timeout'), this.config.reservationTimeout);
+      timer.unref?.();
+      this.reservations.set(reservation.id, { reservation, timer });
+
+      logger.debug('Quota reserved', { userId, reservationId: reservation.id, tokens, cost, requestType });
+      return reservation;
+    });
+
+    const tail = turn.catch(() => {});
+    this.reserving.set(userId, tail);
+    tail.then(() => {
+      if (this.reserving.get(userId) === tail) this.reserving.delete(userId);
+    });
+
+    return turn;
+  }
+
+  /**
+   * Replace a reservation's hold with what the request actually used and
+   * free its slot. A reservation that already timed out is recorded as
+   * plain usage; one already settled or released is left alone. Never
+   * throws, as recordUsage.
+   * @param {Object} reservation - From reserve()
+   * @param {Object} usage - tokens, cost, success, and for billing model,
+   *   provider and reference; tokens and cost default to the estimate
+   */
+  async settle(reservation, usage = {}) {
+    const held = this.endReservation(reservation, 'settled');
+    if (!held) {
+      if (reservation.status !== 'expired') {
+        logger.warn('Quota reservation already closed', {
+          userId: reservation.userId,
+          reservationId: reservation.id,
+          status: reservation.status
+        });
+        return;
+      }
+      reservation.status = 'settled';
+    }
+
+    return this.recordUsage(reservation.userId, {
+      tokens: reservation.tokens,
+      cost: reservation.cost,
+      requestType: reservation.requestType,
+      apiKeyId: reservation.apiKeyId,
+      impersonationId: reservation.impersonationId,
+      ...usage
+    }, { reservation: held ? reservation : null, releaseSlots: held });
+  }
+
+  /**
+   * Take back a reservation's hold and free its slot, for a request that
+   * failed, was cancelled or timed out. Releasing one that was already
+   * settled or released, or null, does nothing.
+   * @param {Object|null} reservation - From reserve()
+   * @param {string} reason - For the log: 'failed', 'cancelled', 'timeout'
+   * @returns {Promise<boolean>} Whether the reservation was still open
+   */
+  async release(reservation, reason = 'failed') {
+    if (!reservation || !this.endReservation(reservation, reason === 'timeout' ? 'expired' : 'released')) {
+      return false;
+    }
+
+    try {
+      const store = await this.init();
+      const current = [...this.windowCounters(), this.monthCounter()];
+
+      // A hold in a window that has since ended went with it
+      for (const { scope, counters, amounts } of this.reservationHolds(reservation)) {
+        const live = current.filter(counter => sameCounter(counters, counter));
+        if (live.length > 0) {
+          await store.incrementCounters(scope, live, negate(amounts));
+        }
+      }
+      await this.freeSlots(reservation);
+
+      logger.debug('Quota reservation released', { userId: reservation.userId, reservationId: reservation.id, reason });
+    } catch (error) {
+      logger.error('Failed to release quota reservation', {
+        userId: reservation.userId,
+        reservationId: reservation.id,
+        reason,
+        error: error.message
       });
     }
 
-    return this.quotas.get(userId);
+    return true;
   }
 
   /**
-   * Set user quota
+   * Close a reservation on this instance
+   * @param {Object} reservation
+   * @param {string} status - What it closes as
+   * @returns {boolean} Whether it was still open
    */
-  setUserQuota(userId, quota) {
-    const currentQuota = this.getUserQuota(userId);
-    const newQuota = {
-      ...currentQuota,
-      ...quota,
-      userId,
+  endReservation(reservation, status) {
+    const open = this.reservations.get(reservation.id);
+    if (!open) return false;
+
+    clearTimeout(open.timer);
+    this.reservations.delete(reservation.id);
+    reservation.status = status;
+    return true;
+  }
+
+  /**
+   * The scopes a reservation holds its estimate in, the counters it went
+   * into and how much
+   */
+  reservationHolds({ userId, apiKeyId, organizationId, tokens, cost, requestType, reservedAt }) {
+    const amounts = { requests: 1, tokens, cost };
+    const media = MEDIA[requestType];
+    const counters = [...this.windowCounters(reservedAt), this.monthCounter(reservedAt)];
+
+    return [
+      { scope: userScope(userId), counters, amounts: media ? { ...amounts, [media]: 1 } : amounts },
+      ...(organizationId ? [{ scope: organizationScope(organizationId), counters, amounts }] : []),
+      ...(apiKeyId ? [{ scope: keyScope(apiKeyId), counters: [this.monthCounter(reservedAt)], amounts }] : [])
+    ];
+  }
+
+  async freeSlots({ userId, organizationId }) {
+    const store = await this.init();
+    await store.releaseSlot(userScope(userId), SLOTS);
+    if (organizationId) {
+      await store.releaseSlot(organizationScope(organizationId), SLOTS);
+    }
+  }
+
+  /**
+   * Give back usage that was charged up front for work that never ran,
+   * e.g. a cancelled video generation
+   */
+  async refundUsage(userId, options = {}) {
+    const {
+      tokens = 0,
+      cost = 0,
+      requestType = 'default',
+      model = null,
+      provider = null,
+      reference = null
+    } = options;
+
+    try {
+      const store = await this.init();
+      const scope = userScope(userId);
+      const now = Date.now();
+      const refund = { tokens: -tokens, cost: -cost };
+      const media = MEDIA[requestType];
+
+      await store.incrementCounters(scope, [...this.windowCounters(now), TOTAL, this.monthCounter(now)], {
+        ...refund,
+        ...(media ? { [media]: -1 } : {})
+      });
+      await this.pushHistory(scope, {
+        timestamp: now,
+        tokens: -tokens,
+        cost: -cost,
+        requestType,
+        success: true,
+        refund: true
+      });
+
+      const membership = this.memberships.get(userId);
+      if (membership) {
+        await store.incrementCounters(
+          organizationScope(membership.organizationId),
+          [...this.windowCounters(now), TOTAL, this.monthCounter(now)],
+          refund
+        );
+      }
+
+      await billingService.refund(userId, {
+        cost,
+        model,
+        provider,
+        taskType: billingTaskType(requestType),
+        reference
+      });
+
+      logger.info('Usage refunded', {
+        userId,
+        tokens,
+        cost,
+        requestType
+      });
+
+      return this.getUserUsage(userId);
+
+    } catch (error) {
+      logger.error('Failed to refund usage', {
+        userId,
+        error: error.message,
+        tokens,
+        cost
+      });
+      return null;
+    }
+  }
+
+  async pushHistory(scope, entry) {
+    const store = await this.init();
+    await store.pushHistory(scope, 'history', entry, {
+      maxLength: this.config.historyLength,
+      expiresAt: entry.timestamp + this.config.historyRetentionDays * this.config.resetIntervals.day
+    });
+  }
+
+  /**
+   * Get user quota: the plan's limits with any admin override applied
+   */
+  async getUserQuota(userId) {
+    const store = await this.init();
+    const scope = userScope(userId);
+    const [plan, override] = await Promise.all([
+      store.getRecord(scope, 'plan'),
+      store.getRecord(scope, 'quota')
+    ]);
+
+    return {
+      ...this.config.defaultQuota,
+      ...plan?.quota,
+      ...override,
+      plan: plan?.name || null,
+      userId
+    };
+  }
+
+  /**
+   * Base a user's limits on a plan ({ name, quota }). Cheap to call on every
+   * request: the store is only written when the plan differs from the one
+   * this instance last set.
+   */
+  async setPlan(userId, plan) {
+    if (this.plans.get(userId) === plan.name) return;
+
+    const store = await this.init();
+    await store.setRecord(userScope(userId), 'plan', {
+      name: plan.name,
+      quota: pick(plan.quota, Object.keys(this.config.defaultQuota)),
+      updatedAt: Date.now()
+    });
+    this.plans.set(userId, plan.name);
+
+    logger.debug('User plan limits set', { userId, plan: plan.name });
+  }
+
+  /**
+   * Set user quota. Only the given limits are overridden; the rest keep
+   * following the defaults.
+   */
+  async setUserQuota(userId, quota) {
+    const store = await this.init();
+    const scope = userScope(userId);
+    const override = {
+      ...await store.getRecord(scope, 'quota'),
+      ...pick(quota, Object.keys(this.config.defaultQuota)),
       updatedAt: Date.now()
     };
 
-    this.quotas.set(userId, newQuota);
+    await store.setRecord(scope, 'quota', override);
+
+    const newQuota = await this.getUserQuota(userId);
 
     logger.info('User quota updated', {
       userId,
@@ -206,43 +738,408 @@ class QuotaService {
   }
 
   /**
-   * Get user usage statistics
+   * Record which organization a user's requests count against.
+   * Pass a null organizationId to clear it.
+   */
+  setMembership(userId, organizationId, role = 'member') {
+    if (!organizationId) {
+      this.memberships.delete(userId);
+      return;
+    }
+
+    this.memberships.set(userId, { organizationId, role });
+  }
+
+  getMembership(userId) {
+    return this.memberships.get(userId) || null;
+  }
+
+  /**
+   * Get organization quota
+   */
+  async getOrganizationQuota(organizationId) {
+    const store = await this.init();
+    const override = await store.getRecord(organizationScope(organizationId), 'quota');
+
+    return {
+      ...this.config.defaultOrganizationQuota,
+      ...override,
+      organizationId
+    };
+  }
+
+  /**
+   * Set organization quota, including its monthly budget
+   */
+  async setOrganizationQuota(organizationId, quota) {
+    const store = await this.init();
+    const scope = organizationScope(organizationId);
+    const override = {
+      ...await store.getRecord(scope, 'quota'),
+      ...pick(quota, Object.keys(this.config.defaultOrganizationQuota)),
+      updatedAt: Date.now()
+    };
+
+    await store.setRecord(scope, 'quota', override);
+
+    const newQuota = { ...this.config.defaultOrganizationQuota, ...override, organizationId };
+
+    logger.info('Organization quota updated', {
+      organizationId,
+      quota: newQuota
+    });
+
+    return newQuota;
+  }
+
+  /**
+   * Get organization usage, with a per-member breakdown
    */
-  getUserUsage(userId) {
-    if (!this.usage.has(userId)) {
-      this.usage.set(userId, this.createDefaultUsage(userId));
+  async getOrganizationUsage(organizationId) {
+    const store = await this.init();
+    const now = Date.now();
+    const scope = organizationScope(organizationId);
+
+    const [usage, [month, members]] = await Promise.all([
+      this.readUsage(scope, now),
+      store.getCounters(scope, [this.monthCounter(now), MEMBERS])
+    ]);
+
+    // Member counters are stored flat as "<userId>.<counter>"
+    const breakdown = {};
+    Object.entries(members).forEach(([field, value]) => {
+      const separator = field.lastIndexOf('.');
+      const memberId = field.slice(0, separator);
+      breakdown[memberId] = breakdown[memberId] || { requests: 0, tokens: 0, cost: 0 };
+      breakdown[memberId][field.slice(separator + 1)] = value;
+    });
+
+    return {
+      ...usage,
+      organizationId,
+      costThisMonth: month.cost || 0,
+      budgetPeriod: this.currentBudgetPeriod(now),
+      members: breakdown
+    };
+  }
+
+  currentBudgetPeriod(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 7);
+  }
+
+  /**
+   * Get an API key's budget
+   */
+  async getApiKeyQuota(apiKeyId) {
+    const store = await this.init();
+    const override = await store.getRecord(keyScope(apiKeyId), 'quota');
+
+    return {
+      ...this.config.defaultApiKeyQuota,
+      ...override,
+      apiKeyId
+    };
+  }
+
+  /**
+   * Set an API key's monthly budget and thresholds
+   */
+  async setApiKeyQuota(apiKeyId, quota) {
+    const store = await this.init();
+    const scope = keyScope(apiKeyId);
+    const override = {
+      ...await store.getRecord(scope, 'quota'),
+      ...pick(quota, Object.keys(this.config.defaultApiKeyQuota)),
+      updatedAt: Date.now()
+    };
+
+    await store.setRecord(scope, 'quota', override);
+
+    logger.info('API key budget updated', { apiKeyId, quota: override });
+    return { ...this.config.defaultApiKeyQuota, ...override, apiKeyId };
+  }
+
+  async getApiKeyBudget(apiKeyId) {
+    const quota = await this.getApiKeyQuota(apiKeyId);
+    return this.describeBudget(quota, await this.getMonthlySpend(keyScope(apiKeyId)));
+  }
+
+  /**
+   * Spend of a user, organization or API key scope this budget period
+   */
+  async getMonthlySpend(scope, now = Date.now()) {
+    const store = await this.init();
+    const [month] = await store.getCounters(scope, [this.monthCounter(now)]);
+    // Settled reservations add and take back estimates, which leaves float noise
+    return Math.round((month.cost || 0) * 1e9) / 1e9;
+  }
+
+  /**
+   * Refuse a request whose estimated cost would take spend past the block
+   * threshold
+   */
+  async checkBudget(scope, quota, cost, message, code) {
+    if (quota.monthlyBudget == null) return;
+
+    const spent = await this.getMonthlySpend(scope);
+    if (spent + cost > quota.monthlyBudget * quota.budgetBlockAt) {
+      const error = new Error(message);
+      error.statusCode = 429;
+      error.code = code;
+      error.budget = this.describeBudget(quota, spent);
+      throw error;
+    }
+  }
+
+  /**
+   * Budget state for API responses
+   */
+  describeBudget(quota, spent) {
+    const limit = quota.monthlyBudget;
+    let status = 'ok';
+    if (limit != null && spent >= limit * quota.budgetBlockAt) {
+      status = 'exhausted';
+    } else if (limit != null && spent >= limit * quota.budgetWarnAt) {
+      status = 'warning';
     }
 
-    return this.usage.get(userId);
+    return {
+      period: this.currentBudgetPeriod(),
+      limit,
+      spent,
+      remaining: remainingOf(limit, spent),
+      warnAt: quota.budgetWarnAt,
+      blockAt: quota.budgetBlockAt,
+      status
+    };
+  }
+
+  /**
+   * Budgets that apply to a user's requests: their own, their organization's
+   * and, for API key requests, the key's
+   */
+  async budgetSubjects(userId, apiKeyId = null) {
+    const subjects = [{ type: 'user', id: userId, scope: userScope(userId), quota: await this.getUserQuota(userId) }];
+
+    const membership = this.memberships.get(userId);
+    if (membership) {
+      const { organizationId } = membership;
+      subjects.push({
+        type: 'organization',
+        id: organizationId,
+        scope: organizationScope(organizationId),
+        quota: await this.getOrganizationQuota(organizationId)
+      });
+    }
+
+    if (apiKeyId) {
+      subjects.push({ type: 'api_key', id: apiKeyId, scope: keyScope(apiKeyId), quota: await this.getApiKeyQuota(apiKeyId) });
+    }
+
+    return subjects;
+  }
+
+  /**
+   * Budgets for the /budget endpoint
+   */
+  async getBudgets(userId, apiKeyId = null) {
+    const subjects = await this.budgetSubjects(userId, apiKeyId);
+
+    return Promise.all(subjects.map(async ({ type, id, scope, quota }) => ({
+      type,
+      id,
+      ...this.describeBudget(quota, await this.getMonthlySpend(scope))
+    })));
+  }
+
+  /**
+   * Send budget webhooks for thresholds spend has just crossed. Each alert
+   * is latched in the store so it goes out once per period, whichever
+   * instance records the request that crosses it.
+   */
+  async notifyBudgets(userId, apiKeyId, now = Date.now()) {
+    const store = await this.init();
+    const period = this.currentBudgetPeriod(now);
+    const { expiresAt } = this.monthCounter(now);
+
+    for (const { type, id, scope, quota } of await this.budgetSubjects(userId, apiKeyId)) {
+      if (quota.monthlyBudget == null) continue;
+
+      const spent = await this.getMonthlySpend(scope, now);
+
+      for (const { event, threshold } of BUDGET_ALERTS) {
+        const limit = quota.monthlyBudget * quota[threshold];
+        if (spent < limit) continue;
+
+        // Keyed on the limit so raising the budget re-arms the alert
+        if (!await store.acquireSlot(scope, `alert:${event}:${period}:${limit}`, 1, expiresAt)) continue;
+
+        webhookService.triggerEvent(event, {
+          userId,
+          subject: { type, id },
+          period,
+          monthlyBudget: quota.monthlyBudget,
+          threshold: quota[threshold],
+          spent
+        }, { userId }).catch(error => {
+          logger.error('Budget webhook failed:', error);
+        });
+      }
+    }
   }
 
   /**
-   * Create default usage object
+   * Check a member's request against the organization's pool
    */
-  createDefaultUsage(userId) {
+  async checkOrganizationQuota(membership, { tokens = 0, cost = 0 } = {}) {
+    const { organizationId, role } = membership;
+
+    if (role === 'viewer') {
+      throw this.organizationError('Organization viewers cannot make requests', 403, 'ORGANIZATION_VIEWER');
+    }
+
+    const [quota, usage] = await Promise.all([
+      this.getOrganizationQuota(organizationId),
+      this.getOrganizationUsage(organizationId)
+    ]);
+
+    if (usage.concurrentRequests >= quota.concurrentRequests) {
+      throw this.organizationError('Too many concurrent requests for organization');
+    }
+
+    try {
+      this.checkRateLimits(usage, quota, tokens);
+    } catch (error) {
+      throw this.organizationError(`Organization ${error.message.charAt(0).toLowerCase()}${error.message.slice(1)}`);
+    }
+
+    if (quota.monthlyBudget !== null && usage.costThisMonth + cost > quota.monthlyBudget * quota.budgetBlockAt) {
+      throw this.organizationError('Organization monthly budget exceeded', 429, 'ORGANIZATION_BUDGET_EXCEEDED');
+    }
+
+    return quota;
+  }
+
+  organizationError(message, statusCode = 429, code = 'ORGANIZATION_QUOTA_EXCEEDED') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Add a member's completed request to the organization's pool
+   */
+  async recordOrganizationUsage(userId, { tokens = 0, cost = 0 } = {}, { holds = [], releaseSlots = true } = {}) {
+    const membership = this.memberships.get(userId);
+    if (!membership) return;
+
+    const store = await this.init();
+    const scope = organizationScope(membership.organizationId);
     const now = Date.now();
+
+    if (releaseSlots) {
+      await store.releaseSlot(scope, SLOTS);
+    }
+    await this.addUsage(
+      scope,
+      [...this.windowCounters(now), TOTAL, this.monthCounter(now)],
+      { requests: 1, tokens, cost },
+      holds,
+      { lastUsed: now }
+    );
+    await store.incrementCounters(scope, [MEMBERS], {
+      [`${userId}.requests`]: 1,
+      [`${userId}.tokens`]: tokens,
+      [`${userId}.cost`]: cost
+    });
+  }
+
+  /**
+   * Get quota information for an organization
+   */
+  async getOrganizationQuotaInfo(organizationId) {
+    const [quota, usage] = await Promise.all([
+      this.getOrganizationQuota(organizationId),
+      this.getOrganizationUsage(organizationId)
+    ]);
+
+    return {
+      organizationId,
+      quota,
+      usage: {
+        requests: {
+          perMinute: usage.requestsPerMinute,
+          perHour: usage.requestsPerHour,
+          perDay: usage.requestsPerDay,
+          total: usage.totalRequests
+        },
+        tokens: {
+          perMinute: usage.tokensPerMinute,
+          perHour: usage.tokensPerHour,
+          perDay: usage.tokensPerDay,
+          total: usage.totalTokens
+        },
+        cost: usage.totalCost,
+        concurrentRequests: usage.concurrentRequests,
+        lastUsed: usage.lastUsed
+      },
+      budget: this.describeBudget(quota, usage.costThisMonth),
+      remaining: this.calculateRemaining(usage, quota),
+      members: usage.members
+    };
+  }
+
+  /**
+   * Get user usage statistics
+   */
+  async getUserUsage(userId) {
     return {
       userId,
-      requestsPerMinute: 0,
-      requestsPerHour: 0,
-      requestsPerDay: 0,
-      totalRequests: 0,
-      tokensPerMinute: 0,
-      tokensPerHour: 0,
-      tokensPerDay: 0,
-      totalTokens: 0,
-      totalCost: 0,
-      concurrentRequests: 0,
-      lastUsed: now,
-      createdAt: now,
-      history: []
+      ...await this.readUsage(userScope(userId))
+    };
+  }
+
+  /**
+   * Current window counters, totals and slots of a user or organization
+   */
+  async readUsage(scope, now = Date.now()) {
+    const store = await this.init();
+    const [minute, hour, day, total, slots] = await store.getCounters(scope, [
+      ...this.windowCounters(now),
+      TOTAL,
+      { name: SLOTS }
+    ]);
+
+    return {
+      requestsPerMinute: minute.requests || 0,
+      requestsPerHour: hour.requests || 0,
+      requestsPerDay: day.requests || 0,
+      totalRequests: total.requests || 0,
+      tokensPerMinute: minute.tokens || 0,
+      tokensPerHour: hour.tokens || 0,
+      tokensPerDay: day.tokens || 0,
+      totalTokens: total.tokens || 0,
+      imagesPerDay: day.images || 0,
+      videosPerDay: day.videos || 0,
+      totalCost: total.cost || 0,
+      concurrentRequests: slots.count || 0,
+      lastUsed: total.lastUsed || null
     };
   }
 
   /**
-   * Check rate limits
+   * Recent requests and refunds, oldest first
+   */
+  async getUsageHistory(userId) {
+    const store = await this.init();
+    return store.getHistory(userScope(userId), 'history');
+  }
+
+  /**
+   * Check rate limits, and the daily media limit when the request type has one
    */
-  checkRateLimits(usage, quota, tokens) {
+  checkRateLimits(usage, quota, tokens, requestType = 'default') {
     // Check minute limits
     if (usage.requestsPerMinute >= quota.requestsPerMinute) {
       throw new Error('Rate limit exceeded: requests per minute');
@@ -266,6 +1163,12 @@ class QuotaService {
     if (usage.tokensPerDay + tokens > quota.tokensPerDay) {
       throw new Error('Rate limit exceeded: tokens per day');
     }
+
+    const media = MEDIA[requestType];
+    const mediaLimit = media ? quota[`${media}PerDay`] : null;
+    if (mediaLimit != null && usage[`${media}PerDay`] >= mediaLimit) {
+      throw new Error(`Rate limit exceeded: ${media} per day`);
+    }
   }
 
   /**
@@ -314,65 +1217,17 @@ class QuotaService {
         perHour: Math.max(0, quota.tokensPerHour - usage.tokensPerHour),
         perDay: Math.max(0, quota.tokensPerDay - usage.tokensPerDay)
       },
+      images: { perDay: remainingOf(quota.imagesPerDay, usage.imagesPerDay) },
+      videos: { perDay: remainingOf(quota.videosPerDay, usage.videosPerDay) },
       concurrentRequests: Math.max(0, quota.concurrentRequests - usage.concurrentRequests)
     };
   }
 
-  /**
-   * Reset usage counters based on time windows
-   */
-  resetUsageCounters() {
-    const now = Date.now();
-
-    for (const [userId, usage] of this.usage.entries()) {
-      // Reset minute counters
-      if (now - usage.lastResetMinute >= this.config.resetIntervals.minute) {
-        usage.requestsPerMinute = 0;
-        usage.tokensPerMinute = 0;
-        usage.lastResetMinute = now;
-      }
-
-      // Reset hour counters
-      if (now - usage.lastResetHour >= this.config.resetIntervals.hour) {
-        usage.requestsPerHour = 0;
-        usage.tokensPerHour = 0;
-        usage.lastResetHour = now;
-      }
-
-      // Reset day counters
-      if (now - usage.lastResetDay >= this.config.resetIntervals.day) {
-        usage.requestsPerDay = 0;
-        usage.tokensPerDay = 0;
-        usage.lastResetDay = now;
-      }
-
-      // Reset concurrent requests (safety check)
-      if (usage.concurrentRequests > 0 && now - usage.lastUsed > 60000) {
-        usage.concurrentRequests = 0;
-      }
-    }
-
-    logger.debug('Usage counters reset completed');
-  }
-
-  /**
-   * Start quota reset timers
-   */
-  startQuotaResetTimers() {
-    // Reset minute counters every minute
-    setInterval(() => {
-      this.resetUsageCounters();
-    }, 60000);
-
-    logger.info('Quota reset timers started');
-  }
-
   /**
    * Get quota information for user
    */
-  getQuotaInfo(userId) {
-    const quota = this.getUserQuota(userId);
-    const usage = this.getUserUsage(userId);
+  async getQuotaInfo(userId) {
+    const [quota, usage] = await Promise.all([this.getUserQuota(userId), this.getUserUsage(userId)]);
     const remaining = this.calculateRemaining(usage, quota);
     const softLimitInfo = this.checkSoftLimits(usage, quota);
 
@@ -392,10 +1247,13 @@ class QuotaService {
           perDay: usage.tokensPerDay,
           total: usage.totalTokens
         },
+        images: { perDay: usage.imagesPerDay },
+        videos: { perDay: usage.videosPerDay },
         cost: usage.totalCost,
         concurrentRequests: usage.concurrentRequests,
         lastUsed: usage.lastUsed
       },
+      budget: this.describeBudget(quota, await this.getMonthlySpend(userScope(userId))),
       remaining,
       softLimitInfo,
       resetIntervals: this.config.resetIntervals
@@ -405,16 +1263,14 @@ class QuotaService {
   /**
    * Get usage statistics
    */
-  getUsageStats(userId, options = {}) {
+  async getUsageStats(userId, options = {}) {
     const {
       startDate,
       endDate = new Date().toISOString()
     } = options;
 
-    const usage = this.getUserUsage(userId);
-    
     // Filter history by date range
-    let history = usage.history;
+    let history = await this.getUsageHistory(userId);
     if (startDate) {
       history = history.filter(entry => 
         entry.timestamp >= new Date(startDate).getTime()
@@ -426,6 +1282,9 @@ class QuotaService {
       );
     }
 
+    // Refunds adjust totals but aren't requests of their own
+    const requests = history.filter(h => !h.refund);
+
     // Calculate statistics
     const stats = {
       userId,
@@ -433,16 +1292,16 @@ class QuotaService {
         start: startDate || new Date(Math.min(...history.map(h => h.timestamp))).toISOString(),
         end: endDate
       },
-      totalRequests: history.length,
-      successfulRequests: history.filter(h => h.success).length,
-      failedRequests: history.filter(h => !h.success).length,
+      totalRequests: requests.length,
+      successfulRequests: requests.filter(h => h.success).length,
+      failedRequests: requests.filter(h => !h.success).length,
       totalTokens: history.reduce((sum, h) => sum + h.tokens, 0),
       totalCost: history.reduce((sum, h) => sum + h.cost, 0),
-      averageTokensPerRequest: history.length > 0 
-        ? history.reduce((sum, h) => sum + h.tokens, 0) / history.length 
+      averageTokensPerRequest: requests.length > 0 
+        ? history.reduce((sum, h) => sum + h.tokens, 0) / requests.length 
         : 0,
-      averageCostPerRequest: history.length > 0 
-        ? history.reduce((sum, h) => sum + h.cost, 0) / history.length 
+      averageCostPerRequest: requests.length > 0 
+        ? history.reduce((sum, h) => sum + h.cost, 0) / requests.length 
         : 0,
       requestTypes: {},
       hourlyDistribution: {},
@@ -450,20 +1309,20 @@ class QuotaService {
     };
 
     // Calculate request type distribution
-    history.forEach(entry => {
+    requests.forEach(entry => {
       stats.requestTypes[entry.requestType] = 
         (stats.requestTypes[entry.requestType] || 0) + 1;
     });
 
     // Calculate hourly distribution
-    history.forEach(entry => {
+    requests.forEach(entry => {
       const hour = new Date(entry.timestamp).getHours();
       stats.hourlyDistribution[hour] = 
         (stats.hourlyDistribution[hour] || 0) + 1;
     });
 
     // Calculate daily distribution
-    history.forEach(entry => {
+    requests.forEach(entry => {
       const day = new Date(entry.timestamp).toISOString().split('T')[0];
       stats.dailyDistribution[day] = 
         (stats.dailyDistribution[day] || 0) + 1;
@@ -473,71 +1332,60 @@ class QuotaService {
   }
 
   /**
-   * Reset user quota
+   * Reset user quota: clears the current windows and frees any held slots
    */
-  resetUserQuota(userId) {
-    const usage = this.getUserUsage(userId);
-    
-    // Reset all counters
-    usage.requestsPerMinute = 0;
-    usage.requestsPerHour = 0;
-    usage.requestsPerDay = 0;
-    usage.tokensPerMinute = 0;
-    usage.tokensPerHour = 0;
-    usage.tokensPerDay = 0;
-    usage.concurrentRequests = 0;
-    usage.lastResetMinute = Date.now();
-    usage.lastResetHour = Date.now();
-    usage.lastResetDay = Date.now();
+  async resetUserQuota(userId) {
+    const store = await this.init();
+    await store.resetCounters(userScope(userId), [...this.windowCounters(), { name: SLOTS }]);
 
     logger.info('User quota reset', { userId });
     return this.getQuotaInfo(userId);
   }
 
   /**
-   * Cleanup old usage data
+   * Forget a user's quota override, usage counters, history, plan and membership
    */
-  cleanupOldUsage(maxAgeDays = 30) {
-    const cutoffTime = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
-    let cleaned = 0;
+  async removeUser(userId) {
+    const store = await this.init();
+    await store.deleteScope(userScope(userId));
+    this.memberships.delete(userId);
+    this.plans.delete(userId);
+
+    for (const { reservation } of this.reservations.values()) {
+      if (reservation.userId === userId) this.endReservation(reservation, 'released');
+    }
+  }
 
-    for (const [userId, usage] of this.usage.entries()) {
-      // Remove old history entries
-      const oldLength = usage.history.length;
-      usage.history = usage.history.filter(entry => entry.timestamp > cutoffTime);
-      
-      if (usage.history.length !== oldLength) {
-        cleaned += oldLength - usage.history.length;
-      }
+  async removeOrganization(organizationId) {
+    const store = await this.init();
+    await store.deleteScope(organizationScope(organizationId));
+  }
 
-      // Remove users with no recent activity
-      if (usage.lastUsed < cutoffTime && usage.history.length === 0) {
-        this.usage.delete(userId);
-        cleaned++;
-      }
-    }
+  /**
+   * Drop expired counters, slots and history. Redis expires keys on its own,
+   * so this only has work to do for the database and memory stores.
+   */
+  async cleanupOldUsage() {
+    const store = await this.init();
+    const cleaned = await store.purgeExpired();
 
-    logger.info('Usage data cleanup completed', { cleaned, maxAgeDays });
+    logger.info('Usage data cleanup completed', { cleaned, driver: store.name });
     return cleaned;
   }
 
   /**
-   * Health check
+   * Health check; degraded when running on a fallback store
    */
-  healthCheck() {
+  async healthCheck() {
     try {
-      const totalUsers = this.usage.size;
-      const totalRequests = Array.from(this.usage.values())
-        .reduce((sum, usage) => sum + usage.totalRequests, 0);
+      const store = await this.init();
+      await store.ping();
 
       return {
-        status: 'healthy',
+        status: store.name === this.config.driver ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
-        totalUsers,
-        totalRequests,
-        activeUsers: Array.from(this.usage.values()).filter(u => 
-          Date.now() - u.lastUsed < 60000
-        ).length
+        driver: store.name,
+        configuredDriver: this.config.driver
       };
     } catch (error) {
       return {
@@ -549,4 +1397,28 @@ class QuotaService {
   }
 }
 
+const userScope = (userId) => `user:${userId}`;
+
+const organizationScope = (organizationId) => `org:${organizationId}`;
+
+const keyScope = (apiKeyId) => `key:${apiKeyId}`;
+
+const sameCounter = (counters, counter) => counters.some(
+  entry => entry.name === counter.name && entry.window === counter.window
+);
+
+const negate = (amounts) => Object.fromEntries(
+  Object.entries(amounts).map(([field, amount]) => [field, -amount])
+);
+
+// Requests recorded without a type are text generations
+const billingTaskType = (requestType) => (requestType === 'default' ? 'generation' : requestType);
+
+// Unlimited (null) stays null
+const remainingOf = (limit, used) => (limit == null ? null : Math.max(0, limit - (used || 0)));
+
+const pick = (source = {}, fields) => Object.fromEntries(
+  Object.entries(source).filter(([field, value]) => fields.includes(field) && value !== undefined)
+);
+
 module.exports = new QuotaService();
\ No newline at end of file
@@ -0,0 +1,122 @@
+const db = require('../../config/database');
+const MemoryQuotaStore = require('./memoryQuotaStore');
+
+const TABLE = 'quota_counters';
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Database Quota Store
+ * The memory store's rows kept in the quota_counters table, so they are
+ * shared by every instance and survive restarts. Each row carries a version;
+ * a write only lands if the version is still the one that was read, and is
+ * otherwise retried against the fresh row. key is the table's primary key
+ * (migrations/021_quota_counters.sql), which is what stops two first
+ * inserts of the same counter from both landing.
+ */
+class DatabaseQuotaStore extends MemoryQuotaStore {
+  constructor() {
+    super();
+    this.name = 'database';
+  }
+
+  table() {
+    return db.getClient().from(TABLE);
+  }
+
+  /**
+   * Make sure the table is reachable
+   */
+  async connect() {
+    await this.ping();
+  }
+
+  async ping() {
+    const { error } = await this.table().select('key').limit(1);
+    if (error) throw storeError('Quota store query failed', error);
+    return true;
+  }
+
+  async readRows(scope, names) {
+    const { data, error } = await this.table().select('*').eq('scope', scope);
+    if (error) throw storeError('Quota store read failed', error);
+
+    const now = Date.now();
+    const rows = new Map();
+
+    data.map(fromRow)
+      .filter(row => names.includes(row.name) && !(row.expiresAt != null && row.expiresAt <= now))
+      .forEach(row => rows.set(row.name, row));
+
+    return rows;
+  }
+
+  async mutate(scope, name, change) {
+    const key = `${scope}:${name}`;
+
+    for (let attempt = 1; ; attempt++) {
+      const { data: stored, error } = await this.table().select('*').eq('key', key).limit(1);
+      if (error) throw storeError('Quota store read failed', error);
+
+      const current = stored[0] ? fromRow(stored[0]) : null;
+      const live = current && !(current.expiresAt != null && current.expiresAt <= Date.now()) ? current : null;
+      const next = change(live);
+
+      if (next === undefined) return current;
+
+      const fields = toRow({ window: null, expiresAt: null, ...next });
+      const write = current
+        ? this.table().update({ ...fields, version: current.version + 1 }).eq('key', key).eq('version', current.version)
+        : this.table().insert([{ key, scope, name, version: 1, ...fields }]);
+
+      // Another instance got there first: either the version moved on or
+      // the key now exists
+      const { data: written, error: writeError } = await write.select();
+      if (!writeError && written.length) return next;
+
+      if (attempt === MAX_ATTEMPTS) {
+        throw storeError('Quota store write kept conflicting', writeError || { message: key });
+      }
+    }
+  }
+
+  async deleteRows(scope, names) {
+    for (const name of names) {
+      const { error } = await this.table().delete().eq('key', `${scope}:${name}`);
+      if (error) throw storeError('Quota store delete failed', error);
+    }
+  }
+
+  async deleteScope(scope) {
+    const { error } = await this.table().delete().eq('scope', scope);
+    if (error) throw storeError('Quota store delete failed', error);
+  }
+
+  async purgeExpired() {
+    const { data, error } = await this.table()
+      .delete()
+      .lte('expires_at', new Date().toISOString())
+      .select('key');
+
+    if (error) throw storeError('Quota store purge failed', error);
+    return data.length;
+  }
+}
+
+const fromRow = (row) => ({
+  scope: row.scope,
+  name: row.name,
+  window: row.window ?? null,
+  value: row.value,
+  version: row.version,
+  expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null
+});
+
+const toRow = ({ window, value, expiresAt }) => ({
+  window,
+  value,
+  expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+});
+
+const storeError = (message, cause) => new Error(`${message}: ${cause.message}`);
+
+module.exports = DatabaseQuotaStore;
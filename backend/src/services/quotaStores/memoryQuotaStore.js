@@ -0,0 +1,182 @@
+/**
+ * Memory Quota Store
+ * Counters, records and history kept in this process only, for tests and
+ * as the last fallback. Every entry is a row of { window, value, expiresAt }
+ * changed through mutate(), which the database store overrides to share the
+ * same rows between instances.
+ */
+class MemoryQuotaStore {
+  constructor() {
+    this.name = 'memory';
+    this.rows = new Map(); // scope:name -> row
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  async ping() {
+    return true;
+  }
+
+  // Row primitives
+
+  /**
+   * Live rows of a scope, by name
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async readRows(scope, names) {
+    const now = Date.now();
+    const rows = new Map();
+
+    names.forEach(name => {
+      const row = this.rows.get(`${scope}:${name}`);
+      if (row && !isExpired(row, now)) rows.set(name, clone(row));
+    });
+
+    return rows;
+  }
+
+  /**
+   * Replace a row with change(current), where current is null if the row is
+   * missing or expired. Returning undefined leaves the row as it is.
+   */
+  async mutate(scope, name, change) {
+    const key = `${scope}:${name}`;
+    const current = this.rows.get(key);
+    const next = change(current && !isExpired(current, Date.now()) ? clone(current) : null);
+
+    if (next === undefined) return current ? clone(current) : null;
+
+    this.rows.set(key, { scope, name, window: null, expiresAt: null, ...clone(next) });
+    return next;
+  }
+
+  async deleteRows(scope, names) {
+    names.forEach(name => this.rows.delete(`${scope}:${name}`));
+  }
+
+  async deleteScope(scope) {
+    for (const [key, row] of this.rows) {
+      if (row.scope === scope) this.rows.delete(key);
+    }
+  }
+
+  /**
+   * Drop rows past their expiry
+   * @returns {Promise<number>} Rows removed
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+
+    for (const [key, row] of this.rows) {
+      if (isExpired(row, now)) {
+        this.rows.delete(key);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+
+  // Counters: { name, window, expiresAt } specs; a row left over from an
+  // earlier window reads as empty and is restarted on the next increment
+
+  async getCounters(scope, counters) {
+    const rows = await this.readRows(scope, counters.map(counter => counter.name));
+
+    return counters.map(counter => {
+      const row = rows.get(counter.name);
+      return row && sameWindow(row, counter) ? row.value : {};
+    });
+  }
+
+  /**
+   * Add increments to every counter (never below zero) and set fields
+   */
+  async incrementCounters(scope, counters, increments, fields = {}) {
+    for (const counter of counters) {
+      await this.mutate(scope, counter.name, (row) => {
+        const value = { ...(row && sameWindow(row, counter) ? row.value : {}) };
+
+        Object.entries(increments).forEach(([field, amount]) => {
+          value[field] = Math.max(0, (value[field] || 0) + amount);
+        });
+
+        return {
+          window: windowOf(counter),
+          value: { ...value, ...fields },
+          expiresAt: counter.expiresAt || row?.expiresAt || null
+        };
+      });
+    }
+  }
+
+  async resetCounters(scope, counters) {
+    await this.deleteRows(scope, counters.map(counter => counter.name));
+  }
+
+  /**
+   * Take one of limit slots, held until released or until expiresAt
+   * @returns {Promise<boolean>} Whether a slot was free
+   */
+  async acquireSlot(scope, name, limit, expiresAt) {
+    let acquired = false;
+
+    await this.mutate(scope, name, (row) => {
+      const count = row?.value.count || 0;
+      acquired = count < limit;
+      if (!acquired) return undefined;
+
+      return { value: { count: count + 1 }, expiresAt };
+    });
+
+    return acquired;
+  }
+
+  async releaseSlot(scope, name) {
+    await this.mutate(scope, name, (row) => {
+      if (!row) return undefined;
+      return { ...row, value: { count: Math.max(0, (row.value.count || 0) - 1) } };
+    });
+  }
+
+  // Records
+
+  async getRecord(scope, name) {
+    const row = (await this.readRows(scope, [name])).get(name);
+    return row ? row.value : null;
+  }
+
+  async setRecord(scope, name, value) {
+    await this.mutate(scope, name, () => ({ value }));
+  }
+
+  async deleteRecord(scope, name) {
+    await this.deleteRows(scope, [name]);
+  }
+
+  // History: newest last, capped at maxLength entries
+
+  async pushHistory(scope, name, entry, { maxLength, expiresAt }) {
+    await this.mutate(scope, name, (row) => ({
+      value: [...(row?.value || []), entry].slice(-maxLength),
+      expiresAt
+    }));
+  }
+
+  async getHistory(scope, name) {
+    return (await this.getRecord(scope, name)) || [];
+  }
+}
+
+const isExpired = (row, now) => row.expiresAt != null && row.expiresAt <= now;
+
+const windowOf = (counter) => (counter.window == null ? null : String(counter.window));
+
+const sameWindow = (row, counter) => (row.window ?? null) === windowOf(counter);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = MemoryQuotaStore;
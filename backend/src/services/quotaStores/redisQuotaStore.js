@@ -0,0 +1,190 @@
+const redis = require('redis');
+const logger = require('../../utils/logger');
+
+// Add increments to each counter hash, never going below zero, set fields
+// and move the expiry of every key that was given one.
+// KEYS: counter hashes
+// ARGV: increments (JSON), fields (JSON), then an expiresAt per key (0 keeps it)
+const INCREMENT_SCRIPT = `
+local increments = cjson.decode(ARGV[1])
+local fields = cjson.decode(ARGV[2])
+
+for i, key in ipairs(KEYS) do
+  for field, amount in pairs(increments) do
+    local value = (tonumber(redis.call('HGET', key, field)) or 0) + amount
+    if value < 0 then
+      value = 0
+    end
+    redis.call('HSET', key, field, tostring(value))
+  end
+  for field, value in pairs(fields) do
+    redis.call('HSET', key, field, tostring(value))
+  end
+
+  local expiresAt = tonumber(ARGV[i + 2])
+  if expiresAt > 0 then
+    redis.call('PEXPIREAT', key, expiresAt)
+  end
+end
+
+return 1
+`;
+
+// KEYS: slot hash
+// ARGV: limit, expiresAt
+const ACQUIRE_SCRIPT = `
+local count = tonumber(redis.call('HGET', KEYS[1], 'count')) or 0
+if count >= tonumber(ARGV[1]) then
+  return 0
+end
+
+redis.call('HSET', KEYS[1], 'count', count + 1)
+redis.call('PEXPIREAT', KEYS[1], ARGV[2])
+return 1
+`;
+
+/**
+ * Redis Quota Store
+ * Counters are hashes updated by Lua scripts, so concurrent requests on
+ * different instances can't lose each other's increments. Windowed counters
+ * get one key per window, which Redis expires once the window is over.
+ */
+class RedisQuotaStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || 'ai-playground';
+    this.client = redis.createClient({
+      url: options.url,
+      password: options.password || undefined,
+      socket: {
+        connectTimeout: options.connectTimeout || 5000,
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            logger.error('Quota store Redis max reconnection attempts reached');
+            return new Error('Redis connection failed');
+          }
+          return Math.min(retries * 50, 500);
+        }
+      }
+    });
+
+    this.client.on('error', (err) => {
+      logger.warn('Quota store Redis error', { error: err.message });
+    });
+  }
+
+  async connect() {
+    await this.client.connect();
+    logger.info('Connected to Redis for quotas');
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  async ping() {
+    await this.client.ping();
+    return true;
+  }
+
+  key(scope, name, window = null) {
+    return [this.prefix, 'quota', scope, name, ...(window == null ? [] : [window])].join(':');
+  }
+
+  // Counters
+
+  async getCounters(scope, counters) {
+    const multi = this.client.multi();
+    counters.forEach(counter => multi.hGetAll(this.key(scope, counter.name, counter.window)));
+
+    const hashes = await multi.exec();
+    return hashes.map(hash => Object.fromEntries(
+      Object.entries(hash || {}).map(([field, value]) => [field, parseFloat(value)])
+    ));
+  }
+
+  async incrementCounters(scope, counters, increments, fields = {}) {
+    await this.client.eval(INCREMENT_SCRIPT, {
+      keys: counters.map(counter => this.key(scope, counter.name, counter.window)),
+      arguments: [
+        JSON.stringify(increments),
+        JSON.stringify(fields),
+        ...counters.map(counter => String(counter.expiresAt || 0))
+      ]
+    });
+  }
+
+  async resetCounters(scope, counters) {
+    await this.client.del(counters.map(counter => this.key(scope, counter.name, counter.window)));
+  }
+
+  async acquireSlot(scope, name, limit, expiresAt) {
+    const acquired = await this.client.eval(ACQUIRE_SCRIPT, {
+      keys: [this.key(scope, name)],
+      arguments: [String(limit), String(expiresAt)]
+    });
+
+    return acquired === 1;
+  }
+
+  async releaseSlot(scope, name) {
+    await this.client.eval(INCREMENT_SCRIPT, {
+      keys: [this.key(scope, name)],
+      arguments: [JSON.stringify({ count: -1 }), '{}', '0']
+    });
+  }
+
+  // Records
+
+  async getRecord(scope, name) {
+    const raw = await this.client.get(this.key(scope, name));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async setRecord(scope, name, value) {
+    await this.client.set(this.key(scope, name), JSON.stringify(value));
+  }
+
+  async deleteRecord(scope, name) {
+    await this.client.del(this.key(scope, name));
+  }
+
+  // History
+
+  async pushHistory(scope, name, entry, { maxLength, expiresAt }) {
+    const key = this.key(scope, name);
+
+    await this.client.multi()
+      .rPush(key, JSON.stringify(entry))
+      .lTrim(key, -maxLength, -1)
+      .pExpireAt(key, expiresAt)
+      .exec();
+  }
+
+  async getHistory(scope, name) {
+    const entries = await this.client.lRange(this.key(scope, name), 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  async deleteScope(scope) {
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${this.key(scope, '')}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    if (keys.length) {
+      await this.client.del(keys);
+    }
+  }
+
+  /**
+   * Nothing to do; Redis expires keys itself
+   */
+  async purgeExpired() {
+    return 0;
+  }
+}
+
+module.exports = RedisQuotaStore;
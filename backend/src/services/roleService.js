@@ -0,0 +1,184 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+/**
+ * Role Service
+ * Resolves a user's role to permissions and manages custom roles. Custom
+ * roles are cached briefly so permission checks don't hit the database on
+ * every admin request; changes made here invalidate the cache at once,
+ * other instances pick them up within cacheTtl.
+ */
+class RoleService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.ROLE_CACHE_TTL) || 60 * 1000;
+    this.cache = new Map(); // name -> { role, expiresAt }
+  }
+
+  /**
+   * Built-in or custom role by name
+   * @param {string} name - Role name
+   * @returns {Promise<Role|null>}
+   */
+  async getRole(name) {
+    if (!name) return null;
+
+    const builtIn = Role.builtIn(name);
+    if (builtIn) return builtIn;
+
+    const cached = this.cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.role;
+    }
+
+    const role = await Role.findByName(name);
+    this.cache.set(name, { role, expiresAt: Date.now() + this.cacheTtl });
+    return role;
+  }
+
+  /**
+   * Permissions granted by a role; unknown roles grant none
+   * @param {string} name - Role name
+   * @returns {Promise<string[]>}
+   */
+  async getPermissions(name) {
+    const role = await this.getRole(name);
+    return role ? role.permissions : [];
+  }
+
+  /**
+   * @param {string} name - Role name
+   * @param {string[]} permissions - Permissions that must all be granted
+   * @returns {Promise<boolean>}
+   */
+  async hasPermissions(name, permissions) {
+    const granted = await this.getPermissions(name);
+    return permissions.every(permission => granted.includes(permission));
+  }
+
+  /**
+   * Built-in roles followed by custom ones
+   * @returns {Promise<Role[]>}
+   */
+  async listRoles() {
+    return [...Role.builtIns(), ...await Role.findAll()];
+  }
+
+  async createRole({ name, description, permissions: requested }, actor) {
+    if (!ROLE_NAME_PATTERN.test(name || '')) {
+      throw httpError('Role name must be 2-50 lowercase letters, digits, "-" or "_", starting with a letter',
+        400, 'INVALID_ROLE_NAME');
+    }
+    if (await this.getRole(name)) {
+      throw httpError(`Role already exists: ${name}`, 409, 'ROLE_EXISTS');
+    }
+
+    const permissions = this.validatePermissions(requested);
+    await this.assertGrantable(actor, permissions);
+
+    const role = await Role.create({ name, description, permissions, createdBy: actor.id });
+    this.cache.delete(name);
+    return role;
+  }
+
+  async updateRole(name, { description, permissions }, actor) {
+    const role = await this.getEditableRole(name);
+
+    // Editing a role changes what its holders can do, in either direction
+    await this.assertGrantable(actor, role.permissions);
+
+    const fields = {};
+    if (description !== undefined) fields.description = description;
+    if (permissions !== undefined) {
+      fields.permissions = this.validatePermissions(permissions);
+      await this.assertGrantable(actor, fields.permissions);
+    }
+
+    await role.update(fields);
+    this.cache.delete(name);
+    return role;
+  }
+
+  async deleteRole(name) {
+    const role = await this.getEditableRole(name);
+
+    const holders = await User.findAll({ role: name, limit: 1 });
+    if (holders.length > 0) {
+      throw httpError('Role is assigned to users; reassign them first', 409, 'ROLE_IN_USE');
+    }
+
+    await role.delete();
+    this.cache.delete(name);
+  }
+
+  /**
+   * Check that actor holds every permission of the user's role, so nobody
+   * can edit, demote or delete someone more privileged than themselves
+   * @param {User} actor - User making the change
+   * @param {User} user - User being changed
+   */
+  async assertCanManage(actor, user) {
+    await this.assertGrantable(actor, await this.getPermissions(user.role));
+  }
+
+  /**
+   * Check that actor may give a user this role: it must exist, and it may
+   * not grant anything the actor doesn't have
+   * @param {User} actor - User making the change
+   * @param {string} name - Role to assign
+   * @returns {Promise<Role>}
+   */
+  async assertAssignable(actor, name) {
+    const role = await this.getRole(name);
+    if (!role) {
+      throw httpError(`Unknown role: ${name}`, 400, 'ROLE_NOT_FOUND');
+    }
+
+    await this.assertGrantable(actor, role.permissions);
+    return role;
+  }
+
+  async assertGrantable(actor, permissions) {
+    const own = await this.getPermissions(actor.role);
+    const missing = permissions.filter(permission => !own.includes(permission));
+
+    if (missing.length > 0) {
+      logger.warn(`Role escalation refused for user ${actor.email}`, { missing });
+      throw httpError(`You can't grant permissions you don't have: ${missing.join(', ')}`, 403,
+        'PERMISSION_ESCALATION');
+    }
+  }
+
+  /**
+   * @returns {string[]} The permissions without duplicates
+   */
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw httpError('permissions must be an array', 400, 'INVALID_PERMISSION');
+    }
+
+    const unknown = permissions.filter(permission => !Role.PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw httpError(`Unknown permissions: ${unknown.join(', ')}`, 400, 'INVALID_PERMISSION');
+    }
+
+    return [...new Set(permissions)];
+  }
+
+  async getEditableRole(name) {
+    if (Role.builtIn(name)) {
+      throw httpError('Built-in roles cannot be changed', 400, 'ROLE_BUILT_IN');
+    }
+
+    const role = await Role.findByName(name);
+    if (!role) {
+      throw httpError(`Unknown role: ${name}`, 404, 'ROLE_NOT_FOUND');
+    }
+    return role;
+  }
+}
+
+module.exports = new RoleService();
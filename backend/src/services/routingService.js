@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const RequestLog = require('../models/RequestLog');
+const providerRegistry = require('./providerRegistry');
+const logger = require('../utils/logger');
+
+/**
+ * Parse a JSON object from an environment variable
+ */
+const parseJsonEnv = (name) => {
+  if (!process.env[name]) return {};
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.warn(`Ignoring invalid JSON in ${name}`, { error: error.message });
+    return {};
+  }
+};
+
+/**
+ * Routing Service
+ * Orders candidate providers/models for a request according to a routing
+ * policy and records why the winner was chosen
+ */
+class RoutingService {
+  constructor() {
+    this.config = {
+      defaultPolicy: process.env.AI_ROUTING_DEFAULT_POLICY || 'priority',
+      // Default A/B split, e.g. {"openai/gpt-4o-mini": 80, "anthropic": 20}
+      weights: parseJsonEnv('AI_ROUTING_WEIGHTS'),
+      // Default policy per subscription plan, e.g. {"free": "cheapest"}
+      planPolicies: parseJsonEnv('AI_ROUTING_PLAN_POLICIES'),
+      latencyWindow: parseInt(process.env.AI_ROUTING_LATENCY_WINDOW_MS) || 60 * 60 * 1000,
+      latencyCacheTtl: parseInt(process.env.AI_ROUTING_LATENCY_CACHE_TTL_MS) || 5 * 60 * 1000,
+      minLatencySamples: parseInt(process.env.AI_ROUTING_MIN_LATENCY_SAMPLES) || 5
+    };
+
+    this.policies = {
+      priority: this.rankByPriority,
+      cheapest: this.rankByCost,
+      fastest: this.rankByLatency,
+      'quality-first': this.rankByQuality,
+      weighted: this.rankByWeight
+    };
+
+    this.userPolicies = new Map(); // userId -> routing preference
+    this.latencyCache = new Map(); // provider/model -> { p50, samples, source, fetchedAt }
+  }
+
+  /**
+   * Names of the supported policies
+   */
+  getPolicies() {
+    return Object.keys(this.policies);
+  }
+
+  /**
+   * Validate a routing preference: a policy name or { policy, weights }
+   */
+  isValidPolicy(routing) {
+    const { policy, weights } = this.normalizePolicy(routing);
+
+    if (!this.policies[policy]) {
+      return false;
+    }
+
+    if (weights !== null) {
+      return typeof weights === 'object' && !Array.isArray(weights) &&
+        Object.values(weights).every(weight => typeof weight === 'number' && weight >= 0);
+    }
+
+    return true;
+  }
+
+  /**
+   * Turn a routing preference into { policy, weights }
+   */
+  normalizePolicy(routing) {
+    if (typeof routing === 'string') {
+      return { policy: routing, weights: null };
+    }
+
+    return {
+      policy: routing?.policy,
+      weights: routing?.weights ?? null
+    };
+  }
+
+  /**
+   * Set a user's default routing policy
+   */
+  setUserPolicy(userId, routing) {
+    if (!this.isValidPolicy(routing)) {
+      const error = new Error(`Routing policy must be one of: ${this.getPolicies().join(', ')}`);
+      error.statusCode = 400;
+      error.code = 'INVALID_ROUTING_POLICY';
+      throw error;
+    }
+
+    const preference = this.normalizePolicy(routing);
+    this.userPolicies.set(userId, preference);
+
+    logger.info('User routing policy updated', { userId, policy: preference.policy });
+
+    return preference;
+  }
+
+  /**
+   * A user's default routing policy, or null when they have none
+   */
+  getUserPolicy(userId) {
+    return this.userPolicies.get(userId) || null;
+  }
+
+  /**
+   * Remove a user's default routing policy
+   */
+  clearUserPolicy(userId) {
+    return this.userPolicies.delete(userId);
+  }
+
+  /**
+   * Work out which policy applies: the request, then the user's preference,
+   * then their plan, then the global default
+   */
+  resolvePolicy({ routing = null, userId = null, plan = null } = {}) {
+    if (routing) {
+      return { ...this.normalizePolicy(routing), source: 'request' };
+    }
+
+    if (userId && this.userPolicies.has(userId)) {
+      return { ...this.userPolicies.get(userId), source: 'user' };
+    }
+
+    if (plan && this.config.planPolicies[plan]) {
+      return { ...this.normalizePolicy(this.config.planPolicies[plan]), source: 'plan' };
+    }
+
+    return { policy: this.config.defaultPolicy, weights: null, source: 'default' };
+  }
+
+  /**
+   * Order candidates according to a policy.
+   * Returns the ordered candidates and a decision record explaining the choice.
+   */
+  async rank(candidates, context = {}) {
+    const resolved = this.resolvePolicy(context);
+    const rankPolicy = this.policies[resolved.policy] || this.rankByPriority;
+
+    const { ordered, scores, reason } = await rankPolicy(candidates, {
+      ...context,
+      weights: resolved.weights || this.config.weights
+    });
+
+    const chosen = ordered[0];
+
+    const decision = {
+      policy: resolved.policy,
+      source: resolved.source,
+      chosen: { provider: chosen.name, model: chosen.model },
+      reason,
+      candidates: scores
+    };
+
+    logger.debug('Routing decision', {
+      userId: context.userId,
+      policy: decision.policy,
+      source: decision.source,
+      chosen: decision.chosen
+    });
+
+    return { candidates: ordered, decision };
+  }
+
+  /**
+   * Keep the registry's priority order
+   */
+  rankByPriority = async (candidates) => ({
+    ordered: candidates,
+    scores: candidates.map(candidate => ({
+      provider: candidate.name,
+      model: candidate.model,
+      priority: providerRegistry.get(candidate.name).priority
+    })),
+    reason: `${candidates[0].name} has the highest provider priority`
+  });
+
+  /**
+   * Cheapest estimated cost for this request first
+   */
+  rankByCost = async (candidates, context) => {
+    const scored = candidates.map(candidate => ({
+      candidate,
+      estimatedCost: providerRegistry.getModelCost(candidate.name, candidate.model, context.usageEstimate || {})
+    }));
+
+    const ordered = this.stableSort(scored, (a, b) => a.estimatedCost - b.estimatedCost);
+    const winner = ordered[0];
+
+    return {
+      ordered: ordered.map(entry => entry.candidate),
+      scores: ordered.map(entry => ({
+        provider: entry.candidate.name,
+        model: entry.candidate.model,
+        estimatedCost: entry.estimatedCost
+      })),
+      reason: `${winner.candidate.name}/${winner.candidate.model} has the lowest estimated cost ($${winner.estimatedCost.toFixed(6)})`
+    };
+  };
+
+  /**
+   * Lowest p50 latency first; models without latency data go last
+   */
+  rankByLatency = async (candidates) => {
+    const scored = await Promise.all(candidates.map(async candidate => ({
+      candidate,
+      latency: await this.getLatency(candidate)
+    })));
+
+    const p50 = entry => entry.latency?.p50 ?? Infinity;
+    const ordered = this.stableSort(scored, (a, b) => p50(a) - p50(b));
+    const winner = ordered[0];
+
+    return {
+      ordered: ordered.map(entry => entry.candidate),
+      scores: ordered.map(entry => ({
+        provider: entry.candidate.name,
+        model: entry.candidate.model,
+        p50Latency: entry.latency?.p50 ?? null,
+        samples: entry.latency?.samples ?? 0,
+        latencySource: entry.latency?.source ?? null
+      })),
+      reason: winner.latency
+        ? `${winner.candidate.name}/${winner.candidate.model} has the lowest p50 latency (${Math.round(winner.latency.p50)}ms)`
+        : 'No latency data available; kept provider priority order'
+    };
+  };
+
+  /**
+   * Highest model quality score first
+   */
+  rankByQuality = async (candidates) => {
+    const scored = candidates.map(candidate => ({
+      candidate,
+      quality: this.getModel(candidate)?.quality ?? 0
+    }));
+
+    const ordered = this.stableSort(scored, (a, b) => b.quality - a.quality);
+    const winner = ordered[0];
+
+    return {
+      ordered: ordered.map(entry => entry.candidate),
+      scores: ordered.map(entry => ({
+        provider: entry.candidate.name,
+        model: entry.candidate.model,
+        quality: entry.quality
+      })),
+      reason: `${winner.candidate.name}/${winner.candidate.model} has the highest quality score (${winner.quality})`
+    };
+  };
+
+  /**
+   * Weighted A/B split. Weights are keyed by "provider/model" or "provider".
+   * Users are bucketed deterministically so they stay in the same arm;
+   * the remaining candidates keep priority order as fallbacks.
+   */
+  rankByWeight = async (candidates, context) => {
+    const weights = context.weights || {};
+    const weightOf = candidate =>
+      weights[`${candidate.name}/${candidate.model}`] ?? weights[candidate.name] ?? 0;
+
+    const weighted = candidates.filter(candidate => weightOf(candidate) > 0);
+    const total = weighted.reduce((sum, candidate) => sum + weightOf(candidate), 0);
+
+    const scores = candidates.map(candidate => ({
+      provider: candidate.name,
+      model: candidate.model,
+      weight: weightOf(candidate),
+      share: total > 0 ? weightOf(candidate) / total : 0
+    }));
+
+    if (total === 0) {
+      return {
+        ordered: candidates,
+        scores,
+        reason: 'No routing weights match the available models; kept provider priority order'
+      };
+    }
+
+    const roll = this.bucket(context.userId) * total;
+    let cumulative = 0;
+    const chosen = weighted.find(candidate => {
+      cumulative += weightOf(candidate);
+      return roll < cumulative;
+    }) || weighted[weighted.length - 1];
+
+    return {
+      ordered: [chosen, ...candidates.filter(candidate => candidate !== chosen)],
+      scores,
+      reason: `${chosen.name}/${chosen.model} selected by weighted split ` +
+        `(${Math.round((weightOf(chosen) / total) * 100)}% share${context.userId ? ', sticky per user' : ''})`
+    };
+  };
+
+  /**
+   * Number in [0, 1): stable per user, random for anonymous requests
+   */
+  bucket(userId) {
+    if (!userId) {
+      return Math.random();
+    }
+
+    const hash = crypto.createHash('sha256').update(String(userId)).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+  }
+
+  /**
+   * p50 latency for a provider/model, from request logs when there are
+   * enough samples and from the circuit breaker's rolling window otherwise
+   */
+  async getLatency(candidate) {
+    const key = `${candidate.name}/${candidate.model}`;
+    const cached = this.latencyCache.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < this.config.latencyCacheTtl) {
+      return cached.latency;
+    }
+
+    let latency = null;
+
+    try {
+      const metrics = await RequestLog.getPerformanceMetrics({
+        startDate: new Date(Date.now() - this.config.latencyWindow).toISOString(),
+        provider: candidate.name,
+        model: candidate.model
+      });
+
+      if (metrics.totalRequests >= this.config.minLatencySamples) {
+        latency = {
+          p50: metrics.p50ResponseTime,
+          samples: metrics.totalRequests,
+          source: 'request_logs'
+        };
+      }
+    } catch (error) {
+      logger.warn('Failed to load latency metrics for routing', {
+        provider: candidate.name,
+        model: candidate.model,
+        error: error.message
+      });
+    }
+
+    if (!latency) {
+      const breakerState = candidate.breaker?.getState();
+      if (breakerState?.recentCalls > 0) {
+        latency = {
+          p50: breakerState.averageLatency,
+          samples: breakerState.recentCalls,
+          source: 'circuit_breaker'
+        };
+      }
+    }
+
+    this.latencyCache.set(key, { latency, fetchedAt: Date.now() });
+    return latency;
+  }
+
+  /**
+   * Look up a candidate's model metadata
+   */
+  getModel(candidate) {
+    return providerRegistry.get(candidate.name).models.find(m => m.id === candidate.model);
+  }
+
+  /**
+   * Sort without disturbing the priority order of equal entries
+   */
+  stableSort(entries, compare) {
+    return entries
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => compare(a.entry, b.entry) || a.index - b.index)
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Drop cached latency figures
+   */
+  clearLatencyCache() {
+    this.latencyCache.clear();
+  }
+}
+
+module.exports = new RoutingService();
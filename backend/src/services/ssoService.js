@@ -0,0 +1,468 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const SsoDomain = require('../models/SsoDomain');
+const authService = require('./authService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+const STATE_COLLECTION = 'sso_states';
+const LOGIN_CODE_COLLECTION = 'sso_login_codes';
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+const trimSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+/**
+ * SSO Service
+ * OpenID Connect sign-in with the authorization code flow and PKCE.
+ *
+ * 1. start: redirect the browser to the provider with state, nonce and a
+ *    S256 code challenge; the verifier stays on the server. The browser
+ *    also gets a binding secret in a cookie, so a callback only completes
+ *    in the browser that started it.
+ * 2. callback: exchange the code, verify the ID token against the
+ *    provider's JWKS, then find, link or provision the user.
+ * 3. exchange: the SPA trades the one-time code from the callback redirect
+ *    for tokens, so tokens never travel in a URL.
+ *
+ * Pending logins live in the job queue record store, so the callback can
+ * land on any instance.
+ */
+class SsoService {
+  constructor() {
+    this.config = {
+      redirectBaseUrl: trimSlash(process.env.OIDC_REDIRECT_BASE_URL ||
+        `http://localhost:${process.env.PORT || 3000}`),
+      appUrl: trimSlash(process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000'),
+      defaultRole: process.env.OIDC_DEFAULT_ROLE || 'user',
+      stateTtl: 10 * 60 * 1000,
+      loginCodeTtl: 60 * 1000,
+      metadataTtl: 60 * 60 * 1000,
+      timeout: parseInt(process.env.OIDC_TIMEOUT) || 10000
+    };
+
+    this.providers = this.parseProviders(process.env.OIDC_PROVIDERS);
+    this.metadata = new Map(); // provider -> { document, expiresAt }
+    this.jwks = new Map(); // provider -> JWK[]
+  }
+
+  /**
+   * Parse OIDC_PROVIDERS, a JSON array of
+   * { id, name, issuer, clientId, clientSecret, scopes, defaultRole, allowSignup, tokenAuthMethod }
+   */
+  parseProviders(raw) {
+    if (!raw) return new Map();
+
+    try {
+      return this.normalizeProviders(JSON.parse(raw));
+    } catch (error) {
+      logger.error('OIDC_PROVIDERS is not valid JSON; single sign-on is disabled', { error: error.message });
+      return new Map();
+    }
+  }
+
+  normalizeProviders(list) {
+    const providers = new Map();
+
+    for (const provider of list) {
+      if (!provider.id || !provider.issuer || !provider.clientId) {
+        logger.warn('Skipping OIDC provider without id, issuer or clientId', { id: provider.id });
+        continue;
+      }
+
+      providers.set(provider.id, {
+        id: provider.id,
+        name: provider.name || provider.id,
+        issuer: provider.issuer,
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecret || null,
+        scopes: provider.scopes || 'openid email profile',
+        defaultRole: provider.defaultRole || this.config.defaultRole,
+        allowSignup: provider.allowSignup !== false,
+        tokenAuthMethod: provider.tokenAuthMethod || 'client_secret_basic'
+      });
+    }
+
+    return providers;
+  }
+
+  /**
+   * Replace the configured providers (tests, custom deployments)
+   * @param {Object[]} list - Provider definitions, as in OIDC_PROVIDERS
+   */
+  setProviders(list) {
+    this.providers = this.normalizeProviders(list);
+    this.metadata.clear();
+    this.jwks.clear();
+  }
+
+  /**
+   * Providers for the login page
+   * @returns {Object[]} id and name of each provider
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(({ id, name }) => ({ id, name }));
+  }
+
+  getProvider(id) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw httpError(`Unknown SSO provider: ${id}`, 404, 'SSO_PROVIDER_NOT_FOUND');
+    }
+    return provider;
+  }
+
+  redirectUri(provider) {
+    return `${this.config.redirectBaseUrl}/api/auth/sso/${encodeURIComponent(provider.id)}/callback`;
+  }
+
+  /**
+   * Where the SPA picks up the result of a callback
+   * @param {Object} params - code, or error
+   */
+  appRedirect(params) {
+    const url = new URL('/sso/callback', `${this.config.appUrl}/`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Build the authorization URL and remember the PKCE verifier and nonce
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} url to send the browser to, and the binding
+   *   the browser must present at the callback
+   */
+  async createAuthorizationUrl(providerId) {
+    const provider = this.getProvider(providerId);
+    const metadata = await this.discover(provider);
+    this.pruneExpired().catch(error => logger.warn('Failed to prune SSO records', { error: error.message }));
+
+    const state = randomToken();
+    const binding = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    await jobQueue.setRecord(STATE_COLLECTION, state, {
+      id: state,
+      provider: provider.id,
+      bindingHash: digest(binding).toString('hex'),
+      nonce,
+      codeVerifier,
+      expiresAt: Date.now() + this.config.stateTtl
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', this.redirectUri(provider));
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { url: url.toString(), binding };
+  }
+
+  /**
+   * Finish the provider round trip
+   * @param {string} providerId - Provider ID from the callback path
+   * @param {Object} params - Callback query: code, state, error, error_description
+   * @param {string|null} binding - Binding the browser was given at the start
+   * @returns {Promise<string>} One-time login code for the SPA
+   */
+  async handleCallback(providerId, { code, state, error, error_description: errorDescription }, binding) {
+    const pending = state ? await this.takeRecord(STATE_COLLECTION, state) : null;
+    if (!pending || pending.provider !== providerId) {
+      throw httpError('Sign-in request is invalid or has expired', 400, 'INVALID_SSO_STATE');
+    }
+
+    // Someone else's callback URL, opened in this browser, must not sign it in
+    if (!binding || !crypto.timingSafeEqual(digest(binding), Buffer.from(pending.bindingHash, 'hex'))) {
+      logger.warn('SSO callback from a browser that did not start the sign-in', { provider: providerId });
+      throw httpError('Sign-in request is invalid or has expired', 400, 'INVALID_SSO_STATE');
+    }
+
+    if (error) {
+      throw httpError(`Sign-in was not completed: ${errorDescription || error}`, 401, 'SSO_DENIED');
+    }
+    if (!code) {
+      throw httpError('Authorization code is missing', 400, 'INVALID_SSO_STATE');
+    }
+
+    const provider = this.getProvider(providerId);
+    const metadata = await this.discover(provider);
+    const tokens = await this.exchangeCode(provider, metadata, code, pending.codeVerifier);
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+      Object.assign(claims, await this.fetchUserInfo(metadata, tokens.access_token, claims.sub));
+    }
+
+    const user = await this.resolveUser(provider, claims);
+    const loginCode = randomToken();
+
+    await jobQueue.setRecord(LOGIN_CODE_COLLECTION, loginCode, {
+      id: loginCode,
+      userId: user.id,
+      provider: provider.id,
+      expiresAt: Date.now() + this.config.loginCodeTtl
+    });
+
+    logger.info(`SSO sign-in via ${provider.id} for user: ${user.email}`);
+    return loginCode;
+  }
+
+  /**
+   * Trade a one-time login code for a session
+   * @param {string} code - Code from the callback redirect
+   * @param {Object} context - ipAddress and userAgent of the request
+   * @returns {Promise<Object>} User data and tokens, or a two-factor challenge
+   */
+  async exchangeLoginCode(code, context = {}) {
+    const record = await this.takeRecord(LOGIN_CODE_COLLECTION, code);
+    if (!record) {
+      throw httpError('Sign-in code is invalid or has expired', 400, 'INVALID_SSO_CODE');
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user || !user.is_active) {
+      throw httpError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
+    }
+
+    return authService.beginLogin(user, context);
+  }
+
+  /**
+   * Find the user for a verified set of claims: an existing link first,
+   * then an account with the same verified email, then a new account
+   * @param {Object} provider - Provider config
+   * @param {Object} claims - Verified ID token claims
+   * @returns {Promise<User>}
+   */
+  async resolveUser(provider, claims) {
+    const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    const identity = await UserIdentity.findByProviderSubject(provider.id, claims.sub);
+    let user = identity ? await User.findById(identity.user_id) : null;
+
+    const policy = await SsoDomain.findForEmail(user ? user.email : email);
+    if (policy && policy.provider && policy.provider !== provider.id) {
+      throw httpError(`Accounts at ${policy.domain} must sign in with ${policy.provider}`, 403,
+        'SSO_PROVIDER_NOT_ALLOWED');
+    }
+
+    if (!identity) {
+      if (!email) {
+        throw httpError('The identity provider did not share an email address', 400, 'SSO_EMAIL_MISSING');
+      }
+
+      user = await User.findByEmail(email);
+
+      if (user) {
+        // Linking on an unverified address would let anyone who can set that
+        // email at the provider take over the account
+        if (!emailVerified) {
+          throw httpError('An account with this email already exists, and the provider has not verified ' +
+            'the address; sign in with your password instead', 409, 'SSO_EMAIL_NOT_VERIFIED');
+        }
+        if (!user.is_email_verified) {
+          await user.verifyEmail();
+        }
+      } else {
+        if (!provider.allowSignup) {
+          throw httpError('Sign-up through this provider is disabled', 403, 'SSO_SIGNUP_DISABLED');
+        }
+        user = await User.createFromIdentity({ email, role: provider.defaultRole, isEmailVerified: emailVerified });
+      }
+
+      await UserIdentity.create({ userId: user.id, provider: provider.id, subject: claims.sub, email });
+    }
+
+    if (!user || !user.is_active) {
+      throw httpError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
+    }
+
+    return user;
+  }
+
+  /**
+   * Provider metadata from its discovery document, cached for an hour
+   */
+  async discover(provider) {
+    const cached = this.metadata.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.document;
+    }
+
+    const document = await this.fetchJson(`${trimSlash(provider.issuer)}/.well-known/openid-configuration`);
+    if (trimSlash(document.issuer) !== trimSlash(provider.issuer)) {
+      throw httpError('Identity provider issuer does not match its configuration', 502, 'SSO_PROVIDER_ERROR');
+    }
+
+    this.metadata.set(provider.id, { document, expiresAt: Date.now() + this.config.metadataTtl });
+    return document;
+  }
+
+  /**
+   * Redeem the authorization code at the token endpoint
+   */
+  async exchangeCode(provider, metadata, code, codeVerifier) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri(provider),
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (provider.clientSecret && provider.tokenAuthMethod === 'client_secret_post') {
+      params.set('client_secret', provider.clientSecret);
+    } else if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    let data;
+    try {
+      ({ data } = await axios.post(metadata.token_endpoint, params.toString(), {
+        headers,
+        timeout: this.config.timeout
+      }));
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      logger.warn(`SSO code exchange failed with ${provider.id}`, { reason });
+      throw httpError(`Identity provider rejected the sign-in: ${reason}`, 401, 'SSO_EXCHANGE_FAILED');
+    }
+
+    if (!data || !data.id_token) {
+      throw httpError('Identity provider did not return an ID token', 502, 'SSO_PROVIDER_ERROR');
+    }
+
+    return data;
+  }
+
+  /**
+   * Check the ID token's signature, issuer, audience, expiry and nonce
+   */
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw httpError('ID token is malformed', 401, 'INVALID_ID_TOKEN');
+    }
+
+    const key = await this.getSigningKey(provider, metadata, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: SIGNING_ALGORITHMS,
+        audience: provider.clientId,
+        issuer: metadata.issuer,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw httpError(`ID token rejected: ${error.message}`, 401, 'INVALID_ID_TOKEN');
+    }
+
+    if (claims.nonce !== nonce) {
+      throw httpError('ID token rejected: nonce mismatch', 401, 'INVALID_ID_TOKEN');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw httpError('ID token rejected: authorized party mismatch', 401, 'INVALID_ID_TOKEN');
+    }
+    if (!claims.sub) {
+      throw httpError('ID token rejected: subject missing', 401, 'INVALID_ID_TOKEN');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Public key for a key ID; refetches the JWKS once when the ID is unknown,
+   * which is how providers roll their keys
+   */
+  async getSigningKey(provider, metadata, kid, refresh = false) {
+    let keys = this.jwks.get(provider.id);
+
+    if (!keys || refresh) {
+      keys = (await this.fetchJson(metadata.jwks_uri)).keys || [];
+      this.jwks.set(provider.id, keys);
+    }
+
+    const jwk = keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    if (!jwk) {
+      if (!refresh) {
+        return this.getSigningKey(provider, metadata, kid, true);
+      }
+      throw httpError('ID token rejected: unknown signing key', 401, 'INVALID_ID_TOKEN');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Email claims from the UserInfo endpoint, for providers that leave them
+   * out of the ID token
+   */
+  async fetchUserInfo(metadata, accessToken, subject) {
+    const info = await this.fetchJson(metadata.userinfo_endpoint, {
+      Authorization: `Bearer ${accessToken}`
+    });
+
+    if (info.sub !== subject) {
+      throw httpError('UserInfo subject does not match the ID token', 401, 'INVALID_ID_TOKEN');
+    }
+
+    return { email: info.email, email_verified: info.email_verified };
+  }
+
+  async fetchJson(url, headers = {}) {
+    try {
+      const { data } = await axios.get(url, {
+        headers: { Accept: 'application/json', ...headers },
+        timeout: this.config.timeout
+      });
+      return data;
+    } catch (error) {
+      logger.error('Identity provider request failed', { url, error: error.message });
+      throw httpError('Identity provider is unavailable', 502, 'SSO_PROVIDER_ERROR');
+    }
+  }
+
+  /**
+   * Read and delete a one-time record; null when missing or expired
+   */
+  async takeRecord(collection, id) {
+    const record = await jobQueue.getRecord(collection, id);
+    if (!record) return null;
+
+    await jobQueue.deleteRecord(collection, id);
+    return record.expiresAt > Date.now() ? record : null;
+  }
+
+  /**
+   * Drop sign-ins that were started but never finished
+   */
+  async pruneExpired() {
+    const now = Date.now();
+
+    for (const collection of [STATE_COLLECTION, LOGIN_CODE_COLLECTION]) {
+      for (const record of await jobQueue.listRecords(collection)) {
+        if (record.expiresAt <= now) {
+          await jobQueue.deleteRecord(collection, record.id);
+        }
+      }
+    }
+  }
+}
+
+module.exports = new SsoService();
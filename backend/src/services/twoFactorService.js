@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) enrolment, verification and recovery codes
+ */
+class TwoFactorService {
+  constructor() {
+    this.config = {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'AI API Playground',
+      digits: 6,
+      period: 30, // seconds
+      window: 1, // accept one step either side for clock drift
+      recoveryCodeCount: 10
+    };
+
+    // Secrets are stored encrypted; the key falls back to the JWT secret
+    this.encryptionKey = crypto
+      .createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+      .digest();
+  }
+
+  /**
+   * Start enrolment: store a new, not yet enabled, secret
+   * @param {User} user - Current user
+   * @returns {Promise<Object>} secret (base32) and otpauthUrl for QR codes
+   */
+  async setup(user) {
+    if (user.two_factor_enabled) {
+      throw httpError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ENABLED');
+    }
+
+    const secret = this.generateSecret();
+    await user.updateTwoFactor({
+      two_factor_secret: this.encrypt(secret),
+      two_factor_enabled: false,
+      two_factor_recovery_codes: [],
+      two_factor_last_step: null
+    });
+
+    return {
+      secret,
+      otpauthUrl: this.buildOtpauthUrl(user.email, secret)
+    };
+  }
+
+  /**
+   * Finish enrolment once the user proves their authenticator works
+   * @returns {Promise<string[]>} Recovery codes, shown once
+   */
+  async enable(user, code) {
+    if (user.two_factor_enabled) {
+      throw httpError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ENABLED');
+    }
+    if (!user.two_factor_secret) {
+      throw httpError('Start two-factor setup first', 400, 'TWO_FACTOR_NOT_SET_UP');
+    }
+
+    const step = this.matchCode(this.decrypt(user.two_factor_secret), code);
+    if (step === null) {
+      throw httpError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await user.updateTwoFactor({
+      two_factor_enabled: true,
+      two_factor_recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+      two_factor_last_step: step
+    });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user with 2FA enabled.
+   * Codes can't be replayed and recovery codes are single use.
+   * @param {User} user - User signing in
+   * @param {Object} credentials - code and/or recoveryCode
+   * @returns {Promise<void>}
+   */
+  async verify(user, { code, recoveryCode } = {}) {
+    if (!user.two_factor_enabled) {
+      throw httpError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const remaining = user.two_factor_recovery_codes.filter(stored => stored !== hash);
+
+      if (remaining.length === user.two_factor_recovery_codes.length) {
+        throw httpError('Invalid recovery code', 401, 'INVALID_TWO_FACTOR_CODE');
+      }
+
+      await user.updateTwoFactor({ two_factor_recovery_codes: remaining });
+      logger.info(`Recovery code used for user: ${user.email}`, { remaining: remaining.length });
+      return;
+    }
+
+    const step = this.matchCode(this.decrypt(user.two_factor_secret), code);
+    if (step === null || (user.two_factor_last_step !== null && step <= user.two_factor_last_step)) {
+      throw httpError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    await user.updateTwoFactor({ two_factor_last_step: step });
+  }
+
+  /**
+   * Replace the user's recovery codes
+   * @returns {Promise<string[]>} New recovery codes, shown once
+   */
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await user.updateTwoFactor({
+      two_factor_recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+    });
+
+    logger.info(`Recovery codes regenerated for user: ${user.email}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off and forget the secret; also used by admins to reset a user
+   */
+  async disable(user) {
+    await user.updateTwoFactor({
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_recovery_codes: [],
+      two_factor_last_step: null
+    });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+  }
+
+  getStatus(user) {
+    return {
+      enabled: user.two_factor_enabled,
+      recoveryCodesRemaining: user.two_factor_enabled ? user.two_factor_recovery_codes.length : 0
+    };
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  buildOtpauthUrl(email, secret) {
+    const { issuer, digits, period } = this.config;
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits, period });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  /**
+   * Code for a time step
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Unix time divided by the period
+   * @returns {string} Zero padded code
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.config.digits).padStart(this.config.digits, '0');
+  }
+
+  /**
+   * Find the time step a code belongs to, within the drift window
+   * @returns {number|null} Matching step, or null
+   */
+  matchCode(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.config.digits) {
+      return null;
+    }
+
+    const current = Math.floor(now / 1000 / this.config.period);
+    for (let offset = -this.config.window; offset <= this.config.window; offset++) {
+      const expected = this.generateCode(secret, current + offset);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return current + offset;
+      }
+    }
+
+    return null;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: this.config.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  base32Decode(encoded) {
+    let bits = '';
+    for (const char of encoded.toUpperCase().replace(/=+$/, '')) {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = new TwoFactorService();
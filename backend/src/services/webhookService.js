@@ -2,6 +2,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const responseFormatter = require('../utils/responseFormatter');
+const mailService = require('./mailService');
 
 /**
  * Webhook Management Service
@@ -175,6 +176,21 @@ class WebhookService {
     }
   }
 
+  /**
+   * Remove all of a user's webhooks and their delivery history
+   * @returns {number} Webhooks removed
+   */
+  deleteUserWebhooks(userId) {
+    const webhooks = this.getUserWebhooks(userId);
+
+    webhooks.forEach(webhook => {
+      this.webhooks.delete(webhook.id);
+      this.deliveryHistory.delete(webhook.id);
+    });
+
+    return webhooks.length;
+  }
+
   /**
    * Get webhook by ID
    */
@@ -403,6 +419,13 @@ class WebhookService {
         retryCount
       });
 
+      mailService.notifyWebhookFailure(webhook, {
+        event,
+        error: error.message,
+        attempts: retryCount + 1,
+        deliveryId
+      });
+
       throw error;
     }
   }
@@ -0,0 +1,224 @@
+const logger = require('./logger');
+
+/**
+ * Circuit Breaker
+ * Tracks the health of a single upstream provider from the outcome and
+ * latency of recent calls.
+ *
+ *   closed     calls flow normally; outcomes are recorded in a rolling window
+ *   open       calls are rejected until resetTimeout has elapsed
+ *   half-open  a limited number of trial calls decide whether to close again
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULT_OPTIONS = {
+  // Consecutive failures that trip the breaker regardless of the error rate
+  failureThreshold: parseInt(process.env.AI_CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+  // Failure rate (0-1) over the rolling window that trips the breaker
+  errorRateThreshold: parseFloat(process.env.AI_CIRCUIT_BREAKER_ERROR_RATE) || 0.5,
+  // Calls needed in the window before the error rate is considered
+  minimumRequests: parseInt(process.env.AI_CIRCUIT_BREAKER_MIN_REQUESTS) || 10,
+  windowSize: parseInt(process.env.AI_CIRCUIT_BREAKER_WINDOW) || 20,
+  // Successful calls slower than this count as failures
+  slowCallThreshold: parseInt(process.env.AI_CIRCUIT_BREAKER_SLOW_CALL_MS) || 30000,
+  resetTimeout: parseInt(process.env.AI_CIRCUIT_BREAKER_RESET_TIMEOUT) || 60000,
+  halfOpenMaxCalls: parseInt(process.env.AI_CIRCUIT_BREAKER_HALF_OPEN_CALLS) || 1
+};
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.reset();
+  }
+
+  /**
+   * Return the breaker to a clean closed state
+   */
+  reset() {
+    this.state = STATES.CLOSED;
+    this.window = [];
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Check, without side effects, whether a call would be let through
+   */
+  isAvailable() {
+    if (this.state === STATES.OPEN) {
+      return Date.now() - this.openedAt >= this.options.resetTimeout;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      return this.halfOpenCalls < this.options.halfOpenMaxCalls;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a call may go through, moving from open to half-open
+   * once the reset timeout has elapsed
+   */
+  canRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.options.resetTimeout) {
+        return false;
+      }
+
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.options.halfOpenMaxCalls) {
+        return false;
+      }
+
+      this.halfOpenCalls++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess(duration = 0) {
+    if (duration > this.options.slowCallThreshold) {
+      this.recordFailure(new Error(`Slow call (${duration}ms)`), duration);
+      return;
+    }
+
+    this.record(true, duration);
+    this.consecutiveFailures = 0;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Give back the trial slot of a call whose outcome says nothing about the
+   * provider, e.g. a rejected request, without recording it
+   */
+  release() {
+    if (this.state === STATES.HALF_OPEN && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+
+  /**
+   * Record a failed call
+   */
+  recordFailure(error, duration = 0) {
+    this.record(false, duration);
+    this.consecutiveFailures++;
+    this.lastFailure = {
+      message: error?.message || 'Unknown error',
+      at: new Date().toISOString()
+    };
+
+    if (this.state === STATES.HALF_OPEN || this.shouldTrip()) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Add an outcome to the rolling window
+   */
+  record(success, duration) {
+    this.window.push({ success, duration });
+
+    if (this.window.length > this.options.windowSize) {
+      this.window.shift();
+    }
+  }
+
+  /**
+   * Decide whether the closed breaker should open
+   */
+  shouldTrip() {
+    if (this.consecutiveFailures >= this.options.failureThreshold) {
+      return true;
+    }
+
+    return this.window.length >= this.options.minimumRequests &&
+      this.getFailureRate() >= this.options.errorRateThreshold;
+  }
+
+  /**
+   * Failure rate over the rolling window
+   */
+  getFailureRate() {
+    if (this.window.length === 0) return 0;
+
+    return this.window.filter(call => !call.success).length / this.window.length;
+  }
+
+  /**
+   * Average latency over the rolling window
+   */
+  getAverageLatency() {
+    if (this.window.length === 0) return 0;
+
+    return this.window.reduce((sum, call) => sum + call.duration, 0) / this.window.length;
+  }
+
+  /**
+   * Change state
+   */
+  transition(state) {
+    if (this.state === state) return;
+
+    logger.warn('Circuit breaker state changed', {
+      breaker: this.name,
+      from: this.state,
+      to: state,
+      failureRate: this.getFailureRate(),
+      consecutiveFailures: this.consecutiveFailures
+    });
+
+    this.state = state;
+    this.halfOpenCalls = 0;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    } else if (state === STATES.CLOSED) {
+      this.window = [];
+      this.consecutiveFailures = 0;
+      this.openedAt = null;
+    }
+  }
+
+  /**
+   * Snapshot for health reporting
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failureRate: this.getFailureRate(),
+      averageLatency: Math.round(this.getAverageLatency()),
+      consecutiveFailures: this.consecutiveFailures,
+      recentCalls: this.window.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.options.resetTimeout).toISOString()
+        : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,16 @@
+/**
+ * Build an error for routes to answer with: they respond with its
+ * statusCode and put its code in the error body
+ * @param {string} message
+ * @param {number} statusCode
+ * @param {string} code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+module.exports = httpError;
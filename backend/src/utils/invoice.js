@@ -0,0 +1,171 @@
+/**
+ * Invoice rendering
+ * Turns an invoice from billingService.generateInvoice into a standalone
+ * HTML page or a plain single-font PDF. The PDF is written by hand: it only
+ * needs text lines, which keeps a PDF library out of the dependencies.
+ */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_HEIGHT = 14;
+
+const money = (amount, currency) => `${amount < 0 ? '-' : ''}${currency === 'USD' ? '$' : `${currency} `}${Math.abs(amount).toFixed(4)}`;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+/**
+ * Label/value rows shared by both formats
+ */
+const summaryRows = (invoice) => [
+  ['Subtotal', money(invoice.totals.subtotal, invoice.currency)],
+  ['Refunds', money(invoice.totals.refunds, invoice.currency)],
+  ['Total', money(invoice.totals.total, invoice.currency)],
+  ['Credit added', money(invoice.credits.topups, invoice.currency)],
+  ['Adjustments', money(invoice.credits.adjustments, invoice.currency)],
+  ['Opening balance', money(invoice.balance.opening, invoice.currency)],
+  ['Closing balance', money(invoice.balance.closing, invoice.currency)]
+];
+
+function renderHtml(invoice) {
+  const rows = invoice.lineItems.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="number">${line.quantity}</td>
+          <td class="number">${line.tokens}</td>
+          <td class="number">${money(line.unitPrice, invoice.currency)}</td>
+          <td class="number">${money(line.amount, invoice.currency)}</td>
+        </tr>`).join('');
+
+  const totals = summaryRows(invoice).map(([label, value]) => `
+        <tr><th>${label}</th><td class="number">${value}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Invoice ${escapeHtml(invoice.number)}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; }
+      table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+      th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+      .number { text-align: right; }
+      .totals { width: 50%; margin-left: auto; }
+    </style>
+  </head>
+  <body>
+    <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+    <p>
+      ${escapeHtml(invoice.issuer)}<br>
+      Billed to: ${escapeHtml(invoice.customer.name || invoice.customer.email)}<br>
+      Period: ${escapeHtml(invoice.period)} (${escapeHtml(invoice.status)})
+    </p>
+    <table>
+      <thead>
+        <tr>
+          <th>Description</th>
+          <th class="number">Requests</th>
+          <th class="number">Tokens</th>
+          <th class="number">Unit price</th>
+          <th class="number">Amount</th>
+        </tr>
+      </thead>
+      <tbody>${rows || `
+        <tr><td colspan="5">No usage this period</td></tr>`}
+      </tbody>
+    </table>
+    <table class="totals">
+      <tbody>${totals}
+      </tbody>
+    </table>
+  </body>
+</html>
+`;
+}
+
+// PDF strings are in parentheses; only ASCII survives the standard fonts
+const pdfText = (value) => String(value ?? '')
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/[\\()]/g, char => `\\${char}`);
+
+const column = (text, width) => {
+  const value = String(text);
+  return value.length > width ? `${value.slice(0, width - 1)}~` : value.padEnd(width);
+};
+
+function renderPdf(invoice) {
+  const lines = [
+    { text: `Invoice ${invoice.number}`, size: 18 },
+    { text: '' },
+    { text: invoice.issuer },
+    { text: `Billed to: ${invoice.customer.name || invoice.customer.email}` },
+    { text: `Period: ${invoice.period} (${invoice.status})` },
+    { text: '' },
+    { text: `${column('Description', 44)}${column('Requests', 10)}${'Amount'.padStart(14)}`, mono: true },
+    ...invoice.lineItems.map(line => ({
+      text: `${column(line.description, 44)}${column(line.quantity, 10)}${money(line.amount, invoice.currency).padStart(14)}`,
+      mono: true
+    })),
+    { text: '' },
+    ...summaryRows(invoice).map(([label, value]) => ({ text: `${column(label, 54)}${value.padStart(14)}`, mono: true }))
+  ];
+
+  // Lay the lines out top to bottom, starting a new page when one fills up
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  lines.forEach(line => {
+    const height = Math.max(LINE_HEIGHT, (line.size || 0) + 6);
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    pages[pages.length - 1].push({ ...line, y });
+  });
+
+  // Objects 1-4 are the catalog, page tree and two fonts; each page then
+  // takes a page object and a content stream
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+
+  pages.forEach((page, index) => {
+    const content = page.map(line => `BT /${line.mono ? 'F2' : 'F1'} ${line.size || (line.mono ? 9 : 11)} Tf ${MARGIN} ${line.y} Td (${pdfText(line.text)}) Tj ET`).join('\n');
+    const pageId = pageIds[index];
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderHtml,
+  renderPdf
+};
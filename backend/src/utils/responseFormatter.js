@@ -301,7 +301,9 @@ class ResponseFormatter {
         total: successful.length + failed.length,
         successful: successful.length,
         failed: failed.length,
-        successRate: ((successful.length / (successful.length + failed.length)) * 100).toFixed(2) + '%'
+        successRate: (successful.length + failed.length > 0
+          ? (successful.length / (successful.length + failed.length)) * 100
+          : 0).toFixed(2) + '%'
       }
     };
 
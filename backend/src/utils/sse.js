@@ -0,0 +1,115 @@
+/**
+ * Server-Sent Events helpers
+ * Parsing for upstream provider streams and formatting for client streams
+ */
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Parse a readable SSE stream into events.
+ * Yields { event, data } for each dispatched event; comment lines are skipped
+ * and multi-line data fields are joined with newlines.
+ */
+async function * parseSSE(stream) {
+  // Keeps a multi-byte character split across chunks until it is complete
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const dispatch = () => {
+    const message = data.length > 0 ? { event: event || 'message', data: data.join('\n') } : null;
+    event = null;
+    data = [];
+    return message;
+  };
+
+  const parseLine = (line) => {
+    if (line === '') {
+      return dispatch();
+    }
+
+    if (line.startsWith(':')) {
+      return null;
+    }
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      data.push(value);
+    }
+
+    return null;
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop(); // Keep incomplete line in buffer
+
+    for (const line of lines) {
+      const message = parseLine(line);
+      if (message) yield message;
+    }
+  }
+
+  // Flush an event left unterminated when the stream ended
+  buffer += decoder.end();
+  if (buffer) parseLine(buffer);
+  const message = dispatch();
+  if (message) yield message;
+}
+
+/**
+ * Parse the JSON payload of an SSE event, or null for [DONE] markers
+ */
+function parseEventData(message) {
+  if (!message.data || message.data === '[DONE]') {
+    return null;
+  }
+
+  return JSON.parse(message.data);
+}
+
+/**
+ * Format an SSE event for the client
+ */
+function formatEvent(data, event = null) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  return `${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`;
+}
+
+/**
+ * Write to a response, waiting for the socket to drain when its buffer is full
+ */
+function writeWithBackpressure(res, payload) {
+  return new Promise(resolve => {
+    const flushed = res.write(payload);
+    // compression buffers output until flushed
+    if (res.flush) res.flush();
+
+    if (flushed || res.destroyed) {
+      resolve();
+      return;
+    }
+
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+module.exports = {
+  parseSSE,
+  parseEventData,
+  formatEvent,
+  writeWithBackpressure
+};
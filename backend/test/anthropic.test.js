@@ -0,0 +1,257 @@
+const http = require('http');
+
+jest.mock('../src/utils/logger');
+
+describe('Anthropic Integration Tests', () => {
+  let server;
+  let requests;
+  let routes;
+  let anthropicService;
+  let anthropicConfig;
+  let aiService;
+
+  const messageResponse = (body, overrides = {}) => ({
+    id: 'msg_1',
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text: 'Hello from the stub' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 10, output_tokens: 4 },
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const body = raw ? JSON.parse(raw) : null;
+        const path = req.url.replace(/^\/v1/, '');
+        requests.push({ method: req.method, path, headers: req.headers, body });
+
+        const handler = routes[`${req.method} ${path}`];
+        const [status, payload] = handler
+          ? handler(body)
+          : [404, { type: 'error', error: { type: 'not_found_error', message: 'Not found' } }];
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.ANTHROPIC_API_BASE = `http://127.0.0.1:${server.address().port}/v1`;
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    process.env.ANTHROPIC_ENABLED = 'true';
+    process.env.ANTHROPIC_RETRY_DELAY = '1';
+    process.env.ANTHROPIC_MAX_RETRIES = '2';
+
+    anthropicConfig = require('../src/config/anthropic');
+    anthropicService = require('../src/services/anthropicService');
+    aiService = require('../src/services/aiService');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    routes = {
+      'POST /messages': (body) => [200, messageResponse(body)],
+      'GET /models': () => [200, { data: [{ id: 'claude-3-5-haiku-20241022' }] }]
+    };
+  });
+
+  describe('Anthropic Configuration', () => {
+    test('should calculate per-token costs', () => {
+      const cost = anthropicConfig.getModelCost('claude-3-5-haiku-20241022', {
+        promptTokens: 1000000,
+        completionTokens: 1000000
+      });
+      expect(cost).toBeCloseTo(4.8);
+    });
+
+    test('should only expose chat models', () => {
+      expect(anthropicService.listModels().every(m => m.type === 'chat')).toBe(true);
+    });
+  });
+
+  describe('Message translation', () => {
+    test('should send a bare prompt as a single user message', async () => {
+      const result = await anthropicService.generate({
+        prompt: 'Hello',
+        model: 'claude-3-5-haiku-20241022',
+        maxTokens: 256
+      });
+
+      expect(result).toEqual({
+        content: 'Hello from the stub',
+        usage: { promptTokens: 10, completionTokens: 4, totalTokens: 14 },
+        model: 'claude-3-5-haiku-20241022',
+        provider: 'anthropic',
+        finishReason: 'stop'
+      });
+
+      const sent = requests[0];
+      expect(sent.headers['x-api-key']).toBe('sk-ant-test');
+      expect(sent.headers['anthropic-version']).toBe('2023-06-01');
+      expect(sent.body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+      expect(sent.body.max_tokens).toBe(256);
+      expect(sent.body.system).toBeUndefined();
+    });
+
+    test('should lift system messages into the system prompt', async () => {
+      await anthropicService.generate({
+        model: 'claude-3-5-haiku-20241022',
+        messages: [
+          { role: 'system', content: 'Be terse.' },
+          { role: 'system', content: 'Answer in English.' },
+          { role: 'user', content: 'Hi' }
+        ]
+      });
+
+      expect(requests[0].body.system).toBe('Be terse.\n\nAnswer in English.');
+      expect(requests[0].body.messages).toEqual([
+        { role: 'user', content: [{ type: 'text', text: 'Hi' }] }
+      ]);
+    });
+
+    test('should translate tool calls and tool results into content blocks', async () => {
+      await anthropicService.generate({
+        model: 'claude-sonnet-4-20250514',
+        messages: [
+          { role: 'user', content: 'Weather in Paris and Rome?' },
+          {
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+              { id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+              { id: 'toolu_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } }
+            ]
+          },
+          { role: 'tool', tool_call_id: 'toolu_1', content: 'Sunny' },
+          { role: 'tool', tool_call_id: 'toolu_2', content: { forecast: 'Rain' } }
+        ]
+      });
+
+      expect(requests[0].body.messages).toEqual([
+        { role: 'user', content: [{ type: 'text', text: 'Weather in Paris and Rome?' }] },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { city: 'Rome' } }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: 'Sunny' },
+            { type: 'tool_result', tool_use_id: 'toolu_2', content: '{"forecast":"Rain"}' }
+          ]
+        }
+      ]);
+    });
+
+    test('should send functions as tools and map tool_use responses', async () => {
+      routes['POST /messages'] = (body) => [200, messageResponse(body, {
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: 'toolu_9', name: 'get_weather', input: { city: 'Oslo' } }
+        ],
+        stop_reason: 'tool_use'
+      })];
+
+      const result = await anthropicService.generate({
+        prompt: 'Weather in Oslo?',
+        model: 'claude-sonnet-4-20250514',
+        functions: [{
+          name: 'get_weather',
+          description: 'Get weather',
+          parameters: { type: 'object', properties: { city: { type: 'string' } } }
+        }]
+      });
+
+      expect(requests[0].body.tools).toEqual([{
+        name: 'get_weather',
+        description: 'Get weather',
+        input_schema: { type: 'object', properties: { city: { type: 'string' } } }
+      }]);
+      expect(result.content).toBe('Let me check.');
+      expect(result.finishReason).toBe('tool_calls');
+      expect(result.toolCalls).toEqual([{
+        id: 'toolu_9',
+        name: 'get_weather',
+        arguments: '{"city":"Oslo"}'
+      }]);
+    });
+
+    test('should clamp temperature to the supported range', async () => {
+      await anthropicService.generate({
+        prompt: 'Hi',
+        model: 'claude-3-5-haiku-20241022',
+        temperature: 1.5
+      });
+
+      expect(requests[0].body.temperature).toBe(1);
+    });
+  });
+
+  describe('Error handling', () => {
+    test('should retry when the API is overloaded', async () => {
+      let calls = 0;
+      routes['POST /messages'] = (body) => {
+        calls++;
+        return calls === 1
+          ? [529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]
+          : [200, messageResponse(body)];
+      };
+
+      const result = await anthropicService.generate({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022' });
+
+      expect(result.content).toBe('Hello from the stub');
+      expect(calls).toBe(2);
+    });
+
+    test('should surface bad requests without retrying', async () => {
+      routes['POST /messages'] = () => [400, {
+        type: 'error',
+        error: { type: 'invalid_request_error', message: 'max_tokens: too large' }
+      }];
+
+      const error = await anthropicService.generate({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022' })
+        .catch(err => err);
+
+      expect(error.message).toBe('Bad request to Anthropic: max_tokens: too large');
+      expect(error.statusCode).toBe(400);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should reject unknown models before calling the API', async () => {
+      await expect(anthropicService.generate({ prompt: 'Hi', model: 'claude-unknown' }))
+        .rejects.toThrow('Unsupported model: claude-unknown');
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('AiService integration', () => {
+    test('should route Claude models to the Anthropic provider', async () => {
+      const result = await aiService.generate({
+        prompt: 'Hello',
+        model: 'claude-3-5-haiku-20241022'
+      });
+
+      expect(result.provider).toBe('anthropic');
+      expect(result.content).toBe('Hello from the stub');
+      expect(result.taskId).toBeDefined();
+    });
+
+    test('should report Anthropic health', async () => {
+      const health = await aiService.healthCheck();
+      expect(health.providers.anthropic.status).toBe('healthy');
+    });
+  });
+});
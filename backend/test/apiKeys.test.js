@@ -0,0 +1,166 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const User = require('../src/models/User');
+const ApiKey = require('../src/models/ApiKey');
+const authService = require('../src/services/authService');
+const auth = require('../src/middleware/auth');
+
+describe('API keys', () => {
+  let app;
+  let users;
+
+  const sessionFor = (user) => `Bearer ${authService.generateTokens({
+    userId: user.id,
+    email: user.email,
+    role: user.role
+  }).accessToken}`;
+
+  const createKey = (payload, user = users.alice) => request(app)
+    .post('/api/auth/keys')
+    .set('Authorization', sessionFor(user))
+    .send(payload);
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.get('/probe', auth.verifyToken, auth.requireScope('ai:generate'), (req, res) => {
+      res.json({ userId: req.user.id, viaKey: Boolean(req.user.isApiKeyAuth) });
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    users = {
+      alice: new User({ id: 'user-alice', email: 'alice@example.com', role: 'user' }),
+      bob: new User({ id: 'user-bob', email: 'bob@example.com', role: 'user' })
+    };
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => {
+      const user = Object.values(users).find(candidate => candidate.id === id);
+      return user ? new User(user) : null;
+    });
+  });
+
+  test('should create a key that is shown once and stored hashed', async () => {
+    const response = await createKey({ name: 'CI', scopes: ['ai:generate', 'ai:read'] });
+
+    expect(response.status).toBe(201);
+    const { apiKey, key } = response.body.data;
+    expect(key).toMatch(/^aip_/);
+    expect(apiKey).toMatchObject({
+      name: 'CI',
+      prefix: key.substring(0, 12),
+      scopes: ['ai:generate', 'ai:read'],
+      status: 'active',
+      last_used_at: null
+    });
+    expect(apiKey.key_hash).toBeUndefined();
+
+    const stored = await ApiKey.findById(apiKey.id);
+    expect(stored.key_hash).toBe(ApiKey.hashKey(key));
+    expect(JSON.stringify(stored)).not.toContain(key);
+
+    const list = await request(app).get('/api/auth/keys').set('Authorization', sessionFor(users.alice));
+    expect(list.body.data.keys.map(listed => listed.id)).toEqual([apiKey.id]);
+    expect(list.body.data.scopes).toEqual(ApiKey.SCOPES);
+  });
+
+  test('should authenticate as the key owner and enforce scopes', async () => {
+    const { body } = await createKey({ name: 'Generator', scopes: ['ai:generate'] });
+    const { key, apiKey } = body.data;
+
+    const viaHeader = await request(app).get('/probe').set('X-API-Key', key);
+    expect(viaHeader.status).toBe(200);
+    expect(viaHeader.body).toEqual({ userId: 'user-alice', viaKey: true });
+
+    const viaBearer = await request(app).get('/probe').set('Authorization', `Bearer ${key}`);
+    expect(viaBearer.status).toBe(200);
+    expect((await ApiKey.findById(apiKey.id)).last_used_at).not.toBeNull();
+
+    const readOnly = await createKey({ name: 'Reader', scopes: ['ai:read'] });
+    const denied = await request(app).get('/probe').set('X-API-Key', readOnly.body.data.key);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.code).toBe('INSUFFICIENT_SCOPE');
+
+    const session = await request(app).get('/probe').set('Authorization', sessionFor(users.alice));
+    expect(session.body).toEqual({ userId: 'user-alice', viaKey: false });
+
+    const unknown = await request(app).get('/probe').set('X-API-Key', 'aip_not-a-real-key');
+    expect(unknown.status).toBe(401);
+  });
+
+  test('should rotate and revoke keys', async () => {
+    const { body } = await createKey({ name: 'Rotating', scopes: ['ai:generate'] });
+    const original = body.data;
+
+    const rotated = await request(app)
+      .post(`/api/auth/keys/${original.apiKey.id}/rotate`)
+      .set('Authorization', sessionFor(users.alice));
+    expect(rotated.status).toBe(201);
+    expect(rotated.body.data).toMatchObject({
+      replaces: original.apiKey.id,
+      apiKey: { name: 'Rotating', scopes: ['ai:generate'], status: 'active' }
+    });
+
+    const stale = await request(app).get('/probe').set('X-API-Key', original.key);
+    expect(stale.status).toBe(401);
+    expect(stale.body.error.message).toBe('API key has been revoked');
+    expect((await request(app).get('/probe').set('X-API-Key', rotated.body.data.key)).status).toBe(200);
+
+    const revoked = await request(app)
+      .delete(`/api/auth/keys/${rotated.body.data.apiKey.id}`)
+      .set('Authorization', sessionFor(users.alice));
+    expect(revoked.body.data.apiKey.status).toBe('revoked');
+    expect((await request(app).get('/probe').set('X-API-Key', rotated.body.data.key)).status).toBe(401);
+  });
+
+  test('should reject expired keys', async () => {
+    const { apiKey, key } = await ApiKey.create({
+      userId: 'user-alice',
+      name: 'Old',
+      scopes: ['ai:generate'],
+      expiresAt: new Date(Date.now() - 1000).toISOString()
+    });
+
+    const response = await request(app).get('/probe').set('X-API-Key', key);
+    expect(response.status).toBe(401);
+    expect(response.body.error.message).toBe('API key has expired');
+    expect(apiKey.toJSON().status).toBe('expired');
+  });
+
+  test('should keep key management to the owner and a signed-in session', async () => {
+    const { body } = await createKey({ name: 'Mine', scopes: ['ai:generate'] });
+
+    const otherUser = await request(app)
+      .delete(`/api/auth/keys/${body.data.apiKey.id}`)
+      .set('Authorization', sessionFor(users.bob));
+    expect(otherUser.status).toBe(404);
+
+    const withKey = await request(app).get('/api/auth/keys').set('X-API-Key', body.data.key);
+    expect(withKey.status).toBe(403);
+
+    const adminScope = await createKey({ name: 'Escalate', scopes: ['admin:read'] });
+    expect(adminScope.status).toBe(403);
+
+    const invalid = await createKey({ name: 'Bad', scopes: ['everything'] });
+    expect(invalid.status).toBe(400);
+
+    const past = await createKey({ name: 'Past', scopes: ['ai:read'], expiresAt: '2001-01-01T00:00:00Z' });
+    expect(past.status).toBe(400);
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const auditService = require('../src/services/auditService');
+
+describe('Audit log', () => {
+  let app;
+  let requestCount = 0;
+  const password = 'Password123!';
+
+  const sessionFor = (id) => {
+    const user = db.tables.users.find(row => row.id === id);
+    return `Bearer ${authService.generateTokens({ userId: user.id, email: user.email, role: user.role }).accessToken}`;
+  };
+
+  const entries = () => db.tables.audit_log || [];
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.requestId = `req-${++requestCount}`;
+      next();
+    });
+    app.use('/api/admin', require('../src/routes/admin'));
+    app.use('/api/auth', require('../src/routes/auth'));
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    db.tables.users = [
+      { id: 'admin-1', email: 'admin@example.com', role: 'admin', is_active: true },
+      { id: 'support-1', email: 'support@example.com', role: 'support', is_active: true },
+      {
+        id: 'user-1',
+        email: 'user@example.com',
+        role: 'user',
+        is_active: true,
+        password_hash: await bcrypt.hash(password, 4)
+      }
+    ];
+  });
+
+  test('should record admin actions with actor, target, diff and request details', async () => {
+    const denied = await request(app).get('/api/admin/audit').set('Authorization', sessionFor('user-1'));
+    expect(denied.status).toBe(403);
+
+    const update = await request(app)
+      .put('/api/admin/users/user-1')
+      .set('Authorization', sessionFor('admin-1'))
+      .send({ role: 'support', is_active: false });
+    expect(update.status).toBe(200);
+
+    await request(app)
+      .put('/api/admin/users/user-1/quota')
+      .set('Authorization', sessionFor('admin-1'))
+      .send({ requestsPerMinute: 5 });
+
+    expect(entries().map(entry => entry.action)).toEqual(['user.role_change', 'user.update', 'quota.override']);
+    expect(entries()[0]).toMatchObject({
+      sequence: 1,
+      actor_id: 'admin-1',
+      actor_email: 'admin@example.com',
+      target_type: 'user',
+      target_id: 'user-1',
+      changes: { role: { from: 'user', to: 'support' } },
+      request_id: 'req-2'
+    });
+    expect(entries()[0].ip_address).toBeTruthy();
+    expect(entries()[1].changes).toEqual({ is_active: { from: true, to: false } });
+    expect(entries()[2].changes.requestsPerMinute.to).toBe(5);
+
+    const filtered = await request(app)
+      .get('/api/admin/audit?action=quota.override')
+      .set('Authorization', sessionFor('support-1'));
+    expect(filtered.status).toBe(200);
+    expect(filtered.body.data.entries).toHaveLength(1);
+    expect(filtered.body.data.entries[0].target_id).toBe('user-1');
+  });
+
+  test('should record failed logins and API key creation', async () => {
+    await request(app).post('/api/auth/login').send({ email: 'user@example.com', password: 'Wrong123!' });
+    await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password });
+
+    expect(entries().map(entry => entry.metadata)).toEqual([
+      { email: 'user@example.com', reason: 'invalid_password' },
+      { email: 'nobody@example.com', reason: 'unknown_email' }
+    ]);
+    expect(entries()[0]).toMatchObject({ action: 'auth.login_failed', actor_id: null, target_id: 'user-1' });
+
+    const key = await request(app)
+      .post('/api/auth/keys')
+      .set('Authorization', sessionFor('user-1'))
+      .send({ name: 'ci', scopes: ['ai:read'] });
+    expect(key.status).toBe(201);
+    expect(entries()[2]).toMatchObject({
+      action: 'api_key.create',
+      actor_id: 'user-1',
+      target_id: key.body.data.apiKey.id,
+      metadata: { name: 'ci', scopes: ['ai:read'] }
+    });
+    expect(JSON.stringify(entries()[2])).not.toContain(key.body.data.key);
+  });
+
+  test('should detect edited and removed entries', async () => {
+    for (const requestsPerMinute of [5, 10, 15]) {
+      await auditService.record({
+        actor: { id: 'admin-1', email: 'admin@example.com' },
+        action: 'quota.override',
+        target: { type: 'user', id: 'user-1' },
+        before: {},
+        after: { requestsPerMinute }
+      });
+    }
+
+    const verify = () => request(app).get('/api/admin/audit/verify').set('Authorization', sessionFor('admin-1'));
+
+    const intact = await verify();
+    expect(intact.body.data).toMatchObject({ valid: true, checked: 3, head: { sequence: 3 } });
+    expect(entries()[1].prev_hash).toBe(entries()[0].hash);
+
+    entries()[1].changes.requestsPerMinute.to = 1000;
+    const edited = await verify();
+    expect(edited.body.data).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry was modified after it was written' });
+
+    entries()[1].changes.requestsPerMinute.to = 10;
+    db.tables.audit_log.splice(1, 1);
+    const removed = await verify();
+    expect(removed.body.data).toMatchObject({ valid: false, checked: 1, brokenAt: 3 });
+  });
+
+  test('should export entries as CSV and NDJSON', async () => {
+    await auditService.record({
+      actor: { id: 'admin-1', email: '=cmd|calc@example.com' },
+      action: 'role.create',
+      target: { type: 'role', id: 'ops' },
+      after: { description: 'On call, "nights"', permissions: ['monitoring:read'] }
+    });
+    await auditService.record({ action: 'system.cleanup', target: { type: 'system' }, metadata: { tasks: 2 } });
+
+    const csv = await request(app)
+      .get('/api/admin/audit/export?format=csv')
+      .set('Authorization', sessionFor('admin-1'));
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+
+    const lines = csv.text.trim().split('\n');
+    expect(lines[0]).toBe('sequence,created_at,action,actor_id,actor_email,target_type,target_id,' +
+      'changes,metadata,ip_address,request_id,prev_hash,hash');
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(',\'=cmd|calc@example.com,');
+    expect(lines[1]).toContain('""On call, \\""nights\\""""');
+
+    const ndjson = await request(app)
+      .get('/api/admin/audit/export?format=ndjson&action=system.cleanup')
+      .set('Authorization', sessionFor('admin-1'));
+    const rows = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ sequence: 2, action: 'system.cleanup', metadata: { tasks: 2 } });
+  });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'test-user-id' };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const jobQueue = require('../src/services/jobQueue');
+const LocalJobStore = require('../src/services/jobStores/localJobStore');
+const providerRegistry = require('../src/services/providerRegistry');
+const batchService = require('../src/services/batchService');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Batch API', () => {
+  let app;
+  const reservation = { id: 'reservation-1', userId: 'test-user-id' };
+
+  const createBatch = (items) => request(app)
+    .post('/api/v1/ai/batch')
+    .send({ items });
+
+  const finished = async (batchId) => {
+    await waitFor(async () => ['completed', 'failed'].includes((await batchService.getBatch(batchId)).status));
+    return request(app).get(`/api/v1/ai/batch/${batchId}`);
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ai', require('../src/routes/ai'));
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    webhookService.triggerEvent.mockResolvedValue([]);
+    quotaService.reserve.mockResolvedValue(reservation);
+
+    await jobQueue.useStore(new LocalJobStore());
+    jobQueue.config.pollInterval = 10;
+    batchService.startWorker();
+
+    providerRegistry.register({
+      name: 'batcher',
+      service: {
+        generate: jest.fn(async ({ prompt }) => {
+          if (prompt === 'fail') throw new Error('Prompt rejected');
+          return { content: prompt.toUpperCase(), usage: { totalTokens: 4 } };
+        }),
+        generateEmbeddings: jest.fn(async ({ texts }) => ({
+          embeddings: texts.map(() => [0.1, 0.2]),
+          usage: { totalTokens: 2 }
+        }))
+      },
+      capabilities: ['chat', 'embeddings'],
+      models: [{ id: 'batcher-chat', type: 'chat' }, { id: 'batcher-embed', type: 'embeddings' }],
+      priority: -1,
+      enabled: true,
+      getCost: (modelId, usage) => usage.totalTokens * 0.01
+    });
+  });
+
+  afterEach(async () => {
+    await jobQueue.stop();
+    providerRegistry.unregister('batcher');
+  });
+
+  test('should run every item and report partial failures', async () => {
+    const response = await createBatch([
+      { customId: 'first', type: 'generation', body: { prompt: 'hello', provider: 'batcher' } },
+      { customId: 'second', type: 'embeddings', body: { texts: ['a', 'b'], provider: 'batcher' } },
+      { customId: 'third', type: 'generation', body: { prompt: 'fail', provider: 'batcher', failover: false } }
+    ]);
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({
+      status: 'queued',
+      progress: { total: 3, completed: 0 }
+    });
+
+    const batch = await finished(response.body.data.id);
+    expect(batch.body.data).toMatchObject({
+      status: 'completed',
+      progress: { total: 3, completed: 3, succeeded: 2, failed: 1, percent: 100 },
+      usage: { totalTokens: 6 }
+    });
+    expect(batch.body.data.items.map(item => item.status)).toEqual(['succeeded', 'succeeded', 'failed']);
+    expect(batch.body.data.items[2].error.message).toBe('Prompt rejected');
+
+    expect(quotaService.reserve).toHaveBeenCalledTimes(3);
+    expect(quotaService.reserve).toHaveBeenCalledWith('test-user-id', expect.objectContaining({ requestType: 'embeddings', apiKeyId: null }));
+    expect(quotaService.settle).toHaveBeenCalledWith(reservation, {
+      tokens: 4,
+      cost: 0.04,
+      model: 'batcher-chat',
+      provider: 'batcher',
+      reference: expect.any(String)
+    });
+    expect(quotaService.settle).toHaveBeenCalledTimes(2);
+    expect(quotaService.release).toHaveBeenCalledWith(reservation, 'failed');
+    expect(quotaService.recordUsage).not.toHaveBeenCalled();
+    expect(webhookService.triggerEvent).toHaveBeenCalledWith('batch.completed', expect.objectContaining({
+      userId: 'test-user-id',
+      batchId: response.body.data.id,
+      status: 'completed',
+      succeeded: 2,
+      failed: 1
+    }));
+  });
+
+  test('should serve results as JSONL and as a multi-status summary', async () => {
+    const { body } = await createBatch([
+      { customId: 'ok', type: 'generation', body: { prompt: 'hi', provider: 'batcher' } },
+      { customId: 'bad', type: 'generation', body: { prompt: 'fail', provider: 'batcher', failover: false } }
+    ]);
+    await finished(body.data.id);
+
+    const download = await request(app).get(`/api/v1/ai/batch/${body.data.id}/results`);
+    expect(download.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(download.headers['content-disposition']).toContain(`${body.data.id}-results.jsonl`);
+
+    const lines = download.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      expect.objectContaining({ customId: 'ok', status: 'succeeded', result: expect.objectContaining({ content: 'HI' }) }),
+      expect.objectContaining({ customId: 'bad', status: 'failed', error: expect.objectContaining({ message: 'Prompt rejected' }) })
+    ]);
+
+    const summary = await request(app).get(`/api/v1/ai/batch/${body.data.id}/results?format=json`);
+    expect(summary.status).toBe(207);
+    expect(summary.body.data.summary).toMatchObject({ total: 2, successful: 1, failed: 1 });
+  });
+
+  test('should accept a JSONL upload', async () => {
+    const jsonl = [
+      JSON.stringify({ customId: 'a', type: 'generation', body: { prompt: 'one', provider: 'batcher' } }),
+      '',
+      JSON.stringify({ customId: 'b', type: 'generation', body: { prompt: 'two', provider: 'batcher' } })
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/v1/ai/batch')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(jsonl);
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.items.map(item => item.customId)).toEqual(['a', 'b']);
+
+    const batch = await finished(response.body.data.id);
+    expect(batch.body.data.progress.succeeded).toBe(2);
+  });
+
+  test('should fail items the quota rejects', async () => {
+    quotaService.reserve
+      .mockResolvedValueOnce(reservation)
+      .mockRejectedValueOnce(new Error('Daily token limit exceeded'));
+
+    const { body } = await createBatch([
+      { type: 'generation', body: { prompt: 'one', provider: 'batcher' } },
+      { type: 'generation', body: { prompt: 'two', provider: 'batcher' } }
+    ]);
+
+    const batch = await finished(body.data.id);
+    expect(batch.body.data.progress).toMatchObject({ succeeded: 1, failed: 1 });
+    expect(batch.body.data.items.find(item => item.status === 'failed').error.message)
+      .toBe('Daily token limit exceeded');
+    // The refused item held nothing to give back
+    expect(quotaService.release).not.toHaveBeenCalledWith(reservation, expect.anything());
+  });
+
+  test('should reject invalid batches', async () => {
+    const invalidItem = await createBatch([{ type: 'video', body: {} }]);
+    expect(invalidItem.status).toBe(400);
+    expect(invalidItem.body.error.code).toBe('INVALID_BATCH');
+    expect(invalidItem.body.error.message).toMatch(/^Item 0: type must be one of/);
+
+    expect((await createBatch([])).status).toBe(400);
+
+    // Items are held to the same limits as the single-request routes
+    const tooLong = await createBatch([
+      { type: 'generation', body: { prompt: 'x' } },
+      { type: 'generation', body: { prompt: 'x', maxTokens: 1e9 } }
+    ]);
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.error.message).toBe('Item 1: Max tokens must be between 1 and 8192');
+
+    const longPrompt = await createBatch([{ type: 'image', body: { prompt: 'x'.repeat(1001) } }]);
+    expect(longPrompt.body.error.message).toBe('Item 0: Prompt must be between 1 and 1000 characters');
+
+    const longText = await createBatch([{ type: 'embeddings', body: { texts: ['x'.repeat(8193)] } }]);
+    expect(longText.body.error.message).toBe('Item 0: Each text must be less than 8192 characters');
+
+    const tooMany = Array.from({ length: batchService.config.maxItems + 1 },
+      () => ({ type: 'generation', body: { prompt: 'x' } }));
+    expect((await createBatch(tooMany)).status).toBe(400);
+
+    const badLine = await request(app)
+      .post('/api/v1/ai/batch')
+      .set('Content-Type', 'application/jsonl')
+      .send('{"type": "generation", "body": {"prompt": "x"}}\nnot json');
+    expect(badLine.status).toBe(400);
+    expect(badLine.body.error.message).toBe('Line 2 is not valid JSON');
+  });
+
+  test('should keep only the fields each item type\'s route reads', async () => {
+    const batch = await batchService.createBatch([
+      { type: 'generation', body: { prompt: 'Hi', maxTokens: 10, stream: true, userId: 'someone-else', extra: 'x' } }
+    ], { userId: 'test-user-id' });
+
+    expect(batch.items[0].request).toEqual({ prompt: 'Hi', maxTokens: 10 });
+  });
+
+  test('should hide batches from other users', async () => {
+    const batch = await batchService.createBatch(
+      [{ type: 'generation', body: { prompt: 'mine', provider: 'batcher' } }],
+      { userId: 'someone-else' }
+    );
+
+    expect((await request(app).get(`/api/v1/ai/batch/${batch.id}`)).status).toBe(403);
+    expect((await request(app).get(`/api/v1/ai/batch/${batch.id}/results`)).status).toBe(403);
+    expect((await request(app).get('/api/v1/ai/batch/missing')).status).toBe(404);
+  });
+});
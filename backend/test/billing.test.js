@@ -0,0 +1,234 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/models/RequestLog');
+jest.mock('../src/services/webhookService');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const billingService = require('../src/services/billingService');
+const minimaxService = require('../src/services/minimaxService');
+const planService = require('../src/services/planService');
+const providerRegistry = require('../src/services/providerRegistry');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+describe('Credit wallet and invoices', () => {
+  let app;
+
+  const sessionFor = (id) => {
+    const user = db.tables.users.find(row => row.id === id);
+    const { accessToken } = authService.generateTokens({ userId: user.id, email: user.email, role: user.role });
+    return `Bearer ${accessToken}`;
+  };
+
+  const period = billingService.currentPeriod();
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ai', require('../src/routes/ai'));
+    app.use('/api/v1/billing', require('../src/routes/billing'));
+    app.use('/api/admin', require('../src/routes/admin'));
+
+    // As defined in migrations/024_credit_ledger.sql
+    db.functions.credit_balance = ({ p_user_id: userId, p_account: account }, tables) => (tables.credit_ledger || [])
+      .filter(row => row.user_id === userId && row.account === account)
+      .reduce((total, row) => total + Number(row.amount), 0);
+
+    // $0.01 per token, so a 10 token completion costs $0.10
+    providerRegistry.register({
+      name: 'billing-metered',
+      service: {
+        generate: jest.fn(async ({ model }) => ({
+          content: 'hello',
+          usage: { promptTokens: 5, completionTokens: 5, totalTokens: 10 },
+          model
+        }))
+      },
+      capabilities: ['chat'],
+      models: [{ id: 'billed-chat', type: 'chat' }],
+      getCost: (modelId, usage = {}) => (usage.totalTokens || 0) * 0.01,
+      priority: -2,
+      enabled: true
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    planService.cache.clear();
+    billingService.config.prepaid = false;
+    webhookService.triggerEvent.mockResolvedValue([]);
+
+    db.tables.users = [
+      { id: 'admin-1', email: 'admin@example.com', role: 'admin', is_active: true },
+      { id: 'support-1', email: 'support@example.com', role: 'support', is_active: true },
+      { id: 'user-1', email: 'alice@example.com', role: 'user', is_active: true, plan: 'team' }
+    ];
+  });
+
+  afterEach(async () => {
+    await quotaService.removeUser('user-1');
+  });
+
+  test('should debit usage and credit refunds as balanced transactions', async () => {
+    await billingService.topUp('user-1', { amount: 5 });
+    await quotaService.recordUsage('user-1', { tokens: 10, cost: 0.1, model: 'billed-chat', provider: 'billing-metered', reference: 'task-1' });
+    await quotaService.recordUsage('user-1', { tokens: 0, cost: 0, success: false });
+
+    // A video Minimax accepted and then failed gives its charge back
+    await quotaService.recordUsage('user-1', { cost: 0.49, requestType: 'minimax_video_generation', model: 'hailuo-2.3', reference: 'video-1' });
+    await minimaxService.refundTask({ id: 'video-1', metadata: { userId: 'user-1', model: 'hailuo-2.3' } });
+
+    expect(await billingService.getBalance('user-1')).toBeCloseTo(4.9);
+
+    const transactions = new Map();
+    db.tables.credit_ledger.forEach(entry => {
+      transactions.set(entry.transaction_id, [...(transactions.get(entry.transaction_id) || []), entry]);
+    });
+    expect([...transactions.values()].map(entries => entries.map(entry => [entry.type, entry.account, entry.amount]))).toEqual([
+      [['topup', 'wallet', 5], ['topup', 'payments', -5]],
+      [['usage', 'wallet', -0.1], ['usage', 'revenue', 0.1]],
+      [['usage', 'wallet', -0.49], ['usage', 'revenue', 0.49]],
+      [['refund', 'wallet', 0.49], ['refund', 'revenue', -0.49]]
+    ]);
+    expect(db.tables.credit_ledger[6]).toMatchObject({
+      reference: 'video-1',
+      metadata: { model: 'hailuo-2.3', provider: 'minimax', taskType: 'minimax_video_generation' }
+    });
+  });
+
+  test('should count every ledger entry past the API row limit', async () => {
+    db.options.maxRows = 1000;
+    const createdAt = new Date().toISOString();
+    db.tables.credit_ledger = Array.from({ length: 1200 }, (_, index) => ({
+      id: `entry-${String(index).padStart(4, '0')}`,
+      account: 'wallet',
+      user_id: 'user-1',
+      type: 'topup',
+      amount: 0.01,
+      metadata: {},
+      created_at: createdAt
+    }));
+
+    expect(await billingService.getBalance('user-1')).toBeCloseTo(12);
+    expect((await billingService.getTransactions('user-1')).total).toBe(1200);
+
+    const invoice = await billingService.generateInvoice({ id: 'user-1', email: 'alice@example.com' }, period);
+    expect(invoice.credits.topups).toBeCloseTo(12);
+    expect(invoice.balance.closing).toBeCloseTo(12);
+  });
+
+  test('should refuse requests the prepaid balance cannot cover', async () => {
+    billingService.config.prepaid = true;
+    const auth = sessionFor('user-1');
+    const generate = () => request(app).post('/api/v1/ai/generate').set('Authorization', auth)
+      .send({ prompt: 'hi', model: 'billed-chat', maxTokens: 5 });
+
+    const empty = await generate();
+    expect(empty.status).toBe(402);
+    expect(empty.body.error.code).toBe('INSUFFICIENT_CREDIT');
+
+    await billingService.topUp('user-1', { amount: 0.15 });
+    expect((await generate()).status).toBe(200);
+
+    // $0.05 left is less than the next request's estimate
+    const short = await generate();
+    expect(short.status).toBe(402);
+
+    const balance = await request(app).get('/api/v1/billing/balance').set('Authorization', auth);
+    expect(balance.body.data).toMatchObject({ currency: 'USD', prepaid: true });
+    expect(balance.body.data.balance).toBeCloseTo(0.05);
+    expect((await quotaService.getUserUsage('user-1')).concurrentRequests).toBe(0);
+  });
+
+  test('should invoice usage by task type and model as JSON, HTML and PDF', async () => {
+    const auth = sessionFor('user-1');
+    await billingService.topUp('user-1', { amount: 10 });
+    await quotaService.recordUsage('user-1', { tokens: 10, cost: 0.1, model: 'billed-chat' });
+    await quotaService.recordUsage('user-1', { tokens: 30, cost: 0.3, model: 'billed-chat' });
+    await quotaService.recordUsage('user-1', { tokens: 8, cost: 0.02, requestType: 'embeddings', model: 'embo-01' });
+    await quotaService.refundUsage('user-1', { cost: 0.1, model: 'billed-chat' });
+
+    const invalid = await request(app).get('/api/v1/billing/invoices/2026-13').set('Authorization', auth);
+    expect(invalid.status).toBe(400);
+
+    const { body } = await request(app).get(`/api/v1/billing/invoices/${period}`).set('Authorization', auth);
+    expect(body.data.invoice).toMatchObject({
+      number: `INV-${period.replace('-', '')}-USER-1`,
+      status: 'open',
+      credits: { topups: 10, adjustments: 0 },
+      balance: { opening: 0, closing: 9.68 },
+      totals: { subtotal: 0.42, refunds: -0.1, total: 0.32 }
+    });
+    expect(body.data.invoice.lineItems.map(line => [line.type, line.taskType, line.model, line.quantity, line.unitPrice])).toEqual([
+      ['refund', 'generation', 'billed-chat', 1, -0.1],
+      ['usage', 'generation', 'billed-chat', 2, 0.2],
+      ['usage', 'embeddings', 'embo-01', 1, 0.02]
+    ]);
+
+    const list = await request(app).get('/api/v1/billing/invoices').set('Authorization', auth);
+    expect(list.body.data.invoices).toEqual([expect.objectContaining({ period, total: 0.32 })]);
+
+    const html = await request(app).get(`/api/v1/billing/invoices/${period}?format=html`).set('Authorization', auth);
+    expect(html.headers['content-type']).toMatch(/text\/html/);
+    expect(html.text).toContain('generation (billed-chat)');
+
+    const pdf = await request(app).get(`/api/v1/billing/invoices/${period}?format=pdf`).set('Authorization', auth)
+      .buffer(true).parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    const text = pdf.body.toString('latin1');
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('(Invoice INV-');
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  test('should let billing admins top up and adjust credit with audit entries', async () => {
+    const adminAuth = sessionFor('admin-1');
+
+    const missingReason = await request(app).post('/api/admin/users/user-1/credits').set('Authorization', adminAuth)
+      .send({ type: 'adjustment', amount: -1 });
+    expect(missingReason.status).toBe(400);
+
+    const denied = await request(app).post('/api/admin/users/user-1/credits').set('Authorization', sessionFor('support-1'))
+      .send({ type: 'topup', amount: 20 });
+    expect(denied.status).toBe(403);
+
+    const topUp = await request(app).post('/api/admin/users/user-1/credits').set('Authorization', adminAuth)
+      .send({ type: 'topup', amount: 20, reference: 'pay_123' });
+    expect(topUp.status).toBe(201);
+    expect(topUp.body.data).toMatchObject({ balance: 20, transaction: { type: 'topup', amount: 20, reference: 'pay_123' } });
+
+    const adjusted = await request(app).post('/api/admin/users/user-1/credits').set('Authorization', adminAuth)
+      .send({ type: 'adjustment', amount: -2.5, description: 'Duplicate top-up' });
+    expect(adjusted.body.data.balance).toBe(17.5);
+
+    const transactions = await request(app).get('/api/v1/billing/transactions?type=adjustment')
+      .set('Authorization', sessionFor('user-1'));
+    expect(transactions.body.data).toMatchObject({
+      total: 1,
+      transactions: [{ type: 'adjustment', amount: -2.5, description: 'Duplicate top-up', created_by: 'admin-1' }]
+    });
+
+    const audit = db.tables.audit_log.filter(entry => entry.action === 'billing.credit');
+    expect(audit.map(entry => [entry.actor_id, entry.target_id, entry.metadata.type, entry.metadata.amount])).toEqual([
+      ['admin-1', 'user-1', 'topup', 20],
+      ['admin-1', 'user-1', 'adjustment', -2.5]
+    ]);
+  });
+});
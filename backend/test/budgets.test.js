@@ -0,0 +1,199 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/models/RequestLog');
+jest.mock('../src/services/webhookService');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const aiService = require('../src/services/aiService');
+const planService = require('../src/services/planService');
+const providerRegistry = require('../src/services/providerRegistry');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+describe('Monthly budgets', () => {
+  let app;
+  let generate;
+
+  const sessionFor = (id) => {
+    const user = db.tables.users.find(row => row.id === id);
+    const { accessToken } = authService.generateTokens({ userId: user.id, email: user.email, role: user.role });
+    return `Bearer ${accessToken}`;
+  };
+
+  const budgetEvents = () => webhookService.triggerEvent.mock.calls
+    .filter(([event]) => event.startsWith('budget.'))
+    .map(([event, payload]) => [event, payload.subject.type]);
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ai', require('../src/routes/ai'));
+    app.use('/api/v1', require('../src/routes/api'));
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.use('/api/organizations', require('../src/routes/organizations'));
+
+    // $0.01 per token, so a 10 token completion costs $0.10
+    generate = jest.fn(async ({ model }) => ({
+      content: 'hello',
+      usage: { promptTokens: 5, completionTokens: 5, totalTokens: 10 },
+      model
+    }));
+    providerRegistry.register({
+      name: 'budget-metered',
+      service: { generate },
+      capabilities: ['chat'],
+      models: [{ id: 'metered-chat', type: 'chat' }],
+      getCost: (modelId, usage = {}) => (usage.totalTokens || 0) * 0.01,
+      priority: -2,
+      enabled: true
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    planService.cache.clear();
+    generate.mockClear();
+    webhookService.triggerEvent.mockReset();
+    webhookService.triggerEvent.mockResolvedValue([]);
+
+    db.tables.users = [
+      { id: 'user-1', email: 'alice@example.com', role: 'user', is_active: true, plan: 'team' },
+      { id: 'user-2', email: 'bob@example.com', role: 'user', is_active: true, organization_id: 'org-1', organization_role: 'owner' }
+    ];
+    db.tables.organizations = [{ id: 'org-1', name: 'Acme', owner_id: 'user-2' }];
+  });
+
+  afterEach(async () => {
+    await Promise.all(['user-1', 'user-2'].map(id => quotaService.removeUser(id)));
+    await quotaService.removeOrganization('org-1');
+  });
+
+  test('should warn, then block, and alert once per threshold', async () => {
+    await quotaService.setUserQuota('user-1', { monthlyBudget: 1, budgetWarnAt: 0.5 });
+
+    await quotaService.recordUsage('user-1', { cost: 0.4 });
+    expect(budgetEvents()).toEqual([]);
+
+    await quotaService.recordUsage('user-1', { cost: 0.2 });
+    await quotaService.recordUsage('user-1', { cost: 0.1 });
+    expect(budgetEvents()).toEqual([['budget.threshold_reached', 'user']]);
+    expect(webhookService.triggerEvent).toHaveBeenCalledWith('budget.threshold_reached', expect.objectContaining({
+      userId: 'user-1',
+      period: quotaService.currentBudgetPeriod(),
+      monthlyBudget: 1,
+      threshold: 0.5
+    }), { userId: 'user-1' });
+
+    // Refused on the estimate, before anything is spent
+    await expect(quotaService.checkQuota('user-1', { cost: 0.5 })).rejects.toMatchObject({
+      statusCode: 429,
+      code: 'BUDGET_EXCEEDED'
+    });
+    await expect(quotaService.checkQuota('user-1', { cost: 0.3 })).resolves.toMatchObject({ allowed: true });
+    await quotaService.recordUsage('user-1', { cost: 0.3 });
+    await quotaService.recordUsage('user-1', { cost: 0 });
+
+    expect(budgetEvents()).toEqual([['budget.threshold_reached', 'user'], ['budget.exhausted', 'user']]);
+    const { budget } = await quotaService.getQuotaInfo('user-1');
+    expect(budget).toMatchObject({ limit: 1, status: 'exhausted', warnAt: 0.5, blockAt: 1 });
+    expect(budget.remaining).toBe(0);
+  });
+
+  test('should estimate the routed model\'s cost before dispatching', async () => {
+    await quotaService.setUserQuota('user-1', { monthlyBudget: 5 });
+    const auth = sessionFor('user-1');
+
+    // 1000 completion tokens plus the prompt would cost over $10
+    const denied = await request(app).post('/api/v1/ai/generate').set('Authorization', auth)
+      .send({ prompt: 'hi', model: 'metered-chat' });
+    expect(denied.status).toBe(429);
+    expect(denied.body.error.code).toBe('BUDGET_EXCEEDED');
+    expect(generate).not.toHaveBeenCalled();
+
+    const allowed = await request(app).post('/api/v1/ai/generate').set('Authorization', auth)
+      .send({ prompt: 'hi', model: 'metered-chat', maxTokens: 100 });
+    expect(allowed.status).toBe(200);
+
+    await expect(aiService.estimateCost('generation', {
+      model: 'metered-chat',
+      usageEstimate: aiService.estimateUsage('hi', null, 100)
+    })).resolves.toBeCloseTo(1.01);
+
+    const budget = await request(app).get('/api/v1/budget').set('Authorization', auth);
+    expect(budget.body.data.budgets).toEqual([
+      expect.objectContaining({ type: 'user', id: 'user-1', limit: 5, spent: 0.1, status: 'ok' })
+    ]);
+  });
+
+  test('should hold API key requests to the key\'s own budget', async () => {
+    const auth = sessionFor('user-1');
+    const created = await request(app).post('/api/auth/keys').set('Authorization', auth)
+      .send({ name: 'CI', scopes: ['ai:generate', 'ai:read'] });
+    const { apiKey, key } = created.body.data;
+
+    const invalid = await request(app).put(`/api/auth/keys/${apiKey.id}/budget`).set('Authorization', auth)
+      .send({ monthlyBudget: 1, budgetWarnAt: 0.9, budgetBlockAt: 0.5 });
+    expect(invalid.status).toBe(400);
+
+    const updated = await request(app).put(`/api/auth/keys/${apiKey.id}/budget`).set('Authorization', auth)
+      .send({ monthlyBudget: 0.12 });
+    expect(updated.body.data.quota).toMatchObject({ monthlyBudget: 0.12, budgetWarnAt: 0.8, budgetBlockAt: 1 });
+
+    const viaKey = () => request(app).post('/api/v1/ai/generate').set('X-API-Key', key)
+      .send({ prompt: 'hi', model: 'metered-chat', maxTokens: 5 });
+
+    expect((await viaKey()).status).toBe(200);
+    const exhausted = await viaKey();
+    expect(exhausted.status).toBe(429);
+    expect(exhausted.body.error.code).toBe('API_KEY_BUDGET_EXCEEDED');
+    expect(budgetEvents()).toEqual([['budget.threshold_reached', 'api_key']]);
+
+    // The user's session isn't held to the key's budget
+    const session = await request(app).post('/api/v1/ai/generate').set('Authorization', auth)
+      .send({ prompt: 'hi', model: 'metered-chat', maxTokens: 5 });
+    expect(session.status).toBe(200);
+
+    const budget = await request(app).get(`/api/auth/keys/${apiKey.id}/budget`).set('Authorization', auth);
+    expect(budget.body.data.budget).toMatchObject({ limit: 0.12, spent: 0.1, status: 'warning' });
+  });
+
+  test('should apply organization thresholds set by the owner', async () => {
+    const auth = sessionFor('user-2');
+    quotaService.setMembership('user-2', 'org-1', 'owner');
+
+    const updated = await request(app).put('/api/organizations/org-1/budget').set('Authorization', auth)
+      .send({ monthlyBudget: 1, budgetWarnAt: 0.25, budgetBlockAt: 1.2 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.quota).toMatchObject({ monthlyBudget: 1, budgetWarnAt: 0.25, budgetBlockAt: 1.2 });
+
+    await quotaService.recordUsage('user-2', { cost: 0.9 });
+    expect(budgetEvents()).toEqual([['budget.threshold_reached', 'organization']]);
+
+    // Blocking at 120% lets spend run past the budget itself
+    await expect(quotaService.checkQuota('user-2', { cost: 0.2 })).resolves.toMatchObject({ allowed: true });
+    await quotaService.recordUsage('user-2', { cost: 0.3 });
+    await expect(quotaService.checkQuota('user-2', { cost: 0.1 })).rejects.toMatchObject({
+      code: 'ORGANIZATION_BUDGET_EXCEEDED'
+    });
+    expect(budgetEvents()).toEqual([
+      ['budget.threshold_reached', 'organization'],
+      ['budget.exhausted', 'organization']
+    ]);
+
+    const { budget } = await quotaService.getOrganizationQuotaInfo('org-1');
+    expect(budget).toMatchObject({ limit: 1, status: 'exhausted', blockAt: 1.2 });
+  });
+});
@@ -0,0 +1,299 @@
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const { PassThrough } = require('stream');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/models/MinimaxTask');
+jest.mock('../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'test-user-id' };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const providerRegistry = require('../src/services/providerRegistry');
+const aiService = require('../src/services/aiService');
+const openaiService = require('../src/services/openaiService');
+const minimaxService = require('../src/services/minimaxService');
+const jobQueue = require('../src/services/jobQueue');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+const MinimaxTask = require('../src/models/MinimaxTask');
+
+/**
+ * A provider call that only settles when its signal is aborted
+ */
+const hangUntilAborted = ({ signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new axios.CanceledError('canceled')));
+});
+
+const registerProvider = (name, priority, generate) => providerRegistry.register({
+  name,
+  service: { generate: jest.fn(generate) },
+  capabilities: ['chat', 'streaming'],
+  models: [{ id: `${name}-chat`, type: 'chat' }],
+  priority,
+  enabled: true
+});
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const latestTask = () => Array.from(aiService.liveTasks.values()).pop();
+
+describe('Task cancellation', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ai', require('../src/routes/ai'));
+  });
+
+  const reservation = { id: 'reservation-1', userId: 'test-user-id' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    webhookService.triggerEvent.mockResolvedValue([]);
+    quotaService.reserve.mockResolvedValue(reservation);
+  });
+
+  afterEach(() => {
+    providerRegistry.unregister('alpha');
+    providerRegistry.unregister('beta');
+  });
+
+  describe('AiService', () => {
+    test('should abort the provider request and skip failover', async () => {
+      registerProvider('alpha', -2, hangUntilAborted);
+      registerProvider('beta', -1, async () => ({ content: 'from beta', usage: {} }));
+
+      const pending = aiService.generate({ prompt: 'Hi', userId: 'test-user-id' });
+      await waitFor(() => providerRegistry.get('alpha').service.generate.mock.calls.length > 0);
+
+      const task = latestTask();
+      expect((await aiService.cancelTask(task.id)).status).toBe('cancelled');
+
+      const error = await pending.catch(err => err);
+      expect(error.code).toBe('TASK_CANCELLED');
+      expect(error.statusCode).toBe(409);
+      expect(error.attempts).toEqual([
+        expect.objectContaining({ provider: 'alpha', status: 'cancelled' })
+      ]);
+
+      expect((await aiService.getTask(task.id)).status).toBe('cancelled');
+      expect(providerRegistry.get('beta').service.generate).not.toHaveBeenCalled();
+      expect(providerRegistry.get('alpha').breaker.getState().recentCalls).toBe(0);
+    });
+
+    test('should refuse to cancel finished tasks', async () => {
+      registerProvider('alpha', -2, async () => ({ content: 'done', usage: {} }));
+
+      const result = await aiService.generate({ prompt: 'Hi' });
+
+      await expect(aiService.cancelTask(result.taskId)).rejects.toThrow('Task is already completed');
+      expect(await aiService.cancelTask('missing')).toBeNull();
+    });
+  });
+
+  describe('DELETE /api/v1/ai/tasks/:taskId', () => {
+    test('should cancel an in-flight generation', async () => {
+      registerProvider('alpha', -2, hangUntilAborted);
+
+      const pending = request(app)
+        .post('/api/v1/ai/generate')
+        .send({ prompt: 'Hi' });
+
+      const generation = new Promise((resolve, reject) => pending.then(resolve, reject));
+      await waitFor(() => providerRegistry.get('alpha').service.generate.mock.calls.length > 0);
+      const taskId = latestTask().id;
+
+      const response = await request(app).delete(`/api/v1/ai/tasks/${taskId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        taskId,
+        type: 'generation',
+        status: 'cancelled',
+        refundedCost: 0
+      });
+      expect(webhookService.triggerEvent).toHaveBeenCalledWith('task.cancelled', {
+        userId: 'test-user-id',
+        taskId,
+        type: 'generation',
+        refundedCost: 0
+      });
+
+      // The original request unwinds and releases its reservation
+      const original = await generation;
+      expect(original.status).toBe(409);
+      expect(original.body.error.code).toBe('TASK_CANCELLED');
+      expect(quotaService.release).toHaveBeenCalledWith(reservation, 'cancelled');
+      expect(quotaService.settle).not.toHaveBeenCalled();
+    });
+
+    test('should end a streaming generation with its partial usage', async () => {
+      let upstream;
+      registerProvider('alpha', -2, async ({ model }) => {
+        upstream = new PassThrough();
+        return { stream: upstream, chunks: openaiService.streamChunks(upstream), usage: null, model };
+      });
+
+      const pending = request(app)
+        .post('/api/v1/ai/generate')
+        .send({ prompt: 'Hi', stream: true });
+
+      const generation = new Promise((resolve, reject) => pending.then(resolve, reject));
+      await waitFor(() => upstream);
+      upstream.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'abcd' } }] })}\n\n`);
+      await waitFor(() => latestTask().status === 'streaming');
+
+      const taskId = latestTask().id;
+      const response = await request(app).delete(`/api/v1/ai/tasks/${taskId}`);
+      expect(response.status).toBe(200);
+
+      const original = await generation;
+      expect(original.text).toContain('"finishReason":"aborted"');
+      expect(original.text).toContain('data: [DONE]');
+      expect(upstream.destroyed).toBe(true);
+      expect((await aiService.getTask(taskId)).status).toBe('cancelled');
+    });
+
+    test('should reject tasks owned by someone else', async () => {
+      registerProvider('alpha', -2, async () => ({ content: 'done', usage: {} }));
+      const { taskId } = await aiService.generate({ prompt: 'Hi', userId: 'someone-else' });
+
+      const response = await request(app).delete(`/api/v1/ai/tasks/${taskId}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should report unknown and finished tasks', async () => {
+      registerProvider('alpha', -2, async () => ({ content: 'done', usage: {} }));
+      const { taskId } = await aiService.generate({ prompt: 'Hi', userId: 'test-user-id' });
+
+      expect((await request(app).delete('/api/v1/ai/tasks/missing')).status).toBe(404);
+
+      const response = await request(app).delete(`/api/v1/ai/tasks/${taskId}`);
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('TASK_NOT_CANCELLABLE');
+    });
+
+    test('should stop polling a video task and refund its charge', async () => {
+      const record = { updateStatus: jest.fn().mockResolvedValue() };
+      MinimaxTask.findByMinimaxTaskId.mockResolvedValue(record);
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { task_id: 'mm-123' } });
+
+      const { taskId } = await minimaxService.generateVideo({
+        prompt: 'A cat surfing',
+        userId: 'test-user-id'
+      });
+      expect((await jobQueue.getJob('minimax-video-status', taskId)).status).toBe('queued');
+
+      const response = await request(app).delete(`/api/v1/ai/tasks/${taskId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ type: 'video_generation', refundedCost: 0.49 });
+      expect(quotaService.refundUsage).toHaveBeenCalledWith('test-user-id', {
+        cost: 0.49,
+        requestType: 'minimax_video_generation',
+        model: 'hailuo-2.3',
+        provider: 'minimax',
+        reference: taskId
+      });
+      expect(record.updateStatus).toHaveBeenCalledWith('cancelled');
+
+      expect((await jobQueue.getJob('minimax-video-status', taskId)).status).toBe('cancelled');
+      expect(minimaxService.abortControllers.has(taskId)).toBe(false);
+      expect((await minimaxService.checkVideoStatus(taskId)).status).toBe('cancelled');
+      expect(post).toHaveBeenCalledTimes(1);
+
+      post.mockRestore();
+    });
+
+    test.each([
+      ['completed', { status: 'completed', video_url: 'https://cdn.example.com/cat.mp4' }],
+      ['failed', { status: 'failed', error_message: 'Upstream error' }]
+    ])('should keep a cancellation that lands while Minimax reports %s', async (_, statusData) => {
+      MinimaxTask.findByMinimaxTaskId.mockResolvedValue(null);
+      let answer;
+      const post = jest.spyOn(axios, 'post').mockImplementation((url) => url.endsWith('/video/status')
+        ? new Promise(resolve => { answer = () => resolve({ data: statusData }); })
+        : Promise.resolve({ data: { task_id: 'mm-456' } }));
+
+      const { taskId } = await minimaxService.generateVideo({
+        prompt: 'A cat surfing',
+        userId: 'test-user-id'
+      });
+
+      const check = minimaxService.checkVideoStatus(taskId);
+      await waitFor(() => answer);
+
+      const response = await request(app).delete(`/api/v1/ai/tasks/${taskId}`);
+      expect(response.status).toBe(200);
+      answer();
+
+      expect((await check).status).toBe('cancelled');
+      expect((await jobQueue.getRecord('minimax-tasks', taskId)).status).toBe('cancelled');
+      expect(quotaService.refundUsage).toHaveBeenCalledTimes(1);
+
+      post.mockRestore();
+    });
+
+    test('should refund once when two cancellations race', async () => {
+      MinimaxTask.findByMinimaxTaskId.mockResolvedValue(null);
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { task_id: 'mm-789' } });
+
+      const { taskId } = await minimaxService.generateVideo({
+        prompt: 'A cat surfing',
+        userId: 'test-user-id'
+      });
+
+      // Each request reads the task in the route and again in cancelTask;
+      // both see it processing at each read, as two instances sharing the
+      // store would
+      const getTask = minimaxService.getTask.bind(minimaxService);
+      let reads = 0;
+      const getTaskSpy = jest.spyOn(minimaxService, 'getTask').mockImplementation(async (id) => {
+        const task = JSON.parse(JSON.stringify(await getTask(id)));
+        const target = ++reads <= 2 ? 2 : 4;
+        await waitFor(() => reads >= target);
+        return task;
+      });
+
+      const responses = await Promise.all([
+        request(app).delete(`/api/v1/ai/tasks/${taskId}`),
+        request(app).delete(`/api/v1/ai/tasks/${taskId}`)
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      expect(quotaService.refundUsage).toHaveBeenCalledTimes(1);
+      expect((await jobQueue.getRecord('minimax-tasks', taskId)).status).toBe('cancelled');
+
+      getTaskSpy.mockRestore();
+      post.mockRestore();
+    });
+  });
+});
+
+describe('Quota refunds', () => {
+  test('should give back charged cost without counting a request', async () => {
+    const quota = jest.requireActual('../src/services/quotaService');
+
+    await quota.recordUsage('refund-user', { cost: 0.49, requestType: 'minimax_video_generation' });
+    await quota.refundUsage('refund-user', { cost: 0.49, requestType: 'minimax_video_generation' });
+
+    expect((await quota.getUserUsage('refund-user')).totalCost).toBe(0);
+
+    const stats = await quota.getUsageStats('refund-user');
+    expect(stats.totalRequests).toBe(1);
+    expect(stats.totalCost).toBe(0);
+  });
+});
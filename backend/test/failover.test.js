@@ -0,0 +1,263 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'test-user-id' };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const CircuitBreaker = require('../src/utils/circuitBreaker');
+const providerRegistry = require('../src/services/providerRegistry');
+const aiService = require('../src/services/aiService');
+const webhookService = require('../src/services/webhookService');
+
+const upstreamError = (message, retryable = true) => {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.statusCode = retryable ? 503 : 400;
+  return error;
+};
+
+const registerProvider = (name, priority, generate, circuitBreaker = {}) => providerRegistry.register({
+  name,
+  service: { generate: jest.fn(generate) },
+  capabilities: ['chat'],
+  models: [{ id: `${name}-chat`, type: 'chat' }],
+  priority,
+  enabled: true,
+  circuitBreaker: { failureThreshold: 2, resetTimeout: 1000, ...circuitBreaker }
+});
+
+const success = (name) => async ({ model }) => ({
+  content: `from ${name}`,
+  usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+  model
+});
+
+describe('Circuit Breaker', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should open after consecutive failures', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3 });
+
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.state).toBe('closed');
+
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getState().lastFailure.message).toBe('boom');
+  });
+
+  test('should open when the error rate crosses the threshold', () => {
+    const breaker = new CircuitBreaker('test', {
+      failureThreshold: 100,
+      minimumRequests: 4,
+      errorRateThreshold: 0.5
+    });
+
+    breaker.recordSuccess(10);
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordSuccess(10);
+    expect(breaker.state).toBe('closed');
+
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.state).toBe('open');
+  });
+
+  test('should count slow calls as failures', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, slowCallThreshold: 100 });
+
+    breaker.recordSuccess(500);
+    breaker.recordSuccess(500);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.getState().averageLatency).toBe(500);
+  });
+
+  test('should half-open after the reset timeout and close on success', () => {
+    jest.useFakeTimers();
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 1000 });
+
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.isAvailable()).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+
+    // Only one trial call at a time
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess(10);
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('should reopen when the half-open trial fails', () => {
+    jest.useFakeTimers();
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 1000 });
+
+    breaker.recordFailure(new Error('boom'));
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.recordFailure(new Error('still broken'));
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+});
+
+describe('Provider failover', () => {
+  afterEach(() => {
+    providerRegistry.unregister('alpha');
+    providerRegistry.unregister('beta');
+  });
+
+  test('should fail over to the next provider on retryable errors', async () => {
+    registerProvider('alpha', -2, async () => { throw upstreamError('alpha is down'); });
+    registerProvider('beta', -1, success('beta'));
+
+    const result = await aiService.generate({ prompt: 'Hi' });
+
+    expect(result.provider).toBe('beta');
+    expect(result.model).toBe('beta-chat');
+    expect(result.attempts).toEqual([
+      expect.objectContaining({ provider: 'alpha', model: 'alpha-chat', status: 'failed', error: 'alpha is down' }),
+      expect.objectContaining({ provider: 'beta', model: 'beta-chat', status: 'succeeded' })
+    ]);
+
+    const task = await aiService.getTask(result.taskId);
+    expect(task.metadata.provider).toBe('beta');
+    expect(task.metadata.attempts).toHaveLength(2);
+  });
+
+  test('should not fail over on non-retryable errors', async () => {
+    registerProvider('alpha', -2, async () => { throw upstreamError('bad request', false); });
+    registerProvider('beta', -1, success('beta'));
+
+    const error = await aiService.generate({ prompt: 'Hi' }).catch(err => err);
+
+    expect(error.message).toBe('bad request');
+    expect(error.attempts).toHaveLength(1);
+    expect(providerRegistry.get('beta').service.generate).not.toHaveBeenCalled();
+    // Caller errors don't count against the provider
+    expect(providerRegistry.get('alpha').breaker.getState().consecutiveFailures).toBe(0);
+  });
+
+  test('should leave a half-open breaker alone on non-retryable errors', async () => {
+    registerProvider('alpha', -2, async () => { throw upstreamError('bad request', false); },
+      { failureThreshold: 1, resetTimeout: 0 });
+    const { breaker } = providerRegistry.get('alpha');
+    breaker.recordFailure(new Error('alpha is down'));
+
+    await expect(aiService.generate({ prompt: 'Hi' })).rejects.toThrow('bad request');
+
+    // A bad request neither closes the breaker nor holds on to the trial slot
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('should not fail over when failover is disabled for the request', async () => {
+    registerProvider('alpha', -2, async () => { throw upstreamError('alpha is down'); });
+    registerProvider('beta', -1, success('beta'));
+
+    await expect(aiService.generate({ prompt: 'Hi', failover: false }))
+      .rejects.toThrow('alpha is down');
+    expect(providerRegistry.get('beta').service.generate).not.toHaveBeenCalled();
+  });
+
+  test('should skip providers whose breaker is open', async () => {
+    registerProvider('alpha', -2, async () => { throw upstreamError('alpha is down'); });
+    registerProvider('beta', -1, success('beta'));
+
+    await aiService.generate({ prompt: 'Hi' });
+    await aiService.generate({ prompt: 'Hi' });
+    expect(providerRegistry.get('alpha').breaker.state).toBe('open');
+
+    const alphaCalls = providerRegistry.get('alpha').service.generate.mock.calls.length;
+    const result = await aiService.generate({ prompt: 'Hi' });
+
+    expect(providerRegistry.get('alpha').service.generate.mock.calls.length).toBe(alphaCalls);
+    expect(result.attempts[0]).toEqual({
+      provider: 'alpha',
+      model: 'alpha-chat',
+      status: 'skipped',
+      reason: 'circuit_open'
+    });
+    expect(aiService.selectProvider(null, null).name).toBe('beta');
+  });
+
+  test('should report a 503 when every breaker is open', async () => {
+    registerProvider('alpha', -2, async () => { throw upstreamError('alpha is down'); }, { failureThreshold: 1 });
+
+    // Only alpha is enabled in tests, so the first failure leaves nothing to fall back to
+    await expect(aiService.generate({ prompt: 'Hi' })).rejects.toThrow('alpha is down');
+
+    const error = await aiService.generate({ prompt: 'Hi' }).catch(err => err);
+    expect(error.statusCode).toBe(503);
+    expect(error.code).toBe('PROVIDERS_UNAVAILABLE');
+  });
+
+  test('should expose breaker states for admin health', async () => {
+    registerProvider('alpha', -2, async () => { throw upstreamError('alpha is down'); }, { failureThreshold: 1 });
+    registerProvider('beta', -1, success('beta'));
+
+    await aiService.generate({ prompt: 'Hi' });
+
+    const states = aiService.getCircuitBreakerStates();
+    expect(states.alpha).toMatchObject({ enabled: true, state: 'open' });
+    expect(states.beta).toMatchObject({ enabled: true, state: 'closed' });
+    expect(states.openai).toBeDefined();
+  });
+
+  describe('Routes', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/v1/ai', require('../src/routes/ai'));
+    });
+
+    beforeEach(() => {
+      webhookService.triggerEvent.mockResolvedValue([]);
+    });
+
+    test('should report the provider chain in response headers', async () => {
+      registerProvider('alpha', -2, async () => { throw upstreamError('alpha is down'); });
+      registerProvider('beta', -1, success('beta'));
+
+      const response = await request(app)
+        .post('/api/v1/ai/generate')
+        .send({ prompt: 'Hi' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-ai-provider']).toBe('beta');
+      expect(response.headers['x-ai-model']).toBe('beta-chat');
+      expect(response.headers['x-ai-provider-attempts'])
+        .toBe('alpha/alpha-chat=failed, beta/beta-chat=succeeded');
+    });
+
+    test('should report the provider chain on failure', async () => {
+      registerProvider('alpha', -2, async () => { throw upstreamError('alpha is down'); });
+
+      const response = await request(app)
+        .post('/api/v1/ai/generate')
+        .send({ prompt: 'Hi' });
+
+      expect(response.status).toBe(503);
+      expect(response.headers['x-ai-provider']).toBeUndefined();
+      expect(response.headers['x-ai-provider-attempts']).toBe('alpha/alpha-chat=failed');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Minimal in-memory stand-in for the Supabase query builder, for use as
+ * jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')())
+ *
+ * Columns listed in notNull, e.g. notNull.sessions = ['refresh_jti'], are
+ * enforced on insert and update the way Postgres would. Setting
+ * options.maxRows caps every result like PostgREST's max-rows, and
+ * functions holds the SQL functions rpc() can call.
+ */
+module.exports = () => {
+  const tables = {};
+  const notNull = {};
+  const functions = {};
+  const options = { maxRows: null };
+  let nextId = 1;
+
+  const query = (table) => {
+    const rows = (tables[table] = tables[table] || []);
+    const filters = [];
+    const matching = () => rows.filter(row => filters.every(matches => matches(row)));
+    let action = matching;
+    // First notNull column the pending insert or update would leave empty
+    let violation = () => null;
+    let single = false;
+    let range = null;
+    const sorts = [];
+
+    const filter = (matches) => {
+      filters.push(matches);
+      return builder;
+    };
+
+    const builder = {
+      select: () => builder,
+      order: (column, { ascending = true } = {}) => {
+        sorts.push({ column, direction: ascending ? 1 : -1 });
+        return builder;
+      },
+      limit: (count) => {
+        range = [0, count];
+        return builder;
+      },
+      eq: (column, value) => filter(row => row[column] === value),
+      is: (column, value) => filter(row => (row[column] ?? null) === value),
+      not: (column, operator, value) => filter(row => (row[column] ?? null) !== value),
+      gte: (column, value) => filter(row => row[column] >= value),
+      lte: (column, value) => filter(row => row[column] <= value),
+      range: (from, to) => {
+        range = [from, to + 1];
+        return builder;
+      },
+      single: () => {
+        single = true;
+        return builder;
+      },
+      insert: (inserted) => {
+        // Like supabase-js, a missing or undefined key is inserted as NULL
+        violation = () => (notNull[table] || []).find(column => inserted.some(row => row[column] == null));
+        action = () => inserted.map(row => {
+          const stored = { id: `${table}-${nextId++}`, ...row };
+          rows.push(stored);
+          return stored;
+        });
+        return builder;
+      },
+      update: (fields) => {
+        violation = () => (notNull[table] || []).find(column => fields[column] === null);
+        action = () => matching().map(row => Object.assign(row, fields));
+        return builder;
+      },
+      delete: () => {
+        action = () => matching().map(row => rows.splice(rows.indexOf(row), 1)[0]);
+        return builder;
+      },
+      then: (resolve, reject) => {
+        const missing = violation();
+        if (missing) {
+          return Promise.resolve({
+            data: null,
+            error: { code: '23502', message: `null value in column "${missing}" violates not-null constraint` }
+          }).then(resolve, reject);
+        }
+
+        let result = action().map(row => ({ ...row }));
+        // Stable sort; rows missing the column keep their insertion order
+        sorts.slice().reverse().forEach(({ column, direction }) => result.sort((a, b) => {
+          if (a[column] == null || b[column] == null || a[column] === b[column]) return 0;
+          return (a[column] < b[column] ? -1 : 1) * direction;
+        }));
+        if (range) result = result.slice(...range);
+        if (options.maxRows) result = result.slice(0, options.maxRows);
+        if (!single) return Promise.resolve({ data: result, error: null }).then(resolve, reject);
+        return Promise.resolve(result.length
+          ? { data: result[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: 'No rows' } }).then(resolve, reject);
+      }
+    };
+
+    return builder;
+  };
+
+  return {
+    getClient: () => ({
+      from: query,
+      rpc: async (name, params) => functions[name]
+        ? { data: functions[name](params, tables), error: null }
+        : { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } }
+    }),
+    tables,
+    notNull,
+    functions,
+    options,
+    reset: () => {
+      Object.keys(tables).forEach(table => delete tables[table]);
+      options.maxRows = null;
+    }
+  };
+};
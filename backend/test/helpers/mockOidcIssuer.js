@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local OpenID Connect issuer for tests. Set `issuer.user` to the account
+ * that "signs in" at the authorization endpoint; the token endpoint checks
+ * client credentials, redirect URI and the PKCE verifier like a real one.
+ */
+const startMockOidcIssuer = ({ clientId = 'playground', clientSecret = 'client-secret' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+
+  const issuer = {
+    url: null,
+    clientId,
+    clientSecret,
+    user: null,
+    // Set to sign ID tokens with a key the JWKS doesn't publish
+    signingKey: null,
+    // Extra claims merged into the next ID tokens, e.g. a wrong nonce
+    claims: {},
+    tokenRequests: []
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: issuer.url,
+      authorization_endpoint: `${issuer.url}/authorize`,
+      token_endpoint: `${issuer.url}/token`,
+      jwks_uri: `${issuer.url}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: client, redirect_uri: redirectUri, state, nonce } = req.query;
+    const redirect = new URL(redirectUri);
+
+    if (client !== clientId || req.query.code_challenge_method !== 'S256') {
+      redirect.searchParams.set('error', 'invalid_request');
+    } else {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { user: issuer.user, redirectUri, nonce, challenge: req.query.code_challenge });
+      redirect.searchParams.set('code', code);
+    }
+
+    redirect.searchParams.set('state', state);
+    res.redirect(302, redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    issuer.tokenRequests.push(req.body);
+    const [id, secret] = Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const verifierHash = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+    if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.challenge !== verifierHash) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Code or verifier is invalid' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.user, nonce: grant.nonce, ...issuer.claims },
+      issuer.signingKey || privateKey,
+      { algorithm: 'RS256', keyid: 'test-key', issuer: issuer.url, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', id_token: idToken });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      issuer.url = `http://127.0.0.1:${server.address().port}`;
+      issuer.close = () => new Promise(resolve => server.close(resolve));
+      resolve(issuer);
+    });
+  });
+};
+
+module.exports = startMockOidcIssuer;
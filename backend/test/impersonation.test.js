@@ -0,0 +1,209 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/webhookService');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const impersonationService = require('../src/services/impersonationService');
+const providerRegistry = require('../src/services/providerRegistry');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+describe('Admin impersonation', () => {
+  let app;
+  const password = 'Password123!';
+
+  const sessionFor = (id) => {
+    const user = db.tables.users.find(row => row.id === id);
+    return `Bearer ${authService.generateTokens({ userId: user.id, email: user.email, role: user.role }).accessToken}`;
+  };
+
+  const impersonate = (adminAuth, userId, body = {}) => request(app)
+    .post(`/api/admin/users/${userId}/impersonate`)
+    .set('Authorization', adminAuth)
+    .send(body);
+
+  const auditActions = () => (db.tables.audit_log || []).map(entry => entry.action);
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', require('../src/routes/admin'));
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.use('/api/v1/ai', require('../src/routes/ai'));
+
+    providerRegistry.register({
+      name: 'impersonation-metered',
+      service: {
+        generate: jest.fn(async ({ model }) => ({
+          content: 'reproduced',
+          usage: { promptTokens: 5, completionTokens: 5, totalTokens: 10 },
+          model
+        }))
+      },
+      capabilities: ['chat'],
+      models: [{ id: 'support-chat', type: 'chat' }],
+      getCost: (modelId, usage = {}) => (usage.totalTokens || 0) * 0.01,
+      priority: -2,
+      enabled: true
+    });
+  });
+
+  afterAll(() => {
+    providerRegistry.unregister('impersonation-metered');
+  });
+
+  afterEach(async () => {
+    await quotaService.removeUser('user-1');
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    webhookService.triggerEvent.mockResolvedValue([]);
+    db.tables.users = [
+      {
+        id: 'admin-1',
+        email: 'admin@example.com',
+        role: 'admin',
+        is_active: true,
+        password_hash: await bcrypt.hash(password, 4)
+      },
+      { id: 'admin-2', email: 'other-admin@example.com', role: 'admin', is_active: true },
+      { id: 'support-1', email: 'support@example.com', role: 'support', is_active: true },
+      { id: 'user-1', email: 'customer@example.com', role: 'user', is_active: true, plan: 'team' }
+    ];
+  });
+
+  test('should act as the user until stopped, flagged and audited', async () => {
+    const started = await impersonate(sessionFor('admin-1'), 'user-1', { reason: 'Ticket 4521: video stuck' });
+    expect(started.status).toBe(201);
+    expect(started.body.data.user.email).toBe('customer@example.com');
+    expect(started.body.data.refreshToken).toBeUndefined();
+
+    const token = `Bearer ${started.body.data.accessToken}`;
+    const me = await request(app).get('/api/auth/me').set('Authorization', token);
+    expect(me.status).toBe(200);
+    expect(me.body.data.user.email).toBe('customer@example.com');
+    expect(me.body.data.user.impersonation).toMatchObject({
+      impersonator: { id: 'admin-1', email: 'admin@example.com' },
+      reason: 'Ticket 4521: video stuck'
+    });
+
+    const ownMe = await request(app).get('/api/auth/me').set('Authorization', sessionFor('user-1'));
+    expect(ownMe.body.data.user.impersonation).toBeNull();
+
+    const stopped = await request(app).post('/api/auth/impersonation/stop').set('Authorization', token);
+    expect(stopped.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set('Authorization', token)).status).toBe(401);
+
+    expect(auditActions()).toEqual(['user.impersonation_start', 'user.impersonation_stop']);
+    expect(db.tables.audit_log[1]).toMatchObject({ actor_id: 'admin-1', target_id: 'user-1' });
+  });
+
+  test('should block account, key and admin changes while impersonating', async () => {
+    const started = await impersonate(sessionFor('admin-1'), 'user-1');
+    const token = `Bearer ${started.body.data.accessToken}`;
+
+    expect((await request(app).get('/api/auth/keys').set('Authorization', token)).status).toBe(200);
+
+    const blocked = [
+      request(app).post('/api/auth/keys').set('Authorization', token).send({ name: 'x', scopes: ['ai:read'] }),
+      request(app).put('/api/auth/me').set('Authorization', token).send({ email: 'new@example.com' }),
+      request(app).post('/api/auth/2fa/disable').set('Authorization', token).send({ code: '123456' }),
+      request(app).delete('/api/auth/sessions').set('Authorization', token),
+      request(app).put('/api/admin/users/user-1').set('Authorization', token).send({ is_active: false }),
+      request(app).put('/api/v1/ai/routing').set('Authorization', token).send({ strategy: 'cost' }),
+      request(app).post('/api/v1/ai/images').set('Authorization', token).send({ prompt: 'A cat' }),
+      request(app).get('/api/auth/me/export').set('Authorization', token),
+      request(app).get('/api/auth/sessions').set('Authorization', token),
+      request(app).get('/api/auth/2fa').set('Authorization', token),
+      // Express routes these the same as the paths above
+      request(app).get('/api/auth/me/export/').set('Authorization', token),
+      request(app).get('/api/auth/ME/Export').set('Authorization', token),
+      request(app).get('/api/auth/Sessions').set('Authorization', token)
+    ];
+    for (const response of await Promise.all(blocked)) {
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('IMPERSONATION_RESTRICTED');
+    }
+    expect(db.tables.users[3].email).toBe('customer@example.com');
+
+    expect(impersonationService.isRestricted({ method: 'POST', baseUrl: '/api/v1/ai', path: '/generate' })).toBe(false);
+    expect(impersonationService.isRestricted({ method: 'POST', baseUrl: '/api/v1/ai', path: '/embeddings' })).toBe(false);
+    expect(impersonationService.isRestricted({ method: 'POST', baseUrl: '/api/v1/ai', path: '/batch' })).toBe(true);
+    expect(impersonationService.isRestricted({ method: 'POST', baseUrl: '/api/v1/ai', path: '/minimax/video' })).toBe(true);
+    expect(impersonationService.isRestricted({ method: 'DELETE', baseUrl: '/api/v1/ai', path: '/tasks/1' })).toBe(true);
+    expect(impersonationService.isRestricted({ method: 'GET', baseUrl: '/api/v1/webhooks', path: '/' })).toBe(true);
+    expect(impersonationService.isRestricted({ method: 'GET', baseUrl: '/api/v1/Webhooks', path: '/' })).toBe(true);
+    expect(impersonationService.isRestricted({ method: 'POST', baseUrl: '/api/v1/AI', path: '/Generate/' })).toBe(false);
+  });
+
+  test('should tag what a reproduction spends with the impersonation', async () => {
+    const started = await impersonate(sessionFor('admin-1'), 'user-1', { reason: 'Ticket 4522: odd answers' });
+    const token = `Bearer ${started.body.data.accessToken}`;
+
+    const generated = await request(app).post('/api/v1/ai/generate').set('Authorization', token)
+      .send({ prompt: 'Hello', model: 'support-chat', provider: 'impersonation-metered' });
+    expect(generated.status).toBe(200);
+
+    const charge = db.tables.credit_ledger.find(entry => entry.account === 'wallet' && entry.type === 'usage');
+    expect(charge).toMatchObject({
+      user_id: 'user-1',
+      amount: -0.1,
+      metadata: { impersonationId: started.body.data.impersonationId }
+    });
+
+    // The customer's own requests carry no tag
+    await request(app).post('/api/v1/ai/generate').set('Authorization', sessionFor('user-1'))
+      .send({ prompt: 'Hello', model: 'support-chat', provider: 'impersonation-metered' });
+    const charges = db.tables.credit_ledger.filter(entry => entry.account === 'wallet' && entry.type === 'usage');
+    expect(charges).toHaveLength(2);
+    expect(charges[1].metadata.impersonationId).toBeUndefined();
+  });
+
+  test('should only let admins impersonate users they outrank', async () => {
+    expect((await impersonate(sessionFor('support-1'), 'user-1')).status).toBe(403);
+
+    const self = await impersonate(sessionFor('admin-1'), 'admin-1');
+    expect(self.body.error.code).toBe('CANNOT_IMPERSONATE_SELF');
+
+    db.tables.roles = [{ id: 'roles-1', name: 'helpdesk', permissions: ['users:read', 'users:impersonate'] }];
+    db.tables.users[2].role = 'helpdesk';
+    const escalation = await impersonate(sessionFor('support-1'), 'admin-2');
+    expect(escalation.status).toBe(403);
+    expect(escalation.body.error.code).toBe('PERMISSION_ESCALATION');
+    expect((await impersonate(sessionFor('support-1'), 'user-1')).status).toBe(201);
+
+    expect((await impersonate(sessionFor('admin-1'), 'nobody')).status).toBe(404);
+  });
+
+  test('should end when the admin session ends or the admin loses access', async () => {
+    const login = await request(app).post('/api/auth/login').send({ email: 'admin@example.com', password });
+    const adminAuth = `Bearer ${login.body.data.tokens.accessToken}`;
+
+    const first = await impersonate(adminAuth, 'user-1');
+    const token = `Bearer ${first.body.data.accessToken}`;
+    expect((await request(app).get('/api/auth/me').set('Authorization', token)).status).toBe(200);
+
+    db.tables.sessions[0].revoked_at = new Date().toISOString();
+    expect((await request(app).get('/api/auth/me').set('Authorization', token)).status).toBe(401);
+
+    const second = await impersonate(sessionFor('admin-2'), 'user-1');
+    db.tables.users[1].role = 'support';
+    const demoted = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${second.body.data.accessToken}`);
+    expect(demoted.status).toBe(401);
+  });
+});
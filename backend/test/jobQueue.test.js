@@ -0,0 +1,242 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/models/MinimaxTask');
+
+const jobQueue = require('../src/services/jobQueue');
+const LocalJobStore = require('../src/services/jobStores/localJobStore');
+const providerRegistry = require('../src/services/providerRegistry');
+const aiService = require('../src/services/aiService');
+const minimaxService = require('../src/services/minimaxService');
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const job = (id, overrides = {}) => ({
+  id,
+  queue: 'test',
+  status: 'queued',
+  data: {},
+  attempts: 0,
+  maxAttempts: 3,
+  claims: 0,
+  availableAt: 0,
+  leaseOwner: null,
+  leaseExpiresAt: null,
+  ...overrides
+});
+
+describe('Local job store', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should lease due jobs up to the concurrency limit', async () => {
+    const store = new LocalJobStore();
+    await store.saveJob(job('a', { availableAt: 10 }));
+    await store.saveJob(job('b', { availableAt: 20 }));
+    await store.saveJob(job('later', { availableAt: 1000 }));
+
+    const claim = { owner: 'worker-1', now: 100, leaseExpiresAt: 5000, concurrency: 2 };
+
+    expect(await store.claimJob('test', claim)).toMatchObject({ id: 'a', status: 'active', claims: 1 });
+    expect(await store.claimJob('test', claim)).toMatchObject({ id: 'b', leaseOwner: 'worker-1' });
+    // "later" is due now, but both slots are leased
+    expect(await store.claimJob('test', { ...claim, now: 2000 })).toBeNull();
+  });
+
+  test('should hand out a job again once its lease expires', async () => {
+    const store = new LocalJobStore();
+    await store.saveJob(job('a'));
+
+    await store.claimJob('test', { owner: 'crashed', now: 100, leaseExpiresAt: 200, concurrency: 1 });
+    expect(await store.claimJob('test', { owner: 'other', now: 150, leaseExpiresAt: 250, concurrency: 1 }))
+      .toBeNull();
+
+    const reclaimed = await store.claimJob('test', { owner: 'other', now: 300, leaseExpiresAt: 400, concurrency: 1 });
+    expect(reclaimed).toMatchObject({ id: 'a', leaseOwner: 'other', claims: 2, attempts: 1 });
+
+    expect(await store.extendLease('test', 'a', 'crashed', 500)).toBe(false);
+    expect(await store.extendLease('test', 'a', 'other', 500)).toBe(true);
+  });
+
+  test('should fail a job once its leases have expired maxAttempts times', async () => {
+    const store = new LocalJobStore();
+    await store.saveJob(job('a', { maxAttempts: 2 }));
+
+    await store.claimJob('test', { owner: 'w1', now: 100, leaseExpiresAt: 200, concurrency: 1 });
+    await store.claimJob('test', { owner: 'w2', now: 300, leaseExpiresAt: 400, concurrency: 1 });
+
+    expect(await store.claimJob('test', { owner: 'w3', now: 500, leaseExpiresAt: 600, concurrency: 1 })).toBeNull();
+    expect(await store.getRecord('jobs:test', 'a')).toMatchObject({
+      status: 'failed',
+      attempts: 2,
+      claims: 2,
+      error: 'Job lease expired before it finished',
+      leaseOwner: null
+    });
+  });
+
+  test('should restore records and jobs from its snapshot', async () => {
+    const filePath = path.join(tmpDir, 'jobs.json');
+    const store = new LocalJobStore({ filePath });
+    await store.connect();
+    await store.setRecord('tasks', 't1', { id: 't1', status: 'processing' });
+    await store.saveJob(job('a'));
+    await store.close();
+
+    const restarted = new LocalJobStore({ filePath });
+    await restarted.connect();
+
+    expect(restarted.name).toBe('file');
+    expect(await restarted.getRecord('tasks', 't1')).toEqual({ id: 't1', status: 'processing' });
+    expect(await restarted.claimJob('test', { owner: 'w', now: 1, leaseExpiresAt: 2, concurrency: 1 }))
+      .toMatchObject({ id: 'a' });
+  });
+});
+
+describe('Job queue workers', () => {
+  beforeEach(async () => {
+    await jobQueue.useStore(new LocalJobStore());
+    jobQueue.config.retryDelay = 10;
+  });
+
+  afterEach(async () => {
+    await jobQueue.stop();
+  });
+
+  test('should complete jobs with the handler result', async () => {
+    await jobQueue.add('test', { n: 2 }, { id: 'double' });
+    jobQueue.process('test', async ({ data }) => ({ value: data.n * 2 }), { pollInterval: 10 });
+
+    await waitFor(async () => (await jobQueue.getJob('test', 'double')).status === 'completed');
+
+    expect(await jobQueue.getJob('test', 'double')).toMatchObject({
+      status: 'completed',
+      result: { value: 4 },
+      attempts: 0,
+      leaseOwner: null
+    });
+  });
+
+  test('should snooze without spending attempts and retry failures with backoff', async () => {
+    await jobQueue.add('test', { checks: 0 }, { id: 'poll' });
+    await jobQueue.add('test', {}, { id: 'broken', maxAttempts: 2 });
+
+    jobQueue.process('test', async (current) => {
+      if (current.id === 'broken') throw new Error('upstream unavailable');
+      return current.data.checks < 2 ? jobQueue.snooze(5, { checks: current.data.checks + 1 }) : 'done';
+    }, { pollInterval: 10, concurrency: 2 });
+
+    await waitFor(async () => (await jobQueue.listJobs('test', { status: 'queued' })).length === 0 &&
+      (await jobQueue.listJobs('test', { status: 'active' })).length === 0);
+
+    expect(await jobQueue.getJob('test', 'poll')).toMatchObject({
+      status: 'completed',
+      data: { checks: 2 },
+      attempts: 0,
+      claims: 3
+    });
+    expect(await jobQueue.getJob('test', 'broken')).toMatchObject({
+      status: 'failed',
+      attempts: 2,
+      error: 'upstream unavailable'
+    });
+  });
+
+  test('should discard the outcome of a job cancelled while it runs', async () => {
+    let release;
+    await jobQueue.add('test', {}, { id: 'slow' });
+    jobQueue.process('test', () => new Promise(resolve => { release = resolve; }), { pollInterval: 10 });
+
+    await waitFor(() => release);
+    await jobQueue.cancel('test', 'slow');
+    release('finished anyway');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(await jobQueue.getJob('test', 'slow')).toMatchObject({ status: 'cancelled', result: null });
+  });
+});
+
+describe('Task persistence', () => {
+  beforeEach(async () => {
+    await jobQueue.useStore(new LocalJobStore());
+  });
+
+  afterEach(async () => {
+    await jobQueue.stop();
+    providerRegistry.unregister('alpha');
+  });
+
+  test('should serve finished AI tasks from the store', async () => {
+    providerRegistry.register({
+      name: 'alpha',
+      service: { generate: jest.fn(async () => ({ content: 'stored', usage: {} })) },
+      capabilities: ['chat'],
+      models: [{ id: 'alpha-chat', type: 'chat' }],
+      priority: -1,
+      enabled: true
+    });
+
+    const { taskId } = await aiService.generate({ prompt: 'Hi', userId: 'persist-user' });
+    await waitFor(() => !aiService.liveTasks.has(taskId));
+
+    const task = await aiService.getTask(taskId);
+    expect(task.status).toBe('completed');
+    expect(task.result.content).toBe('stored');
+
+    const history = await aiService.getUserHistory('persist-user');
+    expect(history.tasks.map(entry => entry.id)).toContain(taskId);
+  });
+
+  test('should resume polling video tasks left processing by a previous run', async () => {
+    await jobQueue.setRecord('minimax-tasks', 'minimax_recovered', {
+      id: 'minimax_recovered',
+      type: 'video_generation',
+      status: 'processing',
+      minimaxTaskId: 'mm-recovered',
+      metadata: { userId: 'test-user', model: 'hailuo-2.3' },
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    await jobQueue.setRecord('minimax-tasks', 'minimax_unsent', {
+      id: 'minimax_unsent',
+      type: 'video_generation',
+      status: 'pending',
+      minimaxTaskId: null,
+      metadata: { userId: 'test-user', model: 'hailuo-2.3' }
+    });
+
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { status: 'completed', video_url: 'https://example.com/recovered.mp4' }
+    });
+
+    expect(await minimaxService.startStatusWorker()).toEqual({ recovered: 1, abandoned: 1 });
+    await waitFor(async () => (await minimaxService.getTask('minimax_recovered')).status === 'completed');
+
+    expect(post).toHaveBeenCalledWith(expect.stringContaining('/video/status'),
+      { task_id: 'mm-recovered' }, expect.anything());
+    expect((await minimaxService.getVideoResult('minimax_recovered')).result.videoUrl)
+      .toBe('https://example.com/recovered.mp4');
+    expect((await minimaxService.getTask('minimax_unsent')).status).toBe('failed');
+
+    const status = await jobQueue.getJob('minimax-video-status', 'minimax_recovered');
+    expect(status).toMatchObject({ status: 'completed', result: { status: 'completed' } });
+
+    post.mockRestore();
+  });
+});
@@ -0,0 +1,254 @@
+const net = require('net');
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const mailService = require('../src/services/mailService');
+const mailTemplates = require('../src/services/mailTemplates');
+const ConsoleTransport = require('../src/services/mailTransports/consoleTransport');
+const SmtpTransport = require('../src/services/mailTransports/smtpTransport');
+
+/**
+ * Just enough of an SMTP server to record a conversation
+ */
+const startSmtpServer = () => new Promise(resolve => {
+  const received = { commands: [], data: '' };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 test.local ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 queued as 42\r\n');
+          } else {
+            received.data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        received.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+
+        if (verb === 'EHLO') {
+          socket.write('250-test.local\r\n250-SIZE 1000000\r\n250 AUTH PLAIN LOGIN\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 2.7.0 Authentication successful\r\n');
+        } else if (verb === 'RCPT' && line.includes('blocked@')) {
+          socket.write('550 5.1.1 No such user\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 2.0.0 Bye\r\n');
+        } else {
+          socket.write('250 2.0.0 OK\r\n');
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+});
+
+describe('Mail transports and templates', () => {
+  test('should escape user content in HTML templates', () => {
+    const message = mailTemplates.render('webhookFailure', {
+      email: 'alice@example.com',
+      webhookUrl: 'https://example.com/<script>',
+      event: 'ai.task.failed',
+      error: 'connect ECONNREFUSED',
+      attempts: 4,
+      deliveryId: 'delivery-1'
+    });
+
+    expect(message.subject).toBe('Webhook delivery failed: ai.task.failed');
+    expect(message.text).toContain('https://example.com/<script>');
+    expect(message.html).toContain('https://example.com/&lt;script&gt;');
+    expect(message.html).not.toContain('<script>');
+    expect(() => mailTemplates.render('missing', {})).toThrow('Unknown mail template');
+  });
+
+  test('should deliver over SMTP with authentication', async () => {
+    const { server, received, port } = await startSmtpServer();
+    const transport = new SmtpTransport({ host: '127.0.0.1', port, user: 'mailer', pass: 's3cret', name: 'tests' });
+
+    try {
+      const result = await transport.send({
+        from: 'Playground <no-reply@example.com>',
+        to: 'Alice <alice@example.com>',
+        subject: 'Hello',
+        text: 'Plain body',
+        html: '<p>HTML body</p>'
+      });
+
+      expect(result.response).toContain('queued as 42');
+      expect(received.commands).toEqual([
+        'EHLO tests',
+        `AUTH PLAIN ${Buffer.from('\0mailer\0s3cret').toString('base64')}`,
+        'MAIL FROM:<no-reply@example.com>',
+        'RCPT TO:<alice@example.com>',
+        'DATA',
+        'QUIT'
+      ]);
+      expect(received.data).toContain('Subject: Hello');
+      expect(received.data).toContain(`Message-ID: ${result.messageId}`);
+      expect(received.data).toContain('Content-Type: multipart/alternative');
+      expect(received.data).toContain(Buffer.from('Plain body').toString('base64'));
+
+      await expect(transport.send({
+        from: 'no-reply@example.com',
+        to: 'blocked@example.com',
+        subject: 'Hello',
+        text: 'Plain body'
+      })).rejects.toThrow('SMTP RCPT failed: 550');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('Account email', () => {
+  let app;
+  let outbox;
+
+  const lastMail = () => outbox.outbox[outbox.outbox.length - 1];
+  const tokenFrom = (mail) => new URL(/https?:\/\/\S+/.exec(mail.text)[0]).searchParams.get('token');
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+  });
+
+  beforeEach(() => {
+    db.reset();
+    outbox = new ConsoleTransport();
+    mailService.useTransport(outbox);
+  });
+
+  test('should email a password reset link instead of returning the token', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'alice@example.com', password: 'Password123!' });
+
+    const response = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'alice@example.com' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.resetToken).toBeUndefined();
+
+    const mail = lastMail();
+    expect(mail.to).toBe('alice@example.com');
+    expect(mail.text).toContain('/reset-password?token=');
+    expect(tokenFrom(mail)).toBe(db.tables.users[0].password_reset_token);
+
+    const unknown = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+    expect(unknown.body.data).toEqual(response.body.data);
+    expect(outbox.outbox).toHaveLength(2);
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: tokenFrom(mail), password: 'Changed123!', confirmPassword: 'Changed123!' });
+    expect(reset.status).toBe(200);
+  });
+
+  test('should send a verification link at registration and verify once', async () => {
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'alice@example.com', password: 'Password123!' });
+    expect(registered.status).toBe(201);
+
+    const mail = lastMail();
+    expect(mail.subject).toContain('Confirm your email');
+    const token = tokenFrom(mail);
+
+    const verified = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.user.is_email_verified).toBe(true);
+    expect(db.tables.users[0].email_verification_token).toBeNull();
+
+    const reused = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(reused.status).toBe(400);
+    expect(reused.body.error.code).toBe('INVALID_VERIFICATION_TOKEN');
+
+    const again = await request(app)
+      .post('/api/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${registered.body.data.tokens.accessToken}`);
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('EMAIL_ALREADY_VERIFIED');
+  });
+
+  test('should resend verification at most once a minute and reject expired links', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'alice@example.com', password: 'Password123!' });
+    const firstToken = tokenFrom(lastMail());
+
+    const tooSoon = await request(app).post('/api/auth/verify-email/resend').send({ email: 'alice@example.com' });
+    expect(tooSoon.status).toBe(429);
+
+    // Pretend the first link went out two minutes ago
+    const ttl = authService.emailVerificationTtlHours * 3600000;
+    db.tables.users[0].email_verification_expires = new Date(Date.now() + ttl - 120000).toISOString();
+
+    const resent = await request(app).post('/api/auth/verify-email/resend').send({ email: 'alice@example.com' });
+    expect(resent.status).toBe(200);
+    expect(outbox.outbox).toHaveLength(2);
+
+    const stale = await request(app).post('/api/auth/verify-email').send({ token: firstToken });
+    expect(stale.status).toBe(400);
+
+    db.tables.users[0].email_verification_expires = new Date(Date.now() - 1000).toISOString();
+    const expired = await request(app).post('/api/auth/verify-email').send({ token: tokenFrom(lastMail()) });
+    expect(expired.status).toBe(400);
+
+    const unknown = await request(app).post('/api/auth/verify-email/resend').send({ email: 'nobody@example.com' });
+    expect(unknown.status).toBe(200);
+    expect((await request(app).post('/api/auth/verify-email/resend').send({})).status).toBe(400);
+  });
+
+  test('should throttle quota warnings and webhook failure notices', async () => {
+    db.tables.users = [{ id: 'user-1', email: 'alice@example.com', role: 'user', is_active: true }];
+    const limits = [{ limit: 'requestsPerDay', ratio: 92, threshold: 80 }];
+
+    expect(await mailService.notifyQuotaWarning('user-1', limits)).toBe(true);
+    expect(await mailService.notifyQuotaWarning('user-1', limits)).toBe(false);
+    expect(lastMail().text).toContain('Requests per day: 92% used');
+
+    const webhook = { id: 'webhook-1', userId: 'user-1', url: 'https://example.com/hook' };
+    const failure = { event: 'ai.task.completed', error: 'timeout', attempts: 4, deliveryId: 'delivery-1' };
+    expect(await mailService.notifyWebhookFailure(webhook, failure)).toBe(true);
+    expect(await mailService.notifyWebhookFailure(webhook, failure)).toBe(false);
+    expect(lastMail().subject).toBe('Webhook delivery failed: ai.task.completed');
+
+    expect(await mailService.notifyQuotaWarning('user-missing', limits)).toBe(false);
+    expect(outbox.outbox).toHaveLength(2);
+  });
+});
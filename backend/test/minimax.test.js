@@ -24,7 +24,8 @@ describe('Minimax Integration Tests', () => {
       verifyToken: (req, res, next) => {
         req.user = { id: 'test-user-id' };
         next();
-      }
+      },
+      requireScope: () => (req, res, next) => next()
     }));
     
     const aiRoutes = require('../src/routes/ai');
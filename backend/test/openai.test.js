@@ -0,0 +1,281 @@
+const http = require('http');
+
+jest.mock('../src/utils/logger');
+
+describe('OpenAI Integration Tests', () => {
+  let server;
+  let requests;
+  let openaiService;
+  let openaiConfig;
+  let aiService;
+
+  // Canned responses keyed by "METHOD path"; tests may override per case
+  let routes;
+
+  const defaultRoutes = () => ({
+    'POST /chat/completions': (body) => [200, {
+      id: 'chatcmpl-1',
+      model: body.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: 'Hello from the stub' },
+        finish_reason: 'stop'
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 }
+    }],
+    'POST /embeddings': (body) => [200, {
+      model: body.model,
+      // Deliberately out of order to check index sorting
+      data: body.input.map((_, index) => ({ index, embedding: [index, index + 0.5] })).reverse(),
+      usage: { prompt_tokens: 8, total_tokens: 8 }
+    }],
+    'POST /images/generations': () => [200, {
+      data: [{ url: 'http://stub/image.png', revised_prompt: 'a revised prompt' }]
+    }],
+    'GET /models': () => [200, { data: [{ id: 'gpt-4o-mini' }] }]
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const body = raw ? JSON.parse(raw) : null;
+        const path = req.url.replace(/^\/v1/, '');
+        requests.push({ method: req.method, path, headers: req.headers, body });
+
+        const handler = routes[`${req.method} ${path}`];
+        const [status, payload, headers = {}] = handler
+          ? handler(body)
+          : [404, { error: { message: 'Not found' } }];
+
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.OPENAI_API_BASE = `http://127.0.0.1:${server.address().port}/v1`;
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.OPENAI_ORGANIZATION = 'org-test';
+    process.env.OPENAI_ENABLED = 'true';
+    process.env.OPENAI_RETRY_DELAY = '1';
+    process.env.OPENAI_MAX_RETRIES = '2';
+
+    openaiConfig = require('../src/config/openai');
+    openaiService = require('../src/services/openaiService');
+    aiService = require('../src/services/aiService');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    routes = defaultRoutes();
+  });
+
+  describe('OpenAI Configuration', () => {
+    test('should expose chat, embeddings and image models', () => {
+      const types = new Set(Object.values(openaiConfig.config.models).map(m => m.type));
+      expect(types).toEqual(new Set(['chat', 'embeddings', 'image']));
+    });
+
+    test('should calculate per-token costs', () => {
+      const cost = openaiConfig.getModelCost('gpt-4o-mini', {
+        promptTokens: 1000000,
+        completionTokens: 1000000
+      });
+      expect(cost).toBeCloseTo(0.75);
+
+      const embeddingCost = openaiConfig.getModelCost('text-embedding-3-small', {
+        promptTokens: 1000000
+      });
+      expect(embeddingCost).toBeCloseTo(0.02);
+    });
+
+    test('should calculate per-image costs', () => {
+      expect(openaiConfig.getModelCost('dall-e-3', { images: 2 })).toBeCloseTo(0.08);
+      expect(openaiConfig.getModelCost('dall-e-3', { images: 1, quality: 'hd' })).toBeCloseTo(0.08);
+    });
+
+    test('should return zero for unknown models', () => {
+      expect(openaiConfig.getModelCost('unknown-model')).toBe(0);
+    });
+  });
+
+  describe('OpenAI Service', () => {
+    test('should generate chat completions', async () => {
+      const result = await openaiService.generate({
+        prompt: 'Hello',
+        model: 'gpt-4o-mini'
+      });
+
+      expect(result).toEqual({
+        content: 'Hello from the stub',
+        usage: { promptTokens: 12, completionTokens: 5, totalTokens: 17 },
+        model: 'gpt-4o-mini',
+        provider: 'openai',
+        finishReason: 'stop'
+      });
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].headers.authorization).toBe('Bearer sk-test');
+      expect(requests[0].headers['openai-organization']).toBe('org-test');
+      expect(requests[0].body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+      expect(requests[0].body.max_tokens).toBe(1000);
+    });
+
+    test('should send functions as tools and return tool calls', async () => {
+      routes['POST /chat/completions'] = (body) => [200, {
+        model: body.model,
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{
+              id: 'call_1',
+              type: 'function',
+              function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+            }]
+          },
+          finish_reason: 'tool_calls'
+        }],
+        usage: { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 }
+      }];
+
+      const result = await openaiService.generate({
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        model: 'gpt-4o',
+        functions: [{ name: 'get_weather', description: 'Get weather' }]
+      });
+
+      expect(requests[0].body.tools).toEqual([{
+        type: 'function',
+        function: {
+          name: 'get_weather',
+          description: 'Get weather',
+          parameters: { type: 'object', properties: {} }
+        }
+      }]);
+      expect(result.finishReason).toBe('tool_calls');
+      expect(result.toolCalls).toEqual([{
+        id: 'call_1',
+        name: 'get_weather',
+        arguments: '{"city":"Paris"}'
+      }]);
+    });
+
+    test('should generate embeddings in input order', async () => {
+      const result = await openaiService.generateEmbeddings({
+        texts: ['first', 'second'],
+        model: 'text-embedding-3-small'
+      });
+
+      expect(result.embeddings).toEqual([[0, 0.5], [1, 1.5]]);
+      expect(result.usage).toEqual({ promptTokens: 8, totalTokens: 8 });
+      expect(requests[0].body.input).toEqual(['first', 'second']);
+    });
+
+    test('should generate images and map high quality to hd', async () => {
+      const result = await openaiService.generateImage({
+        prompt: 'A lighthouse',
+        quality: 'high'
+      });
+
+      expect(result.url).toBe('http://stub/image.png');
+      expect(result.revisedPrompt).toBe('a revised prompt');
+      expect(result.model).toBe('dall-e-3');
+      expect(requests[0].body.quality).toBe('hd');
+    });
+
+    test('should reject models of the wrong type', async () => {
+      await expect(openaiService.generateEmbeddings({
+        texts: ['text'],
+        model: 'gpt-4o'
+      })).rejects.toThrow('Model gpt-4o is not a embeddings model');
+
+      expect(requests).toHaveLength(0);
+    });
+
+    test('should retry retryable errors', async () => {
+      let calls = 0;
+      routes['POST /chat/completions'] = (body) => {
+        calls++;
+        if (calls === 1) {
+          return [503, { error: { message: 'overloaded' } }];
+        }
+        return defaultRoutes()['POST /chat/completions'](body);
+      };
+
+      const result = await openaiService.generate({ prompt: 'Hi', model: 'gpt-4o-mini' });
+
+      expect(result.content).toBe('Hello from the stub');
+      expect(calls).toBe(2);
+    });
+
+    test('should not retry bad requests and should keep the status code', async () => {
+      routes['POST /chat/completions'] = () => [400, {
+        error: { message: 'max_tokens is too large' }
+      }];
+
+      const error = await openaiService.generate({ prompt: 'Hi', model: 'gpt-4o-mini' })
+        .catch(err => err);
+
+      expect(error.message).toBe('Bad request to OpenAI: max_tokens is too large');
+      expect(error.statusCode).toBe(400);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should report upstream auth failures as bad gateway', async () => {
+      routes['POST /chat/completions'] = () => [401, { error: { message: 'bad key' } }];
+
+      const error = await openaiService.generate({ prompt: 'Hi', model: 'gpt-4o-mini' })
+        .catch(err => err);
+
+      expect(error.message).toBe('Invalid OpenAI API key');
+      expect(error.statusCode).toBe(502);
+    });
+
+    test('should report healthy when the API responds', async () => {
+      const health = await openaiService.healthCheck();
+      expect(health.status).toBe('healthy');
+      expect(requests[0].method).toBe('GET');
+    });
+
+    test('should report unhealthy when the API fails', async () => {
+      routes['GET /models'] = () => [500, { error: { message: 'down' } }];
+
+      const health = await openaiService.healthCheck();
+      expect(health.status).toBe('unhealthy');
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('AiService provider selection', () => {
+    test('should route requests for OpenAI models to the OpenAI provider', () => {
+      const selected = aiService.selectProvider(null, 'gpt-4o');
+      expect(selected.name).toBe('openai');
+      expect(selected.model).toBe('gpt-4o');
+    });
+
+    test('should pick a default model matching the task type', () => {
+      expect(aiService.selectProvider('openai', null, 'generation').model).toBe('gpt-4o');
+      expect(aiService.selectProvider('openai', null, 'embeddings').model).toBe('text-embedding-3-small');
+      expect(aiService.selectProvider('openai', null, 'image').model).toBe('dall-e-3');
+    });
+
+    test('should generate embeddings through the orchestrator', async () => {
+      const result = await aiService.generateEmbeddings({
+        texts: ['hello'],
+        provider: 'openai'
+      });
+
+      expect(result.provider).toBe('openai');
+      expect(result.model).toBe('text-embedding-3-small');
+      expect(result.embeddings).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const request = require('supertest');
+const express = require('express');
+const { PassThrough } = require('stream');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/middleware/auth', () => ({
+  verifyApiKey: (req, res, next) => {
+    if (req.headers.authorization !== 'Bearer test-key') {
+      return res.status(401).json({ success: false, error: { message: 'Invalid API key' } });
+    }
+    req.user = { id: 'test-user-id' };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const providerRegistry = require('../src/services/providerRegistry');
+const openaiService = require('../src/services/openaiService');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+const sse = (data) => `data: ${JSON.stringify(data)}\n\n`;
+
+const clientEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.startsWith('data: '))
+  .map(block => block.slice(6))
+  .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+
+describe('OpenAI-compatible API', () => {
+  let app;
+  let upstream;
+  let service;
+  const reservation = { id: 'reservation-1', userId: 'test-user-id' };
+
+  const post = (path, payload) => request(app)
+    .post(`/v1${path}`)
+    .set('Authorization', 'Bearer test-key')
+    .send(payload);
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1', require('../src/routes/openai'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    webhookService.triggerEvent.mockResolvedValue([]);
+    quotaService.reserve.mockResolvedValue(reservation);
+    upstream = null;
+
+    service = {
+      generate: jest.fn(async ({ stream, model }) => {
+        if (stream) {
+          upstream = new PassThrough();
+          return { stream: upstream, chunks: openaiService.streamChunks(upstream), usage: null, model };
+        }
+        return {
+          content: 'Hello!',
+          usage: { promptTokens: 5, completionTokens: 2, totalTokens: 7 },
+          model,
+          finishReason: 'stop'
+        };
+      }),
+      generateEmbeddings: jest.fn(async ({ texts, model }) => ({
+        embeddings: texts.map((text, index) => [index, 0.5]),
+        usage: { promptTokens: 3, totalTokens: 3 },
+        model
+      })),
+      generateImage: jest.fn(async ({ model }) => ({
+        url: 'https://example.com/cat.png',
+        revisedPrompt: 'A cat, photographed',
+        model,
+        usage: { totalTokens: 0 }
+      }))
+    };
+
+    providerRegistry.register({
+      name: 'compat',
+      service,
+      capabilities: ['chat', 'streaming', 'embeddings', 'image'],
+      models: [
+        { id: 'compat-chat', type: 'chat' },
+        { id: 'compat-embed', type: 'embeddings' },
+        { id: 'compat-image', type: 'image' }
+      ],
+      priority: -1,
+      enabled: true,
+      getCost: (modelId, usage) => (usage.totalTokens || 0) * 0.001
+    });
+  });
+
+  afterEach(() => {
+    providerRegistry.unregister('compat');
+  });
+
+  test('should answer chat completions in the OpenAI format', async () => {
+    const response = await post('/chat/completions', {
+      model: 'compat-chat',
+      messages: [{ role: 'user', content: 'Hi' }],
+      max_tokens: 50
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      id: expect.stringMatching(/^chatcmpl-task_/),
+      object: 'chat.completion',
+      model: 'compat-chat',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hello!' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+    });
+    expect(service.generate).toHaveBeenCalledWith(expect.objectContaining({
+      messages: [{ role: 'user', content: 'Hi' }],
+      maxTokens: 50
+    }));
+
+    expect(quotaService.reserve).toHaveBeenCalledWith('test-user-id', {
+      tokens: 50,
+      cost: expect.closeTo(0.051),
+      requestType: 'generation'
+    });
+    expect(quotaService.settle).toHaveBeenCalledWith(reservation, {
+      tokens: 7,
+      cost: 0.007,
+      model: 'compat-chat',
+      provider: 'compat',
+      reference: expect.any(String)
+    });
+    expect(webhookService.triggerEvent).toHaveBeenCalledWith('ai.generation.completed',
+      expect.objectContaining({ userId: 'test-user-id', provider: 'compat', tokensUsed: 7 }));
+  });
+
+  test('should stream chat completion chunks', async () => {
+    const pending = post('/chat/completions', {
+      model: 'compat-chat',
+      messages: [{ role: 'user', content: 'Hi' }],
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    const response = await new Promise((resolve, reject) => {
+      pending.then(resolve, reject);
+      const feed = setInterval(() => {
+        if (!upstream) return;
+        clearInterval(feed);
+        upstream.write(sse({ choices: [{ delta: { content: 'Hel' } }] }));
+        upstream.write(sse({ choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] }));
+        upstream.write(sse({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }));
+        upstream.end('data: [DONE]\n\n');
+      }, 5);
+    });
+
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const events = clientEvents(response.text);
+    expect(events[0].choices[0].delta).toEqual({ role: 'assistant', content: '' });
+    expect(events.slice(1, 3).map(event => event.choices[0].delta.content)).toEqual(['Hel', 'lo']);
+    expect(events[3]).toMatchObject({
+      object: 'chat.completion.chunk',
+      choices: [{ delta: {}, finish_reason: 'stop' }]
+    });
+    expect(events[4]).toMatchObject({
+      choices: [],
+      usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }
+    });
+    expect(events[5]).toBe('[DONE]');
+    expect(new Set(events.slice(0, 5).map(event => event.id)).size).toBe(1);
+
+    expect(quotaService.settle).toHaveBeenCalledWith(reservation, {
+      tokens: 5,
+      cost: 0.005,
+      success: true,
+      model: 'compat-chat',
+      provider: 'compat',
+      reference: expect.any(String)
+    });
+  });
+
+  test('should create embeddings and images', async () => {
+    const embeddings = await post('/embeddings', { model: 'compat-embed', input: ['a', 'b'] });
+
+    expect(embeddings.status).toBe(200);
+    expect(embeddings.body).toEqual({
+      object: 'list',
+      data: [
+        { object: 'embedding', index: 0, embedding: [0, 0.5] },
+        { object: 'embedding', index: 1, embedding: [1, 0.5] }
+      ],
+      model: 'compat-embed',
+      usage: { prompt_tokens: 3, total_tokens: 3 }
+    });
+
+    const images = await post('/images/generations', { model: 'compat-image', prompt: 'A cat' });
+
+    expect(images.status).toBe(200);
+    expect(images.body.data).toEqual([
+      { url: 'https://example.com/cat.png', revised_prompt: 'A cat, photographed' }
+    ]);
+    expect(quotaService.settle).toHaveBeenCalledTimes(2);
+    expect(quotaService.reserve).toHaveBeenLastCalledWith('test-user-id', expect.objectContaining({ requestType: 'image_generation' }));
+  });
+
+  test('should list models', async () => {
+    const response = await request(app).get('/v1/models').set('Authorization', 'Bearer test-key');
+
+    expect(response.body.object).toBe('list');
+    expect(response.body.data).toEqual(expect.arrayContaining([
+      { id: 'compat-chat', object: 'model', created: 0, owned_by: 'compat' }
+    ]));
+
+    const missing = await request(app).get('/v1/models/nope').set('Authorization', 'Bearer test-key');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('model_not_found');
+  });
+
+  test('should report errors in the OpenAI envelope', async () => {
+    const unknownModel = await post('/chat/completions', {
+      model: 'gpt-imaginary',
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+    expect(unknownModel.status).toBe(404);
+    expect(unknownModel.body.error).toMatchObject({ code: 'model_not_found', param: 'model' });
+
+    const wrongEndpoint = await post('/embeddings', { model: 'compat-chat', input: 'x' });
+    expect(wrongEndpoint.status).toBe(400);
+    expect(wrongEndpoint.body.error.type).toBe('invalid_request_error');
+
+    const invalid = await post('/chat/completions', { model: 'compat-chat', messages: [] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatchObject({ type: 'invalid_request_error', param: 'messages' });
+
+    quotaService.reserve.mockRejectedValueOnce(new Error('Rate limit exceeded: requests per minute'));
+    const limited = await post('/chat/completions', {
+      model: 'compat-chat',
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toMatchObject({ type: 'rate_limit_error', code: 'rate_limit_exceeded' });
+    // A refused request holds nothing, so it has nothing to give back
+    expect(quotaService.release).not.toHaveBeenCalledWith(reservation, expect.anything());
+
+    service.generateEmbeddings.mockRejectedValueOnce(new Error('upstream down'));
+    const failed = await post('/embeddings', { model: 'compat-embed', input: 'x' });
+    expect(failed.status).toBe(500);
+    expect(quotaService.release).toHaveBeenCalledWith(reservation, 'failed');
+    expect(quotaService.settle).not.toHaveBeenCalled();
+    expect(quotaService.recordUsage).not.toHaveBeenCalled();
+
+    const unauthenticated = await request(app).get('/v1/models');
+    expect(unauthenticated.status).toBe(401);
+  });
+});
@@ -0,0 +1,244 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const quotaService = require('../src/services/quotaService');
+const auth = require('../src/middleware/auth');
+
+describe('Organization quotas', () => {
+  let organizationId = 0;
+
+  const joinNewOrganization = (...members) => {
+    organizationId++;
+    members.forEach(([userId, role]) => quotaService.setMembership(userId, `org-${organizationId}`, role));
+    return `org-${organizationId}`;
+  };
+
+  test('should pool requests across members', async () => {
+    const orgId = joinNewOrganization(['pool-a', 'member'], ['pool-b', 'member']);
+    await quotaService.setOrganizationQuota(orgId, { requestsPerMinute: 2 });
+
+    for (const userId of ['pool-a', 'pool-b']) {
+      await quotaService.checkQuota(userId, { tokens: 10 });
+      await quotaService.recordUsage(userId, { tokens: 10, cost: 0.01 });
+    }
+
+    await expect(quotaService.checkQuota('pool-a')).rejects.toMatchObject({
+      statusCode: 429,
+      code: 'ORGANIZATION_QUOTA_EXCEEDED'
+    });
+    expect((await quotaService.getUserUsage('pool-a')).concurrentRequests).toBe(0);
+
+    const info = await quotaService.getOrganizationQuotaInfo(orgId);
+    expect(info.usage.requests.perMinute).toBe(2);
+    expect(info.usage.tokens.total).toBe(20);
+    expect(Object.keys(info.members)).toEqual(['pool-a', 'pool-b']);
+  });
+
+  test('should stop requests that would exceed the monthly budget', async () => {
+    const orgId = joinNewOrganization(['budget-a', 'admin']);
+    await quotaService.setOrganizationQuota(orgId, { monthlyBudget: 1 });
+
+    await quotaService.checkQuota('budget-a', { cost: 0.8 });
+    await quotaService.recordUsage('budget-a', { cost: 0.8 });
+
+    await expect(quotaService.checkQuota('budget-a', { cost: 0.5 })).rejects.toMatchObject({
+      code: 'ORGANIZATION_BUDGET_EXCEEDED'
+    });
+    await expect(quotaService.checkQuota('budget-a', { cost: 0.1 })).resolves.toMatchObject({ allowed: true });
+
+    const { budget } = await quotaService.getOrganizationQuotaInfo(orgId);
+    expect(budget).toMatchObject({ limit: 1, spent: 0.8 });
+    expect(budget.remaining).toBeCloseTo(0.2);
+  });
+
+  test('should keep viewers read-only and drop users who leave', async () => {
+    const orgId = joinNewOrganization(['viewer-a', 'viewer']);
+    await quotaService.setOrganizationQuota(orgId, { requestsPerMinute: 1 });
+
+    await expect(quotaService.checkQuota('viewer-a')).rejects.toMatchObject({
+      statusCode: 403,
+      code: 'ORGANIZATION_VIEWER'
+    });
+
+    quotaService.setMembership('viewer-a', null);
+    await expect(quotaService.checkQuota('viewer-a')).resolves.toMatchObject({ allowed: true });
+  });
+});
+
+describe('Organization routes', () => {
+  let app;
+
+  const sessionFor = (userId) => {
+    const user = db.tables.users.find(row => row.id === userId);
+    return `Bearer ${authService.generateTokens({
+      userId: user.id,
+      email: user.email,
+      role: user.role
+    }).accessToken}`;
+  };
+
+  const as = (userId) => ({
+    get: (path) => request(app).get(path).set('Authorization', sessionFor(userId)),
+    post: (path, payload = {}) => request(app).post(path).set('Authorization', sessionFor(userId)).send(payload),
+    put: (path, payload = {}) => request(app).put(path).set('Authorization', sessionFor(userId)).send(payload),
+    delete: (path) => request(app).delete(path).set('Authorization', sessionFor(userId))
+  });
+
+  // Create an organization owned by alice, with the given users invited and joined
+  const setUpOrganization = async (members = {}) => {
+    const created = await as('alice').post('/api/organizations', { name: 'Acme' });
+    const orgId = created.body.data.organization.id;
+
+    for (const [userId, role] of Object.entries(members)) {
+      const inviteRole = role === 'admin' ? 'member' : role;
+      const email = `${userId}@example.com`;
+      const invitation = await as('alice').post(`/api/organizations/${orgId}/invitations`, { email, role: inviteRole });
+      await as(userId).post(`/api/organizations/invitations/${invitation.body.data.invitation.id}/accept`);
+
+      if (role === 'admin') {
+        await as('alice').put(`/api/organizations/${orgId}/members/${userId}`, { role });
+      }
+    }
+
+    return orgId;
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/organizations', require('../src/routes/organizations'));
+    app.get('/probe', auth.verifyToken, auth.requireScope('ai:generate'), (req, res) => {
+      res.json({ userId: req.user.id, organizationId: req.user.organization_id });
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.tables.users = ['alice', 'bob', 'carol', 'dave'].map(name => ({
+      id: name,
+      email: `${name}@example.com`,
+      role: 'user',
+      is_active: true,
+      is_email_verified: true
+    }));
+  });
+
+  test('should invite a user by email and let them join', async () => {
+    const created = await as('alice').post('/api/organizations', { name: 'Acme' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.role).toBe('owner');
+    const orgId = created.body.data.organization.id;
+
+    const invited = await as('alice').post(`/api/organizations/${orgId}/invitations`, {
+      email: 'Bob@Example.com',
+      role: 'viewer'
+    });
+    expect(invited.status).toBe(201);
+
+    const duplicate = await as('alice').post(`/api/organizations/${orgId}/invitations`, { email: 'bob@example.com' });
+    expect(duplicate.status).toBe(409);
+
+    const mine = await as('bob').get('/api/organizations/invitations');
+    expect(mine.body.data.invitations).toHaveLength(1);
+
+    const stranger = await as('carol').post(`/api/organizations/invitations/${invited.body.data.invitation.id}/accept`);
+    expect(stranger.status).toBe(404);
+
+    // Anyone can register with the invited address; only its verified owner may join
+    db.tables.users.find(row => row.id === 'bob').is_email_verified = false;
+    const unverified = await as('bob').post(`/api/organizations/invitations/${invited.body.data.invitation.id}/accept`);
+    expect(unverified.status).toBe(403);
+    expect(unverified.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+    expect(db.tables.users.find(row => row.id === 'bob').organization_id).toBeUndefined();
+    db.tables.users.find(row => row.id === 'bob').is_email_verified = true;
+
+    const accepted = await as('bob').post(`/api/organizations/invitations/${invited.body.data.invitation.id}/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data).toMatchObject({ organization: { id: orgId }, role: 'viewer' });
+
+    const members = await as('bob').get(`/api/organizations/${orgId}/members`);
+    expect(members.body.data.members.map(({ id, role }) => [id, role]).sort()).toEqual([
+      ['alice', 'owner'],
+      ['bob', 'viewer']
+    ]);
+
+    expect((await as('bob').get('/api/organizations/invitations')).body.data.invitations).toHaveLength(0);
+    expect((await as('carol').get(`/api/organizations/${orgId}`)).status).toBe(404);
+  });
+
+  test('should enforce role rules for managing members', async () => {
+    const orgId = await setUpOrganization({ bob: 'admin', carol: 'member', dave: 'viewer' });
+
+    const adminGrantsAdmin = await as('bob').put(`/api/organizations/${orgId}/members/carol`, { role: 'admin' });
+    expect(adminGrantsAdmin.status).toBe(403);
+
+    const adminDemotes = await as('bob').put(`/api/organizations/${orgId}/members/carol`, { role: 'viewer' });
+    expect(adminDemotes.status).toBe(200);
+    expect(adminDemotes.body.data.member.role).toBe('viewer');
+
+    const memberInvites = await as('dave').post(`/api/organizations/${orgId}/invitations`, { email: 'eve@example.com' });
+    expect(memberInvites.status).toBe(403);
+    expect(memberInvites.body.error.code).toBe('ORGANIZATION_ROLE_REQUIRED');
+
+    const removeOwner = await as('bob').delete(`/api/organizations/${orgId}/members/alice`);
+    expect(removeOwner.status).toBe(409);
+
+    const viewerRemovesOther = await as('dave').delete(`/api/organizations/${orgId}/members/carol`);
+    expect(viewerRemovesOther.status).toBe(403);
+
+    const leave = await as('dave').delete(`/api/organizations/${orgId}/members/dave`);
+    expect(leave.status).toBe(200);
+    expect(db.tables.users.find(row => row.id === 'dave')).toMatchObject({
+      organization_id: null,
+      organization_role: null
+    });
+
+    const ownerBudget = await as('alice').put(`/api/organizations/${orgId}/budget`, { monthlyBudget: 50 });
+    expect(ownerBudget.body.data.quota.monthlyBudget).toBe(50);
+    expect((await as('bob').put(`/api/organizations/${orgId}/budget`, { monthlyBudget: 500 })).status).toBe(403);
+  });
+
+  test('should issue organization keys that stop working when their creator leaves', async () => {
+    const orgId = await setUpOrganization({ bob: 'admin' });
+
+    const adminScope = await as('bob').post(`/api/organizations/${orgId}/keys`, {
+      name: 'Escalate',
+      scopes: ['admin:read']
+    });
+    expect(adminScope.status).toBe(403);
+
+    const created = await as('bob').post(`/api/organizations/${orgId}/keys`, {
+      name: 'Shared',
+      scopes: ['ai:generate']
+    });
+    expect(created.status).toBe(201);
+    const { key, apiKey } = created.body.data;
+    expect(apiKey.organization_id).toBe(orgId);
+
+    const used = await request(app).get('/probe').set('X-API-Key', key);
+    expect(used.body).toEqual({ userId: 'bob', organizationId: orgId });
+
+    const listed = await as('alice').get(`/api/organizations/${orgId}/keys`);
+    expect(listed.body.data.keys.map(listedKey => listedKey.id)).toEqual([apiKey.id]);
+
+    await as('alice').delete(`/api/organizations/${orgId}/members/bob`);
+
+    const afterLeaving = await request(app).get('/probe').set('X-API-Key', key);
+    expect(afterLeaving.status).toBe(401);
+    expect(afterLeaving.body.error.message).toBe('API key belongs to an organization its owner has left');
+  });
+});
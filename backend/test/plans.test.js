@@ -0,0 +1,205 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/models/RequestLog');
+jest.mock('../src/services/webhookService');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const aiService = require('../src/services/aiService');
+const planService = require('../src/services/planService');
+const Organization = require('../src/models/Organization');
+const providerRegistry = require('../src/services/providerRegistry');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+describe('Subscription plans', () => {
+  let app;
+
+  const sessionFor = (id) => {
+    const user = db.tables.users.find(row => row.id === id);
+    const { accessToken } = authService.generateTokens({ userId: user.id, email: user.email, role: user.role });
+    return `Bearer ${accessToken}`;
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ai', require('../src/routes/ai'));
+    app.use('/api/v1', require('../src/routes/api'));
+    app.use('/api/admin', require('../src/routes/admin'));
+
+    const generate = jest.fn(async ({ model }) => ({
+      content: 'hello',
+      usage: { promptTokens: 5, completionTokens: 5, totalTokens: 10 },
+      model
+    }));
+    providerRegistry.register({
+      name: 'plan-budget',
+      service: { generate },
+      capabilities: ['chat'],
+      models: [{ id: 'claude-3-5-haiku-test', type: 'chat' }],
+      priority: -2,
+      enabled: true
+    });
+    providerRegistry.register({
+      name: 'plan-premium',
+      service: { generate },
+      capabilities: ['chat'],
+      models: [{ id: 'claude-opus-test', type: 'chat' }],
+      priority: -3,
+      enabled: true
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    planService.cache.clear();
+    webhookService.triggerEvent.mockResolvedValue();
+
+    db.tables.users = [
+      { id: 'admin-1', email: 'admin@example.com', role: 'admin', is_active: true },
+      { id: 'user-1', email: 'alice@example.com', role: 'user', is_active: true },
+      { id: 'user-2', email: 'bob@example.com', role: 'user', is_active: true, organization_id: 'org-1', organization_role: 'member' },
+      { id: 'user-3', email: 'carol@example.com', role: 'user', is_active: true, organization_id: 'org-1', organization_role: 'member', plan: 'enterprise' }
+    ];
+    db.tables.organizations = [{ id: 'org-1', name: 'Acme', owner_id: 'user-2', plan: 'team' }];
+  });
+
+  afterEach(async () => {
+    await Promise.all(['user-1', 'user-2', 'user-3'].map(id => quotaService.removeUser(id)));
+  });
+
+  test('should report the plan in effect and its entitlements on /quota', async () => {
+    const own = await request(app).get('/api/v1/quota').set('Authorization', sessionFor('user-1'));
+
+    expect(own.status).toBe(200);
+    expect(own.body.data.plan).toMatchObject({ name: 'free', source: 'default', video: { maxResolution: '854x480' } });
+    expect(own.body.data.quota).toMatchObject({ plan: 'free', requestsPerMinute: 10, videosPerDay: 2 });
+    expect(own.body.data.remaining.videos.perDay).toBe(2);
+
+    const member = await request(app).get('/api/v1/quota').set('Authorization', sessionFor('user-2'));
+    expect(member.body.data.plan).toMatchObject({ name: 'team', source: 'organization' });
+    expect(member.body.data.quota.requestsPerMinute).toBe(planService.getPlan('team').quota.requestsPerMinute);
+
+    // A user's own plan wins over their organization's
+    const assigned = await request(app).get('/api/v1/quota').set('Authorization', sessionFor('user-3'));
+    expect(assigned.body.data.plan).toMatchObject({ name: 'enterprise', source: 'user' });
+    expect(assigned.body.data.quota.imagesPerDay).toBeNull();
+  });
+
+  test('should cache organization plans between requests', async () => {
+    const lookup = jest.spyOn(Organization, 'findById');
+    const member = db.tables.users.find(row => row.id === 'user-2');
+
+    expect((await planService.resolve(member)).name).toBe('team');
+    expect((await planService.resolve(member)).name).toBe('team');
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    lookup.mockRestore();
+  });
+
+  test('should keep accounts from before plans on their old limits', async () => {
+    db.tables.users[1].plan = 'legacy';
+
+    const legacy = await request(app).get('/api/v1/quota').set('Authorization', sessionFor('user-1'));
+    expect(legacy.body.data.plan).toMatchObject({ name: 'legacy', source: 'user' });
+    expect(legacy.body.data.quota).toMatchObject({ requestsPerMinute: 60, concurrentRequests: 5, imagesPerDay: null });
+
+    // The quota every user had before plans, model access included
+    const { quota } = planService.getPlan('legacy');
+    Object.keys(quota).forEach(limit => expect(quota[limit]).toBe(quotaService.config.defaultQuota[limit]));
+
+    const opus = await request(app).post('/api/v1/ai/generate').set('Authorization', sessionFor('user-1'))
+      .send({ prompt: 'hi', model: 'claude-opus-test' });
+    expect(opus.status).toBe(200);
+  });
+
+  test('should deny models and video options outside the plan before using quota', async () => {
+    const auth = sessionFor('user-1');
+
+    const denied = await request(app).post('/api/v1/ai/generate').set('Authorization', auth)
+      .send({ prompt: 'hi', model: 'claude-opus-test' });
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toMatchObject({ code: 'MODEL_NOT_IN_PLAN', message: 'Model claude-opus-test is not included in the Free plan' });
+    expect((await quotaService.getUserUsage('user-1')).totalRequests).toBe(0);
+
+    const allowed = await request(app).post('/api/v1/ai/generate').set('Authorization', auth)
+      .send({ prompt: 'hi', model: 'claude-3-5-haiku-test' });
+    expect(allowed.status).toBe(200);
+
+    const video = await request(app).post('/api/v1/ai/minimax/video').set('Authorization', auth)
+      .send({ prompt: 'A cat surfing', resolution: '1280x720' });
+    expect(video.status).toBe(403);
+    expect(video.body.error.code).toBe('PLAN_LIMIT_EXCEEDED');
+
+    const long = await request(app).post('/api/v1/ai/minimax/video').set('Authorization', auth)
+      .send({ prompt: 'A cat surfing', duration: 10 });
+    expect(long.body.error.message).toBe('The Free plan allows videos up to 6 seconds');
+
+    // Routed requests only consider models the plan includes
+    const { candidates } = await aiService.planRoute(null, null, 'generation', { plan: 'free' });
+    expect(candidates.map(candidate => candidate.model)).not.toContain('claude-opus-test');
+    expect(candidates.every(candidate => planService.isModelAllowed('free', candidate.model))).toBe(true);
+  });
+
+  test('should enforce the plan\'s daily image and video limits', async () => {
+    await quotaService.setPlan('user-1', planService.getPlan('free'));
+
+    for (let i = 0; i < 2; i++) {
+      await quotaService.checkQuota('user-1', { cost: 0.49, requestType: 'minimax_video_generation' });
+      await quotaService.recordUsage('user-1', { cost: 0.49, requestType: 'minimax_video_generation' });
+    }
+
+    await expect(quotaService.checkQuota('user-1', { requestType: 'minimax_image_to_video' }))
+      .rejects.toThrow('Rate limit exceeded: videos per day');
+    await expect(quotaService.checkQuota('user-1', { requestType: 'image_generation' }))
+      .resolves.toMatchObject({ remaining: { videos: { perDay: 0 }, images: { perDay: 10 } } });
+    await quotaService.recordUsage('user-1', { success: false });
+
+    // A cancelled video gives its slot back
+    await quotaService.refundUsage('user-1', { cost: 0.49, requestType: 'minimax_video_generation' });
+    expect((await quotaService.getQuotaInfo('user-1')).usage.videos.perDay).toBe(1);
+  });
+
+  test('should let admins assign plans with history and audit entries', async () => {
+    const adminAuth = sessionFor('admin-1');
+
+    const invalid = await request(app).put('/api/admin/users/user-1/plan').set('Authorization', adminAuth)
+      .send({ plan: 'platinum' });
+    expect(invalid.status).toBe(400);
+
+    const upgraded = await request(app).put('/api/admin/users/user-1/plan').set('Authorization', adminAuth)
+      .send({ plan: 'pro', reason: 'Annual contract' });
+    expect(upgraded.status).toBe(200);
+    expect(upgraded.body.data).toMatchObject({ assigned: 'pro', plan: { name: 'pro', source: 'user' } });
+    expect((await quotaService.getUserQuota('user-1')).videosPerDay).toBe(20);
+
+    const details = await request(app).get('/api/admin/users/user-1/plan').set('Authorization', adminAuth);
+    expect(details.body.data.history).toEqual([
+      expect.objectContaining({ from_plan: null, to_plan: 'pro', changed_by: 'admin-1', reason: 'Annual contract' })
+    ]);
+
+    // Members without a plan of their own follow the organization at once
+    const organization = await request(app).put('/api/admin/organizations/org-1/plan').set('Authorization', adminAuth)
+      .send({ plan: 'pro' });
+    expect(organization.status).toBe(200);
+    expect((await quotaService.getUserQuota('user-2')).plan).toBe('pro');
+    expect((await quotaService.getUserQuota('user-3')).plan).toBe('enterprise');
+
+    const changes = db.tables.audit_log.filter(entry => entry.action === 'plan.change');
+    expect(changes.map(entry => [entry.target_type, entry.target_id])).toEqual([['user', 'user-1'], ['organization', 'org-1']]);
+    expect(changes[1].changes).toMatchObject({ plan: { from: 'team', to: 'pro' } });
+  });
+});
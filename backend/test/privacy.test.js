@@ -0,0 +1,220 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const User = require('../src/models/User');
+const authService = require('../src/services/authService');
+const privacyService = require('../src/services/privacyService');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+const mailService = require('../src/services/mailService');
+const jobQueue = require('../src/services/jobQueue');
+const LocalJobStore = require('../src/services/jobStores/localJobStore');
+const ConsoleTransport = require('../src/services/mailTransports/consoleTransport');
+
+describe('Account export and deletion', () => {
+  let app;
+  let outbox;
+  const password = 'Password123!';
+
+  const sessionFor = (id) => {
+    const user = db.tables.users.find(row => row.id === id);
+    const { accessToken } = authService.generateTokens({ userId: user.id, email: user.email, role: user.role });
+    return `Bearer ${accessToken}`;
+  };
+
+  const login = async () => {
+    const response = await request(app).post('/api/auth/login').send({ email: 'alice@example.com', password });
+    return `Bearer ${response.body.data.tokens.accessToken}`;
+  };
+
+  const actions = () => (db.tables.audit_log || []).map(entry => entry.action);
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.use('/api/admin', require('../src/routes/admin'));
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    await jobQueue.useStore(new LocalJobStore());
+    outbox = new ConsoleTransport();
+    mailService.useTransport(outbox);
+
+    db.tables.users = [
+      { id: 'admin-1', email: 'admin@example.com', role: 'admin', is_active: true },
+      {
+        id: 'user-1',
+        email: 'alice@example.com',
+        role: 'user',
+        is_active: true,
+        password_hash: await bcrypt.hash(password, 4)
+      },
+      { id: 'user-2', email: 'bob@example.com', role: 'user', is_active: true }
+    ];
+    db.tables.api_keys = [{ id: 'key-1', user_id: 'user-1', name: 'ci', key_hash: 'secret-hash', scopes: ['ai:read'] }];
+    db.tables.minimax_tasks = [
+      { id: 'video-1', user_id: 'user-1', prompt: 'A cat surfing' },
+      { id: 'video-2', user_id: 'user-2', prompt: 'A dog skiing' }
+    ];
+    db.tables.usage_logs = [
+      { id: 'usage-1', user_id: 'user-1', cost: 0.5, tokens_total: 100, ip_address: '10.0.0.1', metadata: { prompt: 'hi' } },
+      { id: 'usage-2', user_id: 'user-2', cost: 0.25, tokens_total: 50, ip_address: '10.0.0.2' }
+    ];
+    db.tables.plan_changes = [
+      { id: 'plan-1', subject_type: 'user', subject_id: 'user-1', to_plan: 'pro', reason: 'Asked for a refund twice' },
+      { id: 'plan-2', subject_type: 'user', subject_id: 'user-2', to_plan: 'pro' },
+      // Another kind of subject that happens to share the ID
+      { id: 'plan-3', subject_type: 'organization', subject_id: 'user-1', to_plan: 'team' }
+    ];
+    db.tables.request_logs = [
+      { id: 'request-1', user_id: 'user-1', endpoint: '/api/v1/ai/generate', body: { prompt: 'hi' }, response_status: 200 }
+    ];
+
+    await webhookService.registerWebhook('user-1', { url: 'https://alice.example.com/hook', secret: 'whsec_alice' });
+    await webhookService.registerWebhook('user-2', { url: 'https://bob.example.com/hook' });
+    // Same shape aiService and minimaxService write: the owner is in the metadata
+    await jobQueue.setRecord('ai-tasks', 'task-1', { id: 'task-1', type: 'generation', status: 'completed', metadata: { userId: 'user-1' } });
+    await jobQueue.setRecord('ai-tasks', 'task-2', { id: 'task-2', type: 'generation', status: 'completed', metadata: { userId: 'user-2' } });
+    await jobQueue.setRecord('minimax-tasks', 'minimax-1', { id: 'minimax-1', type: 'video_generation', status: 'completed', metadata: { userId: 'user-1' } });
+    await jobQueue.setRecord('minimax-tasks', 'minimax-2', { id: 'minimax-2', type: 'video_generation', status: 'completed', metadata: { userId: 'user-2' } });
+    await quotaService.setUserQuota('user-1', { requestsPerMinute: 5 });
+    await quotaService.recordUsage('user-1', { tokens: 100, cost: 0.5 });
+  });
+
+  afterEach(async () => {
+    webhookService.webhooks.clear();
+    await Promise.all(['user-1', 'user-2'].map(id => quotaService.removeUser(id)));
+  });
+
+  test('should export everything tied to the account without secrets', async () => {
+    const response = await request(app).get('/api/auth/me/export').set('Authorization', await login());
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="account-export-user-1\.json"/);
+
+    const archive = JSON.parse(response.text);
+    expect(archive.profile.email).toBe('alice@example.com');
+    expect(archive.apiKeys).toEqual([expect.objectContaining({ id: 'key-1', name: 'ci' })]);
+    expect(archive.sessions).toHaveLength(1);
+    expect(archive.videoTasks.map(task => task.id)).toEqual(['video-1']);
+    expect(archive.usageLogs.map(log => log.id)).toEqual(['usage-1']);
+    expect(archive.planChanges.map(change => change.id)).toEqual(['plan-1']);
+    expect(archive.requestLogs).toHaveLength(1);
+    expect(archive.aiTasks.map(task => task.id)).toEqual(['task-1']);
+    expect(archive.videoJobs.map(job => job.id)).toEqual(['minimax-1']);
+    expect(archive.webhooks).toEqual([expect.objectContaining({ url: 'https://alice.example.com/hook' })]);
+    expect(archive.quota.quota.requestsPerMinute).toBe(5);
+    expect(archive.quota.usage.tokens.total).toBe(100);
+
+    expect(response.text).not.toContain('secret-hash');
+    expect(response.text).not.toContain('whsec_alice');
+    expect(response.text).not.toContain('password_hash');
+    expect(response.text).not.toContain('refresh_jti');
+    expect(actions()).toContain('user.data_export');
+  });
+
+  test('should schedule deletion after confirmation and let the user cancel it', async () => {
+    const auth = await login();
+    const deletion = (body) => request(app).post('/api/auth/me/deletion').set('Authorization', auth).send(body);
+
+    expect((await deletion({ confirmEmail: 'bob@example.com', password })).body.error.code)
+      .toBe('CONFIRMATION_REQUIRED');
+    expect((await deletion({ confirmEmail: 'alice@example.com', password: 'Wrong123!' })).status).toBe(401);
+
+    const scheduled = await deletion({ confirmEmail: 'alice@example.com', password });
+    expect(scheduled.status).toBe(202);
+    const days = (new Date(scheduled.body.data.deletion.scheduledFor) - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(privacyService.config.graceDays);
+
+    expect(outbox.outbox[outbox.outbox.length - 1]).toMatchObject({ to: 'alice@example.com' });
+    expect(outbox.outbox[outbox.outbox.length - 1].subject).toMatch(/will be deleted/);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', auth);
+    expect(me.body.data.user.deletion.scheduledFor).toBe(scheduled.body.data.deletion.scheduledFor);
+
+    const cancelled = await request(app).delete('/api/auth/me/deletion').set('Authorization', auth);
+    expect(cancelled.status).toBe(200);
+    expect((await request(app).delete('/api/auth/me/deletion').set('Authorization', auth)).status).toBe(404);
+    expect(await privacyService.getDeletion('user-1')).toBeNull();
+
+    expect(actions()).toEqual(expect.arrayContaining(['user.deletion_requested', 'user.deletion_cancelled']));
+  });
+
+  test('should erase or anonymize the account across tables and stores', async () => {
+    await login();
+    await privacyService.requestDeletion(await User.findById('user-1'), { confirmEmail: 'alice@example.com', password });
+
+    const summary = await privacyService.eraseAccount('user-1');
+    expect(summary).toMatchObject({ apiKeys: 1, sessions: 1, videoTasks: 1, usageLogs: 1, planChanges: 1, aiTasks: 1, videoJobs: 1, webhooks: 1 });
+
+    expect(db.tables.users.map(row => row.id)).toEqual(['admin-1', 'user-2']);
+    expect(db.tables.api_keys).toHaveLength(0);
+    expect(db.tables.sessions).toHaveLength(0);
+    expect(db.tables.minimax_tasks.map(task => task.id)).toEqual(['video-2']);
+
+    // Totals still add up, but nothing points back at the user
+    expect(db.tables.usage_logs[0]).toMatchObject({ id: 'usage-1', user_id: null, ip_address: null, cost: 0.5, metadata: {} });
+    expect(db.tables.usage_logs[1].user_id).toBe('user-2');
+    expect(db.tables.request_logs[0]).toMatchObject({ user_id: null, body: null, response_status: 200 });
+    expect(db.tables.plan_changes.map(change => change.id)).toEqual(['plan-2', 'plan-3']);
+
+    expect(webhookService.getUserWebhooks('user-1')).toHaveLength(0);
+    expect(webhookService.getUserWebhooks('user-2')).toHaveLength(1);
+    expect((await jobQueue.listRecords('ai-tasks')).map(task => task.id)).toEqual(['task-2']);
+    expect((await jobQueue.listRecords('minimax-tasks')).map(job => job.id)).toEqual(['minimax-2']);
+    expect((await quotaService.getUserQuota('user-1')).requestsPerMinute).toBe(quotaService.config.defaultQuota.requestsPerMinute);
+    expect((await quotaService.getUserUsage('user-1')).totalTokens).toBe(0);
+
+    const erased = db.tables.audit_log[db.tables.audit_log.length - 1];
+    expect(erased).toMatchObject({ action: 'user.erased', target_id: 'user-1' });
+    expect(JSON.stringify(erased)).not.toContain('alice@example.com');
+
+    expect(await privacyService.eraseAccount('user-1')).toBeNull();
+  });
+
+  test('should let admins deactivate and schedule, cancel, or erase at once', async () => {
+    const adminAuth = sessionFor('admin-1');
+
+    const scheduled = await request(app).delete('/api/admin/users/user-2').set('Authorization', adminAuth);
+    expect(scheduled.status).toBe(202);
+    expect(db.tables.users[2].is_active).toBe(false);
+
+    const details = await request(app).get('/api/admin/users/user-2').set('Authorization', adminAuth);
+    expect(details.body.data.deletion.requestedBy).toBe('admin-1');
+
+    const cancelled = await request(app).delete('/api/admin/users/user-2/deletion').set('Authorization', adminAuth);
+    expect(cancelled.status).toBe(200);
+    expect(db.tables.users[2].is_active).toBe(true);
+
+    db.tables.users[1].organization_id = 'org-1';
+    db.tables.users[1].organization_role = 'owner';
+    db.tables.users[2].organization_id = 'org-1';
+    db.tables.users[2].organization_role = 'member';
+    const owner = await request(app).delete('/api/admin/users/user-1?immediate=true').set('Authorization', adminAuth);
+    expect(owner.status).toBe(409);
+    expect(owner.body.error.code).toBe('ORGANIZATION_HAS_MEMBERS');
+
+    const erased = await request(app).delete('/api/admin/users/user-2?immediate=true').set('Authorization', adminAuth);
+    expect(erased.status).toBe(200);
+    expect(db.tables.users.map(row => row.id)).toEqual(['admin-1', 'user-1']);
+    expect(db.tables.minimax_tasks.map(task => task.id)).toEqual(['video-1']);
+    expect(actions().slice(-1)).toEqual(['user.erased']);
+    expect(db.tables.audit_log[db.tables.audit_log.length - 1].actor_id).toBe('admin-1');
+  });
+});
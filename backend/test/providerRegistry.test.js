@@ -0,0 +1,240 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'test-user-id' };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const providerRegistry = require('../src/services/providerRegistry');
+const aiService = require('../src/services/aiService');
+
+const fakeService = () => ({
+  generate: jest.fn(async ({ model }) => ({
+    content: 'fake response',
+    usage: { promptTokens: 100, completionTokens: 50, totalTokens: 150 },
+    model,
+    provider: 'acme'
+  })),
+  generateEmbeddings: jest.fn(async ({ model, texts }) => ({
+    embeddings: texts.map(() => [0.1, 0.2]),
+    model,
+    usage: { promptTokens: 10, totalTokens: 10 }
+  })),
+  healthCheck: jest.fn(async () => ({ status: 'healthy' }))
+});
+
+const acmeDefinition = (overrides = {}) => ({
+  name: 'acme',
+  service: fakeService(),
+  capabilities: ['chat', 'embeddings'],
+  models: [
+    { id: 'acme-chat', type: 'chat' },
+    { id: 'acme-embed', type: 'embeddings' }
+  ],
+  priority: 0,
+  enabled: true,
+  getCost: (modelId, usage) => (usage.totalTokens || 0) * 0.01,
+  ...overrides
+});
+
+describe('Provider Registry', () => {
+  afterEach(() => {
+    providerRegistry.unregister('acme');
+  });
+
+  describe('Built-in providers', () => {
+    test('should load the bundled provider definitions', () => {
+      expect(providerRegistry.getNames()).toEqual(
+        expect.arrayContaining(['minimax', 'openai', 'anthropic'])
+      );
+    });
+
+    test('should expose declared capabilities', () => {
+      expect(providerRegistry.supports('minimax', 'video')).toBe(true);
+      expect(providerRegistry.supports('anthropic', 'embeddings')).toBe(false);
+      expect(providerRegistry.supports('unknown', 'chat')).toBe(false);
+    });
+
+    test('should price requests with the provider cost table', () => {
+      const cost = providerRegistry.getModelCost('openai', 'gpt-4o-mini', {
+        promptTokens: 1000000,
+        completionTokens: 0
+      });
+      expect(cost).toBeCloseTo(0.15);
+
+      expect(providerRegistry.getModelCost('minimax', 'abab5.5-chat', { totalTokens: 1000 }))
+        .toBeCloseTo(0.1);
+    });
+  });
+
+  describe('Registration', () => {
+    test('should reject definitions without a name or service', () => {
+      expect(() => providerRegistry.register({ service: {} }))
+        .toThrow('Provider definition must have a name');
+      expect(() => providerRegistry.register({ name: 'acme' }))
+        .toThrow('Provider acme must have a service');
+    });
+
+    test('should reject unknown capabilities', () => {
+      expect(() => providerRegistry.register(acmeDefinition({ capabilities: ['telepathy'] })))
+        .toThrow('Provider acme declares unknown capabilities: telepathy');
+    });
+
+    test('should tag models with the provider name', () => {
+      providerRegistry.register(acmeDefinition());
+
+      expect(providerRegistry.getProviderInfo('acme')).toEqual({
+        name: 'acme',
+        enabled: true,
+        capabilities: ['chat', 'embeddings'],
+        models: [
+          { id: 'acme-chat', type: 'chat', provider: 'acme' },
+          { id: 'acme-embed', type: 'embeddings', provider: 'acme' }
+        ],
+        priority: 0
+      });
+    });
+
+    test('should fall back to the <NAME>_ENABLED environment variable', () => {
+      process.env.ACME_ENABLED = 'true';
+      providerRegistry.register(acmeDefinition({ enabled: undefined }));
+      expect(providerRegistry.get('acme').enabled).toBe(true);
+
+      delete process.env.ACME_ENABLED;
+      providerRegistry.register(acmeDefinition({ enabled: undefined }));
+      expect(providerRegistry.get('acme').enabled).toBe(false);
+    });
+
+    test('should throw a 404 error for unknown providers', () => {
+      expect.assertions(3);
+      try {
+        providerRegistry.get('nope');
+      } catch (error) {
+        expect(error.message).toBe('Unknown provider: nope');
+        expect(error.statusCode).toBe(404);
+        expect(error.code).toBe('PROVIDER_NOT_FOUND');
+      }
+    });
+
+    test('should load provider modules from a directory', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+      fs.writeFileSync(path.join(dir, 'acme.js'), `
+        module.exports = {
+          name: 'acme',
+          service: { generate: async () => ({}) },
+          capabilities: ['chat'],
+          models: [{ id: 'acme-dir-model', type: 'chat' }],
+          enabled: true
+        };
+      `);
+      fs.writeFileSync(path.join(dir, 'README.md'), 'not a provider');
+
+      try {
+        const loaded = providerRegistry.loadFromDirectory(dir);
+
+        expect(loaded).toHaveLength(1);
+        expect(providerRegistry.findModel('acme-dir-model').provider.name).toBe('acme');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('AiService integration', () => {
+    test('should auto-select the highest priority provider with the capability', () => {
+      providerRegistry.register(acmeDefinition());
+
+      expect(aiService.selectProvider(null, null, 'generation')).toMatchObject({
+        name: 'acme',
+        model: 'acme-chat'
+      });
+      expect(aiService.selectProvider(null, null, 'embeddings')).toMatchObject({
+        name: 'acme',
+        model: 'acme-embed'
+      });
+    });
+
+    test('should skip providers that lack the capability', () => {
+      // No bundled provider is enabled in tests, so nothing else can serve the request
+      providerRegistry.register(acmeDefinition({ capabilities: ['embeddings'] }));
+
+      expect(() => aiService.selectProvider('acme', null, 'generation'))
+        .toThrow('No enabled AI provider supports generation');
+      expect(aiService.selectProvider('acme', null, 'embeddings').name).toBe('acme');
+    });
+
+    test('should ignore disabled providers', () => {
+      providerRegistry.register(acmeDefinition({ enabled: false }));
+
+      expect(aiService.getAvailableModels().some(m => m.provider === 'acme')).toBe(false);
+      expect(() => aiService.selectProvider(null, 'acme-chat'))
+        .toThrow('No enabled AI provider supports generation');
+    });
+
+    test('should attach the registry-priced cost to results', async () => {
+      providerRegistry.register(acmeDefinition());
+
+      const result = await aiService.generate({ prompt: 'Hi', provider: 'acme' });
+
+      expect(result.provider).toBe('acme');
+      expect(result.cost).toBeCloseTo(1.5);
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/v1/ai', require('../src/routes/ai'));
+      app.use('/api/v1', require('../src/routes/api'));
+    });
+
+    test('GET /api/v1/ai/models should list registered models', async () => {
+      providerRegistry.register(acmeDefinition());
+
+      const response = await request(app).get('/api/v1/ai/models');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(m => m.id)).toEqual(
+        expect.arrayContaining(['acme-chat', 'acme-embed'])
+      );
+    });
+
+    test('GET /api/v1/models/:provider should return 404 for unknown providers', async () => {
+      const response = await request(app).get('/api/v1/models/nope');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should accept newly registered providers without route changes', async () => {
+      providerRegistry.register(acmeDefinition());
+
+      const response = await request(app)
+        .post('/api/v1/ai/embeddings')
+        .send({ texts: ['hello'], provider: 'acme' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.provider).toBe('acme');
+    });
+
+    test('should reject providers that lack the requested capability', async () => {
+      const response = await request(app)
+        .post('/api/v1/ai/embeddings')
+        .send({ texts: ['hello'], provider: 'anthropic' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
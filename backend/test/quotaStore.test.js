@@ -0,0 +1,131 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: (options = {}) => ({
+    connect: options.url === 'redis://unreachable:6379'
+      ? jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'))
+      : jest.fn().mockResolvedValue(),
+    on: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const quotaService = require('../src/services/quotaService');
+const DatabaseQuotaStore = require('../src/services/quotaStores/databaseQuotaStore');
+
+describe('Shared quota store', () => {
+  // Each instance stands in for a separate backend process
+  const instance = async () => {
+    const service = new quotaService.constructor();
+    await service.useStore(new DatabaseQuotaStore());
+    return service;
+  };
+
+  beforeEach(async () => {
+    db.reset();
+    await quotaService.useStore(new DatabaseQuotaStore());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should enforce one limit across instances and keep counters through a restart', async () => {
+    const [first, second] = [await instance(), await instance()];
+    await first.setUserQuota('user-1', { requestsPerMinute: 2 });
+
+    for (const service of [first, second]) {
+      await service.checkQuota('user-1', { tokens: 10 });
+      await service.recordUsage('user-1', { tokens: 10, cost: 0.02 });
+    }
+    await expect(second.checkQuota('user-1')).rejects.toThrow('requests per minute');
+
+    // Configured for Redis, but it can't be reached
+    const restarted = new quotaService.constructor();
+    Object.assign(restarted.config, { driver: 'redis', redisUrl: 'redis://unreachable:6379' });
+    expect(await restarted.healthCheck()).toMatchObject({ status: 'degraded', driver: 'database' });
+
+    const info = await restarted.getQuotaInfo('user-1');
+    expect(info.quota.requestsPerMinute).toBe(2);
+    expect(info.usage.requests).toMatchObject({ perMinute: 2, perDay: 2, total: 2 });
+    expect(info.usage.cost).toBeCloseTo(0.04);
+    expect(await restarted.getUsageHistory('user-1')).toHaveLength(2);
+  });
+
+  test('should start new windows on their own and purge the old ones', async () => {
+    const start = Date.UTC(2026, 9, 19, 10, 0, 30);
+    jest.useFakeTimers({ now: start });
+    const service = await instance();
+
+    await service.recordUsage('user-1', { tokens: 100 });
+
+    jest.setSystemTime(start + 60 * 1000);
+    let { usage } = await service.getQuotaInfo('user-1');
+    expect(usage.tokens).toMatchObject({ perMinute: 0, perHour: 100, perDay: 100 });
+
+    jest.setSystemTime(start + 14 * 60 * 60 * 1000); // just past midnight UTC
+    ({ usage } = await service.getQuotaInfo('user-1'));
+    expect(usage.tokens).toMatchObject({ perHour: 0, perDay: 0, total: 100 });
+
+    expect(await service.cleanupOldUsage()).toBe(3);
+    expect(db.tables.quota_counters.map(row => row.name).sort()).toEqual(['history', 'month', 'total']);
+  });
+
+  test('should share concurrent slots and free those a crashed instance held', async () => {
+    const start = Date.now();
+    jest.useFakeTimers({ now: start });
+    const [first, second] = [await instance(), await instance()];
+    await first.setUserQuota('user-1', { concurrentRequests: 1 });
+
+    await first.checkQuota('user-1');
+    await expect(second.checkQuota('user-1')).rejects.toThrow('Too many concurrent requests');
+
+    await first.recordUsage('user-1');
+    await expect(second.checkQuota('user-1')).resolves.toMatchObject({ allowed: true });
+
+    // second never records usage, as if it had crashed mid-request
+    await expect(first.checkQuota('user-1')).rejects.toThrow('Too many concurrent requests');
+    jest.setSystemTime(start + first.config.slotTimeout + 1);
+    await expect(first.checkQuota('user-1')).resolves.toMatchObject({ allowed: true });
+  });
+
+  test('should apply admin overrides on every instance', async () => {
+    db.tables.users = [
+      { id: 'admin-1', email: 'admin@example.com', role: 'admin', is_active: true },
+      { id: 'user-1', email: 'user@example.com', role: 'user', is_active: true }
+    ];
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', require('../src/routes/admin'));
+
+    const { accessToken } = authService.generateTokens({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+    const response = await request(app)
+      .put('/api/admin/users/user-1/quota')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ requestsPerDay: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.requestsPerDay).toBe(1);
+
+    const other = await instance();
+    const quota = await other.getUserQuota('user-1');
+    expect(quota).toMatchObject({ requestsPerDay: 1, requestsPerMinute: other.config.defaultQuota.requestsPerMinute });
+
+    await other.checkQuota('user-1');
+    await other.recordUsage('user-1');
+    await expect(quotaService.checkQuota('user-1')).rejects.toThrow('requests per day');
+
+    // Resetting clears the shared windows, not the override
+    await request(app).post('/api/admin/users/user-1/quota/reset').set('Authorization', `Bearer ${accessToken}`);
+    await expect(other.checkQuota('user-1')).resolves.toMatchObject({ allowed: true });
+    expect((await other.getUserQuota('user-1')).requestsPerDay).toBe(1);
+  });
+});
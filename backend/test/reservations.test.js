@@ -0,0 +1,171 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+jest.mock('../src/middleware/auth', () => ({
+  verifyApiKey: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const db = require('../src/config/database');
+const planService = require('../src/services/planService');
+const providerRegistry = require('../src/services/providerRegistry');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+describe('Quota reservations', () => {
+  const reservationTimeout = quotaService.config.reservationTimeout;
+
+  beforeEach(async () => {
+    db.reset();
+    planService.cache.clear();
+    webhookService.triggerEvent.mockResolvedValue([]);
+    db.tables.users = [{ id: 'user-1', email: 'alice@example.com', role: 'user', is_active: true }];
+
+    await quotaService.setUserQuota('user-1', { tokensPerMinute: 2500, monthlyBudget: 10 });
+  });
+
+  afterEach(async () => {
+    quotaService.config.reservationTimeout = reservationTimeout;
+    await quotaService.removeUser('user-1');
+  });
+
+  test('should count requests in flight against the next one', async () => {
+    const results = await Promise.allSettled([1, 2, 3].map(() => quotaService.reserve('user-1', { tokens: 1000 })));
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(results[2].reason.message).toMatch(/token/i);
+
+    const usage = await quotaService.getUserUsage('user-1');
+    expect(usage).toMatchObject({ requestsPerMinute: 2, tokensPerMinute: 2000, concurrentRequests: 2 });
+
+    await Promise.all(results.slice(0, 2).map(result => quotaService.release(result.value)));
+  });
+
+  test('should settle the estimate to the actual usage', async () => {
+    const reservation = await quotaService.reserve('user-1', { tokens: 1000, cost: 0.5, requestType: 'generation' });
+    expect(reservation).toMatchObject({ userId: 'user-1', tokens: 1000, cost: 0.5, status: 'held' });
+    expect(await quotaService.getMonthlySpend('user:user-1')).toBe(0.5);
+
+    await quotaService.settle(reservation, { tokens: 120, cost: 0.05 });
+    await quotaService.settle(reservation, { tokens: 120, cost: 0.05 });
+
+    expect(reservation.status).toBe('settled');
+    expect(await quotaService.getUserUsage('user-1')).toMatchObject({
+      requestsPerMinute: 1,
+      tokensPerMinute: 120,
+      totalRequests: 1,
+      totalTokens: 120,
+      concurrentRequests: 0
+    });
+    expect(await quotaService.getMonthlySpend('user:user-1')).toBe(0.05);
+  });
+
+  test('should give back the hold of a failed request', async () => {
+    const reservation = await quotaService.reserve('user-1', { tokens: 2000, cost: 1 });
+
+    expect(await quotaService.release(reservation)).toBe(true);
+    expect(await quotaService.release(reservation)).toBe(false);
+    expect(await quotaService.release(null)).toBe(false);
+
+    expect(reservation.status).toBe('released');
+    expect(await quotaService.getUserUsage('user-1')).toMatchObject({
+      requestsPerMinute: 0,
+      tokensPerMinute: 0,
+      totalRequests: 0,
+      concurrentRequests: 0
+    });
+    expect(await quotaService.getMonthlySpend('user:user-1')).toBe(0);
+
+    // The whole minute is free again
+    await expect(quotaService.reserve('user-1', { tokens: 2500 })).resolves.toMatchObject({ status: 'held' });
+  });
+
+  test('should release reservations that outlive the timeout', async () => {
+    quotaService.config.reservationTimeout = 20;
+    const reservation = await quotaService.reserve('user-1', { tokens: 1000, cost: 0.2 });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(reservation.status).toBe('expired');
+    expect(await quotaService.getUserUsage('user-1')).toMatchObject({ tokensPerMinute: 0, concurrentRequests: 0 });
+
+    // A request that finishes late is still counted, without freeing a slot twice
+    const other = await quotaService.reserve('user-1', { tokens: 100 });
+    await quotaService.settle(reservation, { tokens: 300, cost: 0.1 });
+
+    expect(await quotaService.getUserUsage('user-1')).toMatchObject({
+      requestsPerMinute: 2,
+      tokensPerMinute: 400,
+      concurrentRequests: 1
+    });
+    expect(await quotaService.getMonthlySpend('user:user-1')).toBe(0.1);
+
+    await quotaService.release(other);
+  });
+
+  test('should hold the estimate of /v1/chat/completions requests while they run', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', require('../src/routes/openai'));
+
+    let finish;
+    const upstream = new Promise(resolve => { finish = resolve; });
+    const generate = jest.fn(async ({ model }) => {
+      await upstream;
+      return { content: 'ok', usage: { promptTokens: 50, completionTokens: 70, totalTokens: 120 }, model, finishReason: 'stop' };
+    });
+    providerRegistry.register({
+      name: 'reservations-compat',
+      service: { generate },
+      capabilities: ['chat'],
+      models: [{ id: 'reservations-chat', type: 'chat' }],
+      priority: -1,
+      enabled: true,
+      getCost: (modelId, usage = {}) => (usage.totalTokens || 0) * 0.0001
+    });
+
+    const complete = () => request(app).post('/v1/chat/completions')
+      .send({ model: 'reservations-chat', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 1000 });
+
+    try {
+      const running = [complete(), complete()].map(pending => pending.then(response => response));
+      for (let i = 0; i < 100 && generate.mock.calls.length < 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(await quotaService.getUserUsage('user-1')).toMatchObject({ tokensPerMinute: 2000, concurrentRequests: 2 });
+
+      // The two in flight hold 2000 of the 2500 tokens a minute
+      const refused = await complete();
+      expect(refused.status).toBe(429);
+      expect(refused.body.error.type).toBe('rate_limit_error');
+
+      finish();
+      expect((await Promise.all(running)).map(response => response.status)).toEqual([200, 200]);
+      expect(await quotaService.getUserUsage('user-1')).toMatchObject({
+        requestsPerMinute: 2,
+        tokensPerMinute: 240,
+        concurrentRequests: 0
+      });
+      expect(await quotaService.getMonthlySpend('user:user-1')).toBe(0.024);
+
+      // A failed request gives its hold back and isn't counted
+      generate.mockRejectedValueOnce(new Error('upstream down'));
+      expect((await complete()).status).toBe(500);
+      expect(await quotaService.getUserUsage('user-1')).toMatchObject({
+        requestsPerMinute: 2,
+        tokensPerMinute: 240,
+        concurrentRequests: 0
+      });
+    } finally {
+      providerRegistry.unregister('reservations-compat');
+    }
+  });
+});
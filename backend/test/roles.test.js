@@ -0,0 +1,149 @@
+const request = require('supertest');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const roleService = require('../src/services/roleService');
+
+describe('Role-based access control', () => {
+  let app;
+
+  const sessionFor = (id) => {
+    const user = db.tables.users.find(row => row.id === id);
+    return `Bearer ${authService.generateTokens({ userId: user.id, email: user.email, role: user.role }).accessToken}`;
+  };
+
+  const as = (id) => ({
+    get: (path) => request(app).get(path).set('Authorization', sessionFor(id)),
+    post: (path, body) => request(app).post(path).set('Authorization', sessionFor(id)).send(body),
+    put: (path, body) => request(app).put(path).set('Authorization', sessionFor(id)).send(body),
+    delete: (path) => request(app).delete(path).set('Authorization', sessionFor(id))
+  });
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', require('../src/routes/admin'));
+    app.use('/api/auth', require('../src/routes/auth'));
+  });
+
+  beforeEach(() => {
+    db.reset();
+    roleService.cache.clear();
+    db.tables.users = [
+      { id: 'admin-1', email: 'admin@example.com', role: 'admin', is_active: true },
+      { id: 'support-1', email: 'support@example.com', role: 'support', is_active: true },
+      { id: 'user-1', email: 'user@example.com', role: 'user', is_active: true }
+    ];
+  });
+
+  test('should give support staff read-only admin access', async () => {
+    const list = await as('support-1').get('/api/admin/users');
+    expect(list.status).toBe(200);
+    expect(list.body.data.users).toHaveLength(3);
+
+    const update = await as('support-1').put('/api/admin/users/user-1', { is_active: false });
+    expect(update.status).toBe(403);
+    expect(update.body.error.code).toBe('PERMISSION_DENIED');
+
+    expect((await as('support-1').get('/api/admin/roles')).status).toBe(200);
+    expect((await as('support-1').post('/api/admin/roles', { name: 'x', permissions: [] })).status).toBe(403);
+    expect((await as('user-1').get('/api/admin/users')).status).toBe(403);
+
+    const me = await as('support-1').get('/api/auth/me');
+    expect(me.body.data.user.permissions).toContain('users:read');
+    expect(me.body.data.user.permissions).not.toContain('users:write');
+  });
+
+  test('should grant exactly the permissions of a custom role', async () => {
+    const created = await as('admin-1').post('/api/admin/roles', {
+      name: 'ops',
+      description: 'On-call monitoring',
+      permissions: ['monitoring:read', 'monitoring:read', 'quota:read']
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data.permissions).toEqual(['monitoring:read', 'quota:read']);
+
+    const assigned = await as('admin-1').put('/api/admin/users/user-1', { role: 'ops' });
+    expect(assigned.status).toBe(200);
+    expect(assigned.body.data.role).toBe('ops');
+
+    expect((await as('user-1').get('/api/admin/monitoring/thresholds')).status).toBe(200);
+    expect((await as('user-1').get('/api/admin/users')).status).toBe(403);
+
+    const narrowed = await as('admin-1').put('/api/admin/roles/ops', { permissions: ['quota:read'] });
+    expect(narrowed.status).toBe(200);
+    expect((await as('user-1').get('/api/admin/monitoring/thresholds')).status).toBe(403);
+
+    const unknown = await as('admin-1').put('/api/admin/users/user-1', { role: 'nope' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.code).toBe('ROLE_NOT_FOUND');
+  });
+
+  test('should refuse privilege escalation', async () => {
+    db.tables.roles = [
+      { id: 'roles-1', name: 'helpdesk', permissions: ['users:read', 'users:write', 'roles:write', 'roles:assign'] }
+    ];
+    db.tables.users[1].role = 'helpdesk';
+
+    const escalated = await as('support-1').post('/api/admin/roles', { name: 'root', permissions: ['system:write'] });
+    expect(escalated.status).toBe(403);
+    expect(escalated.body.error.code).toBe('PERMISSION_ESCALATION');
+
+    const promoted = await as('support-1').put('/api/admin/users/user-1', { role: 'admin' });
+    expect(promoted.status).toBe(403);
+
+    const demoted = await as('support-1').put('/api/admin/users/admin-1', { is_active: false });
+    expect(demoted.status).toBe(403);
+    expect(db.tables.users[0]).toMatchObject({ role: 'admin', is_active: true });
+
+    db.tables.users[0].two_factor_enabled = true;
+    const reset = await as('support-1').delete('/api/admin/users/admin-1/2fa');
+    expect(reset.status).toBe(403);
+    expect(db.tables.users[0].two_factor_enabled).toBe(true);
+    expect((await as('support-1').delete('/api/admin/users/nobody/2fa')).status).toBe(404);
+
+    // A role can hand out the permissions it already holds
+    const peer = await as('support-1').post('/api/admin/roles', { name: 'reader', permissions: ['users:read'] });
+    expect(peer.status).toBe(201);
+    expect((await as('support-1').put('/api/admin/users/user-1', { role: 'reader' })).status).toBe(200);
+  });
+
+  test('should protect built-in roles and roles in use', async () => {
+    const builtIn = await as('admin-1').put('/api/admin/roles/support', { permissions: [] });
+    expect(builtIn.status).toBe(400);
+    expect(builtIn.body.error.code).toBe('ROLE_BUILT_IN');
+
+    const invalid = await as('admin-1').post('/api/admin/roles', { name: 'auditor', permissions: ['everything'] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('INVALID_PERMISSION');
+
+    await as('admin-1').post('/api/admin/roles', { name: 'auditor', permissions: ['analytics:read'] });
+    const duplicate = await as('admin-1').post('/api/admin/roles', { name: 'auditor', permissions: [] });
+    expect(duplicate.status).toBe(409);
+
+    await as('admin-1').put('/api/admin/users/user-1', { role: 'auditor' });
+    const inUse = await as('admin-1').delete('/api/admin/roles/auditor');
+    expect(inUse.status).toBe(409);
+    expect(inUse.body.error.code).toBe('ROLE_IN_USE');
+
+    await as('admin-1').put('/api/admin/users/user-1', { role: 'user' });
+    expect((await as('admin-1').delete('/api/admin/roles/auditor')).status).toBe(200);
+
+    const roles = await as('admin-1').get('/api/admin/roles');
+    expect(roles.body.data.roles.map(role => role.name)).toEqual(['admin', 'support', 'user']);
+    expect(roles.body.data.permissions).toContain('webhooks:admin');
+  });
+});
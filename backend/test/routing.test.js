@@ -0,0 +1,272 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/models/RequestLog');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: req.headers['x-test-user'] || 'test-user-id', plan: req.headers['x-test-plan'] };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const RequestLog = require('../src/models/RequestLog');
+const providerRegistry = require('../src/services/providerRegistry');
+const routingService = require('../src/services/routingService');
+const aiService = require('../src/services/aiService');
+const webhookService = require('../src/services/webhookService');
+
+const service = (name) => ({
+  generate: jest.fn(async ({ model }) => ({
+    content: `from ${name}`,
+    usage: { promptTokens: 10, completionTokens: 10, totalTokens: 20 },
+    model
+  }))
+});
+
+// "premium" is first by priority but most expensive and slowest;
+// "budget" is cheapest; "balanced" has the best quality score
+const register = () => {
+  providerRegistry.register({
+    name: 'premium',
+    service: service('premium'),
+    capabilities: ['chat'],
+    models: [{ id: 'premium-chat', type: 'chat', quality: 80 }],
+    priority: -3,
+    enabled: true,
+    getCost: (modelId, usage) => (usage.totalTokens || 0) * 0.01
+  });
+  providerRegistry.register({
+    name: 'budget',
+    service: service('budget'),
+    capabilities: ['chat'],
+    models: [{ id: 'budget-chat', type: 'chat', quality: 50 }],
+    priority: -2,
+    enabled: true,
+    getCost: (modelId, usage) => (usage.totalTokens || 0) * 0.0001
+  });
+  providerRegistry.register({
+    name: 'balanced',
+    service: service('balanced'),
+    capabilities: ['chat'],
+    models: [{ id: 'balanced-chat', type: 'chat', quality: 95 }],
+    priority: -1,
+    enabled: true,
+    getCost: (modelId, usage) => (usage.totalTokens || 0) * 0.001
+  });
+};
+
+const latencies = {
+  'premium/premium-chat': { totalRequests: 50, p50ResponseTime: 900 },
+  'budget/budget-chat': { totalRequests: 50, p50ResponseTime: 300 },
+  'balanced/balanced-chat': { totalRequests: 2, p50ResponseTime: 10 }
+};
+
+describe('Routing policies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    register();
+    routingService.clearLatencyCache();
+    routingService.userPolicies.clear();
+    RequestLog.getPerformanceMetrics.mockImplementation(async ({ provider, model }) =>
+      latencies[`${provider}/${model}`] || { totalRequests: 0, p50ResponseTime: 0 }
+    );
+  });
+
+  afterEach(() => {
+    ['premium', 'budget', 'balanced'].forEach(name => providerRegistry.unregister(name));
+  });
+
+  test('should keep priority order by default', async () => {
+    const result = await aiService.generate({ prompt: 'Hi' });
+
+    expect(result.provider).toBe('premium');
+    expect(result.routing).toMatchObject({
+      policy: 'priority',
+      source: 'default',
+      chosen: { provider: 'premium', model: 'premium-chat' }
+    });
+  });
+
+  test('cheapest should pick the lowest estimated cost', async () => {
+    const result = await aiService.generate({ prompt: 'Hi', routing: 'cheapest' });
+
+    expect(result.provider).toBe('budget');
+    expect(result.routing.policy).toBe('cheapest');
+    expect(result.routing.source).toBe('request');
+    expect(result.routing.reason).toMatch(/^budget\/budget-chat has the lowest estimated cost/);
+    expect(result.routing.candidates.map(c => c.provider)).toEqual(['budget', 'balanced', 'premium']);
+  });
+
+  test('fastest should use p50 latency from request logs', async () => {
+    const result = await aiService.generate({ prompt: 'Hi', routing: 'fastest' });
+
+    expect(RequestLog.getPerformanceMetrics).toHaveBeenCalledWith(
+      expect.objectContaining({ provider: 'budget', model: 'budget-chat' })
+    );
+    expect(result.provider).toBe('budget');
+    // balanced has too few samples to be trusted, so it has no latency figure
+    expect(result.routing.candidates).toEqual([
+      { provider: 'budget', model: 'budget-chat', p50Latency: 300, samples: 50, latencySource: 'request_logs' },
+      { provider: 'premium', model: 'premium-chat', p50Latency: 900, samples: 50, latencySource: 'request_logs' },
+      { provider: 'balanced', model: 'balanced-chat', p50Latency: null, samples: 0, latencySource: null }
+    ]);
+  });
+
+  test('fastest should fall back to circuit breaker latency', async () => {
+    RequestLog.getPerformanceMetrics.mockRejectedValue(new Error('database offline'));
+    providerRegistry.get('balanced').breaker.recordSuccess(50);
+    providerRegistry.get('premium').breaker.recordSuccess(500);
+
+    const result = await aiService.generate({ prompt: 'Hi', routing: 'fastest' });
+
+    expect(result.provider).toBe('balanced');
+    expect(result.routing.candidates[0]).toMatchObject({ p50Latency: 50, latencySource: 'circuit_breaker' });
+  });
+
+  test('fastest should cache latency lookups', async () => {
+    await aiService.generate({ prompt: 'Hi', routing: 'fastest' });
+    await aiService.generate({ prompt: 'Hi', routing: 'fastest' });
+
+    expect(RequestLog.getPerformanceMetrics).toHaveBeenCalledTimes(3);
+  });
+
+  test('quality-first should pick the highest quality model', async () => {
+    const result = await aiService.generate({ prompt: 'Hi', routing: 'quality-first' });
+
+    expect(result.provider).toBe('balanced');
+    expect(result.routing.reason).toBe('balanced/balanced-chat has the highest quality score (95)');
+  });
+
+  test('weighted should split traffic and keep users in the same arm', async () => {
+    const routing = { policy: 'weighted', weights: { premium: 1, 'budget/budget-chat': 1 } };
+    const chosen = new Set();
+
+    for (let i = 0; i < 40; i++) {
+      const userId = `user-${i}`;
+      const first = await aiService.generate({ prompt: 'Hi', routing, userId });
+      const second = await aiService.generate({ prompt: 'Hi', routing, userId });
+
+      expect(second.provider).toBe(first.provider);
+      chosen.add(first.provider);
+    }
+
+    expect(chosen).toEqual(new Set(['premium', 'budget']));
+  });
+
+  test('weighted should fall back to priority when no weights match', async () => {
+    const result = await aiService.generate({
+      prompt: 'Hi',
+      routing: { policy: 'weighted', weights: { other: 10 } }
+    });
+
+    expect(result.provider).toBe('premium');
+    expect(result.routing.reason).toMatch(/No routing weights match/);
+  });
+
+  test('should honour explicit provider or model requests', async () => {
+    const result = await aiService.generate({ prompt: 'Hi', model: 'premium-chat', routing: 'cheapest' });
+
+    expect(result.provider).toBe('premium');
+    expect(result.routing.policy).toBe('explicit');
+  });
+
+  test('should keep the remaining ranked providers as fallbacks', async () => {
+    const error = new Error('budget is down');
+    error.retryable = true;
+    providerRegistry.get('budget').service.generate.mockRejectedValueOnce(error);
+
+    const result = await aiService.generate({ prompt: 'Hi', routing: 'cheapest' });
+
+    expect(result.provider).toBe('balanced');
+    expect(result.attempts.map(a => a.provider)).toEqual(['budget', 'balanced']);
+  });
+
+  test('should resolve request, user, plan and default policies in that order', () => {
+    routingService.config.planPolicies = { free: 'cheapest' };
+
+    expect(routingService.resolvePolicy({ plan: 'free' })).toMatchObject({ policy: 'cheapest', source: 'plan' });
+
+    routingService.setUserPolicy('user-1', 'fastest');
+    expect(routingService.resolvePolicy({ userId: 'user-1', plan: 'free' }))
+      .toMatchObject({ policy: 'fastest', source: 'user' });
+    expect(routingService.resolvePolicy({ routing: 'quality-first', userId: 'user-1', plan: 'free' }))
+      .toMatchObject({ policy: 'quality-first', source: 'request' });
+    expect(routingService.resolvePolicy({})).toMatchObject({ policy: 'priority', source: 'default' });
+
+    routingService.config.planPolicies = {};
+  });
+
+  test('should validate routing preferences', () => {
+    expect(routingService.isValidPolicy('cheapest')).toBe(true);
+    expect(routingService.isValidPolicy({ policy: 'weighted', weights: { openai: 3 } })).toBe(true);
+    expect(routingService.isValidPolicy('random')).toBe(false);
+    expect(routingService.isValidPolicy({ policy: 'weighted', weights: { openai: -1 } })).toBe(false);
+    expect(() => routingService.setUserPolicy('user-1', 'random')).toThrow(/Routing policy must be one of/);
+  });
+
+  describe('Routes', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/v1/ai', require('../src/routes/ai'));
+    });
+
+    beforeEach(() => {
+      webhookService.triggerEvent.mockResolvedValue([]);
+    });
+
+    test('should accept a routing policy per request', async () => {
+      const response = await request(app)
+        .post('/api/v1/ai/generate')
+        .send({ prompt: 'Hi', routing: 'cheapest' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.provider).toBe('budget');
+      expect(response.body.data.routing.policy).toBe('cheapest');
+    });
+
+    test('should reject unknown routing policies', async () => {
+      const response = await request(app)
+        .post('/api/v1/ai/generate')
+        .send({ prompt: 'Hi', routing: 'random' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should store a per-user default policy', async () => {
+      const update = await request(app)
+        .put('/api/v1/ai/routing')
+        .set('x-test-user', 'routing-user')
+        .send({ routing: 'quality-first' });
+
+      expect(update.status).toBe(200);
+
+      const response = await request(app)
+        .post('/api/v1/ai/generate')
+        .set('x-test-user', 'routing-user')
+        .send({ prompt: 'Hi' });
+
+      expect(response.body.data.provider).toBe('balanced');
+      expect(response.body.data.routing.source).toBe('user');
+
+      const settings = await request(app)
+        .get('/api/v1/ai/routing')
+        .set('x-test-user', 'routing-user');
+
+      expect(settings.body.data.current).toMatchObject({ policy: 'quality-first', source: 'user' });
+      expect(settings.body.data.policies).toContain('weighted');
+
+      const cleared = await request(app)
+        .delete('/api/v1/ai/routing')
+        .set('x-test-user', 'routing-user');
+
+      expect(cleared.body.data.current.source).toBe('default');
+    });
+  });
+});
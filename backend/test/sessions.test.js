@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const Session = require('../src/models/Session');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 ' +
+  '(KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+describe('Sessions', () => {
+  let app;
+  const password = 'Password123';
+
+  const login = async (email = 'alice@example.com', userAgent = FIREFOX) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email, password });
+    return response.body.data.tokens;
+  };
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+  const bearer = (tokens) => `Bearer ${tokens.accessToken}`;
+
+  beforeAll(() => {
+    // As declared in migrations/014_sessions.sql
+    db.notNull.sessions = ['user_id', 'refresh_jti', 'device', 'expires_at', 'created_at'];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    const passwordHash = await bcrypt.hash(password, 4);
+    db.tables.users = ['alice', 'bob'].map(name => ({
+      id: `user-${name}`,
+      email: `${name}@example.com`,
+      password_hash: passwordHash,
+      role: 'user',
+      is_active: true
+    }));
+  });
+
+  test('should describe devices from the user agent', () => {
+    expect(Session.describeDevice(FIREFOX)).toBe('Firefox on Windows');
+    expect(Session.describeDevice(IPHONE)).toBe('Safari on iOS');
+    expect(Session.describeDevice('curl/8.4.0')).toBe('curl');
+    expect(Session.describeDevice(undefined)).toBe('Unknown device');
+  });
+
+  test('should start a session at login and list it as current', async () => {
+    const laptop = await login();
+    await login('alice@example.com', IPHONE);
+    await login('bob@example.com');
+
+    const response = await request(app).get('/api/auth/sessions').set('Authorization', bearer(laptop));
+    expect(response.status).toBe(200);
+
+    const { sessions } = response.body.data;
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find(session => session.current)).toMatchObject({ device: 'Firefox on Windows' });
+    expect(sessions.find(session => !session.current)).toMatchObject({ device: 'Safari on iOS' });
+    expect(sessions[0].refresh_jti).toBeUndefined();
+  });
+
+  test('should create the session row complete, with the first refresh token', async () => {
+    const tokens = await login();
+
+    expect(tokens).toBeDefined();
+    const [row] = db.tables.sessions;
+    const decoded = jwt.decode(tokens.refreshToken);
+    expect(row).toMatchObject({ id: decoded.sessionId, refresh_jti: decoded.jti });
+    expect(new Date(row.expires_at).getTime()).toBe(decoded.exp * 1000);
+  });
+
+  test('should rotate refresh tokens and revoke the session when one is reused', async () => {
+    const original = await login();
+
+    const rotated = await refresh(original.refreshToken);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.refreshToken).not.toBe(original.refreshToken);
+
+    const next = await refresh(rotated.body.data.refreshToken);
+    expect(next.status).toBe(200);
+
+    const reused = await refresh(original.refreshToken);
+    expect(reused.status).toBe(401);
+    expect(reused.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // The thief's reuse takes down every token in the family, including the newest
+    const latest = await refresh(next.body.data.refreshToken);
+    expect(latest.status).toBe(401);
+    expect(latest.body.error.code).toBe('SESSION_REVOKED');
+
+    const access = await request(app).get('/api/auth/sessions').set('Authorization', bearer(next.body.data));
+    expect(access.status).toBe(401);
+    expect(db.tables.sessions[0].revoked_reason).toBe('refresh_token_reuse');
+  });
+
+  test('should let only one of two concurrent refreshes with the same token through', async () => {
+    const original = await login();
+
+    // Hold both reads until each request has loaded the session, so both see the same jti
+    const findById = Session.findById.bind(Session);
+    let release;
+    const bothRead = new Promise(resolve => { release = resolve; });
+    let reads = 0;
+    const spy = jest.spyOn(Session, 'findById').mockImplementation(async (id) => {
+      const session = await findById(id);
+      if (++reads === 2) release();
+      await bothRead;
+      return session;
+    });
+
+    const results = await Promise.all([refresh(original.refreshToken), refresh(original.refreshToken)]);
+    spy.mockRestore();
+    expect(results.map(response => response.status).sort()).toEqual([200, 401]);
+    expect(results.find(response => response.status === 401).body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+    const winner = results.find(response => response.status === 200).body.data;
+    expect((await refresh(winner.refreshToken)).status).toBe(401);
+    expect(db.tables.sessions[0].revoked_reason).toBe('refresh_token_reuse');
+  });
+
+  test('should let users sign out other devices', async () => {
+    const laptop = await login();
+    const phone = await login('alice@example.com', IPHONE);
+    const tablet = await login('alice@example.com', IPHONE);
+    const bob = await login('bob@example.com');
+
+    const { sessions } = (await request(app).get('/api/auth/sessions').set('Authorization', bearer(laptop))).body.data;
+    const phoneSession = sessions.find(session => !session.current);
+
+    const someoneElse = await request(app)
+      .delete(`/api/auth/sessions/${phoneSession.id}`)
+      .set('Authorization', bearer(bob));
+    expect(someoneElse.status).toBe(404);
+
+    const revoked = await request(app)
+      .delete(`/api/auth/sessions/${phoneSession.id}`)
+      .set('Authorization', bearer(laptop));
+    expect(revoked.status).toBe(200);
+
+    const remaining = await request(app).get('/api/auth/sessions').set('Authorization', bearer(laptop));
+    expect(remaining.body.data.sessions.map(session => session.id)).not.toContain(phoneSession.id);
+    expect(remaining.body.data.sessions).toHaveLength(2);
+
+    const others = await request(app).delete('/api/auth/sessions').set('Authorization', bearer(laptop));
+    expect(others.body.data.revoked).toBe(1);
+
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await refresh(tablet.refreshToken)).status).toBe(401);
+    expect((await request(app).get('/api/auth/sessions').set('Authorization', bearer(laptop))).status).toBe(200);
+    expect((await request(app).get('/api/auth/sessions').set('Authorization', bearer(bob))).status).toBe(200);
+  });
+
+  test('should end the session on logout', async () => {
+    const tokens = await login();
+
+    const logout = await request(app).post('/api/auth/logout').set('Authorization', bearer(tokens));
+    expect(logout.status).toBe(200);
+
+    const response = await refresh(tokens.refreshToken);
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('SESSION_REVOKED');
+  });
+});
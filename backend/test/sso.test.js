@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const ssoService = require('../src/services/ssoService');
+const startMockOidcIssuer = require('./helpers/mockOidcIssuer');
+
+describe('OIDC single sign-on', () => {
+  let app;
+  let issuer;
+  const password = 'Password123!';
+
+  const adminSession = () => `Bearer ${authService.generateTokens({
+    userId: 'admin-1',
+    email: 'admin@corp.test',
+    role: 'admin'
+  }).accessToken}`;
+
+  // Walk the browser redirects; returns the app redirect URL the callback sent back
+  const signIn = async (user, provider = 'mock') => {
+    issuer.user = user;
+
+    const start = await request(app).get(`/api/auth/sso/${provider}/start`);
+    expect(start.status).toBe(302);
+
+    const authorize = await axios.get(start.headers.location, { maxRedirects: 0, validateStatus: () => true });
+    const callback = new URL(authorize.headers.location);
+
+    const landed = await request(app).get(`${callback.pathname}${callback.search}`).set('Cookie', bindingCookie(start));
+    expect(landed.status).toBe(302);
+    return new URL(landed.headers.location);
+  };
+
+  // The sign-in binding cookie the start redirect set, as a Cookie header
+  const bindingCookie = (start) => start.headers['set-cookie'].map(cookie => cookie.split(';')[0]).join('; ');
+
+  const exchange = (landing) => request(app)
+    .post('/api/auth/sso/exchange')
+    .send({ code: landing.searchParams.get('code') });
+
+  beforeAll(async () => {
+    issuer = await startMockOidcIssuer();
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.use('/api/admin', require('../src/routes/admin'));
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(async () => {
+    db.reset();
+    issuer.claims = {};
+    issuer.signingKey = null;
+    ssoService.setProviders([
+      { id: 'mock', name: 'Mock IdP', issuer: issuer.url, clientId: issuer.clientId, clientSecret: issuer.clientSecret },
+      { id: 'closed', issuer: issuer.url, clientId: issuer.clientId, clientSecret: issuer.clientSecret, allowSignup: false }
+    ]);
+    db.tables.users = [
+      {
+        id: 'user-alice',
+        email: 'alice@corp.test',
+        password_hash: await bcrypt.hash(password, 4),
+        role: 'user',
+        is_active: true
+      },
+      { id: 'admin-1', email: 'admin@corp.test', role: 'admin', is_active: true }
+    ];
+  });
+
+  test('should provision a new user just in time with the default role', async () => {
+    const providers = await request(app).get('/api/auth/sso/providers');
+    expect(providers.body.data.providers).toContainEqual({ id: 'mock', name: 'Mock IdP' });
+
+    const landing = await signIn({ sub: 'idp-carol', email: 'Carol@Elsewhere.test', email_verified: true });
+    expect(landing.pathname).toBe('/sso/callback');
+
+    const response = await exchange(landing);
+    expect(response.status).toBe(200);
+    expect(response.body.data.tokens.accessToken).toBeDefined();
+    expect(response.body.data.user).toMatchObject({ email: 'carol@elsewhere.test', role: 'user', is_email_verified: true });
+
+    // PKCE: the verifier sent to the token endpoint is not in the browser-visible URL
+    const { code_verifier: verifier } = issuer.tokenRequests[issuer.tokenRequests.length - 1];
+    expect(verifier).toMatch(/^[\w-]{43}$/);
+
+    const again = await exchange(await signIn({ sub: 'idp-carol', email: 'carol@elsewhere.test', email_verified: true }));
+    expect(again.body.data.user.id).toBe(response.body.data.user.id);
+    expect(db.tables.users).toHaveLength(3);
+    expect(db.tables.user_identities).toHaveLength(1);
+
+    const reused = await exchange(landing);
+    expect(reused.status).toBe(400);
+    expect(reused.body.error.code).toBe('INVALID_SSO_CODE');
+
+    const closed = await signIn({ sub: 'idp-dave', email: 'dave@elsewhere.test', email_verified: true }, 'closed');
+    expect(closed.searchParams.get('error')).toBe('SSO_SIGNUP_DISABLED');
+  });
+
+  test('should link an existing account only when the provider verified the email', async () => {
+    const unverified = await signIn({ sub: 'idp-alice', email: 'alice@corp.test', email_verified: false });
+    expect(unverified.searchParams.get('error')).toBe('SSO_EMAIL_NOT_VERIFIED');
+    expect(db.tables.user_identities || []).toHaveLength(0);
+
+    const linked = await exchange(await signIn({ sub: 'idp-alice', email: 'alice@corp.test', email_verified: true }));
+    expect(linked.status).toBe(200);
+    expect(linked.body.data.user.id).toBe('user-alice');
+    expect(db.tables.user_identities[0]).toMatchObject({ user_id: 'user-alice', provider: 'mock', subject: 'idp-alice' });
+
+    // Password login still works until an admin requires SSO
+    const login = await request(app).post('/api/auth/login').send({ email: 'alice@corp.test', password });
+    expect(login.status).toBe(200);
+  });
+
+  test('should reject ID tokens with a bad signature or nonce, and replayed state', async () => {
+    issuer.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const forged = await signIn({ sub: 'idp-eve', email: 'eve@elsewhere.test', email_verified: true });
+    expect(forged.searchParams.get('error')).toBe('INVALID_ID_TOKEN');
+
+    issuer.signingKey = null;
+    issuer.claims = { nonce: 'not-the-nonce' };
+    const wrongNonce = await signIn({ sub: 'idp-eve', email: 'eve@elsewhere.test', email_verified: true });
+    expect(wrongNonce.searchParams.get('error')).toBe('INVALID_ID_TOKEN');
+    expect(db.tables.users.map(user => user.email)).not.toContain('eve@elsewhere.test');
+
+    issuer.claims = {};
+    issuer.user = { sub: 'idp-eve', email: 'eve@elsewhere.test', email_verified: true };
+    const start = await request(app).get('/api/auth/sso/mock/start');
+    const authorize = await axios.get(start.headers.location, { maxRedirects: 0, validateStatus: () => true });
+    const callback = new URL(authorize.headers.location);
+
+    await request(app).get(`${callback.pathname}${callback.search}`).set('Cookie', bindingCookie(start));
+    const replayed = await request(app).get(`${callback.pathname}${callback.search}`).set('Cookie', bindingCookie(start));
+    expect(new URL(replayed.headers.location).searchParams.get('error')).toBe('INVALID_SSO_STATE');
+
+    expect((await request(app).get('/api/auth/sso/unknown/start')).status).toBe(404);
+  });
+
+  test('should only finish a sign-in in the browser that started it', async () => {
+    issuer.user = { sub: 'idp-mallory', email: 'mallory@elsewhere.test', email_verified: true };
+    const start = await request(app).get('/api/auth/sso/mock/start');
+    expect(start.headers['set-cookie'][0]).toMatch(/HttpOnly/);
+
+    const authorize = await axios.get(start.headers.location, { maxRedirects: 0, validateStatus: () => true });
+    const callback = new URL(authorize.headers.location);
+
+    // An attacker's callback link opened in the victim's browser
+    const elsewhere = await request(app).get(`${callback.pathname}${callback.search}`);
+    expect(new URL(elsewhere.headers.location).searchParams.get('error')).toBe('INVALID_SSO_STATE');
+
+    const otherStart = await request(app).get('/api/auth/sso/mock/start');
+    const otherAuthorize = await axios.get(otherStart.headers.location, { maxRedirects: 0, validateStatus: () => true });
+    const otherCallback = new URL(otherAuthorize.headers.location);
+
+    const wrongCookie = await request(app).get(`${otherCallback.pathname}${otherCallback.search}`).set('Cookie', bindingCookie(start));
+    expect(new URL(wrongCookie.headers.location).searchParams.get('error')).toBe('INVALID_SSO_STATE');
+    expect(db.tables.users.map(user => user.email)).not.toContain('mallory@elsewhere.test');
+  });
+
+  test('should let an admin require SSO for a domain', async () => {
+    const unknown = await request(app)
+      .put('/api/admin/sso/domains/corp.test')
+      .set('Authorization', adminSession())
+      .send({ provider: 'nope' });
+    expect(unknown.status).toBe(400);
+
+    const policy = await request(app)
+      .put('/api/admin/sso/domains/corp.test')
+      .set('Authorization', adminSession())
+      .send({ required: true, provider: 'mock' });
+    expect(policy.status).toBe(200);
+    expect(policy.body.data).toMatchObject({ domain: 'corp.test', provider: 'mock', required: true });
+
+    const login = await request(app).post('/api/auth/login').send({ email: 'alice@corp.test', password });
+    expect(login.status).toBe(403);
+    expect(login.body.error.code).toBe('SSO_REQUIRED');
+
+    const register = await request(app).post('/api/auth/register').send({ email: 'new@corp.test', password });
+    expect(register.status).toBe(403);
+
+    const wrongProvider = await signIn({ sub: 'idp-alice', email: 'alice@corp.test', email_verified: true }, 'closed');
+    expect(wrongProvider.searchParams.get('error')).toBe('SSO_PROVIDER_NOT_ALLOWED');
+
+    const sso = await exchange(await signIn({ sub: 'idp-alice', email: 'alice@corp.test', email_verified: true }));
+    expect(sso.status).toBe(200);
+
+    const removed = await request(app).delete('/api/admin/sso/domains/corp.test').set('Authorization', adminSession());
+    expect(removed.status).toBe(200);
+    expect((await request(app).post('/api/auth/login').send({ email: 'alice@corp.test', password })).status).toBe(200);
+  });
+});
@@ -0,0 +1,338 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { Readable, PassThrough } = require('stream');
+
+process.env.AI_STREAM_HEARTBEAT_MS = '20';
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/webhookService');
+jest.mock('../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'test-user-id' };
+    next();
+  },
+  requireScope: () => (req, res, next) => next()
+}));
+
+const { parseSSE } = require('../src/utils/sse');
+const providerRegistry = require('../src/services/providerRegistry');
+const aiService = require('../src/services/aiService');
+const openaiService = require('../src/services/openaiService');
+const anthropicService = require('../src/services/anthropicService');
+const minimaxService = require('../src/services/minimaxService');
+const quotaService = require('../src/services/quotaService');
+const webhookService = require('../src/services/webhookService');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+const sse = (data) => `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+
+const openaiChunk = (content, finishReason = null) => ({
+  choices: [{ index: 0, delta: content ? { content } : {}, finish_reason: finishReason }]
+});
+
+/**
+ * Parse the data payloads of a client SSE response
+ */
+const clientEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.startsWith('data: '))
+  .map(block => block.slice(6))
+  .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+
+describe('SSE parser', () => {
+  test('should parse events split across chunks', async () => {
+    const stream = Readable.from([
+      'event: message_start\ndata: {"a":',
+      '1}\n\n: keep-alive comment\n\ndata: line one\r\ndata: line two\r\n\r\n',
+      'data: [DONE]'
+    ]);
+
+    const events = await collect(parseSSE(stream));
+
+    expect(events).toEqual([
+      { event: 'message_start', data: '{"a":1}' },
+      { event: 'message', data: 'line one\nline two' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+
+  test('should decode a character split across chunks', async () => {
+    const bytes = Buffer.from('data: {"t":"你好"}\n\n');
+    // Byte 13 falls inside 你
+    const stream = Readable.from([bytes.subarray(0, 13), bytes.subarray(13)]);
+
+    const events = await collect(parseSSE(stream));
+
+    expect(events).toEqual([{ event: 'message', data: '{"t":"你好"}' }]);
+  });
+});
+
+describe('Provider stream normalization', () => {
+  test('should map OpenAI chunks and the final usage chunk', async () => {
+    const stream = Readable.from([
+      sse(openaiChunk('Hel')),
+      sse(openaiChunk('lo')),
+      sse(openaiChunk(null, 'stop')),
+      sse({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }),
+      sse('[DONE]')
+    ]);
+
+    expect(await collect(openaiService.streamChunks(stream))).toEqual([
+      { delta: 'Hel' },
+      { delta: 'lo' },
+      { finishReason: 'stop' },
+      { usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 } }
+    ]);
+  });
+
+  test('should map Anthropic message events', async () => {
+    const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+    const stream = Readable.from([
+      event('message_start', { message: { usage: { input_tokens: 10, output_tokens: 1 } } }),
+      event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+      event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hi' } }),
+      event('ping', {}),
+      event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: ' there' } }),
+      event('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }),
+      event('message_stop', {})
+    ]);
+
+    expect(await collect(anthropicService.streamChunks(stream))).toEqual([
+      { delta: 'Hi' },
+      { delta: ' there' },
+      { finishReason: 'stop', usage: { promptTokens: 10, completionTokens: 4, totalTokens: 14 } }
+    ]);
+  });
+
+  test('should raise Anthropic stream errors', async () => {
+    const stream = Readable.from([
+      sse({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })
+    ]);
+
+    await expect(collect(anthropicService.streamChunks(stream)))
+      .rejects.toThrow('Anthropic stream error: Overloaded');
+  });
+
+  test('should not repeat the full Minimax reply from the final chunk', async () => {
+    const stream = Readable.from([
+      sse({ choices: [{ messages: [{ sender_type: 'BOT', text: 'Hi' }] }] }),
+      sse({ choices: [{ messages: [{ sender_type: 'BOT', text: ' you' }] }] }),
+      sse({
+        model: 'abab5.5-chat',
+        reply: 'Hi you',
+        choices: [{ messages: [{ sender_type: 'BOT', text: 'Hi you' }], finish_reason: 'stop' }],
+        usage: { total_tokens: 9 }
+      })
+    ]);
+
+    expect(await collect(minimaxService.streamChunks(stream))).toEqual([
+      { delta: 'Hi' },
+      { delta: ' you' },
+      {
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 9 },
+        finishReason: 'stop',
+        model: 'abab5.5-chat'
+      }
+    ]);
+  });
+});
+
+describe('Streaming generation', () => {
+  let app;
+  let upstream;
+
+  /**
+   * Register a provider whose stream is fed by the test
+   */
+  const registerStreamingProvider = () => providerRegistry.register({
+    name: 'streamer',
+    service: {
+      generate: jest.fn(async ({ model }) => {
+        upstream = new PassThrough();
+        return {
+          stream: upstream,
+          chunks: openaiService.streamChunks(upstream),
+          usage: null,
+          model,
+          provider: 'streamer'
+        };
+      })
+    },
+    capabilities: ['chat', 'streaming'],
+    models: [{ id: 'streamer-chat', type: 'chat' }],
+    priority: -1,
+    enabled: true,
+    getCost: (modelId, usage) => usage.totalTokens * 0.001
+  });
+
+  const reservation = { id: 'reservation-1', userId: 'test-user-id' };
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ai', require('../src/routes/ai'));
+  });
+
+  beforeEach(() => {
+    upstream = null;
+    jest.clearAllMocks();
+    webhookService.triggerEvent.mockResolvedValue([]);
+    quotaService.reserve.mockResolvedValue(reservation);
+    registerStreamingProvider();
+  });
+
+  afterEach(() => {
+    providerRegistry.unregister('streamer');
+  });
+
+  test('should relay deltas and record usage after the stream ends', async () => {
+    const pending = request(app)
+      .post('/api/v1/ai/generate')
+      .send({ prompt: 'Hi', stream: true });
+
+    const response = await new Promise((resolve, reject) => {
+      pending.then(resolve, reject);
+      waitFor(() => upstream).then(() => {
+        upstream.write(sse(openaiChunk('Hel')));
+        upstream.write(sse(openaiChunk('lo', 'stop')));
+        upstream.write(sse({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }));
+        upstream.end(sse('[DONE]'));
+      });
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(response.headers['x-ai-provider']).toBe('streamer');
+
+    const events = clientEvents(response.text);
+    expect(events[0]).toMatchObject({ type: 'start', provider: 'streamer', model: 'streamer-chat' });
+    expect(events.filter(event => event.type === 'delta').map(event => event.content)).toEqual(['Hel', 'lo']);
+    expect(events[events.length - 2]).toEqual({
+      type: 'usage',
+      usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 },
+      usageEstimated: false,
+      cost: 0.005,
+      finishReason: 'stop'
+    });
+    expect(events[events.length - 1]).toBe('[DONE]');
+
+    expect(quotaService.reserve).toHaveBeenCalledWith('test-user-id',
+      expect.objectContaining({ tokens: 1000, requestType: 'generation' }));
+    expect(quotaService.settle).toHaveBeenCalledWith(reservation, {
+      tokens: 5,
+      cost: 0.005,
+      success: true,
+      model: 'streamer-chat',
+      provider: 'streamer',
+      reference: expect.any(String)
+    });
+    expect(webhookService.triggerEvent).toHaveBeenCalledWith('ai.generation.completed',
+      expect.objectContaining({ provider: 'streamer', tokensUsed: 5 }));
+
+    const task = await aiService.getTask(events[0].taskId);
+    expect(task.status).toBe('completed');
+    expect(task.result.content).toBe('Hello');
+  });
+
+  test('should estimate usage and send heartbeats for slow streams', async () => {
+    const pending = request(app)
+      .post('/api/v1/ai/generate')
+      .send({ prompt: 'Hello there', stream: true });
+
+    const response = await new Promise((resolve, reject) => {
+      pending.then(resolve, reject);
+      waitFor(() => upstream).then(async () => {
+        upstream.write(sse(openaiChunk('12345678')));
+        await new Promise(resolve => setTimeout(resolve, 80));
+        upstream.end(sse(openaiChunk(null, 'stop')));
+      });
+    });
+
+    expect(response.text).toContain(': heartbeat\n\n');
+
+    const usageEvent = clientEvents(response.text).find(event => event.type === 'usage');
+    expect(usageEvent.usageEstimated).toBe(true);
+    expect(usageEvent.usage).toEqual({ promptTokens: 3, completionTokens: 2, totalTokens: 5 });
+  });
+
+  test('should report upstream failures as an error event', async () => {
+    const pending = request(app)
+      .post('/api/v1/ai/generate')
+      .send({ prompt: 'Hi', stream: true });
+
+    const response = await new Promise((resolve, reject) => {
+      pending.then(resolve, reject);
+      waitFor(() => upstream).then(() => {
+        upstream.write(sse(openaiChunk('partial')));
+        upstream.end(sse({ error: { message: 'server_error' } }));
+      });
+    });
+
+    const events = clientEvents(response.text);
+    expect(events[events.length - 2]).toEqual({
+      type: 'error',
+      error: { message: 'OpenAI stream error: server_error', code: 'AI_GENERATION_FAILED' }
+    });
+    expect(quotaService.settle).toHaveBeenCalledWith(reservation,
+      expect.objectContaining({ success: false }));
+    expect(quotaService.release).not.toHaveBeenCalled();
+    expect((await aiService.getTask(events[0].taskId)).status).toBe('failed');
+    expect(providerRegistry.get('streamer').breaker.getState().consecutiveFailures).toBe(1);
+  });
+
+  test('should stop the upstream stream and bill partial output when the client disconnects', async () => {
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    let received = '';
+    const client = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: 'POST',
+      path: '/api/v1/ai/generate',
+      headers: { 'Content-Type': 'application/json' }
+    }, res => {
+      res.on('data', chunk => { received += chunk; });
+    });
+    client.on('error', () => {});
+    client.end(JSON.stringify({ prompt: 'Hi', stream: true }));
+
+    await waitFor(() => upstream);
+    upstream.write(sse(openaiChunk('abcdefgh')));
+    await waitFor(() => received.includes('abcdefgh'));
+
+    client.destroy();
+    await waitFor(() => quotaService.settle.mock.calls.length > 0);
+
+    expect(upstream.destroyed).toBe(true);
+    expect(quotaService.settle).toHaveBeenCalledWith(reservation, {
+      tokens: 3,
+      cost: 0.003,
+      success: true,
+      model: 'streamer-chat',
+      provider: 'streamer',
+      reference: expect.any(String)
+    });
+    expect(webhookService.triggerEvent).not.toHaveBeenCalled();
+
+    const taskId = clientEvents(received)[0].taskId;
+    const task = await aiService.getTask(taskId);
+    expect(task.status).toBe('cancelled');
+    expect(task.result).toMatchObject({ content: 'abcdefgh', finishReason: 'aborted' });
+
+    await new Promise(resolve => server.close(resolve));
+  });
+});
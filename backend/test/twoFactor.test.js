@@ -0,0 +1,219 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../src/utils/logger');
+jest.mock('redis', () => ({
+  createClient: () => ({
+    connect: jest.fn().mockResolvedValue(),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue()
+  })
+}));
+jest.mock('../src/config/database', () => require('./helpers/fakeDatabase')());
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const twoFactorService = require('../src/services/twoFactorService');
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890"
+  const rfcSecret = twoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should match the RFC 6238 test vectors', () => {
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(twoFactorService.generateCode(rfcSecret, Math.floor(59 / 30))).toBe('287082');
+    expect(twoFactorService.generateCode(rfcSecret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(twoFactorService.generateCode(rfcSecret, Math.floor(20000000000 / 30))).toBe('353130');
+  });
+
+  test('should accept codes one step either side of now', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(now / 30000);
+
+    expect(twoFactorService.matchCode(rfcSecret, '081804', now)).toBe(step);
+    expect(twoFactorService.matchCode(rfcSecret, twoFactorService.generateCode(rfcSecret, step + 1), now)).toBe(step + 1);
+    expect(twoFactorService.matchCode(rfcSecret, twoFactorService.generateCode(rfcSecret, step + 2), now)).toBeNull();
+    expect(twoFactorService.matchCode(rfcSecret, 'abcdef', now)).toBeNull();
+  });
+});
+
+describe('Two-factor authentication', () => {
+  let app;
+  const password = 'Password123';
+
+  const currentStep = () => Math.floor(Date.now() / 30000);
+  const session = () => `Bearer ${authService.generateTokens({
+    userId: 'user-1',
+    email: 'alice@example.com',
+    role: 'user'
+  }).accessToken}`;
+  const login = () => request(app).post('/api/auth/login').send({ email: 'alice@example.com', password });
+
+  // Enrol alice and return her secret and recovery codes
+  const enrol = async () => {
+    const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', session());
+    const { secret } = setup.body.data;
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', session())
+      .send({ code: twoFactorService.generateCode(secret, currentStep()) });
+
+    return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.use('/api/admin', require('../src/routes/admin'));
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    db.tables.users = [
+      {
+        id: 'user-1',
+        email: 'alice@example.com',
+        password_hash: await bcrypt.hash(password, 4),
+        role: 'user',
+        is_active: true
+      },
+      { id: 'admin-1', email: 'admin@example.com', role: 'admin', is_active: true }
+    ];
+  });
+
+  test('should enrol with an otpauth URI and store the secret encrypted', async () => {
+    const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', session());
+    expect(setup.status).toBe(200);
+    const { secret, otpauthUrl } = setup.body.data;
+    expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\/.+alice%40example\.com\?secret=/);
+    expect(db.tables.users[0].two_factor_secret).not.toContain(secret);
+
+    const valid = twoFactorService.generateCode(secret, currentStep());
+    const wrong = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', session())
+      .send({ code: valid === '000000' ? '111111' : '000000' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', session())
+      .send({ code: valid });
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.data.recoveryCodes).toHaveLength(10);
+
+    const status = await request(app).get('/api/auth/2fa').set('Authorization', session());
+    expect(status.body.data).toEqual({ enabled: true, recoveryCodesRemaining: 10 });
+  });
+
+  test('should require a second step at login and reject replayed codes', async () => {
+    const { secret } = await enrol();
+
+    const first = await login();
+    expect(first.status).toBe(200);
+    expect(first.body.data.twoFactorRequired).toBe(true);
+    expect(first.body.data.tokens).toBeUndefined();
+    const { challengeToken } = first.body.data;
+
+    const asAccess = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${challengeToken}`);
+    expect(asAccess.status).toBe(401);
+
+    // The enrolment code's step is used up, so log in with the next one
+    const code = twoFactorService.generateCode(secret, currentStep() + 1);
+    const verified = await request(app).post('/api/auth/login/2fa').send({ challengeToken, code });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.tokens.accessToken).toBeDefined();
+    expect(verified.body.data.user.two_factor_enabled).toBe(true);
+
+    const replayed = await request(app).post('/api/auth/login/2fa').send({ challengeToken, code });
+    expect(replayed.status).toBe(401);
+
+    const forged = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: verified.body.data.tokens.accessToken, code });
+    expect(forged.status).toBe(401);
+    expect(forged.body.error.code).toBe('INVALID_CHALLENGE');
+  });
+
+  test('should accept each recovery code once', async () => {
+    const { recoveryCodes } = await enrol();
+    const { challengeToken } = (await login()).body.data;
+
+    const used = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+    expect(used.status).toBe(200);
+
+    const reused = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: (await login()).body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+    expect(reused.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+    const status = await request(app).get('/api/auth/2fa').set('Authorization', session());
+    expect(status.body.data.recoveryCodesRemaining).toBe(9);
+  });
+
+  test('should drop a challenge after too many wrong codes', async () => {
+    const { secret, recoveryCodes } = await enrol();
+    const { challengeToken } = (await login()).body.data;
+    const attempt = (credentials) => request(app).post('/api/auth/login/2fa').send({ challengeToken, ...credentials });
+
+    const guesses = [];
+    for (let i = 0; i < authService.challengeMaxAttempts; i++) {
+      guesses.push(await attempt({ code: '000000' }));
+    }
+    expect(guesses.slice(0, -1).map(guess => guess.body.error.code)).toEqual(
+      Array(authService.challengeMaxAttempts - 1).fill('INVALID_TWO_FACTOR_CODE')
+    );
+    expect(guesses[guesses.length - 1].body.error.code).toBe('CHALLENGE_EXHAUSTED');
+
+    // Not even the right code or a recovery code gets through now
+    const code = twoFactorService.generateCode(secret, currentStep() + 1);
+    expect((await attempt({ code })).body.error.code).toBe('INVALID_CHALLENGE');
+    expect((await attempt({ recoveryCode: recoveryCodes[0] })).body.error.code).toBe('INVALID_CHALLENGE');
+
+    // A fresh password login gets a fresh set of attempts
+    const fresh = (await login()).body.data.challengeToken;
+    const verified = await request(app).post('/api/auth/login/2fa').send({ challengeToken: fresh, code });
+    expect(verified.status).toBe(200);
+  });
+
+  test('should disable with password and code, or by admin reset', async () => {
+    const { recoveryCodes } = await enrol();
+
+    const wrongPassword = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', session())
+      .send({ password: 'nope', recoveryCode: recoveryCodes[0] });
+    expect(wrongPassword.status).toBe(401);
+
+    const disabled = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', session())
+      .send({ password, recoveryCode: recoveryCodes[0] });
+    expect(disabled.status).toBe(200);
+    expect(disabled.body.data.enabled).toBe(false);
+    expect((await login()).body.data.tokens).toBeDefined();
+
+    await enrol();
+    expect((await login()).body.data.twoFactorRequired).toBe(true);
+
+    const adminSession = `Bearer ${authService.generateTokens({
+      userId: 'admin-1',
+      email: 'admin@example.com',
+      role: 'admin'
+    }).accessToken}`;
+    const reset = await request(app).delete('/api/admin/users/user-1/2fa').set('Authorization', adminSession);
+    expect(reset.status).toBe(200);
+    expect((await login()).body.data.tokens).toBeDefined();
+
+    const notAdmin = await request(app).delete('/api/admin/users/user-1/2fa').set('Authorization', session());
+    expect(notAdmin.status).toBe(403);
+  });
+});
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { LoginCredentials, RegisterCredentials } from '../services/auth';
+import { LoginCredentials, RegisterCredentials, TwoFactorCredentials } from '../services/auth';
 import { validators } from '../utils/validators';
 import './AuthForm.css';
 
@@ -8,14 +8,27 @@ export interface AuthFormProps {
   onSubmit: (data: LoginCredentials | RegisterCredentials) => void;
   error?: string | null;
   loading?: boolean;
+  twoFactorRequired?: boolean;
+  onVerifyTwoFactor?: (data: TwoFactorCredentials) => void;
+  onCancelTwoFactor?: () => void;
 }
 
-export const AuthForm: React.FC<AuthFormProps> = ({ mode, onSubmit, error, loading = false }) => {
+export const AuthForm: React.FC<AuthFormProps> = ({
+  mode,
+  onSubmit,
+  error,
+  loading = false,
+  twoFactorRequired = false,
+  onVerifyTwoFactor,
+  onCancelTwoFactor,
+}) => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
     name: '',
   });
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const [validationErrors, setValidationErrors] = useState<Record<string, string>>({});
 
@@ -71,6 +84,29 @@ export const AuthForm: React.FC<AuthFormProps> = ({ mode, onSubmit, error, loadi
     }
   };
 
+  const handleTwoFactorSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const value = twoFactorCode.trim();
+    if (!value) {
+      setValidationErrors({ twoFactorCode: useRecoveryCode ? 'Recovery code is required' : 'Code is required' });
+      return;
+    }
+    if (!useRecoveryCode && !/^\d{6}$/.test(value.replace(/\s/g, ''))) {
+      setValidationErrors({ twoFactorCode: 'Code must be 6 digits' });
+      return;
+    }
+
+    setValidationErrors({});
+    onVerifyTwoFactor?.(useRecoveryCode ? { recoveryCode: value } : { code: value });
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setTwoFactorCode('');
+    setValidationErrors({});
+  };
+
   const getInputClassName = (fieldName: string): string => {
     const baseClass = 'form-input';
     if (validationErrors[fieldName]) {
@@ -79,6 +115,63 @@ export const AuthForm: React.FC<AuthFormProps> = ({ mode, onSubmit, error, loadi
     return baseClass;
   };
 
+  if (mode === 'login' && twoFactorRequired) {
+    return (
+      <div className="auth-form-container">
+        <form className="auth-form" onSubmit={handleTwoFactorSubmit}>
+          <h2 className="auth-form-title">Two-Factor Authentication</h2>
+
+          {error && (
+            <div className="auth-error" role="alert">
+              {error}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="twoFactorCode">
+              {useRecoveryCode ? 'Recovery code' : 'Code from your authenticator app'}
+            </label>
+            <input
+              type="text"
+              id="twoFactorCode"
+              name="twoFactorCode"
+              value={twoFactorCode}
+              onChange={e => setTwoFactorCode(e.target.value)}
+              className={getInputClassName('twoFactorCode')}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              disabled={loading}
+              autoFocus
+              required
+            />
+            {validationErrors.twoFactorCode && (
+              <span className="error-message">{validationErrors.twoFactorCode}</span>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            className="auth-submit-button"
+            disabled={loading}
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          <div className="auth-form-links">
+            <button type="button" className="auth-link-button" onClick={toggleRecoveryCode} disabled={loading}>
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+            </button>
+            {onCancelTwoFactor && (
+              <button type="button" className="auth-link-button" onClick={onCancelTwoFactor} disabled={loading}>
+                Back to login
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-form-container">
       <form className="auth-form" onSubmit={handleSubmit}>
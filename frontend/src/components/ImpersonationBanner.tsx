@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { useAuthContext } from '../context/AuthContext';
+import { formatters } from '../utils/formatters';
+import './ImpersonationBanner.css';
+
+export const ImpersonationBanner: React.FC = () => {
+  const { user, stopImpersonation } = useAuthContext();
+  const [stopping, setStopping] = useState(false);
+
+  const impersonation = user?.impersonation;
+  if (!impersonation) {
+    return null;
+  }
+
+  const handleStop = async () => {
+    setStopping(true);
+    try {
+      await stopImpersonation();
+    } finally {
+      setStopping(false);
+    }
+  };
+
+  return (
+    <div className="impersonation-banner" role="alert">
+      <div className="impersonation-details">
+        <strong>
+          You are viewing the app as {user?.email}
+        </strong>
+        <span>
+          Signed in as {impersonation.impersonator.email} · ends {formatters.date(impersonation.expiresAt)}
+          {impersonation.reason && ` · ${impersonation.reason}`}
+        </span>
+        <span className="impersonation-note">
+          Account, security and admin changes are disabled until you stop.
+        </span>
+      </div>
+      <button type="button" onClick={handleStop} disabled={stopping}>
+        {stopping ? 'Stopping...' : 'Stop impersonating'}
+      </button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
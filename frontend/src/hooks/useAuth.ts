@@ -1,5 +1,12 @@
 import { useState, useEffect, useCallback } from 'react';
-import { authService, User, LoginCredentials, RegisterCredentials } from '../services/auth';
+import {
+  authService,
+  User,
+  LoginCredentials,
+  RegisterCredentials,
+  TwoFactorCredentials,
+  isTwoFactorChallenge
+} from '../services/auth';
 import { ApiResponse } from '../services/api';
 
 export interface AuthState {
@@ -7,6 +14,7 @@ export interface AuthState {
   isAuthenticated: boolean;
   isLoading: boolean;
   error: string | null;
+  twoFactorChallenge?: string | null;
 }
 
 export const useAuth = () => {
@@ -56,7 +64,14 @@ export const useAuth = () => {
     
     try {
       const response = await authService.login(credentials);
-      if (response.success && response.data) {
+      if (response.success && isTwoFactorChallenge(response.data)) {
+        const { challengeToken } = response.data;
+        setAuthState(prev => ({
+          ...prev,
+          isLoading: false,
+          twoFactorChallenge: challengeToken,
+        }));
+      } else if (response.success && response.data && !isTwoFactorChallenge(response.data)) {
         setAuthState({
           user: response.data.user,
           isAuthenticated: true,
@@ -85,6 +100,41 @@ export const useAuth = () => {
     }
   };
 
+  const verifyTwoFactor = async (credentials: TwoFactorCredentials): Promise<ApiResponse<any>> => {
+    if (!authState.twoFactorChallenge) {
+      return {
+        success: false,
+        error: 'No login challenge',
+        message: 'Log in again to continue',
+      };
+    }
+
+    setAuthState(prev => ({ ...prev, isLoading: true, error: null }));
+
+    const response = await authService.verifyTwoFactor(authState.twoFactorChallenge, credentials);
+    if (response.success && response.data) {
+      setAuthState({
+        user: response.data.user,
+        isAuthenticated: true,
+        isLoading: false,
+        error: null,
+      });
+    } else {
+      setAuthState(prev => ({
+        ...prev,
+        isLoading: false,
+        error: response.message || 'Verification failed',
+        // An expired challenge can't be retried; start over from the password step
+        twoFactorChallenge: response.error === 'INVALID_CHALLENGE' ? null : prev.twoFactorChallenge,
+      }));
+    }
+    return response;
+  };
+
+  const cancelTwoFactor = (): void => {
+    setAuthState(prev => ({ ...prev, error: null, twoFactorChallenge: null }));
+  };
+
   const register = async (credentials: RegisterCredentials): Promise<ApiResponse<any>> => {
     setAuthState(prev => ({ ...prev, isLoading: true, error: null }));
     
@@ -193,6 +243,22 @@ export const useAuth = () => {
     }
   };
 
+  const startImpersonation = async (userId: string, reason?: string): Promise<ApiResponse<any>> => {
+    const response = await authService.startImpersonation(userId, reason);
+    if (response.success) {
+      await loadUser();
+    } else {
+      setAuthState(prev => ({ ...prev, error: response.message || 'Impersonation failed' }));
+    }
+    return response;
+  };
+
+  const stopImpersonation = async (): Promise<ApiResponse<void>> => {
+    const response = await authService.stopImpersonation();
+    await loadUser();
+    return response;
+  };
+
   const clearError = (): void => {
     setAuthState(prev => ({ ...prev, error: null }));
   };
@@ -200,10 +266,14 @@ export const useAuth = () => {
   return {
     ...authState,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     logout,
     updateProfile,
     changePassword,
+    startImpersonation,
+    stopImpersonation,
     clearError,
     refreshUser: loadUser,
   };
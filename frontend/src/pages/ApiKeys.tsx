@@ -0,0 +1,210 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiKeyService, ApiKey, IssuedApiKey } from '../services/apiKeys';
+import { formatters } from '../utils/formatters';
+import './ApiKeys.css';
+
+export const ApiKeys: React.FC = () => {
+  const [keys, setKeys] = useState<ApiKey[]>([]);
+  const [availableScopes, setAvailableScopes] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [issued, setIssued] = useState<IssuedApiKey | null>(null);
+
+  const [formData, setFormData] = useState({
+    name: '',
+    scopes: ['ai:generate'] as string[],
+    expiresAt: '',
+  });
+
+  const loadKeys = useCallback(async () => {
+    const response = await apiKeyService.getApiKeys();
+    if (response.success && response.data) {
+      setKeys(response.data.keys);
+      setAvailableScopes(response.data.scopes);
+    } else {
+      setError(response.error || 'Failed to load API keys');
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = (scope: string) => {
+    setFormData(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleIssued = async (response: { success: boolean; data?: IssuedApiKey; error?: string }) => {
+    if (response.success && response.data) {
+      setIssued(response.data);
+      await loadKeys();
+    } else {
+      setError(response.error || 'Request failed');
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setSaving(true);
+
+    await handleIssued(await apiKeyService.createApiKey({
+      name: formData.name,
+      scopes: formData.scopes,
+      expiresAt: formData.expiresAt ? new Date(formData.expiresAt).toISOString() : undefined,
+    }));
+
+    setFormData(prev => ({ ...prev, name: '', expiresAt: '' }));
+    setSaving(false);
+  };
+
+  const handleRotate = async (key: ApiKey) => {
+    if (!window.confirm(`Rotate "${key.name}"? The current key stops working immediately.`)) return;
+    setError(null);
+    await handleIssued(await apiKeyService.rotateApiKey(key.id));
+  };
+
+  const handleRevoke = async (key: ApiKey) => {
+    if (!window.confirm(`Revoke "${key.name}"? This cannot be undone.`)) return;
+    setError(null);
+    const response = await apiKeyService.revokeApiKey(key.id);
+    if (!response.success) {
+      setError(response.error || 'Failed to revoke API key');
+    }
+    await loadKeys();
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner" />
+        <p>Loading API keys...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="api-keys-page">
+      <div className="api-keys-header">
+        <Link to="/dashboard">← Back to dashboard</Link>
+        <h1>API Keys</h1>
+        <p>
+          Send a key as <code>X-API-Key</code> or <code>Authorization: Bearer</code>.
+          Each key can only call the endpoints its scopes allow.
+        </p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {issued && (
+        <div className="issued-key">
+          <p>Copy your new key now. It will not be shown again.</p>
+          <code>{issued.key}</code>
+          <div className="issued-key-actions">
+            <button type="button" onClick={() => navigator.clipboard.writeText(issued.key)}>
+              Copy
+            </button>
+            <button type="button" onClick={() => setIssued(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form className="create-key-form" onSubmit={handleCreate}>
+        <h2>Create a key</h2>
+        <div className="form-section">
+          <label htmlFor="name">Name</label>
+          <input
+            id="name"
+            value={formData.name}
+            onChange={e => setFormData(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="e.g. CI pipeline"
+            maxLength={100}
+            required
+            disabled={saving}
+          />
+        </div>
+
+        <fieldset className="form-section scope-list">
+          <legend>Scopes</legend>
+          {availableScopes.map(scope => (
+            <label key={scope}>
+              <input
+                type="checkbox"
+                checked={formData.scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+                disabled={saving}
+              />
+              {scope}
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="form-section">
+          <label htmlFor="expiresAt">Expires (optional)</label>
+          <input
+            type="date"
+            id="expiresAt"
+            value={formData.expiresAt}
+            onChange={e => setFormData(prev => ({ ...prev, expiresAt: e.target.value }))}
+            disabled={saving}
+          />
+        </div>
+
+        <button type="submit" disabled={saving || formData.scopes.length === 0}>
+          {saving ? 'Creating...' : 'Create key'}
+        </button>
+      </form>
+
+      <table className="api-keys-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Key</th>
+            <th>Scopes</th>
+            <th>Last used</th>
+            <th>Expires</th>
+            <th>Status</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {keys.length === 0 && (
+            <tr>
+              <td colSpan={7}>No API keys yet.</td>
+            </tr>
+          )}
+          {keys.map(key => (
+            <tr key={key.id} className={`key-${key.status}`}>
+              <td>{key.name}</td>
+              <td><code>{key.prefix}…</code></td>
+              <td>{key.scopes.join(', ')}</td>
+              <td>{key.last_used_at ? formatters.date(key.last_used_at) : 'Never'}</td>
+              <td>{key.expires_at ? formatters.date(key.expires_at) : 'Never'}</td>
+              <td>{key.status}</td>
+              <td>
+                {key.status !== 'revoked' && (
+                  <>
+                    <button type="button" onClick={() => handleRotate(key)}>Rotate</button>
+                    <button type="button" className="danger" onClick={() => handleRevoke(key)}>Revoke</button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,195 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { billingService, Balance, CreditEntry, InvoiceFormat, InvoiceSummary } from '../services/billing';
+import { formatters } from '../utils/formatters';
+import './Billing.css';
+
+const PAGE_SIZE = 25;
+
+const ENTRY_LABELS: Record<CreditEntry['type'], string> = {
+  topup: 'Top-up',
+  usage: 'Usage',
+  refund: 'Refund',
+  adjustment: 'Adjustment',
+};
+
+// Usage is billed in fractions of a cent
+const formatAmount = (amount: number, currency: string) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency,
+  maximumFractionDigits: 4,
+}).format(amount);
+
+export const Billing: React.FC = () => {
+  const [balance, setBalance] = useState<Balance | null>(null);
+  const [transactions, setTransactions] = useState<CreditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [invoices, setInvoices] = useState<InvoiceSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadTransactions = useCallback(async (from: number) => {
+    const response = await billingService.getTransactions(PAGE_SIZE, from);
+    if (response.success && response.data) {
+      setTransactions(response.data.transactions);
+      setTotal(response.data.total);
+      setOffset(from);
+    } else {
+      setError(response.error || 'Failed to load transactions');
+    }
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      const [balanceResponse, invoiceResponse] = await Promise.all([
+        billingService.getBalance(),
+        billingService.getInvoices(),
+        loadTransactions(0),
+      ]);
+
+      if (balanceResponse.success && balanceResponse.data) {
+        setBalance(balanceResponse.data);
+      } else {
+        setError(balanceResponse.error || 'Failed to load balance');
+      }
+      if (invoiceResponse.success && invoiceResponse.data) {
+        setInvoices(invoiceResponse.data.invoices);
+      }
+      setLoading(false);
+    };
+
+    load();
+  }, [loadTransactions]);
+
+  const openInvoice = async (invoice: InvoiceSummary, format: InvoiceFormat) => {
+    setError(null);
+    const response = await billingService.downloadInvoice(invoice.period, format);
+    if (!response.success || !response.data) {
+      setError(response.error || 'Failed to download invoice');
+      return;
+    }
+
+    const url = URL.createObjectURL(response.data);
+    if (format === 'html') {
+      window.open(url, '_blank', 'noopener');
+    } else {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.number}.pdf`;
+      link.click();
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner" />
+        <p>Loading billing...</p>
+      </div>
+    );
+  }
+
+  const currency = balance?.currency || 'USD';
+
+  return (
+    <div className="billing-page">
+      <div className="billing-header">
+        <Link to="/dashboard">← Back to dashboard</Link>
+        <h1>Billing</h1>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {balance && (
+        <div className={`balance-card ${balance.balance < 0 ? 'negative' : ''}`}>
+          <span>Credit balance</span>
+          <strong>{formatters.currency(balance.balance, currency)}</strong>
+          <p>
+            {balance.prepaid
+              ? 'Requests are paid from your credit and refused once it runs out.'
+              : 'Usage is deducted as you go; a negative balance is billed on your invoice.'}
+          </p>
+        </div>
+      )}
+
+      <section>
+        <h2>Invoices</h2>
+        <table className="billing-table">
+          <thead>
+            <tr>
+              <th>Invoice</th>
+              <th>Period</th>
+              <th>Status</th>
+              <th>Total</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {invoices.length === 0 && (
+              <tr>
+                <td colSpan={5}>No invoices yet.</td>
+              </tr>
+            )}
+            {invoices.map(invoice => (
+              <tr key={invoice.period}>
+                <td>{invoice.number}</td>
+                <td>{invoice.period}</td>
+                <td>{invoice.status}</td>
+                <td>{formatAmount(invoice.total, invoice.currency)}</td>
+                <td>
+                  <button type="button" onClick={() => openInvoice(invoice, 'html')}>View</button>
+                  <button type="button" onClick={() => openInvoice(invoice, 'pdf')}>PDF</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section>
+        <h2>Transactions</h2>
+        <table className="billing-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th>Description</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.length === 0 && (
+              <tr>
+                <td colSpan={4}>No transactions yet.</td>
+              </tr>
+            )}
+            {transactions.map(entry => (
+              <tr key={entry.id} className={`entry-${entry.type}`}>
+                <td>{formatters.date(entry.created_at)}</td>
+                <td>{ENTRY_LABELS[entry.type]}</td>
+                <td>{entry.description || '—'}</td>
+                <td className={entry.amount < 0 ? 'debit' : 'credit'}>{formatAmount(entry.amount, currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {total > PAGE_SIZE && (
+          <div className="billing-pagination">
+            <button type="button" disabled={offset === 0} onClick={() => loadTransactions(Math.max(0, offset - PAGE_SIZE))}>
+              Newer
+            </button>
+            <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+            <button type="button" disabled={offset + PAGE_SIZE >= total} onClick={() => loadTransactions(offset + PAGE_SIZE)}>
+              Older
+            </button>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Billing;
@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { useAuthContext } from '../context/AuthContext';
 import MinimaxTester from '../components/MinimaxTester';
+import ImpersonationBanner from '../components/ImpersonationBanner';
 import './Dashboard.css';
 
 export const Dashboard: React.FC = () => {
@@ -18,6 +19,7 @@ export const Dashboard: React.FC = () => {
 
   return (
     <div className="dashboard">
+      <ImpersonationBanner />
       <div className="dashboard-header">
         <div className="welcome-section">
           <h1>Welcome back, {user?.name || 'User'}!</h1>
@@ -55,8 +57,14 @@ export const Dashboard: React.FC = () => {
               <h3>Manage API Keys</h3>
               <p>Configure your API access</p>
             </Link>
+
+            <Link to="/billing" className="action-card">
+              <div className="action-icon">💳</div>
+              <h3>Billing</h3>
+              <p>Credit balance, transactions and invoices</p>
+            </Link>
             
-            {user?.role === 'admin' && (
+            {!user?.impersonation && (user?.role === 'admin' || (user?.permissions?.length ?? 0) > 0) && (
               <Link to="/admin" className="action-card admin">
                 <div className="action-icon">⚙️</div>
                 <h3>Admin Panel</h3>
@@ -2,11 +2,21 @@ import React from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuthContext } from '../context/AuthContext';
 import AuthForm from '../components/AuthForm';
+import { isTwoFactorChallenge, TwoFactorCredentials } from '../services/auth';
 import './Login.css';
 
 export const Login: React.FC = () => {
   const navigate = useNavigate();
-  const { login, isAuthenticated, error, clearError, isLoading } = useAuthContext();
+  const {
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    twoFactorChallenge,
+    isAuthenticated,
+    error,
+    clearError,
+    isLoading
+  } = useAuthContext();
 
   React.useEffect(() => {
     if (isAuthenticated) {
@@ -17,6 +27,13 @@ export const Login: React.FC = () => {
   const handleLogin = async (credentials: any) => {
     clearError();
     const response = await login(credentials);
+    if (response.success && !isTwoFactorChallenge(response.data)) {
+      navigate('/dashboard');
+    }
+  };
+
+  const handleVerifyTwoFactor = async (credentials: TwoFactorCredentials) => {
+    const response = await verifyTwoFactor(credentials);
     if (response.success) {
       navigate('/dashboard');
     }
@@ -39,6 +56,9 @@ export const Login: React.FC = () => {
           onSubmit={handleLogin}
           error={error}
           loading={isLoading}
+          twoFactorRequired={Boolean(twoFactorChallenge)}
+          onVerifyTwoFactor={handleVerifyTwoFactor}
+          onCancelTwoFactor={cancelTwoFactor}
         />
         
         <div className="login-footer">
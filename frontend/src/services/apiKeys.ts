@@ -0,0 +1,81 @@
+import { apiService, ApiResponse } from './api';
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: string[];
+  expires_at: string | null;
+  last_used_at: string | null;
+  revoked_at: string | null;
+  created_at: string;
+  status: 'active' | 'expired' | 'revoked';
+}
+
+export interface CreateApiKeyData {
+  name: string;
+  scopes: string[];
+  expiresAt?: string;
+}
+
+export interface IssuedApiKey {
+  apiKey: ApiKey;
+  key: string;
+  replaces?: string;
+}
+
+class ApiKeyService {
+  async getApiKeys(): Promise<ApiResponse<{ keys: ApiKey[]; scopes: string[] }>> {
+    try {
+      const response = await apiService.get<ApiResponse<{ keys: ApiKey[]; scopes: string[] }>>('/auth/keys');
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to get API keys',
+        message: error.response?.data?.message || 'An error occurred'
+      };
+    }
+  }
+
+  async createApiKey(data: CreateApiKeyData): Promise<ApiResponse<IssuedApiKey>> {
+    try {
+      const response = await apiService.post<ApiResponse<IssuedApiKey>>('/auth/keys', data);
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to create API key',
+        message: error.response?.data?.message || 'An error occurred'
+      };
+    }
+  }
+
+  async rotateApiKey(id: string): Promise<ApiResponse<IssuedApiKey>> {
+    try {
+      const response = await apiService.post<ApiResponse<IssuedApiKey>>(`/auth/keys/${id}/rotate`);
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to rotate API key',
+        message: error.response?.data?.message || 'An error occurred'
+      };
+    }
+  }
+
+  async revokeApiKey(id: string): Promise<ApiResponse<{ apiKey: ApiKey }>> {
+    try {
+      const response = await apiService.delete<ApiResponse<{ apiKey: ApiKey }>>(`/auth/keys/${id}`);
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to revoke API key',
+        message: error.response?.data?.message || 'An error occurred'
+      };
+    }
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
@@ -1,4 +1,8 @@
 import { apiService, ApiResponse } from './api';
+import { storage } from '../utils/storage';
+
+// The admin's own token, set aside while they act as another user
+const IMPERSONATOR_TOKEN_KEY = 'impersonatorToken';
 
 export interface LoginCredentials {
   email: string;
@@ -16,22 +20,56 @@ export interface User {
   email: string;
   name: string;
   role: string;
+  permissions?: string[];
   apiKey?: string;
+  impersonation?: Impersonation | null;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface Impersonation {
+  id: string;
+  impersonator: {
+    id: string;
+    email: string;
+  };
+  reason?: string | null;
+  expiresAt: string;
+}
+
+export interface ImpersonationStart {
+  accessToken: string;
+  expiresIn: string;
+  impersonationId: string;
+  user: User;
+}
+
 export interface AuthResponse {
   token: string;
   user: User;
 }
 
+export interface TwoFactorChallenge {
+  twoFactorRequired: true;
+  challengeToken: string;
+  expiresIn: string;
+}
+
+export interface TwoFactorCredentials {
+  code?: string;
+  recoveryCode?: string;
+}
+
+export const isTwoFactorChallenge = (data: unknown): data is TwoFactorChallenge =>
+  typeof data === 'object' && data !== null && (data as TwoFactorChallenge).twoFactorRequired === true;
+
 class AuthService {
-  async login(credentials: LoginCredentials): Promise<ApiResponse<AuthResponse>> {
+  async login(credentials: LoginCredentials): Promise<ApiResponse<AuthResponse | TwoFactorChallenge>> {
     try {
-      const response = await apiService.post<ApiResponse<AuthResponse>>('/auth/login', credentials);
-      if (response.data.success && response.data.data?.token) {
-        apiService.setToken(response.data.data.token);
+      const response = await apiService.post<ApiResponse<AuthResponse | TwoFactorChallenge>>('/auth/login', credentials);
+      const data = response.data.data;
+      if (response.data.success && data && !isTwoFactorChallenge(data) && data.token) {
+        apiService.setToken(data.token);
       }
       return response.data;
     } catch (error: any) {
@@ -43,6 +81,25 @@ class AuthService {
     }
   }
 
+  async verifyTwoFactor(challengeToken: string, credentials: TwoFactorCredentials): Promise<ApiResponse<AuthResponse>> {
+    try {
+      const response = await apiService.post<ApiResponse<AuthResponse>>('/auth/login/2fa', {
+        challengeToken,
+        ...credentials
+      });
+      if (response.data.success && response.data.data?.token) {
+        apiService.setToken(response.data.data.token);
+      }
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.code || 'Verification failed',
+        message: error.response?.data?.error?.message || 'Invalid authentication code'
+      };
+    }
+  }
+
   async register(credentials: RegisterCredentials): Promise<ApiResponse<AuthResponse>> {
     try {
       const response = await apiService.post<ApiResponse<AuthResponse>>('/auth/register', credentials);
@@ -61,6 +118,9 @@ class AuthService {
 
   async logout(): Promise<void> {
     try {
+      if (this.isImpersonating()) {
+        await this.stopImpersonation();
+      }
       await apiService.post('/auth/logout');
     } catch (error) {
       console.error('Logout error:', error);
@@ -111,6 +171,51 @@ class AuthService {
     }
   }
 
+  async startImpersonation(userId: string, reason?: string): Promise<ApiResponse<ImpersonationStart>> {
+    try {
+      const response = await apiService.post<ApiResponse<ImpersonationStart>>(
+        `/admin/users/${userId}/impersonate`,
+        reason ? { reason } : {}
+      );
+      const adminToken = apiService.getToken();
+      if (response.data.success && response.data.data?.accessToken && adminToken) {
+        storage.setItem(IMPERSONATOR_TOKEN_KEY, adminToken);
+        apiService.setToken(response.data.data.accessToken);
+      }
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.code || 'Impersonation failed',
+        message: error.response?.data?.error?.message || 'Could not start impersonating this user'
+      };
+    }
+  }
+
+  async stopImpersonation(): Promise<ApiResponse<void>> {
+    const adminToken = storage.getItem(IMPERSONATOR_TOKEN_KEY);
+    try {
+      const response = await apiService.post<ApiResponse<void>>('/auth/impersonation/stop');
+      return response.data;
+    } catch (error: any) {
+      // An expired impersonation can't be stopped, but the admin still gets their session back
+      return {
+        success: false,
+        error: error.response?.data?.error?.code || 'Failed to stop impersonation',
+        message: error.response?.data?.error?.message || 'An error occurred'
+      };
+    } finally {
+      storage.removeItem(IMPERSONATOR_TOKEN_KEY);
+      if (adminToken) {
+        apiService.setToken(adminToken);
+      }
+    }
+  }
+
+  isImpersonating(): boolean {
+    return !!storage.getItem(IMPERSONATOR_TOKEN_KEY);
+  }
+
   isAuthenticated(): boolean {
     return !!apiService.getToken();
   }
@@ -0,0 +1,94 @@
+import { apiService, ApiResponse } from './api';
+
+export type CreditEntryType = 'topup' | 'usage' | 'refund' | 'adjustment';
+
+export interface CreditEntry {
+  id: string;
+  transaction_id: string;
+  type: CreditEntryType;
+  amount: number;
+  description: string | null;
+  reference: string | null;
+  metadata: { model?: string; provider?: string; taskType?: string; tokens?: number };
+  created_at: string;
+}
+
+export interface Balance {
+  balance: number;
+  currency: string;
+  prepaid: boolean;
+}
+
+export interface InvoiceSummary {
+  number: string;
+  period: string;
+  status: 'open' | 'final';
+  total: number;
+  currency: string;
+}
+
+export type InvoiceFormat = 'html' | 'pdf';
+
+class BillingService {
+  async getBalance(): Promise<ApiResponse<Balance>> {
+    try {
+      const response = await apiService.get<ApiResponse<Balance>>('/v1/billing/balance');
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to get balance',
+        message: error.response?.data?.message || 'An error occurred'
+      };
+    }
+  }
+
+  async getTransactions(limit: number = 50, offset: number = 0): Promise<ApiResponse<{ transactions: CreditEntry[]; total: number }>> {
+    try {
+      const response = await apiService.get<ApiResponse<{ transactions: CreditEntry[]; total: number }>>(
+        `/v1/billing/transactions?limit=${limit}&offset=${offset}`
+      );
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to get transactions',
+        message: error.response?.data?.message || 'An error occurred'
+      };
+    }
+  }
+
+  async getInvoices(): Promise<ApiResponse<{ invoices: InvoiceSummary[] }>> {
+    try {
+      const response = await apiService.get<ApiResponse<{ invoices: InvoiceSummary[] }>>('/v1/billing/invoices');
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to get invoices',
+        message: error.response?.data?.message || 'An error occurred'
+      };
+    }
+  }
+
+  /**
+   * Fetch an invoice document; it needs the auth header, so it can't be a plain link
+   */
+  async downloadInvoice(period: string, format: InvoiceFormat): Promise<ApiResponse<Blob>> {
+    try {
+      const response = await apiService.get<Blob>(`/v1/billing/invoices/${period}?format=${format}`, {
+        responseType: 'blob'
+      });
+      return { success: true, data: response.data };
+    } catch {
+      // The error body arrives as a Blob too, so there's no message to show
+      return {
+        success: false,
+        error: 'Failed to download invoice',
+        message: 'An error occurred'
+      };
+    }
+  }
+}
+
+export const billingService = new BillingService();
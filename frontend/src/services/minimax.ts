@@ -100,7 +100,7 @@ class MinimaxService {
 
   async cancelTask(taskId: string): Promise<ApiResponse<void>> {
     try {
-      const response = await apiService.post<ApiResponse<void>>(`/ai/minimax/tasks/${taskId}/cancel`);
+      const response = await apiService.delete<ApiResponse<void>>(`/ai/tasks/${taskId}`);
       return response.data;
     } catch (error: any) {
       return {